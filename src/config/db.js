@@ -1,19 +1,7 @@
 const sql = require('mssql');
-const winston = require('winston');
+const logger = require('./logger');
 require('dotenv').config();
 
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: 'logs/app.log' }),
-    new winston.transports.Console(),
-  ],
-});
-
 const dbConfig = {
   server: process.env.DB_SERVER,
   database: process.env.DB_NAME,
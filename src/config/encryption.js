@@ -0,0 +1,68 @@
+// src/config/encryption.js
+const { ROLES, DECRYPT_SCOPE } = require('./permissions');
+
+/**
+ * Columnas con cifrado a nivel de aplicación, por tabla.
+ * - key: clave primaria de la tabla (para recorrerla al rotar claves).
+ * - column: columna donde se guarda el texto cifrado (por defecto, la del campo).
+ *   Las coordenadas se guardan en columnas *_cifrada porque las originales son DECIMAL.
+ * - blindIndex: columna con el HMAC del valor normalizado, para buscar por igualdad.
+ * - type: 'number' si el valor descifrado debe devolverse como número.
+ *
+ * Variables de entorno (ver .env.example):
+ * - ENCRYPTED_FIELDS (p. ej. "Niños.identificacion,Tutores.email") limita qué campos se
+ *   cifran al escribir; sin ella se cifran todos. Los valores ya cifrados se siguen
+ *   descifrando al leer.
+ * - FIELD_ENCRYPTION_KEYS: obligatoria si se cifra algún campo.
+ * - BLIND_INDEX_KEY: obligatoria siempre, porque identificaciones y teléfonos se buscan
+ *   por su índice ciego aunque no se cifren.
+ * El servidor no arranca si falta alguna (assertEncryptionConfigured).
+ */
+const SENSITIVE_FIELDS = {
+  Niños: {
+    key: 'id_niño',
+    fields: {
+      identificacion: { blindIndex: 'identificacion_hash' },
+      latitud: { column: 'latitud_cifrada', type: 'number' },
+      longitud: { column: 'longitud_cifrada', type: 'number' },
+    },
+  },
+  Tutores: {
+    key: 'id_tutor',
+    fields: {
+      identificacion: { blindIndex: 'identificacion_hash' },
+      telefono: { blindIndex: 'telefono_hash' },
+      email: {},
+    },
+  },
+  // Semilla TOTP: solo la descifra el servicio de dos factores, nunca se devuelve
+  Autenticacion_Dos_Factores: {
+    key: 'id_usuario',
+    fields: {
+      secreto: {},
+    },
+  },
+};
+
+// Roles clínicos que reciben los valores en claro; el resto los recibe enmascarados.
+// Las cuentas de servicio los reciben en claro solo si su clave tiene DECRYPT_SCOPE.
+const DECRYPT_ROLES = [ROLES.DOCTOR, ROLES.RESPONSABLE, ROLES.DIRECTOR, ROLES.ADMINISTRADOR];
+
+// Se lee al usarse y no al cargar el módulo, para respetar el .env que index.js carga después
+let cached = { source: null, fields: null };
+
+const enabledFields = () => {
+  const source = process.env.ENCRYPTED_FIELDS || '';
+  if (cached.source !== source) {
+    const configured = source.split(',').map(f => f.trim()).filter(Boolean);
+    const all = Object.entries(SENSITIVE_FIELDS).flatMap(([table, { fields }]) =>
+      Object.keys(fields).map(field => `${table}.${field}`)
+    );
+    cached = { source, fields: new Set(configured.length > 0 ? all.filter(name => configured.includes(name)) : all) };
+  }
+  return cached.fields;
+};
+
+const isEncryptedField = (table, field) => enabledFields().has(`${table}.${field}`);
+
+module.exports = { SENSITIVE_FIELDS, DECRYPT_ROLES, DECRYPT_SCOPE, enabledFields, isEncryptedField };
@@ -0,0 +1,105 @@
+// src/config/logger.js
+const { AsyncLocalStorage } = require('async_hooks');
+const winston = require('winston');
+require('dotenv').config();
+
+/**
+ * Logger compartido por toda la aplicación.
+ *
+ * - LOG_LEVEL fija el nivel; si no se define se usa 'info' (y 'warn' en tests).
+ * - LOG_REDACT_FIELDS añade campos (separados por comas) a la lista de campos
+ *   sensibles cuyo valor se sustituye por [REDACTED] en cualquier nivel del objeto.
+ * - Cada línea incluye el requestId de la petición en curso (ver middleware/requestId).
+ */
+
+const DEFAULT_LEVELS = { production: 'info', test: 'warn' };
+
+const DEFAULT_REDACT_FIELDS = [
+  'password',
+  'currentPassword',
+  'newPassword',
+  'token',
+  'refreshToken',
+  'challengeToken',
+  'authorization',
+  'x-api-key',
+  'apiKey',
+  'secret',
+  'code',
+  'recoveryCode',
+  'recoveryCodes',
+  'identificacion',
+  'cedula',
+  'telefono',
+  'email',
+];
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+const normalize = (field) => field.trim().toLowerCase();
+
+const redactFields = new Set(
+  DEFAULT_REDACT_FIELDS.concat((process.env.LOG_REDACT_FIELDS || '').split(','))
+    .map(normalize)
+    .filter(Boolean)
+);
+
+const requestContext = new AsyncLocalStorage();
+
+// req.query llega con prototipo nulo en Express 5
+const isPlainObject = (value) => {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+const isSensitive = (field) => typeof field === 'string' && redactFields.has(normalize(field));
+
+// Los errores de express-validator llevan el valor rechazado en `value` y el campo en `path`
+const redact = (value, depth = 0) => {
+  if (depth > MAX_DEPTH) return value;
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+  if (!isPlainObject(value)) return value;
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = isSensitive(key) ? REDACTED : redact(item, depth + 1);
+  }
+  if ('value' in copy && isSensitive(value.path)) copy.value = REDACTED;
+  return copy;
+};
+
+// Las claves simbólicas de winston (nivel, mensaje) no se enumeran y se conservan
+const redactFormat = winston.format(info => {
+  for (const key of Object.keys(info)) {
+    if (key === 'level' || key === 'message') continue;
+    info[key] = isSensitive(key) ? REDACTED : redact(info[key]);
+  }
+  return info;
+});
+
+const requestIdFormat = winston.format(info => {
+  const context = requestContext.getStore();
+  if (context && !info.requestId) info.requestId = context.requestId;
+  return info;
+});
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || DEFAULT_LEVELS[process.env.NODE_ENV] || 'info',
+  format: winston.format.combine(
+    requestIdFormat(),
+    redactFormat(),
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' }),
+  ],
+});
+
+logger.redact = redact;
+logger.requestContext = requestContext;
+
+module.exports = logger;
@@ -0,0 +1,238 @@
+// src/config/permissions.js
+const { match } = require('path-to-regexp');
+
+const ROLES = {
+  DOCTOR: 'doctor',
+  DIRECTOR: 'director',
+  RESPONSABLE: 'responsable',
+  ADMINISTRADOR: 'administrador',
+  TUTOR: 'tutor',
+};
+
+const ADMIN = [ROLES.ADMINISTRADOR];
+const MANAGEMENT = [ROLES.DIRECTOR, ROLES.ADMINISTRADOR];
+const STAFF = [ROLES.DOCTOR, ROLES.DIRECTOR, ROLES.RESPONSABLE, ROLES.ADMINISTRADOR];
+const CLINICAL = [ROLES.DOCTOR, ROLES.RESPONSABLE, ROLES.DIRECTOR, ROLES.ADMINISTRADOR];
+const STOCK = [ROLES.RESPONSABLE, ROLES.DIRECTOR, ROLES.ADMINISTRADOR];
+const EVERYONE = [...STAFF, ROLES.TUTOR];
+
+/**
+ * Matriz de permisos por recurso (ruta montada en src/index.js).
+ * `methods` define los roles permitidos por método HTTP; `routes` permite
+ * sobrescribir una sub-ruta concreta con la forma 'MÉTODO /ruta'.
+ * Un método que no aparece en la matriz queda denegado para todos.
+ * `scope` expone el recurso a cuentas de servicio (claves API) con los
+ * alcances '<scope>:read' (GET) y '<scope>:write' (POST, PUT, DELETE);
+ * `scopeExclude` lista las sub-rutas 'MÉTODO /ruta' que no se exponen a claves API.
+ */
+const permissions = {
+  '/api/centers': {
+    scope: 'centers',
+    methods: { GET: EVERYONE, POST: MANAGEMENT, PUT: MANAGEMENT, DELETE: ADMIN },
+    routes: {
+      'GET /:id/patients': STAFF,
+    },
+  },
+  '/api/users': {
+    methods: { GET: MANAGEMENT, POST: ADMIN, PUT: ADMIN, DELETE: ADMIN },
+    routes: {
+      'GET /:userId/patients': [...MANAGEMENT, ROLES.TUTOR],
+      'PUT /me/password': EVERYONE,
+    },
+  },
+  '/api/patients': {
+    scope: 'patients',
+    methods: { GET: STAFF, POST: CLINICAL, PUT: CLINICAL, DELETE: MANAGEMENT },
+    routes: {
+      'POST /merge': MANAGEMENT,
+      'POST /merges/:id/undo': MANAGEMENT,
+      'GET /archived': MANAGEMENT,
+      'POST /:id/restore': MANAGEMENT,
+      'POST /purge': ADMIN,
+    },
+    scopeExclude: ['POST /merge', 'POST /merges/:id/undo', 'POST /:id/restore', 'POST /purge'],
+  },
+  '/api/tutors': {
+    scope: 'tutors',
+    methods: { GET: STAFF, POST: CLINICAL, PUT: CLINICAL, DELETE: MANAGEMENT },
+    routes: {
+      'GET /:id/children': [...STAFF, ROLES.TUTOR],
+    },
+  },
+  '/api/countries': {
+    scope: 'countries',
+    methods: { GET: EVERYONE, POST: ADMIN, PUT: ADMIN, DELETE: ADMIN },
+  },
+  '/api/vaccines': {
+    scope: 'vaccines',
+    methods: { GET: EVERYONE, POST: MANAGEMENT, PUT: MANAGEMENT, DELETE: ADMIN },
+    routes: {
+      'GET /vaccination-pending/:id': STAFF,
+    },
+  },
+  '/api/vaccine-lots': {
+    scope: 'lots',
+    methods: { GET: STAFF, POST: STOCK, PUT: STOCK, DELETE: MANAGEMENT },
+    routes: {
+      'POST /:id/release': MANAGEMENT,
+    },
+    scopeExclude: ['POST /:id/release'],
+  },
+  '/api/vaccination-history': {
+    scope: 'vaccinations',
+    methods: { GET: STAFF, POST: CLINICAL, PUT: CLINICAL, DELETE: MANAGEMENT },
+  },
+  '/api/appointments': {
+    scope: 'appointments',
+    methods: { GET: STAFF, POST: STAFF, PUT: STAFF, DELETE: MANAGEMENT },
+  },
+  '/api/adverse-events': {
+    scope: 'adverse-events',
+    methods: { GET: STAFF, POST: CLINICAL, PUT: CLINICAL, DELETE: ADMIN },
+  },
+  '/api/health-staff': {
+    methods: { GET: STAFF, POST: MANAGEMENT, PUT: MANAGEMENT, DELETE: MANAGEMENT },
+  },
+  '/api/campaigns': {
+    scope: 'campaigns',
+    methods: { GET: EVERYONE, POST: MANAGEMENT, PUT: MANAGEMENT, DELETE: MANAGEMENT },
+  },
+  '/api/campaign-assignments': {
+    methods: { GET: STAFF, POST: MANAGEMENT, PUT: MANAGEMENT, DELETE: MANAGEMENT },
+  },
+  '/api/supplies': {
+    scope: 'supplies',
+    methods: { GET: STAFF, POST: STOCK, PUT: STOCK, DELETE: MANAGEMENT },
+  },
+  '/api/supply-usage': {
+    scope: 'supply-usage',
+    methods: { GET: STAFF, POST: CLINICAL, PUT: CLINICAL, DELETE: MANAGEMENT },
+  },
+  '/api/vaccination-schedules': {
+    scope: 'schedules',
+    methods: { GET: EVERYONE, POST: MANAGEMENT, PUT: MANAGEMENT, DELETE: ADMIN },
+  },
+  '/api/national-calendars': {
+    scope: 'calendars',
+    methods: { GET: EVERYONE, POST: MANAGEMENT, PUT: MANAGEMENT, DELETE: ADMIN },
+  },
+  '/api/audits': {
+    methods: { GET: MANAGEMENT, POST: ADMIN, PUT: ADMIN, DELETE: ADMIN },
+  },
+  '/api/alerts': {
+    scope: 'alerts',
+    methods: { GET: STAFF, POST: STAFF, PUT: STAFF, DELETE: MANAGEMENT },
+  },
+  '/api/reports': {
+    scope: 'reports',
+    methods: { GET: [ROLES.RESPONSABLE, ...MANAGEMENT] },
+  },
+  '/api/portal': {
+    methods: { GET: [ROLES.TUTOR], POST: [ROLES.TUTOR] },
+  },
+  '/api/2fa': {
+    methods: { GET: EVERYONE, POST: EVERYONE, DELETE: EVERYONE },
+    routes: {
+      'GET /policy': ADMIN,
+      'PUT /policy/:rol': ADMIN,
+    },
+  },
+  '/api/service-accounts': {
+    methods: { GET: ADMIN, POST: ADMIN, PUT: ADMIN, DELETE: ADMIN },
+  },
+  '/api/encryption': {
+    methods: { GET: ADMIN, POST: ADMIN },
+  },
+  '/api/certificates': {
+    scope: 'certificates',
+    methods: { GET: STAFF, POST: CLINICAL },
+    routes: {
+      'POST /:id/revoke': MANAGEMENT,
+      'GET /keys': ADMIN,
+      'POST /keys/rotate': ADMIN,
+    },
+    scopeExclude: ['POST /:id/revoke', 'GET /keys', 'POST /keys/rotate'],
+  },
+  '/api/fhir': {
+    scope: 'fhir',
+    methods: { GET: STAFF, POST: CLINICAL },
+  },
+  '/api/hl7': {
+    scope: 'hl7',
+    methods: { POST: CLINICAL },
+  },
+  '/api/observation-rules': {
+    methods: { GET: MANAGEMENT, POST: ADMIN, PUT: ADMIN, DELETE: ADMIN },
+  },
+  '/api/sync': {
+    methods: { GET: STAFF, POST: CLINICAL },
+  },
+};
+
+const scopeFor = (entry, httpMethod) => `${entry.scope}:${httpMethod === 'GET' ? 'read' : 'write'}`;
+
+// Alcance sin recurso propio: la clave API recibe en claro los datos identificativos cifrados
+const DECRYPT_SCOPE = 'identifiers:decrypt';
+
+const SCOPES = [...new Set([
+  ...Object.values(permissions)
+    .filter(entry => entry.scope)
+    .flatMap(entry => Object.keys(entry.methods).map(httpMethod => scopeFor(entry, httpMethod))),
+  DECRYPT_SCOPE,
+])];
+
+const compiledRoutes = {};
+const compiledExclusions = {};
+
+const compileRoute = (key) => {
+  const [method, path] = key.split(' ');
+  return { method, matches: match(path) };
+};
+
+const getRouteMatchers = (resource) => {
+  if (!compiledRoutes[resource]) {
+    const routes = permissions[resource]?.routes || {};
+    compiledRoutes[resource] = Object.entries(routes).map(([key, roles]) => ({ ...compileRoute(key), roles }));
+  }
+  return compiledRoutes[resource];
+};
+
+const getScopeExclusions = (resource) => {
+  if (!compiledExclusions[resource]) {
+    compiledExclusions[resource] = (permissions[resource]?.scopeExclude || []).map(compileRoute);
+  }
+  return compiledExclusions[resource];
+};
+
+/**
+ * Devuelve los roles autorizados para un recurso, método y sub-ruta.
+ * Si el recurso no existe en la matriz devuelve una lista vacía.
+ */
+const getAllowedRoles = (resource, method, path = '/') => {
+  const entry = permissions[resource];
+  if (!entry) return [];
+
+  const httpMethod = method.toUpperCase() === 'HEAD' ? 'GET' : method.toUpperCase();
+  const override = getRouteMatchers(resource).find(
+    route => route.method === httpMethod && route.matches(path)
+  );
+  if (override) return override.roles;
+
+  return entry.methods[httpMethod] || [];
+};
+
+/**
+ * Devuelve el alcance que necesita una clave API para un recurso, método y
+ * sub-ruta, o null si no están expuestos a cuentas de servicio.
+ */
+const getRequiredScope = (resource, method, path = '/') => {
+  const entry = permissions[resource];
+  const httpMethod = method.toUpperCase() === 'HEAD' ? 'GET' : method.toUpperCase();
+  if (!entry?.scope || !entry.methods[httpMethod]) return null;
+  const excluded = getScopeExclusions(resource).some(
+    route => route.method === httpMethod && route.matches(path)
+  );
+  return excluded ? null : scopeFor(entry, httpMethod);
+};
+
+module.exports = { ROLES, SCOPES, DECRYPT_SCOPE, permissions, getAllowedRoles, getRequiredScope };
@@ -249,4 +249,525 @@ CREATE TABLE Citas (
 -- Add foreign key constraint to Niños.id_centro_salud after Centros_Vacunacion is created
 ALTER TABLE Niños
 ADD CONSTRAINT FK_Niños_Centros_Vacunacion FOREIGN KEY (id_centro_salud) REFERENCES Centros_Vacunacion(id_centro);
-GO
\ No newline at end of file
+GO
+-- 19. Create Historial_Contrasenas table if it doesn't exist (password reuse policy)
+IF OBJECT_ID('Historial_Contrasenas', 'U') IS NULL
+CREATE TABLE Historial_Contrasenas (
+    id_historial_contrasena UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    id_usuario UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Usuarios(id_usuario) NOT NULL,
+    password_hash NVARCHAR(500) NOT NULL,
+    fecha_cambio DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+);
+GO
+
+-- 20. Create Autenticacion_Dos_Factores table if it doesn't exist (TOTP enrollment per user)
+IF OBJECT_ID('Autenticacion_Dos_Factores', 'U') IS NULL
+CREATE TABLE Autenticacion_Dos_Factores (
+    id_usuario UNIQUEIDENTIFIER PRIMARY KEY FOREIGN KEY REFERENCES Usuarios(id_usuario),
+    secreto NVARCHAR(64) NOT NULL,
+    habilitado BIT NOT NULL DEFAULT 0,
+    ultimo_paso BIGINT NULL,
+    fecha_creacion DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+    fecha_activacion DATETIME2 NULL
+);
+
+-- 21. Create Codigos_Recuperacion_2FA table if it doesn't exist (one-time recovery codes, hashed)
+IF OBJECT_ID('Codigos_Recuperacion_2FA', 'U') IS NULL
+CREATE TABLE Codigos_Recuperacion_2FA (
+    id_codigo UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    id_usuario UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Usuarios(id_usuario) NOT NULL,
+    codigo_hash NVARCHAR(64) NOT NULL,
+    fecha_uso DATETIME2 NULL
+);
+
+-- 22. Create Politica_Dos_Factores table if it doesn't exist (mandatory 2FA per role)
+IF OBJECT_ID('Politica_Dos_Factores', 'U') IS NULL
+CREATE TABLE Politica_Dos_Factores (
+    rol NVARCHAR(50) PRIMARY KEY,
+    obligatorio BIT NOT NULL DEFAULT 0,
+    fecha_actualizacion DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+);
+GO
+
+-- 23. Create Solicitudes_Cita table if it doesn't exist (appointment change requests from tutors)
+IF OBJECT_ID('Solicitudes_Cita', 'U') IS NULL
+CREATE TABLE Solicitudes_Cita (
+    id_solicitud UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    id_niño UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Niños(id_niño) NOT NULL,
+    id_cita UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Citas(id_cita) NULL,
+    id_usuario_solicitante UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Usuarios(id_usuario) NOT NULL,
+    tipo NVARCHAR(20) NOT NULL CHECK (tipo IN ('Nueva', 'Reprogramar', 'Cancelar')),
+    fecha_solicitada DATETIME2 NULL,
+    motivo NVARCHAR(500) NULL,
+    estado NVARCHAR(20) NOT NULL DEFAULT 'Pendiente' CHECK (estado IN ('Pendiente', 'Aprobada', 'Rechazada')),
+    respuesta NVARCHAR(500) NULL,
+    id_usuario_revisor UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Usuarios(id_usuario) NULL,
+    fecha_solicitud DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+    fecha_resolucion DATETIME2 NULL
+);
+GO
+
+-- 24. Create Cuentas_Servicio table if it doesn't exist (non-human clients that authenticate with API keys)
+IF OBJECT_ID('Cuentas_Servicio', 'U') IS NULL
+CREATE TABLE Cuentas_Servicio (
+    id_cuenta UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    nombre NVARCHAR(100) NOT NULL,
+    descripcion NVARCHAR(500) NULL,
+    id_centro UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Centros_Vacunacion(id_centro) NULL,
+    estado NVARCHAR(20) NOT NULL DEFAULT 'Activo' CHECK (estado IN ('Activo', 'Inactivo')),
+    fecha_creacion DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+    id_usuario_creador UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Usuarios(id_usuario) NULL
+);
+
+-- 25. Create Claves_API table if it doesn't exist (only the SHA-256 of the secret is stored)
+IF OBJECT_ID('Claves_API', 'U') IS NULL
+CREATE TABLE Claves_API (
+    id_clave UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    id_cuenta UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Cuentas_Servicio(id_cuenta) NOT NULL,
+    prefijo NVARCHAR(16) NOT NULL UNIQUE,
+    clave_hash NVARCHAR(64) NOT NULL,
+    alcances NVARCHAR(1000) NOT NULL,
+    fecha_creacion DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+    fecha_expiracion DATETIME2 NOT NULL,
+    fecha_revocacion DATETIME2 NULL,
+    ultimo_uso DATETIME2 NULL,
+    ultima_ip NVARCHAR(45) NULL,
+    total_usos BIGINT NOT NULL DEFAULT 0
+);
+
+-- 26. Create Uso_Claves_API table if it doesn't exist (per-request usage log for API keys)
+IF OBJECT_ID('Uso_Claves_API', 'U') IS NULL
+CREATE TABLE Uso_Claves_API (
+    id_uso BIGINT IDENTITY(1,1) PRIMARY KEY,
+    id_clave UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Claves_API(id_clave) NOT NULL,
+    metodo NVARCHAR(10) NOT NULL,
+    ruta NVARCHAR(500) NOT NULL,
+    codigo_respuesta INT NOT NULL,
+    ip_origen NVARCHAR(45) NULL,
+    fecha_uso DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+);
+GO
+
+-- 27. Field-level encryption of identifying data (ciphertext "enc:v<version>:..." written by the application)
+-- identificacion, telefono and email hold ciphertext in place; coordinates move to *_cifrada columns
+-- because latitud/longitud are DECIMAL. identificacion_hash is the HMAC blind index used for lookups.
+-- The procedure parameters are widened in src/procedures/vacunacionProcedures.sql.
+IF COL_LENGTH('Niños', 'identificacion_hash') IS NULL
+BEGIN
+    ALTER TABLE Niños ALTER COLUMN identificacion NVARCHAR(512) NOT NULL;
+    ALTER TABLE Niños ADD
+        identificacion_hash NVARCHAR(64) NULL,
+        latitud_cifrada NVARCHAR(512) NULL,
+        longitud_cifrada NVARCHAR(512) NULL;
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Niños_identificacion_hash')
+    CREATE INDEX IX_Niños_identificacion_hash ON Niños(identificacion_hash);
+GO
+
+IF COL_LENGTH('Tutores', 'identificacion_hash') IS NULL
+BEGIN
+    DECLARE @email_check NVARCHAR(200) = (
+        SELECT name FROM sys.check_constraints
+        WHERE parent_object_id = OBJECT_ID('Tutores') AND definition LIKE '%email%'
+    );
+    IF @email_check IS NOT NULL
+        EXEC('ALTER TABLE Tutores DROP CONSTRAINT ' + @email_check);
+
+    ALTER TABLE Tutores ALTER COLUMN identificacion NVARCHAR(512) NULL;
+    ALTER TABLE Tutores ALTER COLUMN telefono NVARCHAR(512) NULL;
+    ALTER TABLE Tutores ALTER COLUMN email NVARCHAR(512) NULL;
+    ALTER TABLE Tutores ADD identificacion_hash NVARCHAR(64) NULL;
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Tutores_identificacion_hash')
+    CREATE INDEX IX_Tutores_identificacion_hash ON Tutores(identificacion_hash);
+GO
+
+-- Tutores table type (@tutores of sp_CrearNiño / sp_ActualizarNiño) carries the same ciphertext.
+-- A table type can't be altered while procedures use it: stop here if an older, narrower one exists.
+IF EXISTS (
+    SELECT 1 FROM sys.table_types tt
+    JOIN sys.columns c ON c.object_id = tt.type_table_object_id
+    WHERE tt.name = 'TipoTutores' AND c.name IN ('identificacion', 'telefono', 'email') AND c.max_length < 1024
+)
+    RAISERROR ('TipoTutores must be recreated with NVARCHAR(512) columns: drop sp_CrearNiño, sp_ActualizarNiño and the type, then rerun this section and recreate the procedures', 16, 1);
+GO
+
+IF TYPE_ID('TipoTutores') IS NULL
+    CREATE TYPE TipoTutores AS TABLE (
+        nombre NVARCHAR(200) NOT NULL,
+        relacion NVARCHAR(50) NOT NULL,
+        nacionalidad NVARCHAR(100) NOT NULL,
+        identificacion NVARCHAR(512) NULL,
+        telefono NVARCHAR(512) NULL,
+        email NVARCHAR(512) NULL,
+        direccion NVARCHAR(500) NULL,
+        tipo_relacion NVARCHAR(20) NOT NULL DEFAULT 'TutorLegal'
+    );
+GO
+
+-- 28. Blind index on tutor phone numbers (patient search by tutor phone)
+IF COL_LENGTH('Tutores', 'telefono_hash') IS NULL
+    ALTER TABLE Tutores ADD telefono_hash NVARCHAR(64) NULL;
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Tutores_telefono_hash')
+    CREATE INDEX IX_Tutores_telefono_hash ON Tutores(telefono_hash);
+GO
+
+-- 29. Patient merges (duplicate records folded into a surviving patient; reversible)
+IF OBJECT_ID('Fusiones_Pacientes', 'U') IS NULL
+CREATE TABLE Fusiones_Pacientes (
+    id_fusion UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    id_niño_superviviente UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Niños(id_niño) NOT NULL,
+    id_niño_duplicado UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Niños(id_niño) NOT NULL,
+    estado_anterior_duplicado NVARCHAR(20) NOT NULL,
+    motivo NVARCHAR(500) NULL,
+    estado NVARCHAR(20) NOT NULL DEFAULT 'Aplicada' CHECK (estado IN ('Aplicada', 'Revertida')),
+    id_usuario UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Usuarios(id_usuario) NOT NULL,
+    fecha_fusion DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+    id_usuario_reversion UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Usuarios(id_usuario) NULL,
+    fecha_reversion DATETIME2 NULL
+);
+GO
+
+-- Rows moved by each merge. Filled with OUTPUT ... INTO, so it cannot take part in a foreign key.
+IF OBJECT_ID('Fusiones_Pacientes_Registros', 'U') IS NULL
+CREATE TABLE Fusiones_Pacientes_Registros (
+    id_fusion UNIQUEIDENTIFIER NOT NULL,
+    tabla NVARCHAR(100) NOT NULL,
+    id_registro UNIQUEIDENTIFIER NOT NULL,
+    PRIMARY KEY (id_fusion, tabla, id_registro)
+);
+GO
+
+-- 30. Signed vaccination certificates (the signed payload itself is not stored; only what revocation needs)
+IF OBJECT_ID('Certificados_Vacunacion', 'U') IS NULL
+CREATE TABLE Certificados_Vacunacion (
+    id_certificado UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    id_niño UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Niños(id_niño) NOT NULL,
+    kid NVARCHAR(64) NOT NULL,
+    fecha_emision DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+    fecha_expiracion DATETIME2 NOT NULL,
+    estado NVARCHAR(20) NOT NULL DEFAULT 'Emitido' CHECK (estado IN ('Emitido', 'Revocado')),
+    id_usuario_emisor UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Usuarios(id_usuario) NULL,
+    id_cuenta_emisora UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Cuentas_Servicio(id_cuenta) NULL,
+    fecha_revocacion DATETIME2 NULL,
+    motivo_revocacion NVARCHAR(500) NULL,
+    id_usuario_revocacion UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Usuarios(id_usuario) NULL,
+    CONSTRAINT CHK_Certificados_Emisor CHECK (id_usuario_emisor IS NOT NULL OR id_cuenta_emisora IS NOT NULL)
+);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Certificados_Vacunacion_id_niño')
+    CREATE INDEX IX_Certificados_Vacunacion_id_niño ON Certificados_Vacunacion(id_niño);
+GO
+
+-- 31. Patient transfers between health centers (Niños.id_centro_salud always holds the current center)
+IF OBJECT_ID('Traslados_Pacientes', 'U') IS NULL
+CREATE TABLE Traslados_Pacientes (
+    id_traslado UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    id_niño UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Niños(id_niño) NOT NULL,
+    id_centro_origen UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Centros_Vacunacion(id_centro) NULL,
+    id_centro_destino UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Centros_Vacunacion(id_centro) NOT NULL,
+    fecha_efectiva DATE NOT NULL,
+    motivo NVARCHAR(500) NOT NULL,
+    citas_trasladadas INT NOT NULL DEFAULT 0,
+    id_usuario UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Usuarios(id_usuario) NULL,
+    fecha_registro DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Traslados_Pacientes_id_niño')
+    CREATE INDEX IX_Traslados_Pacientes_id_niño ON Traslados_Pacientes(id_niño, fecha_efectiva);
+GO
+
+-- Center responsible for each child on a given date: the destination of the last transfer effective
+-- on or before that date, otherwise the origin of the first later transfer, otherwise the current center.
+CREATE OR ALTER FUNCTION fn_CentroPacienteEnFecha (@fecha DATE)
+RETURNS TABLE
+AS
+RETURN
+    SELECT
+        n.id_niño,
+        CASE
+            WHEN antes.id_traslado IS NOT NULL THEN antes.id_centro_destino
+            WHEN despues.id_traslado IS NOT NULL THEN despues.id_centro_origen
+            ELSE n.id_centro_salud
+        END AS id_centro
+    FROM Niños n
+    OUTER APPLY (
+        SELECT TOP 1 t.id_traslado, t.id_centro_destino
+        FROM Traslados_Pacientes t
+        WHERE t.id_niño = n.id_niño AND t.fecha_efectiva <= @fecha
+        ORDER BY t.fecha_efectiva DESC, t.fecha_registro DESC
+    ) antes
+    OUTER APPLY (
+        SELECT TOP 1 t.id_traslado, t.id_centro_origen
+        FROM Traslados_Pacientes t
+        WHERE t.id_niño = n.id_niño AND t.fecha_efectiva > @fecha
+        ORDER BY t.fecha_efectiva, t.fecha_registro
+    ) despues;
+GO
+
+-- 32. Patient clinical timeline sources
+-- Incidents reported against a dose (written by sp_RegistrarIncidente)
+IF OBJECT_ID('Incidentes', 'U') IS NULL
+CREATE TABLE Incidentes (
+    id_incidente UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    id_historial UNIQUEIDENTIFIER NOT NULL,
+    descripcion NVARCHAR(MAX) NOT NULL,
+    fecha_reporte DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+);
+GO
+
+-- Tutor assignments and changes per child; filled by a trigger so changes made by the
+-- stored procedures and by patient merges are captured as well
+IF OBJECT_ID('Historial_Tutores', 'U') IS NULL
+CREATE TABLE Historial_Tutores (
+    id_historial_tutor UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    id_niño UNIQUEIDENTIFIER NOT NULL,
+    id_tutor UNIQUEIDENTIFIER NOT NULL,
+    accion NVARCHAR(20) NOT NULL CHECK (accion IN ('Asignado', 'Actualizado', 'Desasignado')),
+    nombre NVARCHAR(200) NOT NULL,
+    relacion NVARCHAR(50) NOT NULL,
+    estado NVARCHAR(20) NOT NULL,
+    fecha DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Historial_Tutores_id_niño')
+    CREATE INDEX IX_Historial_Tutores_id_niño ON Historial_Tutores(id_niño, fecha);
+GO
+
+-- A tutor moved to another child (e.g. by a merge) is recorded as unassigned from one and assigned to the other
+CREATE OR ALTER TRIGGER trg_Tutores_Historial ON Tutores
+AFTER INSERT, UPDATE, DELETE
+AS
+BEGIN
+    SET NOCOUNT ON;
+    INSERT INTO Historial_Tutores (id_niño, id_tutor, accion, nombre, relacion, estado)
+    SELECT i.id_niño, i.id_tutor, CASE WHEN d.id_tutor IS NULL THEN 'Asignado' ELSE 'Actualizado' END, i.nombre, i.relacion, i.estado
+    FROM inserted i
+    LEFT JOIN deleted d ON d.id_tutor = i.id_tutor AND d.id_niño = i.id_niño
+    UNION ALL
+    SELECT d.id_niño, d.id_tutor, 'Desasignado', d.nombre, d.relacion, d.estado
+    FROM deleted d
+    LEFT JOIN inserted i ON i.id_tutor = d.id_tutor AND i.id_niño = d.id_niño
+    WHERE i.id_tutor IS NULL;
+END;
+GO
+
+-- 33. Patient archival (soft delete). Archived patients and the records archived with them carry the
+-- id_archivo; Archivos_Pacientes has no foreign key to Niños so it survives a purge as evidence.
+IF OBJECT_ID('Archivos_Pacientes', 'U') IS NULL
+CREATE TABLE Archivos_Pacientes (
+    id_archivo UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    id_niño UNIQUEIDENTIFIER NOT NULL,
+    motivo NVARCHAR(500) NOT NULL,
+    id_usuario_archivo UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Usuarios(id_usuario) NULL,
+    fecha_archivo DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+    fecha_purga DATETIME2 NOT NULL,
+    estado NVARCHAR(20) NOT NULL DEFAULT 'Archivado' CHECK (estado IN ('Archivado', 'Restaurado', 'Purgado')),
+    fecha_restauracion DATETIME2 NULL,
+    id_usuario_restauracion UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Usuarios(id_usuario) NULL,
+    fecha_purgado DATETIME2 NULL,
+    id_usuario_purga UNIQUEIDENTIFIER FOREIGN KEY REFERENCES Usuarios(id_usuario) NULL
+);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Archivos_Pacientes_id_niño')
+    CREATE INDEX IX_Archivos_Pacientes_id_niño ON Archivos_Pacientes(id_niño, fecha_archivo);
+GO
+
+IF COL_LENGTH('Niños', 'id_archivo') IS NULL
+    ALTER TABLE Niños ADD id_archivo UNIQUEIDENTIFIER NULL;
+IF COL_LENGTH('Historial_Vacunacion_Alterna', 'id_archivo') IS NULL
+    ALTER TABLE Historial_Vacunacion_Alterna ADD id_archivo UNIQUEIDENTIFIER NULL;
+IF COL_LENGTH('Tutores', 'id_archivo') IS NULL
+    ALTER TABLE Tutores ADD id_archivo UNIQUEIDENTIFIER NULL;
+IF COL_LENGTH('Citas', 'id_archivo') IS NULL
+    ALTER TABLE Citas ADD id_archivo UNIQUEIDENTIFIER NULL;
+GO
+
+-- 34. HL7 FHIR interoperability: CVX code of each vaccine (http://hl7.org/fhir/sid/cvx), used in
+-- Immunization.vaccineCode and to match imported immunizations to a lot
+IF COL_LENGTH('Vacunas', 'codigo_cvx') IS NULL
+    ALTER TABLE Vacunas ADD codigo_cvx NVARCHAR(10) NULL;
+GO
+
+-- 35. Dose sequence validation: minimum age and minimum interval from the previous dose per schedule
+-- entry, and the supervisor overrides that allowed a dose outside those rules (no foreign key to the
+-- history, so the override survives as evidence if the dose is later removed)
+IF COL_LENGTH('Esquema_Vacunacion', 'edad_minima_dias') IS NULL
+    ALTER TABLE Esquema_Vacunacion ADD edad_minima_dias INT NULL;
+IF COL_LENGTH('Esquema_Vacunacion', 'intervalo_minimo_dias') IS NULL
+    ALTER TABLE Esquema_Vacunacion ADD intervalo_minimo_dias INT NULL;
+GO
+
+IF OBJECT_ID('Excepciones_Vacunacion', 'U') IS NULL
+CREATE TABLE Excepciones_Vacunacion (
+    id_excepcion UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    id_historial UNIQUEIDENTIFIER NOT NULL,
+    tipo NVARCHAR(30) NOT NULL, -- 'Esquema' or 'Lote'
+    motivos NVARCHAR(MAX) NOT NULL, -- JSON with the rules that were overridden
+    justificacion NVARCHAR(1000) NOT NULL,
+    id_usuario_autoriza UNIQUEIDENTIFIER NOT NULL FOREIGN KEY REFERENCES Usuarios(id_usuario),
+    fecha DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Excepciones_Vacunacion_id_historial')
+    CREATE INDEX IX_Excepciones_Vacunacion_id_historial ON Excepciones_Vacunacion(id_historial);
+GO
+
+-- 36. Lot quarantine: a quarantined lot cannot be used to vaccinate until it is released. Emergency
+-- use of an expired, quarantined or other center's lot is recorded in Excepciones_Vacunacion with
+-- tipo 'Lote'
+IF COL_LENGTH('Lotes_Vacunas', 'en_cuarentena') IS NULL
+    ALTER TABLE Lotes_Vacunas ADD en_cuarentena BIT NOT NULL CONSTRAINT DF_Lotes_Vacunas_en_cuarentena DEFAULT 0;
+IF COL_LENGTH('Lotes_Vacunas', 'motivo_cuarentena') IS NULL
+    ALTER TABLE Lotes_Vacunas ADD motivo_cuarentena NVARCHAR(500) NULL;
+IF COL_LENGTH('Lotes_Vacunas', 'fecha_cuarentena') IS NULL
+    ALTER TABLE Lotes_Vacunas ADD fecha_cuarentena DATETIME2 NULL;
+GO
+
+-- 37. Observation flagging rules: a dose whose observations contain an active rule's word or phrase
+-- (whole words, case and accent insensitive) is saved and an incident is opened for it through
+-- sp_RegistrarIncidente. Seeded with the keywords that used to reject the observations outright.
+IF OBJECT_ID('Reglas_Observaciones', 'U') IS NULL
+CREATE TABLE Reglas_Observaciones (
+    id_regla UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    patron NVARCHAR(100) NOT NULL,
+    descripcion NVARCHAR(250) NULL,
+    activa BIT NOT NULL DEFAULT 1,
+    fecha_actualizacion DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM Reglas_Observaciones)
+    INSERT INTO Reglas_Observaciones (patron, descripcion) VALUES
+        (N'ojo', N'Posible aplicación o lesión en el ojo'),
+        (N'accidente', N'Accidente durante la vacunación'),
+        (N'error', N'Posible error de vacunación'),
+        (N'herida', N'Lesión durante la aplicación'),
+        (N'incidente', N'Incidente mencionado en las observaciones');
+GO
+
+-- 38. Offline batch sync. Niños and the reference data pulled by field devices carry a ROWVERSION:
+-- a patient update made offline conflicts when the patient's version moved on since the device read
+-- it, and the pull returns the reference rows whose version is above the device's checkpoint.
+-- Sincronizacion_Elementos keeps every applied change by (user, idempotency key) so a retried batch
+-- returns the original result, and maps the device's client IDs to the server IDs.
+IF COL_LENGTH('Niños', 'version_fila') IS NULL
+    ALTER TABLE Niños ADD version_fila ROWVERSION;
+IF COL_LENGTH('Paises', 'version_fila') IS NULL
+    ALTER TABLE Paises ADD version_fila ROWVERSION;
+IF COL_LENGTH('Centros_Vacunacion', 'version_fila') IS NULL
+    ALTER TABLE Centros_Vacunacion ADD version_fila ROWVERSION;
+IF COL_LENGTH('Vacunas', 'version_fila') IS NULL
+    ALTER TABLE Vacunas ADD version_fila ROWVERSION;
+IF COL_LENGTH('Esquema_Vacunacion', 'version_fila') IS NULL
+    ALTER TABLE Esquema_Vacunacion ADD version_fila ROWVERSION;
+IF COL_LENGTH('Lotes_Vacunas', 'version_fila') IS NULL
+    ALTER TABLE Lotes_Vacunas ADD version_fila ROWVERSION;
+IF COL_LENGTH('Inventario_Suministros', 'version_fila') IS NULL
+    ALTER TABLE Inventario_Suministros ADD version_fila ROWVERSION;
+IF COL_LENGTH('Reglas_Observaciones', 'version_fila') IS NULL
+    ALTER TABLE Reglas_Observaciones ADD version_fila ROWVERSION;
+GO
+
+IF OBJECT_ID('Sincronizacion_Elementos', 'U') IS NULL
+CREATE TABLE Sincronizacion_Elementos (
+    id_elemento UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    id_usuario UNIQUEIDENTIFIER NOT NULL FOREIGN KEY REFERENCES Usuarios(id_usuario),
+    clave_idempotencia NVARCHAR(100) NOT NULL,
+    tipo NVARCHAR(30) NOT NULL CHECK (tipo IN ('paciente', 'vacunacion', 'uso_suministro')),
+    operacion NVARCHAR(20) NOT NULL CHECK (operacion IN ('crear', 'actualizar')),
+    id_cliente NVARCHAR(100) NULL,
+    id_servidor UNIQUEIDENTIFIER NOT NULL,
+    resultado NVARCHAR(MAX) NOT NULL, -- JSON returned to the device when the change was applied
+    fecha DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+    CONSTRAINT UQ_Sincronizacion_Elementos_clave UNIQUE (id_usuario, clave_idempotencia)
+);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Sincronizacion_Elementos_id_cliente')
+    CREATE INDEX IX_Sincronizacion_Elementos_id_cliente ON Sincronizacion_Elementos(id_usuario, id_cliente)
+    WHERE id_cliente IS NOT NULL;
+GO
+
+-- 39. Versioned amendments of vaccination records. Historial_Vacunacion_Alterna holds the current
+-- version of each dose; its registration, every amendment and its marking as entered in error append
+-- the full record to Versiones_Historial_Vacunacion with the author, date and reason. Doses registered
+-- before versioning get a 'Registro' version without author or reason when they are first changed.
+-- A dose entered in error is never removed: it keeps estado_registro 'Error de registro' and no longer
+-- counts as an administered dose.
+IF COL_LENGTH('Historial_Vacunacion_Alterna', 'estado_registro') IS NULL
+    ALTER TABLE Historial_Vacunacion_Alterna ADD estado_registro NVARCHAR(20) NOT NULL
+        CONSTRAINT DF_Historial_Vacunacion_Alterna_estado_registro DEFAULT 'Vigente'
+        CONSTRAINT CK_Historial_Vacunacion_Alterna_estado_registro CHECK (estado_registro IN ('Vigente', 'Error de registro'));
+IF COL_LENGTH('Historial_Vacunacion_Alterna', 'version') IS NULL
+    ALTER TABLE Historial_Vacunacion_Alterna ADD version INT NOT NULL
+        CONSTRAINT DF_Historial_Vacunacion_Alterna_version DEFAULT 1;
+GO
+
+IF OBJECT_ID('Versiones_Historial_Vacunacion', 'U') IS NULL
+CREATE TABLE Versiones_Historial_Vacunacion (
+    id_version UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    id_historial UNIQUEIDENTIFIER NOT NULL,
+    version INT NOT NULL,
+    tipo_cambio NVARCHAR(20) NOT NULL CHECK (tipo_cambio IN ('Registro', 'Enmienda', 'Error de registro')),
+    id_niño UNIQUEIDENTIFIER NOT NULL,
+    id_lote UNIQUEIDENTIFIER NOT NULL,
+    id_usuario UNIQUEIDENTIFIER NULL,
+    id_centro UNIQUEIDENTIFIER NULL,
+    fecha_vacunacion DATETIME2 NOT NULL,
+    dosis_aplicada INT NOT NULL,
+    sitio_aplicacion NVARCHAR(100) NULL,
+    observaciones NVARCHAR(MAX) NULL,
+    estado_registro NVARCHAR(20) NOT NULL,
+    motivo NVARCHAR(1000) NULL, -- required for amendments and errors
+    id_usuario_autor UNIQUEIDENTIFIER NULL FOREIGN KEY REFERENCES Usuarios(id_usuario),
+    fecha DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+    CONSTRAINT UQ_Versiones_Historial_Vacunacion UNIQUE (id_historial, version)
+);
+GO
+
+-- 40. Service accounts as authors. Changes made with an API key are attributed to the service
+-- account: Auditoria and the dose versions record it in id_cuenta / id_cuenta_autor, and an audit
+-- row needs either a user or a service account.
+IF COL_LENGTH('Auditoria', 'id_cuenta') IS NULL
+    ALTER TABLE Auditoria ADD id_cuenta UNIQUEIDENTIFIER NULL
+        CONSTRAINT FK_Auditoria_Cuentas_Servicio FOREIGN KEY REFERENCES Cuentas_Servicio(id_cuenta);
+GO
+-- The column keeps its foreign key; it is dropped (its name is generated) and recreated around the change
+IF COLUMNPROPERTY(OBJECT_ID('Auditoria'), 'id_usuario', 'AllowsNull') = 0
+BEGIN
+    DECLARE @fk_auditoria_usuario SYSNAME = (
+        SELECT fk.name FROM sys.foreign_keys fk
+        INNER JOIN sys.foreign_key_columns fc ON fc.constraint_object_id = fk.object_id
+        WHERE fk.parent_object_id = OBJECT_ID('Auditoria')
+          AND COL_NAME(fc.parent_object_id, fc.parent_column_id) = 'id_usuario'
+    );
+    IF @fk_auditoria_usuario IS NOT NULL
+        EXEC('ALTER TABLE Auditoria DROP CONSTRAINT ' + QUOTENAME(@fk_auditoria_usuario));
+    ALTER TABLE Auditoria ALTER COLUMN id_usuario UNIQUEIDENTIFIER NULL;
+    ALTER TABLE Auditoria ADD CONSTRAINT FK_Auditoria_Usuarios FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario);
+END;
+GO
+IF OBJECT_ID('CK_Auditoria_autor', 'C') IS NULL
+    ALTER TABLE Auditoria ADD CONSTRAINT CK_Auditoria_autor CHECK (id_usuario IS NOT NULL OR id_cuenta IS NOT NULL);
+IF COL_LENGTH('Versiones_Historial_Vacunacion', 'id_cuenta_autor') IS NULL
+    ALTER TABLE Versiones_Historial_Vacunacion ADD id_cuenta_autor UNIQUEIDENTIFIER NULL
+        CONSTRAINT FK_Versiones_Historial_Vacunacion_Cuentas_Servicio FOREIGN KEY REFERENCES Cuentas_Servicio(id_cuenta);
+GO
+
+-- 41. The TOTP seed is stored as field-encryption ciphertext ("enc:v<version>:...", see section 27).
+-- Existing plaintext seeds keep working and are encrypted by POST /api/encryption/rotate.
+IF COL_LENGTH('Autenticacion_Dos_Factores', 'secreto') < 1024
+    ALTER TABLE Autenticacion_Dos_Factores ALTER COLUMN secreto NVARCHAR(512) NOT NULL;
+GO
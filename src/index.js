@@ -1,23 +1,15 @@
 const express = require('express');
 const cors = require('cors');
-const winston = require('winston');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./config/swagger');
+const authenticate = require('./middleware/auth');
+const authorize = require('./middleware/permissions');
+const centerScope = require('./middleware/centerScope');
+const requestId = require('./middleware/requestId');
+const logger = require('./config/logger');
+const { assertEncryptionConfigured } = require('./services/fieldEncryption');
 require('dotenv').config();
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' })
-  ]
-});
-
 // Import routes
 const authRoutes = require('./routes/auth');
 const patientRouter = require('./routes/patient');
@@ -40,19 +32,29 @@ const countriesRoutes = require('./routes/countries');
 const supplyUsageRoutes = require('./routes/supplyUsage');
 const reportsRoutes = require('./routes/reports');
 const tutorsRoutes = require('./routes/tutors');
+const portalRoutes = require('./routes/portal');
+const twoFactorRoutes = require('./routes/twoFactor');
+const serviceAccountsRoutes = require('./routes/serviceAccounts');
+const encryptionRoutes = require('./routes/encryption');
+const certificatesRoutes = require('./routes/certificates');
+const certificateVerificationRoutes = require('./routes/certificateVerification');
+const fhirRoutes = require('./routes/fhir');
+const hl7Routes = require('./routes/hl7');
+const observationRulesRoutes = require('./routes/observationRules');
+const syncRoutes = require('./routes/sync');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Middleware
-app.use(cors());
+// Middleware (request bodies are never logged; query strings go through the logger's redaction)
+app.use(requestId);
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json());
 app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.url}`, {
-    body: req.body,
-    params: req.params,
-    query: req.query,
-    ip: req.ip
+  const start = Date.now();
+  logger.info(`${req.method} ${req.path}`, { query: req.query, ip: req.ip });
+  res.on('finish', () => {
+    logger.info(`${req.method} ${req.path} ${res.statusCode}`, { duration_ms: Date.now() - start, ip: req.ip });
   });
   next();
 });
@@ -60,39 +62,61 @@ app.use((req, res, next) => {
 // Configure Swagger UI
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs));
 
-// Routes
+// Routes (authentication routes are public; everything else goes through the permission matrix,
+// and center-owned resources are additionally limited to the user's center)
 app.use('/', authRoutes);
 app.use('/api', authRoutes);
-app.use('/api/centers', centersRoutes);
-app.use('/api/users', usersRoutes);
-app.use('/api/patients', patientRouter);
-app.use('/api/tutors', tutorsRoutes);
-app.use('/api/countries', countriesRoutes);
-app.use('/api/vaccines', vaccinesRoutes);
-app.use('/api/vaccine-lots', vaccineLotsRoutes);
-app.use('/api/vaccination-history', vaccinationHistoryRoutes);
-app.use('/api/appointments', appointmentsRoutes);
-app.use('/api/adverse-events', adverseEventsRoutes);
-app.use('/api/health-staff', healthStaffRoutes);
-app.use('/api/campaigns', campaignsRoutes);
-app.use('/api/campaign-assignments', campaignAssignmentsRoutes);
-app.use('/api/supplies', suppliesRoutes);
-app.use('/api/supply-usage', supplyUsageRoutes);
-app.use('/api/vaccination-schedules', vaccinationSchedulesRoutes);
-app.use('/api/national-calendars', nationalCalendarsRoutes);
-app.use('/api/audits', auditsRoutes);
-app.use('/api/alerts', alertsRoutes);
-app.use('/api/reports', reportsRoutes);
+app.use('/api/centers', authenticate, authorize('/api/centers'), centersRoutes);
+app.use('/api/users', authenticate, authorize('/api/users'), usersRoutes);
+app.use('/api/patients', authenticate, authorize('/api/patients'), centerScope, patientRouter);
+app.use('/api/tutors', authenticate, authorize('/api/tutors'), tutorsRoutes);
+app.use('/api/countries', authenticate, authorize('/api/countries'), countriesRoutes);
+app.use('/api/vaccines', authenticate, authorize('/api/vaccines'), vaccinesRoutes);
+app.use('/api/vaccine-lots', authenticate, authorize('/api/vaccine-lots'), centerScope, vaccineLotsRoutes);
+app.use('/api/vaccination-history', authenticate, authorize('/api/vaccination-history'), centerScope, vaccinationHistoryRoutes);
+app.use('/api/appointments', authenticate, authorize('/api/appointments'), centerScope, appointmentsRoutes);
+app.use('/api/adverse-events', authenticate, authorize('/api/adverse-events'), adverseEventsRoutes);
+app.use('/api/health-staff', authenticate, authorize('/api/health-staff'), healthStaffRoutes);
+app.use('/api/campaigns', authenticate, authorize('/api/campaigns'), campaignsRoutes);
+app.use('/api/campaign-assignments', authenticate, authorize('/api/campaign-assignments'), campaignAssignmentsRoutes);
+app.use('/api/supplies', authenticate, authorize('/api/supplies'), centerScope, suppliesRoutes);
+app.use('/api/supply-usage', authenticate, authorize('/api/supply-usage'), supplyUsageRoutes);
+app.use('/api/vaccination-schedules', authenticate, authorize('/api/vaccination-schedules'), vaccinationSchedulesRoutes);
+app.use('/api/national-calendars', authenticate, authorize('/api/national-calendars'), nationalCalendarsRoutes);
+app.use('/api/audits', authenticate, authorize('/api/audits'), auditsRoutes);
+app.use('/api/alerts', authenticate, authorize('/api/alerts'), alertsRoutes);
+app.use('/api/reports', authenticate, authorize('/api/reports'), reportsRoutes);
+app.use('/api/portal', authenticate, authorize('/api/portal'), portalRoutes);
+app.use('/api/2fa', authenticate, authorize('/api/2fa'), twoFactorRoutes);
+app.use('/api/service-accounts', authenticate, authorize('/api/service-accounts'), serviceAccountsRoutes);
+app.use('/api/encryption', authenticate, authorize('/api/encryption'), encryptionRoutes);
+// Certificate verification is public; the rest of /api/certificates requires authentication
+app.use('/api/certificates', certificateVerificationRoutes);
+app.use('/api/certificates', authenticate, authorize('/api/certificates'), centerScope, certificatesRoutes);
+app.use('/api/fhir', authenticate, authorize('/api/fhir'), centerScope, fhirRoutes);
+app.use('/api/hl7', authenticate, authorize('/api/hl7'), centerScope, hl7Routes);
+app.use('/api/observation-rules', authenticate, authorize('/api/observation-rules'), observationRulesRoutes);
+app.use('/api/sync', authenticate, authorize('/api/sync'), centerScope, syncRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error(err.message, { stack: err.stack, ip: req.ip });
   res.status(err.statusCode || 500).json({
     error: err.message,
-    ...(err.details && { details: err.details })
+    ...(err.details && { details: err.details }),
+    // Only errors marked as exposable (validation errors, dose schedule reasons, lot problems) return their context
+    ...(err.expose && err.data !== undefined && { data: err.data })
   });
 });
 
+// Refuse to start without the field encryption keys instead of failing patient and tutor writes later
+try {
+  assertEncryptionConfigured();
+} catch (err) {
+  logger.error(`Field encryption is not configured: ${err.message}`);
+  process.exit(1);
+}
+
 app.listen(port, () => {
   logger.info(`Server running on port ${port}`);
 });
@@ -1,6 +1,58 @@
 const jwt = require('jsonwebtoken');
+const { poolPromise } = require('../config/db');
+const tokenStore = require('../services/tokenStore');
+const apiKeys = require('../services/apiKeys');
+
+const logger = require('../config/logger');
+
+// API keys travel in X-API-Key or as "Authorization: ApiKey <key>"
+const getApiKey = (req) => {
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+  const [scheme, value] = (req.headers.authorization || '').split(' ');
+  return scheme === 'ApiKey' ? value : null;
+};
+
+const authenticateApiKey = async (req, res, next, apiKey) => {
+  try {
+    const pool = await poolPromise;
+    const account = await apiKeys.verifyKey(pool, apiKey);
+    if (!account) {
+      logger.warn('Clave API rechazada', { ip: req.ip });
+      const error = new Error('Invalid API key');
+      error.statusCode = 401;
+      return next(error);
+    }
+    req.user = {
+      tipo: 'servicio',
+      username: `servicio:${account.nombre}`,
+      id_cuenta: account.id_cuenta,
+      id_clave: account.id_clave,
+      id_centro: account.id_centro,
+      alcances: account.alcances,
+    };
+    res.on('finish', () => {
+      apiKeys
+        .recordUsage(pool, {
+          id_clave: account.id_clave,
+          metodo: req.method,
+          ruta: req.originalUrl,
+          codigo_respuesta: res.statusCode,
+          ip: req.ip,
+        })
+        .catch(err => logger.error('Error al registrar uso de clave API', { id_clave: account.id_clave, error: err.message }));
+    });
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
 
 const authenticate = (req, res, next) => {
+  const apiKey = getApiKey(req);
+  if (apiKey) {
+    return authenticateApiKey(req, res, next, apiKey);
+  }
+
   const token = req.headers.authorization?.split(' ')[1];
   if (!token) {
     const error = new Error('Authentication required');
@@ -9,12 +61,18 @@ const authenticate = (req, res, next) => {
   }
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (tokenStore.isRevoked(decoded)) {
+      const error = new Error('Token revoked');
+      error.statusCode = 401;
+      return next(error);
+    }
     req.user = decoded;
     next();
-  } catch (error) {
-    error.statusCode = 403;
+  } catch (err) {
+    const error = new Error(err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    error.statusCode = 401;
     next(error);
   }
 };
 
-module.exports = authenticate;
\ No newline at end of file
+module.exports = authenticate;
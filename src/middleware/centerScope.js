@@ -0,0 +1,22 @@
+// src/middleware/centerScope.js
+const { poolPromise } = require('../config/db');
+const { resolveScope } = require('../services/centerScope');
+
+// Attaches req.centerScope; staff without a center and without national scope are rejected
+const centerScope = async (req, res, next) => {
+  try {
+    const pool = await poolPromise;
+    const scope = await resolveScope(pool, req.user);
+    if (!scope.national && !scope.id_centro) {
+      const error = new Error('Usuario sin centro asignado');
+      error.statusCode = 403;
+      return next(error);
+    }
+    req.centerScope = scope;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = centerScope;
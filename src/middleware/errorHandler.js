@@ -1,22 +1,4 @@
-const winston = require('winston');
-
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({
-      filename: 'logs/error.log',
-      level: 'error'
-    }),
-    new winston.transports.File({
-      filename: 'logs/combined.log'
-    }),
-  ],
-});
+const logger = require('../config/logger');
 
 const errorHandler = (err, req, res, next) => {
   logger.error('Error en la aplicación', {
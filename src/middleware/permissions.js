@@ -0,0 +1,24 @@
+// src/middleware/permissions.js
+const checkRole = require('./role');
+const { getAllowedRoles, getRequiredScope } = require('../config/permissions');
+
+// Service accounts (API keys) are authorized by scope instead of role
+const checkScope = (resource, req, next) => {
+  const scope = getRequiredScope(resource, req.method, req.path);
+  if (!scope || !req.user.alcances.includes(scope)) {
+    const error = new Error(scope ? `API key lacks scope ${scope}` : 'Resource not available to API keys');
+    error.statusCode = 403;
+    return next(error);
+  }
+  next();
+};
+
+const authorize = (resource) => (req, res, next) => {
+  if (req.user?.tipo === 'servicio') {
+    return checkScope(resource, req, next);
+  }
+  const roles = getAllowedRoles(resource, req.method, req.path);
+  return checkRole(roles)(req, res, next);
+};
+
+module.exports = authorize;
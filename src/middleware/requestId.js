@@ -0,0 +1,21 @@
+// src/middleware/requestId.js
+const crypto = require('crypto');
+const { requestContext } = require('../config/logger');
+
+// A client-supplied X-Request-Id is kept only if it is short and log-safe
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,100}$/;
+
+/**
+ * Assigns a request ID (reusing a valid incoming X-Request-Id), returns it in the
+ * X-Request-Id response header and runs the rest of the request inside a logging
+ * context so every log line written while handling it carries the same ID.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = id;
+  res.setHeader('X-Request-Id', id);
+  requestContext.run({ requestId: id }, next);
+};
+
+module.exports = requestId;
@@ -1,18 +1,6 @@
 // src/middleware/role.js
-const winston = require('winston');
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-  ],
-});
+const logger = require('../config/logger');
 
 const checkRole = (roles) => (req, res, next) => {
   const userRole = req.user?.rol;
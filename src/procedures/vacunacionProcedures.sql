@@ -232,9 +232,10 @@ END;
 GO
 
 -- 3. Niños
+-- identificacion, telefono y email llegan cifrados por la aplicación ("enc:v<versión>:..."), de ahí NVARCHAR(512)
 CREATE OR ALTER PROCEDURE sp_CrearNino
     @nombre_completo NVARCHAR(200),
-    @identificacion NVARCHAR(20),
+    @identificacion NVARCHAR(512),
     @nacionalidad UNIQUEIDENTIFIER,
     @pais_nacimiento UNIQUEIDENTIFIER,
     @fecha_nacimiento DATE,
@@ -279,7 +280,7 @@ GO
 CREATE OR ALTER PROCEDURE sp_ActualizarNino
     @id_niño UNIQUEIDENTIFIER,
     @nombre_completo NVARCHAR(200),
-    @identificacion NVARCHAR(20),
+    @identificacion NVARCHAR(512),
     @nacionalidad UNIQUEIDENTIFIER,
     @pais_nacimiento UNIQUEIDENTIFIER,
     @fecha_nacimiento DATE,
@@ -379,10 +380,10 @@ GO
 CREATE OR ALTER PROCEDURE sp_CrearTutor
     @id_niño UNIQUEIDENTIFIER,
     @nombre NVARCHAR(200),
-    @identificacion NVARCHAR(20) = NULL,
+    @identificacion NVARCHAR(512) = NULL,
     @relacion NVARCHAR(50),
-    @telefono NVARCHAR(20) = NULL,
-    @email NVARCHAR(100) = NULL,
+    @telefono NVARCHAR(512) = NULL,
+    @email NVARCHAR(512) = NULL,
     @direccion NVARCHAR(500) = NULL,
     @nacionalidad UNIQUEIDENTIFIER
 AS
@@ -414,10 +415,10 @@ CREATE OR ALTER PROCEDURE sp_ActualizarTutor
     @id_tutor UNIQUEIDENTIFIER,
     @id_niño UNIQUEIDENTIFIER,
     @nombre NVARCHAR(200),
-    @identificacion NVARCHAR(20) = NULL,
+    @identificacion NVARCHAR(512) = NULL,
     @relacion NVARCHAR(50),
-    @telefono NVARCHAR(20) = NULL,
-    @email NVARCHAR(100) = NULL,
+    @telefono NVARCHAR(512) = NULL,
+    @email NVARCHAR(512) = NULL,
     @direccion NVARCHAR(500) = NULL,
     @nacionalidad UNIQUEIDENTIFIER
 AS
@@ -1456,23 +1457,25 @@ END;
 GO
 
 -- 14. Auditoria
+-- @id_cuenta: service account author of changes made with an API key (then @id_usuario is NULL)
 CREATE OR ALTER PROCEDURE sp_RegistrarAuditoria
     @tabla_afectada NVARCHAR(100),
     @id_registro UNIQUEIDENTIFIER,
     @id_usuario UNIQUEIDENTIFIER,
     @accion NVARCHAR(20),
     @detalles NVARCHAR(500) = NULL,
-    @ip_origen NVARCHAR(15) = NULL
+    @ip_origen NVARCHAR(15) = NULL,
+    @id_cuenta UNIQUEIDENTIFIER = NULL
 AS
 BEGIN
     SET NOCOUNT ON;
     BEGIN TRY
         DECLARE @id_auditoria UNIQUEIDENTIFIER = NEWID();
         INSERT INTO Auditoria (
-            id_auditoria, tabla_afectada, id_registro, id_usuario, accion, detalles, ip_origen, fecha_registro
+            id_auditoria, tabla_afectada, id_registro, id_usuario, id_cuenta, accion, detalles, ip_origen, fecha_registro
         )
         VALUES (
-            @id_auditoria, @tabla_afectada, @id_registro, @id_usuario, @accion, @detalles, @ip_origen, SYSDATETIME()
+            @id_auditoria, @tabla_afectada, @id_registro, @id_usuario, @id_cuenta, @accion, @detalles, @ip_origen, SYSDATETIME()
         );
         SELECT @id_auditoria AS id_auditoria;
     END TRY
@@ -1,22 +1,10 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const { poolPromise, sql } = require('../config/db');
-const winston = require('winston');
 
 const router = express.Router();
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-  ],
-});
+const logger = require('../config/logger');
 
 const validateAlert = [
   body('id_niño').isUUID().withMessage('ID de niño inválido'),
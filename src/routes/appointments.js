@@ -1,22 +1,12 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const { poolPromise, sql } = require('../config/db');
-const winston = require('winston');
+const { assertCenterAccess, scopeCondition } = require('../services/centerScope');
+const { assertCanIncludeArchived } = require('../services/patientArchive');
 
 const router = express.Router();
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-  ],
-});
+const logger = require('../config/logger');
 
 const validateAppointment = [
   body('id_niño').isUUID().withMessage('ID de niño inválido'),
@@ -32,6 +22,57 @@ const validateDateRange = [
   query('fecha_fin').isDate().withMessage('Fecha de fin inválida'),
 ];
 
+const validateRequestFilter = [
+  query('estado').optional().isIn(['Pendiente', 'Aprobada', 'Rechazada']).withMessage('Estado inválido'),
+];
+
+const validateRequestResolution = [
+  body('estado').isIn(['Aprobada', 'Rechazada']).withMessage('Estado debe ser Aprobada o Rechazada'),
+  body('respuesta').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Respuesta debe tener como máximo 500 caracteres'),
+  body('id_centro').optional({ nullable: true }).isUUID().withMessage('ID de centro inválido'),
+];
+
+// Tutor requests belong to the appointment's center, or to the child's center for new appointments
+const REQUEST_CENTER = 'COALESCE(ci.id_centro, n.id_centro_salud)';
+const FROM_REQUESTS = `
+  FROM Solicitudes_Cita s
+  INNER JOIN Niños n ON n.id_niño = s.id_niño
+  LEFT JOIN Citas ci ON ci.id_cita = s.id_cita`;
+
+// Applies an approved tutor request to Citas
+const applyAppointmentRequest = async (pool, solicitud, id_centro) => {
+  if (solicitud.tipo === 'Reprogramar') {
+    await pool
+      .request()
+      .input('id_cita', sql.UniqueIdentifier, solicitud.id_cita)
+      .input('fecha_cita', sql.DateTime2, solicitud.fecha_solicitada)
+      .query(`UPDATE Citas SET fecha_cita = @fecha_cita, estado = 'Pendiente' WHERE id_cita = @id_cita`);
+  } else if (solicitud.tipo === 'Cancelar') {
+    await pool
+      .request()
+      .input('id_cita', sql.UniqueIdentifier, solicitud.id_cita)
+      .query(`UPDATE Citas SET estado = 'Cancelada' WHERE id_cita = @id_cita`);
+  } else {
+    if (!id_centro) {
+      const error = new Error('El niño no tiene centro asignado; indique id_centro para crear la cita');
+      error.statusCode = 400;
+      throw error;
+    }
+    const result = await pool
+      .request()
+      .input('id_niño', sql.UniqueIdentifier, solicitud.id_niño)
+      .input('id_centro', sql.UniqueIdentifier, id_centro)
+      .input('fecha_cita', sql.DateTime2, solicitud.fecha_solicitada)
+      .input('estado', sql.NVarChar, 'Pendiente')
+      .execute('sp_CrearCita');
+    await pool
+      .request()
+      .input('id_solicitud', sql.UniqueIdentifier, solicitud.id_solicitud)
+      .input('id_cita', sql.UniqueIdentifier, result.recordset[0].id_cita)
+      .query('UPDATE Solicitudes_Cita SET id_cita = @id_cita WHERE id_solicitud = @id_solicitud');
+  }
+};
+
 /**
  * @swagger
  * tags:
@@ -109,6 +150,13 @@ const validateDateRange = [
  *   get:
  *     summary: Listar todas las citas
  *     tags: [Appointments]
+ *     parameters:
+ *       - in: query
+ *         name: incluir_archivados
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Incluir las citas de pacientes archivados (solo director y administrador; 403 para el resto)
  *     responses:
  *       200:
  *         description: Lista de citas obtenida exitosamente
@@ -125,16 +173,184 @@ router.get('/', async (req, res, next) => {
   try {
     logger.info('Obteniendo citas', { ip: req.ip });
     const pool = await poolPromise;
-    const result = await pool.request().query('SELECT * FROM Citas');
+    const request = pool.request();
+    const where = scopeCondition(request, req.centerScope, 'id_centro');
+    assertCanIncludeArchived(req.user, req.query.incluir_archivados);
+    const archived = req.query.incluir_archivados === 'true' ? '' : ' AND id_archivo IS NULL';
+    const result = await request.query(`SELECT * FROM Citas WHERE ${where}${archived}`);
     res.status(200).json(result.recordset);
   } catch (err) {
     logger.error('Error al obtener citas', { error: err.message, ip: req.ip });
-    const error = new Error('Error al obtener citas');
-    error.statusCode = 500;
+    const error = new Error(err.statusCode ? err.message : 'Error al obtener citas');
+    error.statusCode = err.statusCode || 500;
     next(error);
   }
 });
 
+/**
+ * @swagger
+ * /api/appointments/requests:
+ *   get:
+ *     summary: Listar solicitudes de cita enviadas por tutores
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: query
+ *         name: estado
+ *         schema:
+ *           type: string
+ *           enum: [Pendiente, Aprobada, Rechazada]
+ *     responses:
+ *       200:
+ *         description: Lista de solicitudes del centro del usuario
+ *       400:
+ *         description: Estado inválido
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/requests', validateRequestFilter, async (req, res, next) => {
+  try {
+    logger.info('Obteniendo solicitudes de cita', { estado: req.query.estado, ip: req.ip });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+    const pool = await poolPromise;
+    const request = pool.request().input('estado', sql.NVarChar(20), req.query.estado || null);
+    const where = scopeCondition(request, req.centerScope, REQUEST_CENTER);
+    const result = await request.query(`
+      SELECT s.*, n.nombre_completo, ${REQUEST_CENTER} AS id_centro
+      ${FROM_REQUESTS}
+      WHERE (@estado IS NULL OR s.estado = @estado) AND ${where}
+      ORDER BY s.fecha_solicitud
+    `);
+    res.status(200).json(result.recordset);
+  } catch (err) {
+    logger.error('Error al obtener solicitudes de cita', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/requests/{id}:
+ *   put:
+ *     summary: Aprobar o rechazar una solicitud de cita de un tutor
+ *     description: Al aprobarla se aplica el cambio sobre la cita (crear, reprogramar o cancelar).
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - estado
+ *             properties:
+ *               estado:
+ *                 type: string
+ *                 enum: [Aprobada, Rechazada]
+ *               respuesta:
+ *                 type: string
+ *                 maxLength: 500
+ *               id_centro:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Centro para una cita nueva (por defecto el centro del niño)
+ *     responses:
+ *       204:
+ *         description: Solicitud resuelta
+ *       400:
+ *         description: Error en los datos enviados
+ *       403:
+ *         description: 'Acceso denegado: la solicitud pertenece a otro centro'
+ *       404:
+ *         description: Solicitud no encontrada
+ *       409:
+ *         description: La solicitud ya fue resuelta
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.put('/requests/:id', [validateUUID, validateRequestResolution], async (req, res, next) => {
+  try {
+    logger.info('Resolviendo solicitud de cita', { id: req.params.id, estado: req.body.estado, ip: req.ip });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+    const pool = await poolPromise;
+    const found = await pool
+      .request()
+      .input('id_solicitud', sql.UniqueIdentifier, req.params.id)
+      .query(`SELECT s.*, ${REQUEST_CENTER} AS id_centro ${FROM_REQUESTS} WHERE s.id_solicitud = @id_solicitud`);
+    if (found.recordset.length === 0) {
+      logger.warn('Solicitud no encontrada', { id: req.params.id, ip: req.ip });
+      const error = new Error('Solicitud no encontrada');
+      error.statusCode = 404;
+      throw error;
+    }
+    const solicitud = found.recordset[0];
+    assertCenterAccess(req.centerScope, solicitud.id_centro);
+    if (req.body.id_centro) {
+      assertCenterAccess(req.centerScope, req.body.id_centro);
+    }
+
+    // Claim the request first so two reviewers cannot apply it twice
+    const claimed = await pool
+      .request()
+      .input('id_solicitud', sql.UniqueIdentifier, req.params.id)
+      .input('estado', sql.NVarChar(20), req.body.estado)
+      .input('respuesta', sql.NVarChar(500), req.body.respuesta || null)
+      .input('id_usuario', sql.UniqueIdentifier, req.user.id_usuario)
+      .query(`
+        UPDATE Solicitudes_Cita
+        SET estado = @estado, respuesta = @respuesta, id_usuario_revisor = @id_usuario, fecha_resolucion = SYSDATETIME()
+        WHERE id_solicitud = @id_solicitud AND estado = 'Pendiente'
+      `);
+    if (claimed.rowsAffected[0] === 0) {
+      const error = new Error('La solicitud ya fue resuelta');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    if (req.body.estado === 'Aprobada') {
+      try {
+        await applyAppointmentRequest(pool, solicitud, req.body.id_centro || solicitud.id_centro);
+      } catch (err) {
+        await pool
+          .request()
+          .input('id_solicitud', sql.UniqueIdentifier, req.params.id)
+          .query(`
+            UPDATE Solicitudes_Cita
+            SET estado = 'Pendiente', respuesta = NULL, id_usuario_revisor = NULL, fecha_resolucion = NULL
+            WHERE id_solicitud = @id_solicitud
+          `);
+        throw err;
+      }
+    }
+    res.status(204).send();
+  } catch (err) {
+    logger.error('Error al resolver solicitud de cita', { id: req.params.id, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
 /**
  * @swagger
  * /api/appointments/{id}:
@@ -159,6 +375,8 @@ router.get('/', async (req, res, next) => {
  *         description: ID inválido
  *       404:
  *         description: Cita no encontrada
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
  *       500:
  *         description: Error interno del servidor
  */
@@ -184,6 +402,7 @@ router.get('/:id', validateUUID, async (req, res, next) => {
       error.statusCode = 404;
       throw error;
     }
+    assertCenterAccess(req.centerScope, result.recordset[0].id_centro);
     res.status(200).json(result.recordset[0]);
   } catch (err) {
     logger.error('Error al obtener cita', { id: req.params.id, error: err.message, ip: req.ip });
@@ -217,6 +436,8 @@ router.get('/:id', validateUUID, async (req, res, next) => {
  *                   format: uuid
  *       400:
  *         description: Error en los datos enviados
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
  *       500:
  *         description: Error interno del servidor
  */
@@ -231,6 +452,7 @@ router.post('/', validateAppointment, async (req, res, next) => {
       error.data = errors.array();
       throw error;
     }
+    assertCenterAccess(req.centerScope, req.body.id_centro);
     const pool = await poolPromise;
     const result = await pool
       .request()
@@ -243,7 +465,7 @@ router.post('/', validateAppointment, async (req, res, next) => {
   } catch (err) {
     logger.error('Error al crear cita', { error: err.message, ip: req.ip });
     const error = new Error('Error al crear cita');
-    error.statusCode = err.number === 50001 ? 400 : 500;
+    error.statusCode = err.statusCode || (err.number === 50001 ? 400 : 500);
     error.data = err.message;
     next(error);
   }
@@ -275,6 +497,8 @@ router.post('/', validateAppointment, async (req, res, next) => {
  *         description: Error en los datos enviados
  *       404:
  *         description: Cita no encontrada
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
  *       500:
  *         description: Error interno del servidor
  */
@@ -293,13 +517,15 @@ router.put('/:id', [validateUUID, validateAppointment], async (req, res, next) =
     const exists = await pool
       .request()
       .input('id_cita', sql.UniqueIdentifier, req.params.id)
-      .query('SELECT 1 FROM Citas WHERE id_cita = @id_cita');
+      .query('SELECT id_centro FROM Citas WHERE id_cita = @id_cita');
     if (exists.recordset.length === 0) {
       logger.warn('Cita no encontrada', { id: req.params.id, ip: req.ip });
       const error = new Error('Cita no encontrada');
       error.statusCode = 404;
       throw error;
     }
+    assertCenterAccess(req.centerScope, exists.recordset[0].id_centro);
+    assertCenterAccess(req.centerScope, req.body.id_centro);
     await pool
       .request()
       .input('id_cita', sql.UniqueIdentifier, req.params.id)
@@ -336,6 +562,8 @@ router.put('/:id', [validateUUID, validateAppointment], async (req, res, next) =
  *         description: ID inválido
  *       404:
  *         description: Cita no encontrada
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
  *       500:
  *         description: Error interno del servidor
  */
@@ -354,13 +582,14 @@ router.delete('/:id', validateUUID, async (req, res, next) => {
     const exists = await pool
       .request()
       .input('id_cita', sql.UniqueIdentifier, req.params.id)
-      .query('SELECT 1 FROM Citas WHERE id_cita = @id_cita');
+      .query('SELECT id_centro FROM Citas WHERE id_cita = @id_cita');
     if (exists.recordset.length === 0) {
       logger.warn('Cita no encontrada', { id: req.params.id, ip: req.ip });
       const error = new Error('Cita no encontrada');
       error.statusCode = 404;
       throw error;
     }
+    assertCenterAccess(req.centerScope, exists.recordset[0].id_centro);
     await pool
       .request()
       .input('id_cita', sql.UniqueIdentifier, req.params.id)
@@ -412,6 +641,8 @@ router.delete('/:id', validateUUID, async (req, res, next) => {
  *                 $ref: '#/components/schemas/Appointment'
  *       400:
  *         description: Parámetros inválidos
+ *       403:
+ *         description: 'Acceso denegado: el centro no corresponde al del usuario'
  *       500:
  *         description: Error interno del servidor
  */
@@ -426,6 +657,7 @@ router.get('/center/:id', [validateUUID, validateDateRange], async (req, res, ne
       error.data = errors.array();
       throw error;
     }
+    assertCenterAccess(req.centerScope, req.params.id);
     const pool = await poolPromise;
     const result = await pool
       .request()
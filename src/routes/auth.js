@@ -1,25 +1,79 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { poolPromise, sql } = require('../config/db');
-const winston = require('winston');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
+const authenticate = require('../middleware/auth');
+const tokenStore = require('../services/tokenStore');
+const loginThrottle = require('../services/loginThrottle');
+const { registrarAuditoria } = require('../services/audit');
+const passwords = require('../services/passwords');
+const { sendMail } = require('../services/mailOutbox');
+const twoFactor = require('../services/twoFactor');
 
 const router = express.Router();
 
 // Configure Winston logger
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' })
-  ]
-});
+const logger = require('../config/logger');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '1h';
+
+const signAccessToken = (user, sid) => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET not configured');
+  }
+  return jwt.sign(
+    { id_usuario: user.id_usuario, username: user.username, rol: user.rol, sid },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Opens a new session (refresh token family) and returns the login payload
+const issueSession = (user) => {
+  const session = tokenStore.createSession(user.id_usuario);
+  return {
+    token: signAccessToken(user, session.familia),
+    refreshToken: session.refreshToken,
+    user: {
+      id_usuario: user.id_usuario,
+      username: user.username,
+      email: user.email,
+      rol: user.rol
+    }
+  };
+};
+
+const handleFailedLogin = async (username, ip, id_usuario) => {
+  const outcome = loginThrottle.recordFailure(username, ip);
+  if (outcome.ipLocked) {
+    logger.warn('IP temporarily blocked after repeated failed logins', { ip, failures: outcome.ipFailures });
+    // Auditoria exige un usuario: con un username inexistente solo queda el log
+    if (id_usuario) {
+      await registrarAuditoria({
+        tabla_afectada: 'Usuarios',
+        id_registro: id_usuario,
+        id_usuario,
+        accion: 'UPDATE',
+        detalles: `Bloqueo temporal de la IP ${ip} tras ${outcome.ipFailures} intentos fallidos de inicio de sesión (${Math.round(outcome.lockoutMs / 60000)} min)`,
+        ip_origen: ip,
+      });
+    }
+  }
+  if (outcome.userLocked) {
+    logger.warn('Account temporarily locked after repeated failed logins', { username, failures: outcome.failures, ip });
+    if (id_usuario) {
+      await registrarAuditoria({
+        tabla_afectada: 'Usuarios',
+        id_registro: id_usuario,
+        id_usuario,
+        accion: 'UPDATE',
+        detalles: `Bloqueo temporal de cuenta tras ${outcome.failures} intentos fallidos de inicio de sesión (${Math.round(outcome.lockoutMs / 60000)} min)`,
+        ip_origen: ip,
+      });
+    }
+  }
+};
 
 /**
  * @swagger
@@ -45,7 +99,10 @@ const logger = winston.createLogger({
  *                 example: 123
  *     responses:
  *       200:
- *         description: Login successful, returns JWT token and user details
+ *         description: >
+ *           Login successful, returns JWT token and user details. When the account has two-factor
+ *           authentication enabled (or its role requires it) the response instead contains
+ *           `twoFactorRequired: true` and a short-lived `challengeToken` for POST /login/2fa.
  *         content:
  *           application/json:
  *             schema:
@@ -57,6 +114,9 @@ const logger = winston.createLogger({
  *                 token:
  *                   type: string
  *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   example: 2f0c6a3e-7d1b-4c55-9a0e-3b1f6f0a9c11.Zk3...
  *                 user:
  *                   type: object
  *                   properties:
@@ -111,6 +171,26 @@ const logger = winston.createLogger({
  *                 error:
  *                   type: string
  *                   example: User account is inactive
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts (see Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Account temporarily locked
+ *       429:
+ *         description: Too many attempts; wait before retrying (see Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Too many login attempts
  *       500:
  *         description: Server error
  *         content:
@@ -141,6 +221,18 @@ router.post(
 
       const { username, password } = req.body;
 
+      // Reject attempts while the account or IP is throttled or locked
+      const attempt = loginThrottle.check(username, req.ip);
+      if (!attempt.allowed) {
+        res.set('Retry-After', String(Math.ceil(attempt.retryAfterMs / 1000)));
+        if (attempt.reason === 'locked' && attempt.scope === 'user') {
+          logger.warn('Login attempt on locked account', { username, ip: req.ip });
+          return res.status(423).json({ error: 'Account temporarily locked' });
+        }
+        logger.warn('Login attempt throttled', { username, scope: attempt.scope, ip: req.ip });
+        return res.status(429).json({ error: 'Too many login attempts' });
+      }
+
       // Query database using stored procedure (without password comparison in SP)
       const pool = await poolPromise;
       const result = await pool
@@ -155,38 +247,33 @@ router.post(
       const isPasswordValid = await bcrypt.compare(password, user.password_hash);
       if (!isPasswordValid) {
         logger.warn('Invalid password', { username, ip: req.ip });
+        await handleFailedLogin(username, req.ip, user.id_usuario);
         return res.status(401).json({ error: 'Invalid credentials' });
       }
 
-      // Generate JWT
-      if (!process.env.JWT_SECRET) {
-        logger.error('JWT_SECRET not configured', { ip: req.ip });
-        throw new Error('JWT_SECRET not configured');
+      // Accounts with 2FA (or whose role requires it) get a challenge instead of a session
+      const twoFactorState = await twoFactor.getLoginRequirement(pool, user);
+      if (twoFactorState.required) {
+        logger.info('Password verified, second factor required', { username, ip: req.ip });
+        return res.status(200).json({
+          message: 'Two-factor authentication required',
+          twoFactorRequired: true,
+          enrollmentRequired: !twoFactorState.enrolled,
+          challengeToken: twoFactor.createChallengeToken(user, { enroll: !twoFactorState.enrolled })
+        });
       }
 
-      const token = jwt.sign(
-        { id_usuario: user.id_usuario, username: user.username, rol: user.rol },
-        process.env.JWT_SECRET,
-        { expiresIn: '1h' }
-      );
-
+      // The failure count is only reset once the whole login (including 2FA) succeeds
+      loginThrottle.recordSuccess(username);
       logger.info('Login successful', { username, ip: req.ip });
-      res.status(200).json({
-        message: 'Login successful',
-        token,
-        user: {
-          id_usuario: user.id_usuario,
-          username: user.username,
-          email: user.email,
-          rol: user.rol
-        }
-      });
+      res.status(200).json({ message: 'Login successful', ...issueSession(user) });
     } catch (err) {
       logger.error('Error during login', { error: err.message, ip: req.ip });
       
       // Handle specific stored procedure errors
       if (err.message && err.message.includes('Usuario no encontrado')) {
         logger.warn('User not found', { username: req.body.username, ip: req.ip });
+        await handleFailedLogin(req.body.username, req.ip, null);
         return res.status(401).json({ error: 'Invalid credentials' });
       }
       
@@ -201,4 +288,472 @@ router.post(
   }
 );
 
+const loadUser = async (pool, id_usuario) => {
+  const result = await pool
+    .request()
+    .input('id_usuario', sql.UniqueIdentifier, id_usuario)
+    .query('SELECT id_usuario, username, email, rol, estado FROM Usuarios WHERE id_usuario = @id_usuario');
+  return result.recordset[0];
+};
+
+/**
+ * @swagger
+ * /login/2fa/setup:
+ *   post:
+ *     summary: Start mandatory two-factor enrollment during login
+ *     description: Only valid for challenge tokens issued with `enrollmentRequired`. Returns the TOTP secret and the otpauth URI to render as a QR code.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   example: JBSWY3DPEHPK3PXP
+ *                 otpauthUri:
+ *                   type: string
+ *                   example: otpauth://totp/SistemaVacunacion%3Aanbill13?secret=JBSWY3DPEHPK3PXP&issuer=SistemaVacunacion
+ *       400:
+ *         description: Invalid request data or challenge not issued for enrollment
+ *       401:
+ *         description: Invalid or expired challenge token
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/login/2fa/setup',
+  [body('challengeToken').isString().notEmpty().withMessage('Challenge token is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn('Validation failed', { errors: errors.array(), ip: req.ip });
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+      const challenge = twoFactor.verifyChallengeToken(req.body.challengeToken);
+      if (!challenge.enroll) {
+        return res.status(400).json({ error: 'Two-factor authentication is already configured' });
+      }
+      const pool = await poolPromise;
+      const user = await loadUser(pool, challenge.id_usuario);
+      if (!user || user.estado !== 'Activo') {
+        return res.status(403).json({ error: 'User account is inactive' });
+      }
+      const enrollment = await twoFactor.startEnrollment(pool, user);
+      logger.info('Two-factor enrollment started during login', { id_usuario: user.id_usuario, ip: req.ip });
+      res.status(200).json(enrollment);
+    } catch (err) {
+      logger.error('Error during two-factor setup', { error: err.message, ip: req.ip });
+      if (err.statusCode && err.statusCode < 500) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      res.status(500).json({ error: 'Error during two-factor setup' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /login/2fa:
+ *   post:
+ *     summary: Complete a two-factor login by exchanging the challenge token and a TOTP or recovery code
+ *     description: >
+ *       For challenges issued with `enrollmentRequired`, the code confirms the secret from
+ *       /login/2fa/setup and the response also includes the one-time recovery codes.
+ *       A challenge token completes a single login: once a code is accepted, the token is rejected.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: 3f9a1-0c2d7
+ *     responses:
+ *       200:
+ *         description: Login successful, returns JWT token, refresh token and user details
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Invalid, expired or already used challenge token, or invalid verification code (an invalid code counts as a failed login attempt)
+ *       403:
+ *         description: User account is inactive
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts (see Retry-After header)
+ *       429:
+ *         description: Too many attempts; wait before retrying (see Retry-After header)
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/login/2fa',
+  [
+    body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+    body('code').optional().isString().withMessage('Code must be a string'),
+    body('recoveryCode').optional().isString().withMessage('Recovery code must be a string'),
+    body().custom(value => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('A verification code or recovery code is required');
+      }
+      return true;
+    })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn('Validation failed', { errors: errors.array(), ip: req.ip });
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+      const challenge = twoFactor.verifyChallengeToken(req.body.challengeToken);
+      const pool = await poolPromise;
+      const user = await loadUser(pool, challenge.id_usuario);
+      if (!user || user.estado !== 'Activo') {
+        return res.status(403).json({ error: 'User account is inactive' });
+      }
+
+      const attempt = loginThrottle.check(user.username, req.ip);
+      if (!attempt.allowed) {
+        res.set('Retry-After', String(Math.ceil(attempt.retryAfterMs / 1000)));
+        return res.status(attempt.reason === 'locked' && attempt.scope === 'user' ? 423 : 429).json({
+          error: attempt.reason === 'locked' && attempt.scope === 'user' ? 'Account temporarily locked' : 'Too many login attempts'
+        });
+      }
+
+      let recoveryCodes;
+      if (challenge.enroll) {
+        try {
+          recoveryCodes = await twoFactor.activate(pool, user.id_usuario, req.body.code);
+        } catch (err) {
+          if (err.statusCode !== 401) throw err;
+          logger.warn('Invalid enrollment code', { id_usuario: user.id_usuario, ip: req.ip });
+          await handleFailedLogin(user.username, req.ip, user.id_usuario);
+          return res.status(401).json({ error: 'Invalid verification code' });
+        }
+        await registrarAuditoria({
+          tabla_afectada: 'Usuarios',
+          id_registro: user.id_usuario,
+          id_usuario: user.id_usuario,
+          accion: 'UPDATE',
+          detalles: 'Activación obligatoria de autenticación de dos factores durante el inicio de sesión',
+          ip_origen: req.ip,
+        });
+      } else {
+        const valid = await twoFactor.verifySecondFactor(pool, user.id_usuario, req.body);
+        if (!valid) {
+          logger.warn('Invalid second factor', { id_usuario: user.id_usuario, ip: req.ip });
+          await handleFailedLogin(user.username, req.ip, user.id_usuario);
+          return res.status(401).json({ error: 'Invalid verification code' });
+        }
+      }
+
+      twoFactor.consumeChallengeToken(challenge);
+      loginThrottle.recordSuccess(user.username);
+      logger.info('Login successful (two-factor)', { username: user.username, ip: req.ip });
+      res.status(200).json({
+        message: 'Login successful',
+        ...issueSession(user),
+        ...(recoveryCodes && { recoveryCodes })
+      });
+    } catch (err) {
+      logger.error('Error during two-factor login', { error: err.message, ip: req.ip });
+      if (err.statusCode && err.statusCode < 500) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      res.status(500).json({ error: 'Error during two-factor login' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token (the refresh token is rotated)
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: 2f0c6a3e-7d1b-4c55-9a0e-3b1f6f0a9c11.Zk3...
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
+ *       403:
+ *         description: User account is inactive
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/refresh',
+  [body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn('Validation failed', { errors: errors.array(), ip: req.ip });
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const session = tokenStore.rotateSession(req.body.refreshToken);
+
+      const pool = await poolPromise;
+      const result = await pool
+        .request()
+        .input('id_usuario', sql.UniqueIdentifier, session.id_usuario)
+        .query('SELECT id_usuario, username, rol, estado FROM Usuarios WHERE id_usuario = @id_usuario');
+      const user = result.recordset[0];
+
+      if (!user || user.estado !== 'Activo') {
+        tokenStore.revokeUser(session.id_usuario);
+        logger.warn('Refresh attempted for inactive user', { id_usuario: session.id_usuario, ip: req.ip });
+        return res.status(403).json({ error: 'User account is inactive' });
+      }
+
+      const token = signAccessToken(user, session.familia);
+      logger.info('Token refreshed', { id_usuario: user.id_usuario, ip: req.ip });
+      res.status(200).json({ token, refreshToken: session.refreshToken });
+    } catch (err) {
+      logger.error('Error during token refresh', { error: err.message, ip: req.ip });
+      if (err.statusCode === 401) {
+        return res.status(401).json({ error: err.message });
+      }
+      res.status(500).json({ error: 'Error during token refresh' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /logout:
+ *   post:
+ *     summary: Revoke the current session and its refresh tokens
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Session revoked
+ *       400:
+ *         description: The credential has no session to revoke (API key)
+ *       401:
+ *         description: Missing, invalid or revoked token
+ */
+router.post('/logout', authenticate, (req, res) => {
+  if (!req.user.sid) {
+    return res.status(400).json({ error: 'This credential has no session to revoke' });
+  }
+  tokenStore.revokeFamily(req.user.sid);
+  logger.info('Logout successful', { id_usuario: req.user.id_usuario, ip: req.ip });
+  res.status(204).send();
+});
+
+/**
+ * @swagger
+ * /forgot-password:
+ *   post:
+ *     summary: Request a password reset token by email
+ *     description: Always answers 202 so the endpoint cannot be used to discover accounts.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 description: Username or email of the account
+ *                 example: anbill13
+ *     responses:
+ *       202:
+ *         description: If the account exists and has an email, a reset link was sent
+ *       400:
+ *         description: Invalid request data
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/forgot-password',
+  [body('username').isString().trim().notEmpty().withMessage('Username is required')],
+  async (req, res) => {
+    const accepted = { message: 'If the account exists, a reset link has been sent' };
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn('Validation failed', { errors: errors.array(), ip: req.ip });
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const pool = await poolPromise;
+      const result = await pool
+        .request()
+        .input('username', sql.NVarChar(100), req.body.username)
+        .query(`
+          SELECT TOP 1 id_usuario, username, email, password_hash, estado
+          FROM Usuarios
+          WHERE username = @username OR email = @username
+        `);
+      const user = result.recordset[0];
+
+      if (!user || user.estado !== 'Activo' || !user.email) {
+        logger.info('Password reset requested for unknown or unreachable account', { ip: req.ip });
+        return res.status(202).json(accepted);
+      }
+
+      const resetToken = passwords.createResetToken(user);
+      const baseUrl = process.env.PASSWORD_RESET_URL || `${process.env.API_BASE_URL || ''}/reset-password`;
+      await sendMail({
+        to: user.email,
+        subject: 'Restablecimiento de contraseña - Sistema de Vacunación',
+        text: `Hola ${user.username}, para restablecer su contraseña use el siguiente enlace: ${baseUrl}?token=${resetToken}\n` +
+          'El enlace expira pronto y solo puede usarse una vez. Si no solicitó el cambio, ignore este mensaje.',
+      });
+
+      logger.info('Password reset token issued', { id_usuario: user.id_usuario, ip: req.ip });
+      res.status(202).json(accepted);
+    } catch (err) {
+      logger.error('Error during password reset request', { error: err.message, ip: req.ip });
+      res.status(500).json({ error: 'Error during password reset request' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 example: NuevaClave2025
+ *     responses:
+ *       204:
+ *         description: Password updated; existing sessions are revoked
+ *       400:
+ *         description: Invalid or expired token, password policy violation or recently used password
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/reset-password',
+  [
+    body('token').isString().notEmpty().withMessage('Token is required'),
+    passwords.passwordPolicyValidator('password'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn('Validation failed', { errors: errors.array(), ip: req.ip });
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const claims = passwords.decodeResetToken(req.body.token);
+      if (!claims) {
+        return res.status(400).json({ error: 'Token de restablecimiento inválido o expirado' });
+      }
+
+      const pool = await poolPromise;
+      const result = await pool
+        .request()
+        .input('id_usuario', sql.UniqueIdentifier, claims.id_usuario)
+        .query('SELECT id_usuario, username, password_hash, estado FROM Usuarios WHERE id_usuario = @id_usuario');
+      const user = result.recordset[0];
+      if (!user || user.estado !== 'Activo') {
+        return res.status(400).json({ error: 'Token de restablecimiento inválido o expirado' });
+      }
+
+      passwords.verifyResetToken(req.body.token, user.password_hash);
+
+      const policyProblems = passwords.checkPasswordPolicy(req.body.password, { username: user.username });
+      if (policyProblems.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', details: policyProblems });
+      }
+      if (await passwords.isRecentlyUsed(pool, user.id_usuario, req.body.password, user.password_hash)) {
+        return res.status(400).json({ error: 'La contraseña fue utilizada recientemente' });
+      }
+
+      await passwords.updatePassword(pool, user.id_usuario, req.body.password);
+      tokenStore.revokeUser(user.id_usuario);
+      loginThrottle.unlock(user.username);
+
+      logger.info('Password reset completed', { id_usuario: user.id_usuario, ip: req.ip });
+      res.status(204).send();
+    } catch (err) {
+      logger.error('Error during password reset', { error: err.message, ip: req.ip });
+      if (err.statusCode === 400) {
+        return res.status(400).json({ error: err.message });
+      }
+      res.status(500).json({ error: 'Error during password reset' });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
@@ -1,22 +1,11 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const { poolPromise, sql } = require('../config/db');
-const winston = require('winston');
+const { revealPatient } = require('../services/fieldEncryption');
 
 const router = express.Router();
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-  ],
-});
+const logger = require('../config/logger');
 
 const validateCenter = [
   body('nombre_centro').notEmpty().isString().withMessage('Nombre del centro es requerido'),
@@ -833,7 +822,7 @@ router.get('/:id/patients', validateUUID, async (req, res, next) => {
       .input('id_centro', sql.UniqueIdentifier, req.params.id)
       .execute('sp_ObtenerNinosPorCentro');
     const jsonString = result.recordset[0][Object.keys(result.recordset[0])[0]];
-    const patients = JSON.parse(jsonString);
+    const patients = (JSON.parse(jsonString) || []).map(patient => revealPatient(patient, req.user));
     res.status(200).json(patients);
   } catch (err) {
     logger.error('Error al obtener niños', { id: req.params.id, error: err.message, ip: req.ip });
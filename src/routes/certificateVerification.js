@@ -0,0 +1,123 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { poolPromise } = require('../config/db');
+const { verifyCertificate } = require('../services/certificates');
+const { getJwks } = require('../services/certificateKeys');
+
+// Rutas públicas (sin autenticación) para que escuelas y controles fronterizos verifiquen certificados
+const router = express.Router();
+
+const logger = require('../config/logger');
+
+/**
+ * @swagger
+ * /api/certificates/verify:
+ *   get:
+ *     summary: Verificar un certificado de vacunación (público)
+ *     description: >
+ *       Comprueba la firma, la vigencia y la revocación del certificado leído del QR. Si es válido
+ *       devuelve solo el nombre, la fecha de nacimiento y las dosis firmadas; nunca identificaciones,
+ *       direcciones ni datos de tutores.
+ *     tags: [Certificates]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: >
+ *           Resultado de la verificación. Si valido es false, motivo indica la causa
+ *           (formato_invalido, clave_desconocida, firma_invalida, expirado, revocado, desconocido).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 valido:
+ *                   type: boolean
+ *                 motivo:
+ *                   type: string
+ *                 certificado:
+ *                   type: object
+ *                   properties:
+ *                     id_certificado:
+ *                       type: string
+ *                     fecha_emision:
+ *                       type: string
+ *                       format: date-time
+ *                     fecha_expiracion:
+ *                       type: string
+ *                       format: date-time
+ *                     paciente:
+ *                       type: object
+ *                       properties:
+ *                         nombre_completo:
+ *                           type: string
+ *                         fecha_nacimiento:
+ *                           type: string
+ *                           format: date
+ *                     dosis:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           vacuna:
+ *                             type: string
+ *                           dosis:
+ *                             type: integer
+ *                           fecha:
+ *                             type: string
+ *                             format: date
+ *       400:
+ *         description: Falta el token
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/verify', [
+  query('token').isString().notEmpty().isLength({ max: 8000 }).withMessage('Token es requerido'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+    const pool = await poolPromise;
+    const result = await verifyCertificate(pool, req.query.token);
+    logger.info('Certificado verificado', { valido: result.valido, motivo: result.motivo, ip: req.ip });
+    res.status(200).json(result);
+  } catch (err) {
+    logger.error('Error al verificar certificado', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificates/jwks:
+ *   get:
+ *     summary: Claves públicas de firma de certificados en formato JWKS (público)
+ *     description: Permite verificar la firma de los certificados sin conexión.
+ *     tags: [Certificates]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Conjunto de claves públicas
+ */
+router.get('/jwks', (req, res, next) => {
+  try {
+    res.status(200).json(getJwks());
+  } catch (err) {
+    logger.error('Error al obtener claves públicas de certificados', { error: err.message, ip: req.ip });
+    err.statusCode = 500;
+    next(err);
+  }
+});
+
+module.exports = router;
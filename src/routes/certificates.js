@@ -0,0 +1,315 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { poolPromise, sql } = require('../config/db');
+const { assertCenterAccess, scopeCondition } = require('../services/centerScope');
+const { registrarAuditoria } = require('../services/audit');
+const { DEFAULT_VALIDITY_DAYS, issueCertificate } = require('../services/certificates');
+const { rotateKey, listKeys } = require('../services/certificateKeys');
+
+const router = express.Router();
+
+const logger = require('../config/logger');
+
+const checkValidation = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Validación fallida', { errors: errors.array(), ip: req.ip });
+    const error = new Error('Validación fallida');
+    error.statusCode = 400;
+    error.data = errors.array();
+    throw error;
+  }
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Certificates
+ *   description: Certificados de vacunación firmados digitalmente y verificables por QR
+ */
+
+/**
+ * @swagger
+ * /api/certificates:
+ *   post:
+ *     summary: Emitir un certificado de vacunación firmado para un paciente
+ *     description: >
+ *       Firma con la clave activa (ES256) el nombre, la fecha de nacimiento y las dosis aplicadas del
+ *       paciente. Devuelve el token firmado y un QR (PNG en data URL) con la URL de verificación pública.
+ *     tags: [Certificates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [id_paciente]
+ *             properties:
+ *               id_paciente:
+ *                 type: string
+ *                 format: uuid
+ *               dias_validez:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1825
+ *                 default: 365
+ *     responses:
+ *       201:
+ *         description: Certificado emitido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id_certificado:
+ *                   type: string
+ *                   format: uuid
+ *                 kid:
+ *                   type: string
+ *                 fecha_emision:
+ *                   type: string
+ *                   format: date-time
+ *                 fecha_expiracion:
+ *                   type: string
+ *                   format: date-time
+ *                 token:
+ *                   type: string
+ *                 url_verificacion:
+ *                   type: string
+ *                 qr:
+ *                   type: string
+ *                   description: Imagen PNG del QR como data URL
+ *       400:
+ *         description: Error en los datos enviados
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       404:
+ *         description: Paciente no encontrado
+ *       409:
+ *         description: El paciente no tiene dosis registradas
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/', [
+  body('id_paciente').isUUID().withMessage('ID de paciente inválido'),
+  body('dias_validez').optional().isInt({ min: 1, max: 1825 }).withMessage('dias_validez debe estar entre 1 y 1825'),
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    logger.info('Emitiendo certificado de vacunación', { id_paciente: req.body.id_paciente, ip: req.ip });
+    const pool = await poolPromise;
+    const certificate = await issueCertificate(pool, {
+      id_niño: req.body.id_paciente,
+      user: req.user,
+      validityDays: Number(req.body.dias_validez) || DEFAULT_VALIDITY_DAYS,
+      authorize: paciente => assertCenterAccess(req.centerScope, paciente.id_centro_salud),
+    });
+    registrarAuditoria({
+      tabla_afectada: 'Certificados_Vacunacion',
+      id_registro: certificate.id_certificado,
+      id_usuario: req.user.id_usuario,
+      id_cuenta: req.user.id_cuenta,
+      accion: 'INSERT',
+      detalles: `Certificado emitido para ${req.body.id_paciente} con la clave ${certificate.kid}`,
+      ip_origen: req.ip,
+    });
+    res.status(201).json(certificate);
+  } catch (err) {
+    logger.error('Error al emitir certificado de vacunación', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificates:
+ *   get:
+ *     summary: Listar los certificados emitidos para un paciente
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: query
+ *         name: id_paciente
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Certificados del paciente, del más reciente al más antiguo
+ *       400:
+ *         description: ID de paciente inválido
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/', [
+  query('id_paciente').isUUID().withMessage('ID de paciente inválido'),
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const request = pool.request().input('id_niño', sql.UniqueIdentifier, req.query.id_paciente);
+    const where = scopeCondition(request, req.centerScope, 'n.id_centro_salud');
+    const result = await request.query(`
+      SELECT
+        c.id_certificado, c.kid, c.fecha_emision, c.fecha_expiracion, c.estado,
+        c.fecha_revocacion, c.motivo_revocacion, c.id_usuario_emisor, c.id_cuenta_emisora
+      FROM Certificados_Vacunacion c
+      INNER JOIN Niños n ON n.id_niño = c.id_niño
+      WHERE c.id_niño = @id_niño AND ${where}
+      ORDER BY c.fecha_emision DESC
+    `);
+    res.status(200).json(result.recordset);
+  } catch (err) {
+    logger.error('Error al listar certificados', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificates/keys:
+ *   get:
+ *     summary: Listar las claves de firma de certificados
+ *     description: Solo se devuelven las claves públicas; la activa firma los certificados nuevos.
+ *     tags: [Certificates]
+ *     responses:
+ *       200:
+ *         description: Claves disponibles, de la más reciente a la más antigua
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/keys', (req, res, next) => {
+  try {
+    res.status(200).json(listKeys());
+  } catch (err) {
+    logger.error('Error al listar claves de certificados', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificates/keys/rotate:
+ *   post:
+ *     summary: Generar una clave de firma nueva y activarla
+ *     description: >
+ *       Los certificados ya emitidos se siguen verificando con su clave, que se conserva.
+ *       Para retirar una clave comprometida, elimine su fichero .pem del directorio de claves.
+ *     tags: [Certificates]
+ *     responses:
+ *       201:
+ *         description: Clave creada y activa
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/keys/rotate', (req, res, next) => {
+  try {
+    const kid = rotateKey();
+    logger.info('Clave de firma de certificados rotada', { kid, id_usuario: req.user.id_usuario, ip: req.ip });
+    res.status(201).json({ kid });
+  } catch (err) {
+    logger.error('Error al rotar clave de certificados', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificates/{id}/revoke:
+ *   post:
+ *     summary: Revocar un certificado
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [motivo]
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Certificado revocado
+ *       400:
+ *         description: Error en los datos enviados
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       404:
+ *         description: Certificado no encontrado
+ *       409:
+ *         description: El certificado ya estaba revocado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/:id/revoke', [
+  param('id').isUUID().withMessage('ID inválido'),
+  body('motivo').isString().trim().notEmpty().isLength({ max: 500 }).withMessage('Motivo es requerido (máximo 500 caracteres)'),
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const found = await pool
+      .request()
+      .input('id_certificado', sql.UniqueIdentifier, req.params.id)
+      .query(`
+        SELECT c.estado, n.id_centro_salud
+        FROM Certificados_Vacunacion c
+        INNER JOIN Niños n ON n.id_niño = c.id_niño
+        WHERE c.id_certificado = @id_certificado
+      `);
+    const certificate = found.recordset[0];
+    if (!certificate) {
+      const error = new Error('Certificado no encontrado');
+      error.statusCode = 404;
+      throw error;
+    }
+    assertCenterAccess(req.centerScope, certificate.id_centro_salud);
+    if (certificate.estado === 'Revocado') {
+      const error = new Error('El certificado ya estaba revocado');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await pool
+      .request()
+      .input('id_certificado', sql.UniqueIdentifier, req.params.id)
+      .input('motivo', sql.NVarChar(500), req.body.motivo)
+      .input('id_usuario', sql.UniqueIdentifier, req.user.id_usuario)
+      .query(`
+        UPDATE Certificados_Vacunacion
+        SET estado = 'Revocado', fecha_revocacion = SYSDATETIME(), motivo_revocacion = @motivo, id_usuario_revocacion = @id_usuario
+        WHERE id_certificado = @id_certificado
+      `);
+    registrarAuditoria({
+      tabla_afectada: 'Certificados_Vacunacion',
+      id_registro: req.params.id,
+      id_usuario: req.user.id_usuario,
+      id_cuenta: req.user.id_cuenta,
+      accion: 'UPDATE',
+      detalles: `Certificado revocado: ${req.body.motivo}`,
+      ip_origen: req.ip,
+    });
+    logger.info('Certificado revocado', { id: req.params.id, ip: req.ip });
+    res.status(200).json({ message: 'Certificado revocado' });
+  } catch (err) {
+    logger.error('Error al revocar certificado', { id: req.params.id, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+module.exports = router;
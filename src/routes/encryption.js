@@ -0,0 +1,117 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { poolPromise } = require('../config/db');
+const fieldEncryption = require('../services/fieldEncryption');
+
+const router = express.Router();
+
+const logger = require('../config/logger');
+
+const checkValidation = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Validación fallida', { errors: errors.array(), ip: req.ip });
+    const error = new Error('Validación fallida');
+    error.statusCode = 400;
+    error.data = errors.array();
+    throw error;
+  }
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Encryption
+ *   description: Cifrado de datos identificativos de pacientes y tutores
+ */
+
+/**
+ * @swagger
+ * /api/encryption/status:
+ *   get:
+ *     summary: Consultar la versión de clave activa y las filas pendientes de cifrar o rotar
+ *     tags: [Encryption]
+ *     responses:
+ *       200:
+ *         description: Estado del cifrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 version_activa:
+ *                   type: integer
+ *                   example: 2
+ *                 pendientes:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: integer
+ *                   example: { Niños: 0, Tutores: 12, Autenticacion_Dos_Factores: 0 }
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/status', async (req, res, next) => {
+  try {
+    const pool = await poolPromise;
+    res.status(200).json(await fieldEncryption.encryptionStatus(pool));
+  } catch (err) {
+    logger.error('Error al obtener estado del cifrado', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/encryption/rotate:
+ *   post:
+ *     summary: Volver a cifrar los datos con la clave activa
+ *     description: >
+ *       Vuelve a cifrar con FIELD_ENCRYPTION_ACTIVE_VERSION los valores cifrados con claves anteriores,
+ *       cifra los datos heredados en claro y completa los índices ciegos. Las claves anteriores deben
+ *       seguir en FIELD_ENCRYPTION_KEYS hasta que no queden filas pendientes.
+ *     tags: [Encryption]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reindex:
+ *                 type: boolean
+ *                 description: Procesar todas las filas (necesario tras cambiar BLIND_INDEX_KEY)
+ *               batchSize:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5000
+ *                 default: 500
+ *     responses:
+ *       200:
+ *         description: Resumen por tabla de filas revisadas, actualizadas y con error
+ *       400:
+ *         description: Error en los datos enviados
+ *       500:
+ *         description: Error interno del servidor o cifrado no configurado
+ */
+router.post('/rotate', [
+  body('reindex').optional().isBoolean().withMessage('reindex debe ser booleano'),
+  body('batchSize').optional().isInt({ min: 1, max: 5000 }).withMessage('batchSize debe estar entre 1 y 5000'),
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    logger.info('Rotando claves de cifrado de campos', { reindex: Boolean(req.body?.reindex), ip: req.ip });
+    const pool = await poolPromise;
+    const summary = await fieldEncryption.rotateKeys(pool, {
+      batchSize: Number(req.body?.batchSize) || 500,
+      reindex: req.body?.reindex === true,
+    });
+    logger.info('Rotación de claves completada', summary);
+    res.status(200).json(summary);
+  } catch (err) {
+    logger.error('Error al rotar claves de cifrado', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,414 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { poolPromise } = require('../config/db');
+const { assertCenterAccess } = require('../services/centerScope');
+const { revealFields } = require('../services/fieldEncryption');
+const { registrarAuditoria } = require('../services/audit');
+const {
+  FHIR_JSON,
+  operationOutcome,
+  toPatient,
+  toRelatedPerson,
+  toLocation,
+  toImmunization,
+  searchBundle,
+  getPatient,
+  searchPatients,
+  getRelatedPerson,
+  getLocation,
+  getImmunization,
+  listImmunizations,
+  patientEverything,
+  importBundle,
+} = require('../services/fhir');
+
+const router = express.Router();
+
+const logger = require('../config/logger');
+
+// Los clientes FHIR envían application/fhir+json, que el parser global no acepta
+router.use(express.json({ type: ['application/json', FHIR_JSON], limit: '5mb' }));
+
+const checkValidation = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Validación fallida', { errors: errors.array(), ip: req.ip });
+    const error = new Error(errors.array().map(e => e.msg).join('; '));
+    error.statusCode = 400;
+    error.data = errors.array();
+    throw error;
+  }
+};
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+const sendResource = (res, status, resource) => res.status(status).type(FHIR_JSON).json(resource);
+
+// identifier=[system|]value
+const parseIdentifier = (token) => {
+  const separator = token.indexOf('|');
+  return separator === -1
+    ? { system: null, value: token }
+    : { system: token.slice(0, separator) || null, value: token.slice(separator + 1) };
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: FHIR
+ *   description: >
+ *     Intercambio HL7 FHIR R4 (application/fhir+json). Paciente → Patient, tutor → RelatedPerson,
+ *     dosis → Immunization (vacuna codificada con CVX), centro → Location. Los errores se devuelven como OperationOutcome.
+ */
+
+/**
+ * @swagger
+ * /api/fhir/metadata:
+ *   get:
+ *     summary: CapabilityStatement con los recursos e interacciones FHIR disponibles
+ *     tags: [FHIR]
+ *     responses:
+ *       200:
+ *         description: CapabilityStatement
+ */
+router.get('/metadata', (req, res) => {
+  sendResource(res, 200, {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString().slice(0, 10),
+    kind: 'instance',
+    fhirVersion: '4.0.1',
+    format: [FHIR_JSON],
+    rest: [{
+      mode: 'server',
+      resource: [
+        { type: 'Patient', interaction: [{ code: 'read' }, { code: 'search-type' }], searchParam: [{ name: 'identifier', type: 'token' }], operation: [{ name: 'everything', definition: 'http://hl7.org/fhir/OperationDefinition/Patient-everything' }] },
+        { type: 'RelatedPerson', interaction: [{ code: 'read' }] },
+        { type: 'Immunization', interaction: [{ code: 'read' }, { code: 'search-type' }], searchParam: [{ name: 'patient', type: 'reference' }] },
+        { type: 'Location', interaction: [{ code: 'read' }] },
+      ],
+      interaction: [{ code: 'batch' }, { code: 'transaction' }],
+    }],
+  });
+});
+
+/**
+ * @swagger
+ * /api/fhir/Patient:
+ *   get:
+ *     summary: Buscar pacientes por identificador
+ *     description: >
+ *       Busca en la identificación y en el identificador nacional de salud; con `system|valor` solo en el
+ *       sistema indicado. Se excluyen los pacientes archivados y los de otros centros.
+ *     tags: [FHIR]
+ *     parameters:
+ *       - in: query
+ *         name: identifier
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: urn:sistema-vacunacion:identificacion|001-0000000-1
+ *     responses:
+ *       200:
+ *         description: Bundle searchset con los Patient encontrados
+ *       400:
+ *         description: Falta el parámetro identifier
+ */
+router.get('/Patient', [
+  query('identifier').isString().trim().notEmpty().withMessage('El parámetro identifier es obligatorio'),
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const pacientes = await searchPatients(pool, parseIdentifier(req.query.identifier), req.centerScope);
+    sendResource(res, 200, searchBundle(pacientes.map(row => toPatient(revealFields('Niños', row, req.user)))));
+  } catch (err) {
+    logger.error('Error al buscar pacientes FHIR', { error: err.message, ip: req.ip });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fhir/Patient/{id}:
+ *   get:
+ *     summary: Leer un Patient
+ *     tags: [FHIR]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Patient
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       404:
+ *         description: Paciente no encontrado
+ */
+router.get('/Patient/:id', [
+  param('id').isUUID().withMessage('ID de paciente inválido'),
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const paciente = await getPatient(pool, req.params.id);
+    if (!paciente) throw notFound('Paciente no encontrado');
+    assertCenterAccess(req.centerScope, paciente.id_centro_salud);
+    sendResource(res, 200, toPatient(revealFields('Niños', paciente, req.user)));
+  } catch (err) {
+    logger.error('Error al leer paciente FHIR', { error: err.message, ip: req.ip });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fhir/Patient/{id}/$everything:
+ *   get:
+ *     summary: Exportar el expediente de vacunación de un paciente
+ *     description: Bundle con el Patient, sus RelatedPerson, sus Immunization y los Location referenciados.
+ *     tags: [FHIR]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Bundle searchset
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       404:
+ *         description: Paciente no encontrado
+ */
+router.get('/Patient/:id/\\$everything', [
+  param('id').isUUID().withMessage('ID de paciente inválido'),
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const bundle = await patientEverything(pool, req.params.id, {
+      user: req.user,
+      authorize: paciente => assertCenterAccess(req.centerScope, paciente.id_centro_salud),
+    });
+    sendResource(res, 200, bundle);
+  } catch (err) {
+    logger.error('Error al exportar paciente FHIR', { error: err.message, ip: req.ip });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fhir/RelatedPerson/{id}:
+ *   get:
+ *     summary: Leer un RelatedPerson (tutor)
+ *     tags: [FHIR]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: RelatedPerson
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       404:
+ *         description: Tutor no encontrado
+ */
+router.get('/RelatedPerson/:id', [
+  param('id').isUUID().withMessage('ID de tutor inválido'),
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const tutor = await getRelatedPerson(pool, req.params.id);
+    if (!tutor) throw notFound('Tutor no encontrado');
+    assertCenterAccess(req.centerScope, tutor.id_centro_salud);
+    sendResource(res, 200, toRelatedPerson(revealFields('Tutores', tutor, req.user)));
+  } catch (err) {
+    logger.error('Error al leer tutor FHIR', { error: err.message, ip: req.ip });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fhir/Immunization:
+ *   get:
+ *     summary: Buscar las inmunizaciones de un paciente
+ *     tags: [FHIR]
+ *     parameters:
+ *       - in: query
+ *         name: patient
+ *         required: true
+ *         description: ID del paciente o referencia Patient/{id}
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bundle searchset con los Immunization del paciente
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       404:
+ *         description: Paciente no encontrado
+ */
+router.get('/Immunization', [
+  query('patient').customSanitizer(value => String(value || '').replace(/^Patient\//, ''))
+    .isUUID().withMessage('El parámetro patient debe ser un ID de paciente'),
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const paciente = await getPatient(pool, req.query.patient);
+    if (!paciente) throw notFound('Paciente no encontrado');
+    assertCenterAccess(req.centerScope, paciente.id_centro_salud);
+    const dosis = await listImmunizations(pool, req.query.patient);
+    sendResource(res, 200, searchBundle(dosis.map(toImmunization)));
+  } catch (err) {
+    logger.error('Error al buscar inmunizaciones FHIR', { error: err.message, ip: req.ip });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fhir/Immunization/{id}:
+ *   get:
+ *     summary: Leer un Immunization (dosis aplicada)
+ *     tags: [FHIR]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Immunization
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       404:
+ *         description: Registro de vacunación no encontrado
+ */
+router.get('/Immunization/:id', [
+  param('id').isUUID().withMessage('ID de registro inválido'),
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const dosis = await getImmunization(pool, req.params.id);
+    if (!dosis) throw notFound('Registro de vacunación no encontrado');
+    assertCenterAccess(req.centerScope, dosis.id_centro);
+    sendResource(res, 200, toImmunization(dosis));
+  } catch (err) {
+    logger.error('Error al leer inmunización FHIR', { error: err.message, ip: req.ip });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fhir/Location/{id}:
+ *   get:
+ *     summary: Leer un Location (centro de vacunación)
+ *     tags: [FHIR]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Location
+ *       404:
+ *         description: Centro no encontrado
+ */
+router.get('/Location/:id', [
+  param('id').isUUID().withMessage('ID de centro inválido'),
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const centro = await getLocation(pool, req.params.id);
+    if (!centro) throw notFound('Centro no encontrado');
+    sendResource(res, 200, toLocation(centro));
+  } catch (err) {
+    logger.error('Error al leer centro FHIR', { error: err.message, ip: req.ip });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fhir:
+ *   post:
+ *     summary: Importar un Bundle batch o transaction de Immunization
+ *     description: >
+ *       Cada Immunization se registra como dosis. El paciente se resuelve por referencia Patient/{id} o por
+ *       identificador; el lote por lotNumber y vaccineCode (CVX o código local); el centro por Location/{id} o
+ *       el del lote; el profesional por performer Practitioner/{id} o el usuario autenticado. Las dosis ya
+ *       registradas (mismo paciente, lote, número de dosis y día) no se duplican y responden 200.
+ *       En batch cada entrada informa su resultado; en transaction cualquier error revierte todas.
+ *     tags: [FHIR]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/fhir+json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Bundle batch-response o transaction-response con el estado de cada entrada
+ *       400:
+ *         description: El cuerpo no es un Bundle batch o transaction, o una entrada de la transacción es inválida
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       422:
+ *         description: Una entrada de la transacción no se puede registrar
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const pool = await poolPromise;
+    const { bundle, created } = await importBundle(pool, req.body, { user: req.user, scope: req.centerScope });
+    created.forEach(id_historial => registrarAuditoria({
+      tabla_afectada: 'Historial_Vacunacion_Alterna',
+      id_registro: id_historial,
+      id_usuario: req.user.id_usuario,
+      id_cuenta: req.user.id_cuenta,
+      accion: 'INSERT',
+      detalles: 'Dosis importada desde un Bundle FHIR',
+      ip_origen: req.ip,
+    }));
+    logger.info('Bundle FHIR importado', { entradas: bundle.entry.length, creadas: created.length, ip: req.ip });
+    sendResource(res, 200, bundle);
+  } catch (err) {
+    logger.error('Error al importar Bundle FHIR', { error: err.message, ip: req.ip });
+    next(err);
+  }
+});
+
+// Los clientes FHIR esperan un OperationOutcome en lugar del cuerpo de error habitual de la API
+router.use((err, req, res, next) => {
+  const statusCode = err.statusCode || (err.originalError ? 422 : 500);
+  const code = { 400: 'invalid', 403: 'forbidden', 404: 'not-found' }[statusCode] || 'processing';
+  sendResource(res, statusCode, operationOutcome(statusCode === 500 ? 'Error interno del servidor' : err.message, code));
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const express = require('express');
+const { poolPromise } = require('../config/db');
+const { registrarAuditoria } = require('../services/audit');
+const { HL7_CONTENT_TYPE, parseMessage, component, buildAck } = require('../services/hl7');
+const { processVxu, processQbp } = require('../services/hl7Immunizations');
+
+const router = express.Router();
+
+const logger = require('../config/logger');
+
+/**
+ * @swagger
+ * tags:
+ *   name: HL7
+ *   description: Mensajería HL7 v2.5.1 con historias clínicas electrónicas (VXU^V04, QBP^Q11)
+ */
+
+/**
+ * @swagger
+ * /api/hl7:
+ *   post:
+ *     summary: Recibir un mensaje HL7 v2 (VXU^V04 o QBP^Q11)
+ *     description: >
+ *       VXU^V04 registra las dosis de los RXA: el paciente se busca por los identificadores de PID-3 de tipo
+ *       NI, NN, PPN, SS o BC (identificación) y HC o JHN (identificador nacional de salud) y, si no existe,
+ *       se crea con PID y los tutores de NK1. El lote se resuelve por RXA-15 y el CVX de RXA-5. Se responde
+ *       con un ACK: AA, o AE con segmentos ERR sin registrar nada. QBP^Q11 se responde con un RSP^K11 con el
+ *       historial completo del paciente. Otros tipos de mensaje se rechazan con AR.
+ *       Las respuestas HL7 se devuelven siempre con estado 200.
+ *     tags: [HL7]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/hl7-v2:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             MSH|^~\&|EHR|HOSPITAL|SISTEMA_VACUNACION|SISTEMA_VACUNACION|20240301100000||VXU^V04^VXU_V04|MSG0001|P|2.5.1
+ *             PID|1||001-0000001-1^^^RD^NI||Pérez^Ana||20220115|F
+ *             ORC|RE||IZ-1
+ *             RXA|0|1|20240301100000||102^DTP-Hib-HepB^CVX|999|||00||||||L-100|||||CP|A
+ *     responses:
+ *       200:
+ *         description: ACK o RSP^K11
+ *         content:
+ *           application/hl7-v2:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: El cuerpo no es un mensaje HL7 v2 con un segmento MSH válido
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/', express.text({ type: [HL7_CONTENT_TYPE, 'x-application/hl7-v2+er7', 'text/plain'], limit: '1mb' }), async (req, res, next) => {
+  try {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      const error = new Error('Envíe el mensaje HL7 en el cuerpo con Content-Type application/hl7-v2');
+      error.statusCode = 400;
+      throw error;
+    }
+    const segments = parseMessage(req.body);
+    const [msh] = segments;
+    const messageType = `${component(msh, 9, 1)}^${component(msh, 9, 2)}`;
+    const controlId = component(msh, 10);
+    logger.info('Mensaje HL7 recibido', { tipo: messageType, control_id: controlId, ip: req.ip });
+
+    const pool = await poolPromise;
+    let response;
+    if (!controlId) {
+      response = buildAck(msh, { code: 'AR', errors: [{ location: ['MSH', 1, 10], code: 101, message: 'MSH-10 (identificador del mensaje) es obligatorio' }] });
+    } else if (messageType === 'VXU^V04') {
+      const result = await processVxu(pool, segments, { user: req.user, scope: req.centerScope });
+      if (result.paciente_creado) {
+        registrarAuditoria({
+          tabla_afectada: 'Niños',
+          id_registro: result.id_paciente,
+          id_usuario: req.user.id_usuario,
+          id_cuenta: req.user.id_cuenta,
+          accion: 'INSERT',
+          detalles: `Paciente creado desde el mensaje HL7 ${controlId}`,
+          ip_origen: req.ip,
+        });
+      }
+      result.dosis.forEach(id_historial => registrarAuditoria({
+        tabla_afectada: 'Historial_Vacunacion_Alterna',
+        id_registro: id_historial,
+        id_usuario: req.user.id_usuario,
+        id_cuenta: req.user.id_cuenta,
+        accion: 'INSERT',
+        detalles: `Dosis registrada desde el mensaje HL7 ${controlId}`,
+        ip_origen: req.ip,
+      }));
+      response = result.ack;
+    } else if (messageType === 'QBP^Q11') {
+      response = await processQbp(pool, segments, { user: req.user, scope: req.centerScope });
+    } else {
+      response = buildAck(msh, { code: 'AR', errors: [{ location: ['MSH', 1, 9], code: 200, message: `Tipo de mensaje no soportado: ${messageType}` }] });
+    }
+    res.status(200).type(HL7_CONTENT_TYPE).send(response);
+  } catch (err) {
+    logger.error('Error al procesar mensaje HL7', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,281 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { poolPromise, sql } = require('../config/db');
+const { registrarAuditoria } = require('../services/audit');
+
+const router = express.Router();
+
+const logger = require('../config/logger');
+
+const validateRule = [
+  body('patron').isString().trim().isLength({ min: 2, max: 100 }).withMessage('El patrón debe tener entre 2 y 100 caracteres'),
+  body('descripcion').optional({ nullable: true }).isString().isLength({ max: 250 }).withMessage('Descripción debe tener como máximo 250 caracteres'),
+  body('activa').optional().isBoolean().withMessage('Activa debe ser un valor booleano'),
+];
+
+const validateUUID = param('id').isUUID().withMessage('ID inválido');
+
+const checkValidation = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Validación fallida', { errors: errors.array(), ip: req.ip });
+    const error = new Error('Validación fallida');
+    error.statusCode = 400;
+    error.data = errors.array();
+    throw error;
+  }
+};
+
+const notFound = () => {
+  const error = new Error('Regla no encontrada');
+  error.statusCode = 404;
+  return error;
+};
+
+const audit = (req, id_regla, accion, detalles) => registrarAuditoria({
+  tabla_afectada: 'Reglas_Observaciones',
+  id_registro: id_regla,
+  id_usuario: req.user.id_usuario,
+  accion,
+  detalles,
+  ip_origen: req.ip,
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: ObservationRules
+ *   description: >
+ *     Reglas que marcan las observaciones de una vacunación para seguimiento: si las observaciones
+ *     contienen el patrón (palabra o frase completa, sin distinguir mayúsculas ni tildes), la dosis se
+ *     registra y se abre un incidente vinculado
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ObservationRule:
+ *       type: object
+ *       properties:
+ *         id_regla:
+ *           type: string
+ *           format: uuid
+ *         patron:
+ *           type: string
+ *           description: Palabra o frase que marca las observaciones
+ *         descripcion:
+ *           type: string
+ *           nullable: true
+ *           description: Motivo que se incluye en la descripción del incidente
+ *         activa:
+ *           type: boolean
+ *         fecha_actualizacion:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id_regla: "123e4567-e89b-12d3-a456-426614174030"
+ *         patron: "herida"
+ *         descripcion: "Lesión durante la aplicación"
+ *         activa: true
+ *         fecha_actualizacion: "2025-06-20T14:00:00Z"
+ *     ObservationRuleInput:
+ *       type: object
+ *       required:
+ *         - patron
+ *       properties:
+ *         patron:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 100
+ *         descripcion:
+ *           type: string
+ *           nullable: true
+ *           maxLength: 250
+ *         activa:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * /api/observation-rules:
+ *   get:
+ *     summary: Listar las reglas de marcado de observaciones
+ *     tags: [ObservationRules]
+ *     responses:
+ *       200:
+ *         description: Reglas obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ObservationRule'
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const pool = await poolPromise;
+    const result = await pool
+      .request()
+      .query('SELECT id_regla, patron, descripcion, activa, fecha_actualizacion FROM Reglas_Observaciones ORDER BY patron');
+    res.status(200).json(result.recordset);
+  } catch (err) {
+    logger.error('Error al obtener reglas de observaciones', { error: err.message, ip: req.ip });
+    const error = new Error('Error al obtener reglas de observaciones');
+    error.statusCode = 500;
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/observation-rules:
+ *   post:
+ *     summary: Crear una regla de marcado de observaciones
+ *     tags: [ObservationRules]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ObservationRuleInput'
+ *     responses:
+ *       201:
+ *         description: Regla creada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id_regla:
+ *                   type: string
+ *                   format: uuid
+ *       400:
+ *         description: Error en los datos enviados
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/', validateRule, async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const result = await pool
+      .request()
+      .input('patron', sql.NVarChar(100), req.body.patron)
+      .input('descripcion', sql.NVarChar(250), req.body.descripcion || null)
+      .input('activa', sql.Bit, req.body.activa !== false && req.body.activa !== 'false')
+      .query(`
+        INSERT INTO Reglas_Observaciones (patron, descripcion, activa)
+        OUTPUT INSERTED.id_regla
+        VALUES (@patron, @descripcion, @activa)
+      `);
+    const { id_regla } = result.recordset[0];
+    audit(req, id_regla, 'INSERT', `Regla de observaciones creada: ${req.body.patron}`);
+    logger.info('Regla de observaciones creada', { id_regla, patron: req.body.patron, ip: req.ip });
+    res.status(201).json({ id_regla });
+  } catch (err) {
+    logger.error('Error al crear regla de observaciones', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/observation-rules/{id}:
+ *   put:
+ *     summary: Actualizar, activar o desactivar una regla de marcado de observaciones
+ *     tags: [ObservationRules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ObservationRuleInput'
+ *     responses:
+ *       204:
+ *         description: Regla actualizada exitosamente
+ *       400:
+ *         description: Error en los datos enviados
+ *       404:
+ *         description: Regla no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.put('/:id', [validateUUID, ...validateRule], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const result = await pool
+      .request()
+      .input('id_regla', sql.UniqueIdentifier, req.params.id)
+      .input('patron', sql.NVarChar(100), req.body.patron)
+      .input('descripcion', sql.NVarChar(250), req.body.descripcion || null)
+      .input('activa', sql.Bit, req.body.activa !== false && req.body.activa !== 'false')
+      .query(`
+        UPDATE Reglas_Observaciones
+        SET patron = @patron, descripcion = @descripcion, activa = @activa, fecha_actualizacion = SYSDATETIME()
+        WHERE id_regla = @id_regla
+      `);
+    if (result.rowsAffected[0] === 0) throw notFound();
+    audit(req, req.params.id, 'UPDATE', `Regla de observaciones actualizada: ${req.body.patron}`);
+    res.status(204).send();
+  } catch (err) {
+    logger.error('Error al actualizar regla de observaciones', { id: req.params.id, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/observation-rules/{id}:
+ *   delete:
+ *     summary: Eliminar una regla de marcado de observaciones
+ *     tags: [ObservationRules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Regla eliminada exitosamente
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Regla no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.delete('/:id', validateUUID, async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const result = await pool
+      .request()
+      .input('id_regla', sql.UniqueIdentifier, req.params.id)
+      .query('DELETE FROM Reglas_Observaciones OUTPUT DELETED.patron WHERE id_regla = @id_regla');
+    if (result.recordset.length === 0) throw notFound();
+    audit(req, req.params.id, 'DELETE', `Regla de observaciones eliminada: ${result.recordset[0].patron}`);
+    res.status(204).send();
+  } catch (err) {
+    logger.error('Error al eliminar regla de observaciones', { id: req.params.id, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,114 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { poolPromise, sql } = require('../config/db');
-const winston = require('winston');
+const { assertCenterAccess, canAccessCenter, sameCenter, scopeCondition } = require('../services/centerScope');
+const { revealPatient, blindIndex } = require('../services/fieldEncryption');
+const { registrarAuditoria } = require('../services/audit');
+const { findDuplicateCandidates, mergePatients, undoMerge } = require('../services/patientDuplicates');
+const { CARD_LANGUAGES, loadCardData, renderCard } = require('../services/vaccinationCard');
+const { transferPatient, recordCenterChange, listTransfers } = require('../services/patientTransfers');
+const { TIMELINE_TYPES, getTimeline } = require('../services/patientTimeline');
+const { assertCanIncludeArchived, archivePatient, restorePatient, listArchived, purgeExpired } = require('../services/patientArchive');
+const { parsePatientCsv, importPatients } = require('../services/patientImport');
+const { withTransaction } = require('../services/transaction');
+const {
+  validatePatientCreate,
+  validatePatientUpdate,
+  validateBody,
+  assertUniqueIdentificacion,
+  createPatient,
+  updatePatient,
+} = require('../services/patientCreation');
 
 const router = express.Router();
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-  ],
-});
+const logger = require('../config/logger');
 
 // Log to confirm file loading
 console.log('patients.js loaded at', new Date().toISOString());
 
+// Identifying fields are decrypted for clinical roles and masked for everyone else
+const presentPatient = (row, user) => ({ tutores: [], ...revealPatient(row, user) });
+
+const SORT_COLUMNS = {
+  nombre_completo: 'n.nombre_completo',
+  fecha_nacimiento: 'n.fecha_nacimiento',
+  genero: 'n.genero',
+  estado: 'n.estado',
+};
+
+const validatePatientSearch = [
+  query('nombre').optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage('Nombre de búsqueda inválido'),
+  query('identificacion').optional().isString().notEmpty().withMessage('Identificación inválida'),
+  query('fecha_nacimiento_desde').optional().isISO8601().withMessage('Fecha de nacimiento desde inválida'),
+  query('fecha_nacimiento_hasta').optional().isISO8601().withMessage('Fecha de nacimiento hasta inválida'),
+  query('genero').optional().isIn(['M', 'F', 'O']).withMessage('Género inválido'),
+  query('id_centro_salud').optional().isUUID().withMessage('ID de centro inválido'),
+  query('estado').optional().isIn(['Activo', 'Inactivo']).withMessage('Estado inválido'),
+  query('tutor_telefono').optional().isString().notEmpty().withMessage('Teléfono del tutor inválido'),
+  query('tutor_identificacion').optional().isString().notEmpty().withMessage('Identificación del tutor inválida'),
+  query('sort').optional().isIn(Object.keys(SORT_COLUMNS)).withMessage('Campo de ordenación inválido'),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('Orden inválido'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Página inválida'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Límite debe estar entre 1 y 200'),
+  query('incluir_archivados').optional().isBoolean().withMessage('incluir_archivados debe ser true o false'),
+];
+
+// LIKE wildcards typed by the user are matched literally
+const escapeLike = (value) => value.replace(/[[%_]/g, match => `[${match}]`);
+
+/**
+ * Adds the search inputs to the request and returns the WHERE clause. Names are compared
+ * accent- and case-insensitively word by word; encrypted fields are matched by blind index.
+ */
+const buildPatientFilter = (request, filters, scope) => {
+  const conditions = [scopeCondition(request, scope, 'n.id_centro_salud')];
+
+  if (filters.nombre) {
+    filters.nombre.split(/\s+/).filter(Boolean).forEach((word, i) => {
+      request.input(`nombre_${i}`, sql.NVarChar(200), `%${escapeLike(word)}%`);
+      conditions.push(`n.nombre_completo COLLATE Latin1_General_CI_AI LIKE @nombre_${i}`);
+    });
+  }
+  if (filters.identificacion) {
+    request.input('identificacion_hash', sql.NVarChar(64), blindIndex(filters.identificacion));
+    conditions.push('n.identificacion_hash = @identificacion_hash');
+  }
+  if (filters.fecha_nacimiento_desde) {
+    request.input('fecha_desde', sql.Date, filters.fecha_nacimiento_desde);
+    conditions.push('n.fecha_nacimiento >= @fecha_desde');
+  }
+  if (filters.fecha_nacimiento_hasta) {
+    request.input('fecha_hasta', sql.Date, filters.fecha_nacimiento_hasta);
+    conditions.push('n.fecha_nacimiento <= @fecha_hasta');
+  }
+  if (filters.genero) {
+    request.input('genero', sql.Char(1), filters.genero);
+    conditions.push('n.genero = @genero');
+  }
+  if (filters.id_centro_salud) {
+    request.input('id_centro_salud', sql.UniqueIdentifier, filters.id_centro_salud);
+    conditions.push('n.id_centro_salud = @id_centro_salud');
+  }
+  if (filters.estado) {
+    request.input('estado', sql.NVarChar(20), filters.estado);
+    conditions.push('n.estado = @estado');
+  }
+  if (filters.tutor_telefono) {
+    request.input('tutor_telefono_hash', sql.NVarChar(64), blindIndex(filters.tutor_telefono));
+    conditions.push('EXISTS (SELECT 1 FROM [dbo].[Tutores] t WHERE t.id_niño = n.id_niño AND t.telefono_hash = @tutor_telefono_hash)');
+  }
+  if (filters.tutor_identificacion) {
+    request.input('tutor_identificacion_hash', sql.NVarChar(64), blindIndex(filters.tutor_identificacion));
+    conditions.push('EXISTS (SELECT 1 FROM [dbo].[Tutores] t WHERE t.id_niño = n.id_niño AND t.identificacion_hash = @tutor_identificacion_hash)');
+  }
+  if (filters.incluir_archivados !== 'true') {
+    conditions.push('n.id_archivo IS NULL');
+  }
+
+  return conditions.join(' AND ');
+};
+
 /**
  * @swagger
  * tags:
@@ -51,7 +139,7 @@ console.log('patients.js loaded at', new Date().toISOString());
  *           description: Nombre completo del paciente
  *         identificacion:
  *           type: string
- *           description: Identificación del paciente
+ *           description: Identificación del paciente (se guarda cifrada; enmascarada para roles no clínicos)
  *         nacionalidad:
  *           type: string
  *           description: Gentilicio del país de nacionalidad
@@ -72,11 +160,11 @@ console.log('patients.js loaded at', new Date().toISOString());
  *           nullable: true
  *         latitud:
  *           type: number
- *           description: Latitud de la residencia (opcional)
+ *           description: Latitud de la residencia (opcional; null para roles no clínicos)
  *           nullable: true
  *         longitud:
  *           type: number
- *           description: Longitud de la residencia (opcional)
+ *           description: Longitud de la residencia (opcional; null para roles no clínicos)
  *           nullable: true
  *         id_centro_salud:
  *           type: string
@@ -92,6 +180,16 @@ console.log('patients.js loaded at', new Date().toISOString());
  *           enum: [Activo, Inactivo]
  *           description: Estado del paciente
  *           nullable: true
+ *         id_archivo:
+ *           type: string
+ *           format: uuid
+ *           description: Archivo al que pertenece si el paciente está archivado; null si no
+ *           nullable: true
+ *         version:
+ *           type: string
+ *           description: >
+ *             Versión del registro (solo en GET /api/patients/{id}); cambia con cada modificación y se
+ *             envía como version_base al sincronizar cambios hechos sin conexión
  *         tutores:
  *           type: array
  *           items:
@@ -230,25 +328,137 @@ console.log('patients.js loaded at', new Date().toISOString());
  * @swagger
  * /api/patients:
  *   get:
- *     summary: Obtener todos los pacientes con sus tutores
+ *     summary: Buscar pacientes con sus tutores (paginado)
+ *     description: >
+ *       Devuelve una página de pacientes del alcance del usuario. La búsqueda por nombre no distingue
+ *       mayúsculas ni acentos (Núñez = nunez) y exige que aparezcan todas las palabras. Las búsquedas por
+ *       identificación y por datos del tutor son exactas y usan el índice ciego.
  *     tags: [Patients]
+ *     parameters:
+ *       - in: query
+ *         name: nombre
+ *         schema:
+ *           type: string
+ *         description: Parte del nombre completo
+ *       - in: query
+ *         name: identificacion
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fecha_nacimiento_desde
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: fecha_nacimiento_hasta
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: genero
+ *         schema:
+ *           type: string
+ *           enum: [M, F, O]
+ *       - in: query
+ *         name: id_centro_salud
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: estado
+ *         schema:
+ *           type: string
+ *           enum: [Activo, Inactivo]
+ *       - in: query
+ *         name: tutor_telefono
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tutor_identificacion
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [nombre_completo, fecha_nacimiento, genero, estado]
+ *           default: nombre_completo
+ *       - in: query
+ *         name: incluir_archivados
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Incluir pacientes archivados (solo director y administrador; 403 para el resto)
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
  *     responses:
  *       200:
- *         description: Lista de pacientes obtenida exitosamente
+ *         description: Página de pacientes obtenida exitosamente
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Patient'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Patient'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                   description: Total de pacientes que cumplen los filtros
+ *       400:
+ *         description: Parámetros de búsqueda inválidos
  *       500:
  *         description: Error interno del servidor
  */
-router.get('/', async (req, res, next) => {
+router.get('/', validatePatientSearch, async (req, res, next) => {
   try {
-    logger.info('Obteniendo todos los pacientes con tutores', { ip: req.ip });
+    logger.info('Buscando pacientes con tutores', { filters: Object.keys(req.query), ip: req.ip });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+
+    assertCanIncludeArchived(req.user, req.query.incluir_archivados);
+
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || 50;
+    const sortColumn = SORT_COLUMNS[req.query.sort || 'nombre_completo'];
+    const sortOrder = req.query.order === 'desc' ? 'DESC' : 'ASC';
+
     const pool = await poolPromise;
-    const result = await pool.request().query(`
+    const request = pool.request()
+      .input('offset', sql.Int, (page - 1) * limit)
+      .input('limit', sql.Int, limit);
+    const where = buildPatientFilter(request, req.query, req.centerScope);
+    const result = await request.query(`
+      SELECT COUNT(*) AS total FROM [dbo].[Niños] n WHERE ${where};
+
       SELECT 
         n.id_niño AS id_paciente,
         n.nombre_completo,
@@ -260,9 +470,12 @@ router.get('/', async (req, res, next) => {
         n.direccion_residencia,
         n.latitud,
         n.longitud,
+        n.latitud_cifrada,
+        n.longitud_cifrada,
         n.id_centro_salud,
         n.contacto_principal,
         n.estado,
+        n.id_archivo,
         (
           SELECT 
             t.id_tutor,
@@ -280,40 +493,408 @@ router.get('/', async (req, res, next) => {
           FOR JSON PATH
         ) AS tutores
       FROM [dbo].[Niños] n
+      WHERE ${where}
+      ORDER BY ${sortColumn} ${sortOrder}, n.id_niño
+      OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY
     `);
 
-    if (!result.recordset || result.recordset.length === 0) {
-      logger.warn('No patients found in Niños table', { ip: req.ip });
-      return res.status(200).json([]);
-    }
+    const total = result.recordsets[0][0].total;
+    const patients = result.recordsets[1].map(row => presentPatient(row, req.user));
 
-    const patients = result.recordset.map(row => ({
-      id_paciente: row.id_paciente,
-      nombre_completo: row.nombre_completo,
-      identificacion: row.identificacion,
-      nacionalidad: row.nacionalidad,
-      pais_nacimiento: row.pais_nacimiento,
-      fecha_nacimiento: row.fecha_nacimiento,
-      genero: row.genero,
-      direccion_residencia: row.direccion_residencia,
-      latitud: row.latitud,
-      longitud: row.longitud,
-      id_centro_salud: row.id_centro_salud,
-      contacto_principal: row.contacto_principal,
-      estado: row.estado,
-      tutores: row.tutores ? JSON.parse(row.tutores) : []
-    }));
-
-    logger.info('Patients retrieved successfully', { count: patients.length, ip: req.ip });
-    res.status(200).json(patients);
+    logger.info('Patients retrieved successfully', { count: patients.length, total, ip: req.ip });
+    res.status(200).json({ data: patients, page, limit, total });
   } catch (err) {
     logger.error('Error al obtener pacientes', { error: err.stack, ip: req.ip });
-    const error = new Error('Error al obtener pacientes');
+    const error = new Error(err.statusCode ? err.message : 'Error al obtener pacientes');
+    error.statusCode = err.statusCode || 500;
+    error.data = err.data;
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/patients/duplicates:
+ *   get:
+ *     summary: Buscar pacientes probablemente duplicados
+ *     description: >
+ *       Compara pacientes activos por identificación, nombre (sin acentos ni mayúsculas),
+ *       fecha de nacimiento y tutores en común, y devuelve los pares con una puntuación
+ *       de similitud entre 0 y 1 ordenados de mayor a menor.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: query
+ *         name: id_paciente
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Buscar solo duplicados de este paciente
+ *       - in: query
+ *         name: min_score
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *           default: 0.6
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Pares candidatos con su puntuación y los criterios que coinciden
+ *       400:
+ *         description: Parámetros inválidos
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/duplicates', [
+  query('id_paciente').optional().isUUID().withMessage('ID de paciente inválido'),
+  query('min_score').optional().isFloat({ min: 0, max: 1 }).withMessage('min_score debe estar entre 0 y 1'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit debe estar entre 1 y 200'),
+], async (req, res, next) => {
+  try {
+    logger.info('Buscando pacientes duplicados', { id_paciente: req.query.id_paciente, ip: req.ip });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+
+    const pool = await poolPromise;
+    const candidates = await findDuplicateCandidates(pool, {
+      scope: req.centerScope,
+      id_paciente: req.query.id_paciente || null,
+      minScore: req.query.min_score !== undefined ? Number(req.query.min_score) : 0.6,
+      limit: Number(req.query.limit) || 50,
+    });
+    res.status(200).json(candidates);
+  } catch (err) {
+    logger.error('Error al buscar pacientes duplicados', { error: err.stack, ip: req.ip });
+    const error = new Error(err.statusCode ? err.message : 'Error al buscar pacientes duplicados');
+    error.statusCode = err.statusCode || 500;
+    error.data = err.data;
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/patients/merge:
+ *   post:
+ *     summary: Fusionar un paciente duplicado en otro
+ *     description: >
+ *       Traslada al paciente superviviente el historial de vacunación, citas, solicitudes de cita,
+ *       alertas, tutores y eventos adversos del duplicado, y deja el duplicado Inactivo. Cada dosis
+ *       vigente se traslada como una enmienda con nueva versión; las registradas como error no se
+ *       trasladan. Los tutores que el superviviente ya tiene (misma identificación o tipo de relación)
+ *       no se duplican. La fusión queda auditada y puede revertirse con POST /api/patients/merges/{id}/undo.
+ *     tags: [Patients]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [id_superviviente, id_duplicado]
+ *             properties:
+ *               id_superviviente:
+ *                 type: string
+ *                 format: uuid
+ *               id_duplicado:
+ *                 type: string
+ *                 format: uuid
+ *               motivo:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Fusión aplicada; incluye id_fusion y el número de registros movidos por tipo
+ *       400:
+ *         description: Error en los datos enviados
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       404:
+ *         description: Paciente no encontrado
+ *       409:
+ *         description: Alguno de los pacientes no está activo
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/merge', [
+  body('id_superviviente').isUUID().withMessage('ID de paciente superviviente inválido'),
+  body('id_duplicado').isUUID().withMessage('ID de paciente duplicado inválido')
+    .custom((value, { req }) => String(value).toLowerCase() !== String(req.body.id_superviviente).toLowerCase())
+    .withMessage('El paciente duplicado debe ser distinto del superviviente'),
+  body('motivo').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Motivo no debe exceder 500 caracteres'),
+], async (req, res, next) => {
+  try {
+    logger.info('Fusionando pacientes', { id_superviviente: req.body?.id_superviviente, id_duplicado: req.body?.id_duplicado, ip: req.ip });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+
+    const pool = await poolPromise;
+    const merge = await mergePatients(pool, {
+      id_superviviente: req.body.id_superviviente,
+      id_duplicado: req.body.id_duplicado,
+      motivo: req.body.motivo,
+      id_usuario: req.user.id_usuario,
+      authorize: (superviviente, duplicado) => {
+        assertCenterAccess(req.centerScope, superviviente.id_centro_salud);
+        assertCenterAccess(req.centerScope, duplicado.id_centro_salud);
+      },
+    });
+
+    const movidos = Object.entries(merge.movidos).map(([label, count]) => `${label}=${count}`).join(', ');
+    registrarAuditoria({
+      tabla_afectada: 'Niños',
+      id_registro: merge.id_duplicado,
+      id_usuario: req.user.id_usuario,
+      id_cuenta: req.user.id_cuenta,
+      accion: 'UPDATE',
+      detalles: `Fusionado en ${merge.id_superviviente} (fusión ${merge.id_fusion}): ${movidos}`,
+      ip_origen: req.ip,
+    });
+    registrarAuditoria({
+      tabla_afectada: 'Niños',
+      id_registro: merge.id_superviviente,
+      id_usuario: req.user.id_usuario,
+      id_cuenta: req.user.id_cuenta,
+      accion: 'UPDATE',
+      detalles: `Recibe los registros de ${merge.id_duplicado} (fusión ${merge.id_fusion})`,
+      ip_origen: req.ip,
+    });
+
+    logger.info('Pacientes fusionados', { id_fusion: merge.id_fusion, movidos: merge.movidos, ip: req.ip });
+    res.status(200).json(merge);
+  } catch (err) {
+    logger.error('Error al fusionar pacientes', { error: err.stack, ip: req.ip });
+    const error = new Error(err.statusCode ? err.message : 'Error al fusionar pacientes');
+    error.statusCode = err.statusCode || 500;
+    error.data = err.data;
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/patients/merges/{id}/undo:
+ *   post:
+ *     summary: Revertir una fusión de pacientes
+ *     description: >
+ *       Devuelve al paciente duplicado los registros que se movieron en la fusión y restaura su estado.
+ *       Las dosis vuelven como una nueva enmienda; las marcadas como error después de la fusión se quedan
+ *       en el superviviente. Si el superviviente se fusionó después en otro paciente, hay que revertir primero esa fusión.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID de la fusión
+ *     responses:
+ *       200:
+ *         description: Fusión revertida; incluye el número de registros restaurados por tipo
+ *       400:
+ *         description: ID inválido
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       404:
+ *         description: Fusión no encontrada
+ *       409:
+ *         description: La fusión ya fue revertida o hay una fusión posterior que la bloquea
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/merges/:id/undo', [
+  param('id').isUUID().withMessage('ID de fusión inválido'),
+], async (req, res, next) => {
+  try {
+    logger.info('Revirtiendo fusión de pacientes', { id: req.params.id, ip: req.ip });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+
+    const pool = await poolPromise;
+    const undone = await undoMerge(pool, {
+      id_fusion: req.params.id,
+      id_usuario: req.user.id_usuario,
+      authorize: (superviviente, duplicado) => {
+        assertCenterAccess(req.centerScope, superviviente.id_centro_salud);
+        assertCenterAccess(req.centerScope, duplicado.id_centro_salud);
+      },
+    });
+
+    registrarAuditoria({
+      tabla_afectada: 'Niños',
+      id_registro: undone.id_duplicado,
+      id_usuario: req.user.id_usuario,
+      id_cuenta: req.user.id_cuenta,
+      accion: 'UPDATE',
+      detalles: `Fusión ${undone.id_fusion} revertida: registros devueltos desde ${undone.id_superviviente}`,
+      ip_origen: req.ip,
+    });
+
+    logger.info('Fusión de pacientes revertida', { id_fusion: undone.id_fusion, restaurados: undone.restaurados, ip: req.ip });
+    res.status(200).json(undone);
+  } catch (err) {
+    logger.error('Error al revertir fusión de pacientes', { id: req.params.id, error: err.stack, ip: req.ip });
+    const error = new Error(err.statusCode ? err.message : 'Error al revertir fusión de pacientes');
+    error.statusCode = err.statusCode || 500;
+    error.data = err.data;
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/patients/archived:
+ *   get:
+ *     summary: Listar pacientes archivados
+ *     description: >
+ *       Los pacientes archivados no aparecen en los listados por defecto, pero siguen disponibles
+ *       para auditoría. Cada elemento indica desde cuándo puede purgarse según la política de retención.
+ *     tags: [Patients]
+ *     responses:
+ *       200:
+ *         description: Pacientes archivados, del archivado más reciente al más antiguo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id_archivo:
+ *                     type: string
+ *                     format: uuid
+ *                   id_paciente:
+ *                     type: string
+ *                     format: uuid
+ *                   nombre_completo:
+ *                     type: string
+ *                   id_centro_salud:
+ *                     type: string
+ *                     format: uuid
+ *                   motivo:
+ *                     type: string
+ *                   fecha_archivo:
+ *                     type: string
+ *                     format: date-time
+ *                   id_usuario_archivo:
+ *                     type: string
+ *                     format: uuid
+ *                   fecha_purga:
+ *                     type: string
+ *                     format: date-time
+ *                   purgable:
+ *                     type: boolean
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/archived', async (req, res, next) => {
+  try {
+    logger.info('Listando pacientes archivados', { ip: req.ip });
+    const pool = await poolPromise;
+    const request = pool.request();
+    const archived = await listArchived(request, scopeCondition(request, req.centerScope, 'n.id_centro_salud'));
+    res.status(200).json(archived);
+  } catch (err) {
+    logger.error('Error al listar pacientes archivados', { error: err.stack, ip: req.ip });
+    const error = new Error('Error al listar pacientes archivados');
     error.statusCode = 500;
     next(error);
   }
 });
 
+/**
+ * @swagger
+ * /api/patients/purge:
+ *   post:
+ *     summary: Purgar los pacientes archivados cuyo plazo de retención venció
+ *     description: >
+ *       Borra definitivamente al paciente y sus registros relacionados. Un paciente archivado
+ *       puede purgarse cuando pasaron PATIENT_RETENTION_DAYS días desde el archivado (3650 por
+ *       defecto) y cumplió PATIENT_RETENTION_MIN_AGE años (18 por defecto). El registro del
+ *       archivado se conserva como constancia.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Solo devolver los pacientes que se purgarían
+ *     responses:
+ *       200:
+ *         description: Pacientes purgados (o que se purgarían)
+ *       400:
+ *         description: Parámetros inválidos
+ *       403:
+ *         description: Algún paciente a purgar pertenece a otro centro
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/purge', [
+  query('dry_run').optional().isBoolean().withMessage('dry_run debe ser true o false'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+    const dryRun = req.query.dry_run === 'true';
+    const pool = await poolPromise;
+    const purged = await purgeExpired(pool, {
+      id_usuario: req.user.id_usuario,
+      dryRun,
+      authorize: paciente => assertCenterAccess(req.centerScope, paciente.id_centro_salud),
+    });
+    if (!dryRun) {
+      purged.forEach(archivo => registrarAuditoria({
+        tabla_afectada: 'Niños',
+        id_registro: archivo.id_paciente,
+        id_usuario: req.user.id_usuario,
+        id_cuenta: req.user.id_cuenta,
+        accion: 'DELETE',
+        detalles: `Paciente purgado por vencimiento de la retención (archivo ${archivo.id_archivo})`,
+        ip_origen: req.ip,
+      }));
+      logger.info('Pacientes archivados purgados', { total: purged.length, ip: req.ip });
+    }
+    res.status(200).json({ dry_run: dryRun, total: purged.length, pacientes: purged });
+  } catch (err) {
+    logger.error('Error al purgar pacientes archivados', { error: err.stack, ip: req.ip });
+    const error = new Error(err.statusCode ? err.message : 'Error al purgar pacientes archivados');
+    error.statusCode = err.statusCode || 500;
+    error.data = err.data;
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/patients:
@@ -353,56 +934,15 @@ router.get('/', async (req, res, next) => {
  *                   format: uuid
  *       400:
  *         description: Error en los datos enviados
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
  *       500:
  *         description: Error interno del servidor
  */
-router.post('/', [
-  body('nombre_completo').notEmpty().isString().withMessage('Nombre completo es requerido'),
-  body('identificacion').notEmpty().isString().withMessage('Identificación es requerida'),
-  body('nacionalidad').notEmpty().isString().withMessage('Nacionalidad es requerida'),
-  body('pais_nacimiento').notEmpty().isString().withMessage('País de nacimiento es requerido'),
-  body('fecha_nacimiento').isISO8601().withMessage('Fecha de nacimiento inválida'),
-  body('genero').isIn(['M', 'F', 'O']).withMessage('Género inválido'),
-  body('direccion_residencia').optional().isString().withMessage('Dirección debe ser una cadena válida'),
-  body('latitud').optional().isDecimal().withMessage('Latitud inválida'),
-  body('longitud').optional().isDecimal().withMessage('Longitud inválida'),
-  body('id_centro_salud').optional().isUUID().withMessage('ID de centro inválido'),
-  body('contacto_principal').optional().isString().withMessage('Contacto principal debe ser una cadena válida'),
-  body('tutores').optional().isArray({ min: 0, max: 3 }).withMessage('Debe asignarse hasta 3 tutores nuevos'),
-  body('tutores.*.nombre').optional().notEmpty().isString().withMessage('Nombre del tutor es requerido'),
-  body('tutores.*.relacion')
-    .optional()
-    .customSanitizer(value => {
-      if (typeof value === 'string') {
-        return value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
-      }
-      return value;
-    })
-    .isIn(['Madre', 'Padre', 'Tutor Legal']).withMessage('Relación inválida'),
-  body('tutores.*.nacionalidad').optional().notEmpty().isString().withMessage('Nacionalidad del tutor es requerida'),
-  body('tutores.*.identificacion').optional().isString().withMessage('Identificación del tutor debe ser una cadena válida'),
-  body('tutores.*.telefono').optional().isString().withMessage('Teléfono del tutor debe ser una cadena válida'),
-  body('tutores.*.email').optional().isEmail().withMessage('Email del tutor debe ser válido'),
-  body('tutores.*.direccion').optional().isString().withMessage('Dirección del tutor debe ser una cadena válida'),
-  body('tutores.*.tipo_relacion').optional().isIn(['Padre1', 'Padre2', 'TutorLegal']).withMessage('Tipo de relación inválido'),
-  body('tutor_ids').optional().isArray({ min: 0, max: 3 }).withMessage('Debe asignarse hasta 3 IDs de tutores existentes'),
-  body('tutor_ids.*').optional().isUUID().withMessage('ID de tutor inválido'),
-  body('tutores').custom((tutores, { req }) => {
-    if (tutores && tutores.length > 0) {
-      const roles = tutores.map(t => t.tipo_relacion || 'TutorLegal');
-      const roleCount = {};
-      roles.forEach(r => { roleCount[r] = (roleCount[r] || 0) + 1; });
-      if (roleCount['Padre1'] > 1 || roleCount['Padre2'] > 1 || roleCount['TutorLegal'] > 1) {
-        throw new Error('Solo puede haber un Padre1, un Padre2 y un TutorLegal.');
-      }
-    }
-    return true;
-  }),
-], async (req, res) => {
+router.post('/', validatePatientCreate, async (req, res) => {
   try {
     logger.info('Creando paciente con tutores', {
       nombre_completo: req.body.nombre_completo,
-      identificacion: req.body.identificacion,
       tutor_count: (req.body.tutores?.length || 0) + (req.body.tutor_ids?.length || 0),
       ip: req.ip
     });
@@ -415,57 +955,15 @@ router.post('/', [
       });
     }
 
-    const pool = await poolPromise;
-    const tvpTutores = new sql.Table();
-    tvpTutores.columns.add('nombre', sql.NVarChar(200));
-    tvpTutores.columns.add('relacion', sql.NVarChar(50));
-    tvpTutores.columns.add('nacionalidad', sql.NVarChar(100));
-    tvpTutores.columns.add('identificacion', sql.NVarChar(20));
-    tvpTutores.columns.add('telefono', sql.NVarChar(20));
-    tvpTutores.columns.add('email', sql.NVarChar(100));
-    tvpTutores.columns.add('direccion', sql.NVarChar(500));
-    tvpTutores.columns.add('tipo_relacion', sql.NVarChar(20));
-
-    if (req.body.tutores && req.body.tutores.length > 0) {
-      req.body.tutores.forEach(tutor => {
-        tvpTutores.rows.add(
-          tutor.nombre,
-          tutor.relacion,
-          tutor.nacionalidad,
-          tutor.identificacion || null,
-          tutor.telefono || null,
-          tutor.email || null,
-          tutor.direccion || null,
-          tutor.tipo_relacion || 'TutorLegal'
-        );
-      });
+    // Staff tied to a center register patients in their own center by default
+    const id_centro_salud = req.body.id_centro_salud || (req.centerScope.national ? null : req.centerScope.id_centro);
+    if (id_centro_salud) {
+      assertCenterAccess(req.centerScope, id_centro_salud);
     }
 
-    const tvpTutorIds = new sql.Table();
-    tvpTutorIds.columns.add('id_tutor', sql.UniqueIdentifier);
-    if (req.body.tutor_ids && req.body.tutor_ids.length > 0) {
-      req.body.tutor_ids.forEach(id => {
-        tvpTutorIds.rows.add(id);
-      });
-    }
-
-    const request = pool.request()
-      .input('nombre_completo', sql.NVarChar, req.body.nombre_completo)
-      .input('identificacion', sql.NVarChar, req.body.identificacion)
-      .input('nacionalidad', sql.NVarChar, req.body.nacionalidad)
-      .input('pais_nacimiento', sql.NVarChar, req.body.pais_nacimiento)
-      .input('fecha_nacimiento', sql.Date, req.body.fecha_nacimiento)
-      .input('genero', sql.Char(1), req.body.genero)
-      .input('direccion_residencia', sql.NVarChar, req.body.direccion_residencia || null)
-      .input('latitud', sql.Decimal(9, 6), req.body.latitud || null)
-      .input('longitud', sql.Decimal(9, 6), req.body.longitud || null)
-      .input('id_centro_salud', sql.UniqueIdentifier, req.body.id_centro_salud || null)
-      .input('contacto_principal', sql.NVarChar, req.body.contacto_principal || null)
-      .input('tutores', tvpTutores)
-      .input('tutor_ids', tvpTutorIds);
-
-    const result = await request.execute('sp_CrearNiño');
-    const id_niño = result.recordset[0]?.id_niño;
+    const pool = await poolPromise;
+    await assertUniqueIdentificacion(pool, req.body.identificacion);
+    const id_niño = await createPatient(pool, req.body, id_centro_salud);
 
     if (!id_niño) {
       logger.warn('No se obtuvo id_niño del procedimiento almacenado', { ip: req.ip });
@@ -484,7 +982,7 @@ router.post('/', [
       rawError: JSON.stringify(err, Object.getOwnPropertyNames(err)),
       ip: req.ip
     });
-    const statusCode = err.number === 50000 ? 400 : 500;
+    const statusCode = err.statusCode || (err.number === 50000 ? 400 : 500);
     res.status(statusCode).json({
       error: 'Error al crear paciente',
       data: { message: err.message || 'Error interno del servidor' }
@@ -492,6 +990,155 @@ router.post('/', [
   }
 });
 
+/**
+ * @swagger
+ * /api/patients/import:
+ *   post:
+ *     summary: Importar pacientes y tutores desde un CSV
+ *     description: >
+ *       Cada fila se valida con las mismas reglas que POST /api/patients y se comprueba que su
+ *       identificación no exista ya ni se repita en el fichero. Por defecto es una simulación
+ *       (dry_run=true) que solo devuelve el informe de errores por fila; con dry_run=false se
+ *       crean las filas válidas en lotes transaccionales. Columnas admitidas: las del paciente
+ *       (nombre_completo, identificacion, nacionalidad, pais_nacimiento, fecha_nacimiento, genero,
+ *       direccion_residencia, latitud, longitud, id_centro_salud, contacto_principal) y hasta tres
+ *       tutores como tutor1_nombre, tutor1_relacion, tutor1_nacionalidad, tutor1_identificacion,
+ *       tutor1_telefono, tutor1_email, tutor1_direccion y tutor1_tipo_relacion. Se aceptan comas o
+ *       punto y coma como separador y un máximo de 5000 filas.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *       - in: query
+ *         name: batch_size
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *         description: Filas por transacción al importar
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Informe de la importación (o de la simulación)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dry_run:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 validas:
+ *                   type: integer
+ *                 importadas:
+ *                   type: integer
+ *                 creados:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       fila:
+ *                         type: integer
+ *                       id_paciente:
+ *                         type: string
+ *                         format: uuid
+ *                 errores:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       fila:
+ *                         type: integer
+ *                       identificacion:
+ *                         type: string
+ *                         nullable: true
+ *                       errores:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             campo:
+ *                               type: string
+ *                               nullable: true
+ *                             mensaje:
+ *                               type: string
+ *       400:
+ *         description: CSV inválido, vacío, con columnas desconocidas o parámetros inválidos
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), [
+  query('dry_run').optional().isBoolean().withMessage('dry_run debe ser true o false'),
+  query('batch_size').optional().isInt({ min: 1, max: 500 }).withMessage('batch_size debe estar entre 1 y 500'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      const error = new Error('Envíe el CSV en el cuerpo con Content-Type text/csv');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const dryRun = req.query.dry_run !== 'false';
+    const rows = parsePatientCsv(req.body);
+    logger.info('Importando pacientes desde CSV', { filas: rows.length, dry_run: dryRun, ip: req.ip });
+
+    // Igual que en POST /: sin centro explícito, el paciente queda en el centro del usuario
+    const centerFor = data => data.id_centro_salud || (req.centerScope.national ? null : req.centerScope.id_centro);
+    const pool = await poolPromise;
+    const report = await importPatients(pool, rows, {
+      dryRun,
+      batchSize: Number(req.query.batch_size) || undefined,
+      validate: async (data) => {
+        const rowErrors = await validateBody(validatePatientCreate, data);
+        const id_centro_salud = centerFor(data);
+        if (rowErrors.length === 0 && id_centro_salud && !canAccessCenter(req.centerScope, id_centro_salud)) {
+          rowErrors.push({ path: 'id_centro_salud', msg: 'Acceso denegado: el registro pertenece a otro centro' });
+        }
+        return rowErrors;
+      },
+      create: (transaction, data) => createPatient(transaction, data, centerFor(data)),
+    });
+
+    if (!dryRun) {
+      report.creados.forEach(({ id_paciente }) => registrarAuditoria({
+        tabla_afectada: 'Niños',
+        id_registro: id_paciente,
+        id_usuario: req.user.id_usuario,
+        id_cuenta: req.user.id_cuenta,
+        accion: 'INSERT',
+        detalles: 'Paciente creado por importación CSV',
+        ip_origen: req.ip,
+      }));
+      logger.info('Importación de pacientes completada', { importadas: report.importadas, errores: report.errores.length, ip: req.ip });
+    }
+    res.status(200).json(report);
+  } catch (err) {
+    logger.error('Error al importar pacientes', { error: err.stack, ip: req.ip });
+    const error = new Error(err.statusCode ? err.message : 'Error al importar pacientes');
+    error.statusCode = err.statusCode || 500;
+    error.data = err.data;
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/patients/{id}:
@@ -517,6 +1164,8 @@ router.post('/', [
  *         description: ID inválido
  *       404:
  *         description: Paciente no encontrado
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
  *       500:
  *         description: Error interno del servidor
  */
@@ -549,9 +1198,13 @@ router.get('/:id', [
           n.direccion_residencia,
           n.latitud,
           n.longitud,
+          n.latitud_cifrada,
+          n.longitud_cifrada,
           n.id_centro_salud,
           n.contacto_principal,
           n.estado,
+          n.id_archivo,
+          CAST(n.version_fila AS BIGINT) AS version,
           (
             SELECT 
               t.id_tutor,
@@ -578,23 +1231,9 @@ router.get('/:id', [
       error.statusCode = 404;
       throw error;
     }
+    assertCenterAccess(req.centerScope, result.recordset[0].id_centro_salud);
 
-    const patient = {
-      id_paciente: result.recordset[0].id_paciente,
-      nombre_completo: result.recordset[0].nombre_completo,
-      identificacion: result.recordset[0].identificacion,
-      nacionalidad: result.recordset[0].nacionalidad,
-      pais_nacimiento: result.recordset[0].pais_nacimiento,
-      fecha_nacimiento: result.recordset[0].fecha_nacimiento,
-      genero: result.recordset[0].genero,
-      direccion_residencia: result.recordset[0].direccion_residencia,
-      latitud: result.recordset[0].latitud,
-      longitud: result.recordset[0].longitud,
-      id_centro_salud: result.recordset[0].id_centro_salud,
-      contacto_principal: result.recordset[0].contacto_principal,
-      estado: result.recordset[0].estado,
-      tutores: result.recordset[0].tutores ? JSON.parse(result.recordset[0].tutores) : []
-    };
+    const patient = presentPatient(result.recordset[0], req.user);
 
     res.status(200).json(patient);
   } catch (err) {
@@ -606,6 +1245,394 @@ router.get('/:id', [
   }
 });
 
+/**
+ * @swagger
+ * /api/patients/{id}/card.pdf:
+ *   get:
+ *     summary: Descargar el carnet de vacunación del paciente en PDF
+ *     description: >
+ *       Incluye los datos del paciente, sus tutores activos, todas las dosis aplicadas
+ *       (vacuna, lote, fecha, centro y personal) y las próximas dosis del esquema.
+ *       El PDF se genera en el servidor, sin servicios externos.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [es, en]
+ *           default: es
+ *         description: Idioma del carnet
+ *     responses:
+ *       200:
+ *         description: Carnet de vacunación
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: ID o idioma inválido
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       404:
+ *         description: Paciente no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/:id/card.pdf', [
+  param('id').isUUID().withMessage('ID inválido'),
+  query('lang').optional().isIn(CARD_LANGUAGES).withMessage(`Idioma debe ser uno de: ${CARD_LANGUAGES.join(', ')}`),
+], async (req, res, next) => {
+  try {
+    logger.info('Generando carnet de vacunación', { id: req.params.id, lang: req.query.lang, ip: req.ip });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+    const pool = await poolPromise;
+    const card = await loadCardData(pool, req.params.id, req.user);
+    if (!card) {
+      logger.warn('Paciente no encontrado', { id: req.params.id, ip: req.ip });
+      const error = new Error('Paciente no encontrado');
+      error.statusCode = 404;
+      throw error;
+    }
+    assertCenterAccess(req.centerScope, card.paciente.id_centro_salud);
+
+    const pdf = await renderCard(card, req.query.lang);
+    res
+      .status(200)
+      .type('application/pdf')
+      .set('Content-Disposition', `inline; filename="carnet-vacunacion-${req.params.id}.pdf"`)
+      .send(pdf);
+  } catch (err) {
+    logger.error('Error al generar carnet de vacunación', { id: req.params.id, error: err.stack, ip: req.ip });
+    const error = new Error(err.statusCode ? err.message : 'Error al generar carnet de vacunación');
+    error.statusCode = err.statusCode || 500;
+    error.data = err.data;
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/patients/{id}/transfer:
+ *   post:
+ *     summary: Trasladar un paciente a otro centro de salud
+ *     description: >
+ *       Registra el traslado en el historial con su motivo, centros de origen y destino y fecha efectiva,
+ *       y actualiza el centro del paciente. Con trasladar_citas, las citas futuras pendientes o confirmadas
+ *       pasan al centro de destino. Los reportes de cobertura usan este historial para asignar cada niño
+ *       al centro que le correspondía en cada fecha.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [id_centro_destino, motivo]
+ *             properties:
+ *               id_centro_destino:
+ *                 type: string
+ *                 format: uuid
+ *               motivo:
+ *                 type: string
+ *                 maxLength: 500
+ *               fecha_efectiva:
+ *                 type: string
+ *                 format: date
+ *                 description: Por defecto, hoy. No puede ser futura ni anterior al último traslado.
+ *               trasladar_citas:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Traslado registrado
+ *       400:
+ *         description: Error en los datos enviados
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       404:
+ *         description: Paciente o centro de destino no encontrado
+ *       409:
+ *         description: El centro de destino no está activo, es el actual o la fecha es anterior al último traslado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/:id/transfer', [
+  param('id').isUUID().withMessage('ID inválido'),
+  body('id_centro_destino').isUUID().withMessage('ID de centro de destino inválido'),
+  body('motivo').isString().trim().notEmpty().isLength({ max: 500 }).withMessage('Motivo es requerido (máximo 500 caracteres)'),
+  body('fecha_efectiva').optional().isDate({ format: 'YYYY-MM-DD', strict: true }).withMessage('Fecha efectiva inválida (YYYY-MM-DD)'),
+  body('trasladar_citas').optional().isBoolean().withMessage('trasladar_citas debe ser booleano'),
+], async (req, res, next) => {
+  try {
+    logger.info('Trasladando paciente', { id: req.params.id, id_centro_destino: req.body?.id_centro_destino, ip: req.ip });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+    const pool = await poolPromise;
+    const transfer = await transferPatient(pool, {
+      id_niño: req.params.id,
+      id_centro_destino: req.body.id_centro_destino,
+      motivo: req.body.motivo,
+      fecha_efectiva: req.body.fecha_efectiva,
+      trasladar_citas: req.body.trasladar_citas === true,
+      id_usuario: req.user.id_usuario,
+      authorize: paciente => assertCenterAccess(req.centerScope, paciente.id_centro_salud),
+    });
+    registrarAuditoria({
+      tabla_afectada: 'Niños',
+      id_registro: req.params.id,
+      id_usuario: req.user.id_usuario,
+      id_cuenta: req.user.id_cuenta,
+      accion: 'UPDATE',
+      detalles: `Traslado ${transfer.id_traslado} de ${transfer.id_centro_origen || 'sin centro'} a ${transfer.id_centro_destino} ` +
+        `(efectivo ${transfer.fecha_efectiva}, ${transfer.citas_trasladadas} citas trasladadas): ${req.body.motivo}`,
+      ip_origen: req.ip,
+    });
+    logger.info('Paciente trasladado', { id: req.params.id, id_traslado: transfer.id_traslado, ip: req.ip });
+    res.status(201).json(transfer);
+  } catch (err) {
+    logger.error('Error al trasladar paciente', { id: req.params.id, error: err.stack, ip: req.ip });
+    const error = new Error(err.statusCode ? err.message : 'Error al trasladar paciente');
+    error.statusCode = err.statusCode || 500;
+    error.data = err.data;
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/patients/{id}/transfers:
+ *   get:
+ *     summary: Historial de traslados de un paciente entre centros
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Traslados del más reciente al más antiguo
+ *       400:
+ *         description: ID inválido
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       404:
+ *         description: Paciente no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/:id/transfers', [
+  param('id').isUUID().withMessage('ID inválido'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+    const pool = await poolPromise;
+    const exists = await pool
+      .request()
+      .input('id_paciente', sql.UniqueIdentifier, req.params.id)
+      .query('SELECT id_centro_salud FROM [dbo].[Niños] WHERE id_niño = @id_paciente');
+    if (exists.recordset.length === 0) {
+      const error = new Error('Paciente no encontrado');
+      error.statusCode = 404;
+      throw error;
+    }
+    // Staff of a center the child passed through may also read its history
+    const transfers = await listTransfers(pool, req.params.id);
+    const centers = [exists.recordset[0].id_centro_salud, ...transfers.map(t => t.id_centro_origen)];
+    if (!centers.some(id_centro => canAccessCenter(req.centerScope, id_centro))) {
+      assertCenterAccess(req.centerScope, exists.recordset[0].id_centro_salud);
+    }
+    res.status(200).json(transfers);
+  } catch (err) {
+    logger.error('Error al obtener traslados del paciente', { id: req.params.id, error: err.stack, ip: req.ip });
+    const error = new Error(err.statusCode ? err.message : 'Error al obtener traslados del paciente');
+    error.statusCode = err.statusCode || 500;
+    error.data = err.data;
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/patients/{id}/timeline:
+ *   get:
+ *     summary: Historial clínico unificado de un paciente
+ *     description: >
+ *       Reúne dosis, citas, alertas, eventos adversos, incidentes, traslados y cambios de tutores
+ *       en una sola lista cronológica paginada. Cada elemento trae un resumen legible y sus
+ *       detalles propios en `detalles`.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: tipos
+ *         schema:
+ *           type: string
+ *         description: Tipos separados por comas (dosis, cita, alerta, evento_adverso, incidente, traslado, tutor); por defecto todos
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: hasta
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Página del historial
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       tipo:
+ *                         type: string
+ *                       id_registro:
+ *                         type: string
+ *                         format: uuid
+ *                       fecha:
+ *                         type: string
+ *                         format: date-time
+ *                       resumen:
+ *                         type: string
+ *                       estado:
+ *                         type: string
+ *                         nullable: true
+ *                       detalles:
+ *                         type: object
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Parámetros inválidos
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       404:
+ *         description: Paciente no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/:id/timeline', [
+  param('id').isUUID().withMessage('ID inválido'),
+  query('tipos').optional().isString()
+    .custom(value => value.split(',').every(tipo => TIMELINE_TYPES.includes(tipo.trim())))
+    .withMessage(`Tipos inválidos; valores permitidos: ${TIMELINE_TYPES.join(', ')}`),
+  query('desde').optional().isISO8601().withMessage('Fecha desde inválida'),
+  query('hasta').optional().isISO8601().withMessage('Fecha hasta inválida'),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('Orden inválido'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Página inválida'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Límite debe estar entre 1 y 200'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+    const pool = await poolPromise;
+    const exists = await pool
+      .request()
+      .input('id_paciente', sql.UniqueIdentifier, req.params.id)
+      .query('SELECT id_centro_salud FROM [dbo].[Niños] WHERE id_niño = @id_paciente');
+    if (exists.recordset.length === 0) {
+      const error = new Error('Paciente no encontrado');
+      error.statusCode = 404;
+      throw error;
+    }
+    assertCenterAccess(req.centerScope, exists.recordset[0].id_centro_salud);
+
+    const timeline = await getTimeline(pool, req.params.id, {
+      tipos: req.query.tipos ? [...new Set(req.query.tipos.split(',').map(tipo => tipo.trim()))] : TIMELINE_TYPES,
+      desde: req.query.desde,
+      hasta: req.query.hasta,
+      order: req.query.order,
+      page: Number(req.query.page) || 1,
+      limit: Number(req.query.limit) || 50,
+    });
+    res.status(200).json(timeline);
+  } catch (err) {
+    logger.error('Error al obtener historial del paciente', { id: req.params.id, error: err.stack, ip: req.ip });
+    const error = new Error(err.statusCode ? err.message : 'Error al obtener historial del paciente');
+    error.statusCode = err.statusCode || 500;
+    error.data = err.data;
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/patients/{id}:
@@ -633,53 +1660,14 @@ router.get('/:id', [
  *         description: Error en los datos enviados
  *       404:
  *         description: Paciente no encontrado
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       409:
+ *         description: El paciente está archivado
  *       500:
  *         description: Error interno del servidor
  */
-router.put('/:id', [
-  param('id').isUUID().withMessage('ID inválido'),
-  body('nombre_completo').optional().notEmpty().isString().withMessage('Nombre completo debe ser una cadena válida'),
-  body('identificacion').optional().notEmpty().isString().withMessage('Identificación debe ser una cadena válida'),
-  body('nacionalidad').optional().notEmpty().isString().withMessage('Nacionalidad debe ser una cadena válida'),
-  body('pais_nacimiento').optional().notEmpty().isString().withMessage('País de nacimiento debe ser una cadena válida'),
-  body('fecha_nacimiento').optional().isISO8601().withMessage('Fecha de nacimiento inválida'),
-  body('genero').optional().isIn(['M', 'F', 'O']).withMessage('Género inválido'),
-  body('direccion_residencia').optional().isString().withMessage('Dirección debe ser una cadena válida'),
-  body('latitud').optional().isDecimal().withMessage('Latitud inválida'),
-  body('longitud').optional().isDecimal().withMessage('Longitud inválida'),
-  body('id_centro_salud').optional().isUUID().withMessage('ID de centro inválido'),
-  body('contacto_principal').optional().isString().withMessage('Contacto principal debe ser una cadena válida'),
-  body('tutores').optional().isArray({ min: 0, max: 3 }).withMessage('Debe asignarse hasta 3 tutores si se proporciona'),
-  body('tutores.*.nombre').optional().notEmpty().isString().withMessage('Nombre del tutor es requerido'),
-  body('tutores.*.relacion')
-    .optional()
-    .customSanitizer(value => {
-      if (typeof value === 'string') {
-        return value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
-      }
-      return value;
-    })
-    .isIn(['Madre', 'Padre', 'Tutor Legal']).withMessage('Relación inválida'),
-  body('tutores.*.nacionalidad').optional().notEmpty().isString().withMessage('Nacionalidad del tutor es requerida'),
-  body('tutores.*.identificacion').optional().isString().withMessage('Identificación del tutor debe ser una cadena válida'),
-  body('tutores.*.telefono').optional().isString().withMessage('Teléfono del tutor debe ser una cadena válida'),
-  body('tutores.*.email').optional().isEmail().withMessage('Email del tutor debe ser válido'),
-  body('tutores.*.direccion').optional().isString().withMessage('Dirección del tutor debe ser una cadena válida'),
-  body('tutores.*.tipo_relacion').optional().isIn(['Padre1', 'Padre2', 'TutorLegal']).withMessage('Tipo de relación inválido'),
-  body('tutor_ids').optional().isArray({ min: 0, max: 3 }).withMessage('Debe asignarse hasta 3 IDs de tutores si se proporciona'),
-  body('tutor_ids.*').optional().isUUID().withMessage('ID de tutor inválido'),
-  body('tutores').custom((tutores, { req }) => {
-    if (tutores && tutores.length > 0) {
-      const roles = tutores.map(t => t.tipo_relacion || 'TutorLegal');
-      const roleCount = {};
-      roles.forEach(r => { roleCount[r] = (roleCount[r] || 0) + 1; });
-      if (roleCount['Padre1'] > 1 || roleCount['Padre2'] > 1 || roleCount['TutorLegal'] > 1) {
-        throw new Error('Solo puede haber un Padre1, un Padre2 y un TutorLegal.');
-      }
-    }
-    return true;
-  }),
-], async (req, res, next) => {
+router.put('/:id', [param('id').isUUID().withMessage('ID inválido'), ...validatePatientUpdate], async (req, res, next) => {
   try {
     logger.info('Actualizando paciente', {
       id: req.params.id,
@@ -699,64 +1687,39 @@ router.put('/:id', [
     const exists = await pool
       .request()
       .input('id_paciente', sql.UniqueIdentifier, req.params.id)
-      .query('SELECT 1 FROM [dbo].[Niños] WHERE id_niño = @id_paciente');
+      .query('SELECT id_centro_salud, id_archivo FROM [dbo].[Niños] WHERE id_niño = @id_paciente');
     if (exists.recordset.length === 0) {
       logger.warn('Paciente no encontrado', { id: req.params.id, ip: req.ip });
       const error = new Error('Paciente no encontrado');
       error.statusCode = 404;
       throw error;
     }
-
-    const tvpTutores = new sql.Table();
-    tvpTutores.columns.add('nombre', sql.NVarChar(200));
-    tvpTutores.columns.add('relacion', sql.NVarChar(50));
-    tvpTutores.columns.add('nacionalidad', sql.NVarChar(100));
-    tvpTutores.columns.add('identificacion', sql.NVarChar(20));
-    tvpTutores.columns.add('telefono', sql.NVarChar(20));
-    tvpTutores.columns.add('email', sql.NVarChar(100));
-    tvpTutores.columns.add('direccion', sql.NVarChar(500));
-    tvpTutores.columns.add('tipo_relacion', sql.NVarChar(20));
-
-    if (req.body.tutores && req.body.tutores.length > 0) {
-      req.body.tutores.forEach(tutor => {
-        tvpTutores.rows.add(
-          tutor.nombre,
-          tutor.relacion,
-          tutor.nacionalidad,
-          tutor.identificacion || null,
-          tutor.telefono || null,
-          tutor.email || null,
-          tutor.direccion || null,
-          tutor.tipo_relacion || 'TutorLegal'
-        );
-      });
+    assertCenterAccess(req.centerScope, exists.recordset[0].id_centro_salud);
+    if (exists.recordset[0].id_archivo) {
+      const error = new Error('El paciente está archivado; restáurelo antes de modificarlo');
+      error.statusCode = 409;
+      throw error;
     }
-
-    const tvpTutorIds = new sql.Table();
-    tvpTutorIds.columns.add('id_tutor', sql.UniqueIdentifier);
-    if (req.body.tutor_ids && req.body.tutor_ids.length > 0) {
-      req.body.tutor_ids.forEach(id => {
-        tvpTutorIds.rows.add(id);
-      });
+    if (req.body.id_centro_salud) {
+      assertCenterAccess(req.centerScope, req.body.id_centro_salud);
+    }
+    if (req.body.identificacion) {
+      await assertUniqueIdentificacion(pool, req.body.identificacion, req.params.id);
     }
 
-    await pool
-      .request()
-      .input('id_paciente', sql.UniqueIdentifier, req.params.id)
-      .input('nombre_completo', sql.NVarChar, req.body.nombre_completo || null)
-      .input('identificacion', sql.NVarChar, req.body.identificacion || null)
-      .input('nacionalidad', sql.NVarChar, req.body.nacionalidad || null)
-      .input('pais_nacimiento', sql.NVarChar, req.body.pais_nacimiento || null)
-      .input('fecha_nacimiento', sql.Date, req.body.fecha_nacimiento || null)
-      .input('genero', sql.Char(1), req.body.genero || null)
-      .input('direccion_residencia', sql.NVarChar, req.body.direccion_residencia || null)
-      .input('latitud', sql.Decimal(9, 6), req.body.latitud || null)
-      .input('longitud', sql.Decimal(9, 6), req.body.longitud || null)
-      .input('id_centro_salud', sql.UniqueIdentifier, req.body.id_centro_salud || null)
-      .input('contacto_principal', sql.NVarChar, req.body.contacto_principal || null)
-      .input('tutores', tvpTutores)
-      .input('tutor_ids', tvpTutorIds)
-      .execute('sp_ActualizarNiño');
+    // The center change is recorded with the update, so neither is kept without the other
+    const previousCenter = exists.recordset[0].id_centro_salud;
+    await withTransaction(pool, async (transaction) => {
+      await updatePatient(transaction, req.params.id, req.body);
+      if (req.body.id_centro_salud && !sameCenter(previousCenter, req.body.id_centro_salud)) {
+        await recordCenterChange(transaction, {
+          id_niño: req.params.id,
+          id_centro_origen: previousCenter,
+          id_centro_destino: req.body.id_centro_salud,
+          id_usuario: req.user.id_usuario,
+        });
+      }
+    });
 
     res.status(204).send();
   } catch (err) {
@@ -772,7 +1735,12 @@ router.put('/:id', [
  * @swagger
  * /api/patients/{id}:
  *   delete:
- *     summary: Eliminar un paciente
+ *     summary: Archivar un paciente
+ *     description: >
+ *       El paciente no se borra: se archiva junto con su historial de vacunación, sus tutores y sus
+ *       citas, que dejan de aparecer en los listados por defecto. Puede restaurarse con
+ *       POST /api/patients/{id}/restore y solo se borra definitivamente al purgar, cuando vence
+ *       su plazo de retención.
  *     tags: [Patients]
  *     parameters:
  *       - in: path
@@ -782,21 +1750,58 @@ router.put('/:id', [
  *           type: string
  *           format: uuid
  *         description: ID del paciente
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [motivo]
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 maxLength: 500
  *     responses:
- *       204:
- *         description: Paciente eliminado exitosamente
+ *       200:
+ *         description: Paciente archivado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id_archivo:
+ *                   type: string
+ *                   format: uuid
+ *                 id_paciente:
+ *                   type: string
+ *                   format: uuid
+ *                 fecha_archivo:
+ *                   type: string
+ *                   format: date-time
+ *                 fecha_purga:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Fecha a partir de la cual puede purgarse
+ *                 registros:
+ *                   type: object
+ *                   description: Registros archivados con el paciente (historial, tutores, citas)
  *       400:
- *         description: ID inválido
+ *         description: ID inválido o falta el motivo
  *       404:
  *         description: Paciente no encontrado
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       409:
+ *         description: El paciente ya está archivado
  *       500:
  *         description: Error interno del servidor
  */
 router.delete('/:id', [
   param('id').isUUID().withMessage('ID inválido'),
+  body('motivo').isString().trim().notEmpty().isLength({ max: 500 }).withMessage('Motivo es requerido (máximo 500 caracteres)'),
 ], async (req, res, next) => {
   try {
-    logger.info('Eliminando paciente', { id: req.params.id, ip: req.ip });
+    logger.info('Archivando paciente', { id: req.params.id, ip: req.ip });
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
@@ -806,26 +1811,94 @@ router.delete('/:id', [
       throw error;
     }
     const pool = await poolPromise;
-    const exists = await pool
-      .request()
-      .input('id_paciente', sql.UniqueIdentifier, req.params.id)
-      .query('SELECT 1 FROM [dbo].[Niños] WHERE id_niño = @id_paciente');
-    if (exists.recordset.length === 0) {
-      logger.warn('Paciente no encontrado', { id: req.params.id, ip: req.ip });
-      const error = new Error('Paciente no encontrado');
-      error.statusCode = 404;
+    const archived = await archivePatient(pool, {
+      id_niño: req.params.id,
+      motivo: req.body.motivo,
+      id_usuario: req.user.id_usuario,
+      authorize: paciente => assertCenterAccess(req.centerScope, paciente.id_centro_salud),
+    });
+    registrarAuditoria({
+      tabla_afectada: 'Niños',
+      id_registro: req.params.id,
+      id_usuario: req.user.id_usuario,
+      id_cuenta: req.user.id_cuenta,
+      accion: 'DELETE',
+      detalles: `Paciente archivado (archivo ${archived.id_archivo}): ${req.body.motivo}`,
+      ip_origen: req.ip,
+    });
+    res.status(200).json(archived);
+  } catch (err) {
+    logger.error('Error al archivar paciente', { id: req.params.id, error: err.stack, ip: req.ip });
+    const error = new Error(err.statusCode ? err.message : 'Error al archivar paciente');
+    error.statusCode = err.statusCode || 500;
+    error.data = err.data;
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/patients/{id}/restore:
+ *   post:
+ *     summary: Restaurar un paciente archivado
+ *     description: Restaura también el historial, los tutores y las citas que se archivaron con él.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID del paciente
+ *     responses:
+ *       200:
+ *         description: Paciente restaurado
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Paciente no encontrado
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       409:
+ *         description: El paciente no está archivado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/:id/restore', [
+  param('id').isUUID().withMessage('ID inválido'),
+], async (req, res, next) => {
+  try {
+    logger.info('Restaurando paciente archivado', { id: req.params.id, ip: req.ip });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
       throw error;
     }
-    await pool
-      .request()
-      .input('id_paciente', sql.UniqueIdentifier, req.params.id)
-      .execute('sp_EliminarNiño');
-    res.status(204).send();
+    const pool = await poolPromise;
+    const restored = await restorePatient(pool, {
+      id_niño: req.params.id,
+      id_usuario: req.user.id_usuario,
+      authorize: paciente => assertCenterAccess(req.centerScope, paciente.id_centro_salud),
+    });
+    registrarAuditoria({
+      tabla_afectada: 'Niños',
+      id_registro: req.params.id,
+      id_usuario: req.user.id_usuario,
+      id_cuenta: req.user.id_cuenta,
+      accion: 'UPDATE',
+      detalles: `Paciente restaurado (archivo ${restored.id_archivo})`,
+      ip_origen: req.ip,
+    });
+    res.status(200).json(restored);
   } catch (err) {
-    logger.error('Error al eliminar paciente', { id: req.params.id, error: err.stack, ip: req.ip });
-    const error = new Error(err.message || 'Error al eliminar paciente');
+    logger.error('Error al restaurar paciente', { id: req.params.id, error: err.stack, ip: req.ip });
+    const error = new Error(err.statusCode ? err.message : 'Error al restaurar paciente');
     error.statusCode = err.statusCode || 500;
-    error.data = err.message ? { message: err.message } : null;
+    error.data = err.data;
     next(error);
   }
 });
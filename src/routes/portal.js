@@ -0,0 +1,620 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { poolPromise, sql } = require('../config/db');
+const { getChildIds, assertOwnChild } = require('../services/tutorScope');
+const { CARD_LANGUAGES, loadCardData, renderCard } = require('../services/vaccinationCard');
+
+const router = express.Router();
+
+const logger = require('../config/logger');
+
+const validateUUID = param('id').isUUID().withMessage('ID inválido');
+
+const validateAppointmentRequest = [
+  body('tipo').isIn(['Nueva', 'Reprogramar', 'Cancelar']).withMessage('Tipo de solicitud inválido'),
+  body('id_cita')
+    .if(body('tipo').isIn(['Reprogramar', 'Cancelar']))
+    .isUUID().withMessage('ID de cita es requerido para reprogramar o cancelar'),
+  body('fecha_solicitada')
+    .if(body('tipo').isIn(['Nueva', 'Reprogramar']))
+    .isISO8601().withMessage('Fecha solicitada inválida')
+    .bail()
+    .custom(value => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('La fecha solicitada debe ser futura');
+      }
+      return true;
+    }),
+  body('motivo').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Motivo debe tener como máximo 500 caracteres'),
+];
+
+const CHILD_PROFILE = `
+  SELECT
+    n.id_niño,
+    n.nombre_completo,
+    n.fecha_nacimiento,
+    n.genero,
+    n.id_centro_salud,
+    c.nombre_centro,
+    n.estado
+  FROM Niños n
+  LEFT JOIN Centros_Vacunacion c ON c.id_centro = n.id_centro_salud
+  WHERE n.id_archivo IS NULL`;
+
+const CHILD_DOSES = `
+  SELECT
+    h.id_historial,
+    h.fecha_vacunacion,
+    h.dosis_aplicada,
+    h.sitio_aplicacion,
+    v.nombre AS vacuna,
+    l.numero_lote,
+    c.nombre_centro
+  FROM Historial_Vacunacion_Alterna h
+  INNER JOIN Lotes_Vacunas l ON l.id_lote = h.id_lote
+  INNER JOIN Vacunas v ON v.id_vacuna = l.id_vacuna
+  LEFT JOIN Centros_Vacunacion c ON c.id_centro = COALESCE(h.id_centro, l.id_centro)
+  WHERE h.id_niño = @id_niño AND h.estado_registro = 'Vigente'
+  ORDER BY h.fecha_vacunacion`;
+
+// Every portal request resolves the tutor's own children once
+router.use(async (req, res, next) => {
+  try {
+    const pool = await poolPromise;
+    req.tutorChildren = await getChildIds(pool, req.user.id_usuario);
+    next();
+  } catch (err) {
+    logger.error('Error al resolver los niños del tutor', { id_usuario: req.user.id_usuario, error: err.message, ip: req.ip });
+    const error = new Error('Error al resolver los niños del tutor');
+    error.statusCode = 500;
+    next(error);
+  }
+});
+
+// Validates :id and checks that the child belongs to the authenticated tutor
+const ownChild = [
+  validateUUID,
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      return next(error);
+    }
+    try {
+      assertOwnChild(req.tutorChildren, req.params.id);
+      next();
+    } catch (err) {
+      logger.warn('Tutor intentó acceder a un niño ajeno', { id: req.params.id, id_usuario: req.user.id_usuario, ip: req.ip });
+      next(err);
+    }
+  },
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Portal
+ *   description: Portal de tutores (solo lectura de sus propios hijos y solicitudes de cita)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PortalChild:
+ *       type: object
+ *       properties:
+ *         id_niño:
+ *           type: string
+ *           format: uuid
+ *         nombre_completo:
+ *           type: string
+ *         fecha_nacimiento:
+ *           type: string
+ *           format: date
+ *         genero:
+ *           type: string
+ *           enum: [M, F, O]
+ *         id_centro_salud:
+ *           type: string
+ *           format: uuid
+ *         nombre_centro:
+ *           type: string
+ *         estado:
+ *           type: string
+ *     PortalDose:
+ *       type: object
+ *       properties:
+ *         id_historial:
+ *           type: string
+ *           format: uuid
+ *         fecha_vacunacion:
+ *           type: string
+ *           format: date-time
+ *         dosis_aplicada:
+ *           type: integer
+ *         sitio_aplicacion:
+ *           type: string
+ *         vacuna:
+ *           type: string
+ *         numero_lote:
+ *           type: string
+ *         nombre_centro:
+ *           type: string
+ *     AppointmentRequestInput:
+ *       type: object
+ *       required:
+ *         - tipo
+ *       properties:
+ *         tipo:
+ *           type: string
+ *           enum: [Nueva, Reprogramar, Cancelar]
+ *         id_cita:
+ *           type: string
+ *           format: uuid
+ *           description: Requerido para Reprogramar y Cancelar
+ *         fecha_solicitada:
+ *           type: string
+ *           format: date-time
+ *           description: Requerida para Nueva y Reprogramar
+ *         motivo:
+ *           type: string
+ *           maxLength: 500
+ */
+
+/**
+ * @swagger
+ * /api/portal/children:
+ *   get:
+ *     summary: Listar los hijos del tutor autenticado
+ *     tags: [Portal]
+ *     responses:
+ *       200:
+ *         description: Lista de hijos obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PortalChild'
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/children', async (req, res, next) => {
+  try {
+    logger.info('Obteniendo hijos del tutor', { id_usuario: req.user.id_usuario, ip: req.ip });
+    if (req.tutorChildren.size === 0) {
+      return res.status(200).json([]);
+    }
+    const pool = await poolPromise;
+    const result = await pool
+      .request()
+      .input('ids', sql.NVarChar(sql.MAX), [...req.tutorChildren].join(','))
+      .query(`${CHILD_PROFILE}
+        AND n.id_niño IN (SELECT TRY_CONVERT(UNIQUEIDENTIFIER, value) FROM STRING_SPLIT(@ids, ','))
+        ORDER BY n.nombre_completo`);
+    res.status(200).json(result.recordset);
+  } catch (err) {
+    logger.error('Error al obtener hijos del tutor', { error: err.message, ip: req.ip });
+    const error = new Error('Error al obtener hijos del tutor');
+    error.statusCode = 500;
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/portal/children/{id}:
+ *   get:
+ *     summary: Obtener el perfil de un hijo del tutor autenticado
+ *     tags: [Portal]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Perfil obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PortalChild'
+ *       400:
+ *         description: ID inválido
+ *       403:
+ *         description: El niño no está asociado al tutor
+ *       404:
+ *         description: Niño no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/children/:id', ownChild, async (req, res, next) => {
+  try {
+    const pool = await poolPromise;
+    const result = await pool
+      .request()
+      .input('id_niño', sql.UniqueIdentifier, req.params.id)
+      .query(`${CHILD_PROFILE} AND n.id_niño = @id_niño`);
+    if (result.recordset.length === 0) {
+      const error = new Error('Niño no encontrado');
+      error.statusCode = 404;
+      throw error;
+    }
+    res.status(200).json(result.recordset[0]);
+  } catch (err) {
+    logger.error('Error al obtener perfil del niño', { id: req.params.id, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/portal/children/{id}/vaccination-history:
+ *   get:
+ *     summary: Historial de vacunación de un hijo del tutor autenticado
+ *     tags: [Portal]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Historial obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PortalDose'
+ *       400:
+ *         description: ID inválido
+ *       403:
+ *         description: El niño no está asociado al tutor
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/children/:id/vaccination-history', ownChild, async (req, res, next) => {
+  try {
+    const pool = await poolPromise;
+    const result = await pool
+      .request()
+      .input('id_niño', sql.UniqueIdentifier, req.params.id)
+      .query(CHILD_DOSES);
+    res.status(200).json(result.recordset);
+  } catch (err) {
+    logger.error('Error al obtener historial del niño', { id: req.params.id, error: err.message, ip: req.ip });
+    const error = new Error('Error al obtener historial de vacunación');
+    error.statusCode = 500;
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/portal/children/{id}/appointments:
+ *   get:
+ *     summary: Próximas citas de un hijo del tutor autenticado
+ *     tags: [Portal]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Citas pendientes o confirmadas a partir de hoy
+ *       400:
+ *         description: ID inválido
+ *       403:
+ *         description: El niño no está asociado al tutor
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/children/:id/appointments', ownChild, async (req, res, next) => {
+  try {
+    const pool = await poolPromise;
+    const result = await pool
+      .request()
+      .input('id_niño', sql.UniqueIdentifier, req.params.id)
+      .query(`
+        SELECT ci.id_cita, ci.fecha_cita, ci.estado, ci.id_centro, c.nombre_centro, c.direccion
+        FROM Citas ci
+        LEFT JOIN Centros_Vacunacion c ON c.id_centro = ci.id_centro
+        WHERE ci.id_niño = @id_niño
+          AND ci.fecha_cita >= SYSDATETIME()
+          AND ci.estado IN ('Pendiente', 'Confirmada')
+        ORDER BY ci.fecha_cita
+      `);
+    res.status(200).json(result.recordset);
+  } catch (err) {
+    logger.error('Error al obtener citas del niño', { id: req.params.id, error: err.message, ip: req.ip });
+    const error = new Error('Error al obtener citas');
+    error.statusCode = 500;
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/portal/children/{id}/certificate:
+ *   get:
+ *     summary: Certificado de vacunación de un hijo del tutor autenticado
+ *     tags: [Portal]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Datos del certificado (paciente y dosis aplicadas)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 paciente:
+ *                   $ref: '#/components/schemas/PortalChild'
+ *                 dosis:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PortalDose'
+ *                 fecha_emision:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: ID inválido
+ *       403:
+ *         description: El niño no está asociado al tutor
+ *       404:
+ *         description: Niño no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/children/:id/certificate', ownChild, async (req, res, next) => {
+  try {
+    const pool = await poolPromise;
+    const profile = await pool
+      .request()
+      .input('id_niño', sql.UniqueIdentifier, req.params.id)
+      .query(`${CHILD_PROFILE} AND n.id_niño = @id_niño`);
+    if (profile.recordset.length === 0) {
+      const error = new Error('Niño no encontrado');
+      error.statusCode = 404;
+      throw error;
+    }
+    const doses = await pool
+      .request()
+      .input('id_niño', sql.UniqueIdentifier, req.params.id)
+      .query(CHILD_DOSES);
+    res.status(200).json({
+      paciente: profile.recordset[0],
+      dosis: doses.recordset,
+      fecha_emision: new Date().toISOString(),
+    });
+  } catch (err) {
+    logger.error('Error al generar certificado', { id: req.params.id, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/portal/children/{id}/card.pdf:
+ *   get:
+ *     summary: Carnet de vacunación en PDF de un hijo del tutor autenticado
+ *     tags: [Portal]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [es, en]
+ *           default: es
+ *     responses:
+ *       200:
+ *         description: Carnet de vacunación
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: ID o idioma inválido
+ *       403:
+ *         description: El niño no está asociado al tutor
+ *       404:
+ *         description: Niño no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/children/:id/card.pdf', ownChild, async (req, res, next) => {
+  try {
+    const lang = req.query.lang || CARD_LANGUAGES[0];
+    if (!CARD_LANGUAGES.includes(lang)) {
+      const error = new Error(`Idioma debe ser uno de: ${CARD_LANGUAGES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    const pool = await poolPromise;
+    const card = await loadCardData(pool, req.params.id, req.user);
+    if (!card) {
+      const error = new Error('Niño no encontrado');
+      error.statusCode = 404;
+      throw error;
+    }
+    const pdf = await renderCard(card, lang);
+    res
+      .status(200)
+      .type('application/pdf')
+      .set('Content-Disposition', `inline; filename="carnet-vacunacion-${req.params.id}.pdf"`)
+      .send(pdf);
+  } catch (err) {
+    logger.error('Error al generar carnet de vacunación', { id: req.params.id, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/portal/children/{id}/appointment-requests:
+ *   get:
+ *     summary: Solicitudes de cita realizadas por el tutor para un hijo
+ *     tags: [Portal]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Lista de solicitudes
+ *       400:
+ *         description: ID inválido
+ *       403:
+ *         description: El niño no está asociado al tutor
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/children/:id/appointment-requests', ownChild, async (req, res, next) => {
+  try {
+    const pool = await poolPromise;
+    const result = await pool
+      .request()
+      .input('id_niño', sql.UniqueIdentifier, req.params.id)
+      .input('id_usuario', sql.UniqueIdentifier, req.user.id_usuario)
+      .query(`
+        SELECT id_solicitud, id_cita, tipo, fecha_solicitada, motivo, estado, respuesta, fecha_solicitud, fecha_resolucion
+        FROM Solicitudes_Cita
+        WHERE id_niño = @id_niño AND id_usuario_solicitante = @id_usuario
+        ORDER BY fecha_solicitud DESC
+      `);
+    res.status(200).json(result.recordset);
+  } catch (err) {
+    logger.error('Error al obtener solicitudes de cita', { id: req.params.id, error: err.message, ip: req.ip });
+    const error = new Error('Error al obtener solicitudes de cita');
+    error.statusCode = 500;
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/portal/children/{id}/appointment-requests:
+ *   post:
+ *     summary: Solicitar una cita nueva, o reprogramar o cancelar una existente
+ *     description: La solicitud queda pendiente hasta que el personal del centro la apruebe o rechace.
+ *     tags: [Portal]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AppointmentRequestInput'
+ *           example:
+ *             tipo: Reprogramar
+ *             id_cita: "5b0b5f2e-4f6e-4a38-9c1b-2f1f8c3f6a11"
+ *             fecha_solicitada: "2026-11-20T09:00:00"
+ *             motivo: "Viaje familiar"
+ *     responses:
+ *       201:
+ *         description: Solicitud registrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id_solicitud:
+ *                   type: string
+ *                   format: uuid
+ *       400:
+ *         description: Error en los datos enviados
+ *       403:
+ *         description: El niño no está asociado al tutor
+ *       404:
+ *         description: La cita no existe para este niño
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/children/:id/appointment-requests', [ownChild, validateAppointmentRequest], async (req, res, next) => {
+  try {
+    logger.info('Registrando solicitud de cita', { id_niño: req.params.id, tipo: req.body.tipo, ip: req.ip });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+    const pool = await poolPromise;
+    if (req.body.tipo !== 'Nueva') {
+      const cita = await pool
+        .request()
+        .input('id_cita', sql.UniqueIdentifier, req.body.id_cita)
+        .input('id_niño', sql.UniqueIdentifier, req.params.id)
+        .query(`SELECT estado FROM Citas WHERE id_cita = @id_cita AND id_niño = @id_niño`);
+      if (cita.recordset.length === 0) {
+        const error = new Error('Cita no encontrada para este niño');
+        error.statusCode = 404;
+        throw error;
+      }
+      if (!['Pendiente', 'Confirmada'].includes(cita.recordset[0].estado)) {
+        const error = new Error('Solo se pueden modificar citas pendientes o confirmadas');
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+    const result = await pool
+      .request()
+      .input('id_niño', sql.UniqueIdentifier, req.params.id)
+      .input('id_cita', sql.UniqueIdentifier, req.body.tipo === 'Nueva' ? null : req.body.id_cita)
+      .input('id_usuario', sql.UniqueIdentifier, req.user.id_usuario)
+      .input('tipo', sql.NVarChar(20), req.body.tipo)
+      .input('fecha_solicitada', sql.DateTime2, req.body.tipo === 'Cancelar' ? null : req.body.fecha_solicitada)
+      .input('motivo', sql.NVarChar(500), req.body.motivo || null)
+      .query(`
+        INSERT INTO Solicitudes_Cita (id_niño, id_cita, id_usuario_solicitante, tipo, fecha_solicitada, motivo)
+        OUTPUT INSERTED.id_solicitud
+        VALUES (@id_niño, @id_cita, @id_usuario, @tipo, @fecha_solicitada, @motivo)
+      `);
+    res.status(201).json({ id_solicitud: result.recordset[0].id_solicitud });
+  } catch (err) {
+    logger.error('Error al registrar solicitud de cita', { id: req.params.id, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+module.exports = router;
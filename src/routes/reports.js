@@ -1,22 +1,10 @@
 const express = require('express');
-const { param, validationResult } = require('express-validator');
+const { param, query, validationResult } = require('express-validator');
 const { poolPromise, sql } = require('../config/db');
-const winston = require('winston');
 
 const router = express.Router();
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-  ],
-});
+const logger = require('../config/logger');
 
 const validateUUID = param('id').isUUID().withMessage('ID inválido');
 
@@ -32,6 +20,10 @@ const validateUUID = param('id').isUUID().withMessage('ID inválido');
  * /api/reports/coverage/{id}:
  *   get:
  *     summary: Obtener cobertura de vacunación por centro
+ *     description: >
+ *       Por cada vacuna, cuántos niños activos asignados al centro en la fecha indicada tenían ya todas
+ *       las dosis requeridas. La asignación usa el historial de traslados, de modo que un niño cuenta
+ *       para el centro que le correspondía en esa fecha y no para el actual.
  *     tags: [Reports]
  *     parameters:
  *       - in: path
@@ -41,6 +33,12 @@ const validateUUID = param('id').isUUID().withMessage('ID inválido');
  *           type: string
  *           format: uuid
  *         description: ID del centro
+ *       - in: query
+ *         name: fecha
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha de corte (por defecto, hoy)
  *     responses:
  *       200:
  *         description: Cobertura obtenida exitosamente
@@ -53,6 +51,14 @@ const validateUUID = param('id').isUUID().withMessage('ID inválido');
  *                 properties:
  *                   centro:
  *                     type: string
+ *                   fecha:
+ *                     type: string
+ *                     format: date
+ *                   id_vacuna:
+ *                     type: string
+ *                     format: uuid
+ *                   vacuna:
+ *                     type: string
  *                   vacunados:
  *                     type: integer
  *                   total:
@@ -60,15 +66,18 @@ const validateUUID = param('id').isUUID().withMessage('ID inválido');
  *                   porcentaje:
  *                     type: number
  *       400:
- *         description: ID inválido
+ *         description: ID o fecha inválidos
  *       404:
  *         description: Centro no encontrado
  *       500:
  *         description: Error interno del servidor
  */
-router.get('/coverage/:id', validateUUID, async (req, res, next) => {
+router.get('/coverage/:id', [
+  validateUUID,
+  query('fecha').optional().isDate({ format: 'YYYY-MM-DD', strict: true }).withMessage('Fecha inválida (YYYY-MM-DD)'),
+], async (req, res, next) => {
   try {
-    logger.info('Obteniendo cobertura de vacunación por centro', { id_centro: req.params.id, ip: req.ip });
+    logger.info('Obteniendo cobertura de vacunación por centro', { id_centro: req.params.id, fecha: req.query.fecha, ip: req.ip });
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
@@ -77,12 +86,13 @@ router.get('/coverage/:id', validateUUID, async (req, res, next) => {
       error.data = errors.array();
       throw error;
     }
+    const fecha = req.query.fecha || new Date().toISOString().slice(0, 10);
     const pool = await poolPromise;
-    const exists = await pool
+    const center = await pool
       .request()
       .input('id_centro', sql.UniqueIdentifier, req.params.id)
-      .query('SELECT 1 FROM Centros WHERE id_centro = @id_centro');
-    if (exists.recordset.length === 0) {
+      .query('SELECT nombre_centro FROM Centros_Vacunacion WHERE id_centro = @id_centro');
+    if (center.recordset.length === 0) {
       logger.warn('Centro no encontrado', { id: req.params.id, ip: req.ip });
       const error = new Error('Centro no encontrado');
       error.statusCode = 404;
@@ -91,8 +101,39 @@ router.get('/coverage/:id', validateUUID, async (req, res, next) => {
     const result = await pool
       .request()
       .input('id_centro', sql.UniqueIdentifier, req.params.id)
-      .execute('sp_ObtenerCoberturaVacunacion');
-    res.status(200).json(result.recordset);
+      .input('fecha', sql.Date, fecha)
+      .query(`
+        WITH asignados AS (
+          SELECT n.id_niño
+          FROM fn_CentroPacienteEnFecha(@fecha) c
+          INNER JOIN Niños n ON n.id_niño = c.id_niño
+          WHERE c.id_centro = @id_centro AND n.estado = 'Activo' AND n.id_archivo IS NULL AND n.fecha_nacimiento <= @fecha
+        ),
+        completos AS (
+          SELECT l.id_vacuna, h.id_niño
+          FROM Historial_Vacunacion_Alterna h
+          INNER JOIN asignados a ON a.id_niño = h.id_niño
+          INNER JOIN Lotes_Vacunas l ON l.id_lote = h.id_lote
+          INNER JOIN Vacunas v ON v.id_vacuna = l.id_vacuna
+          WHERE h.fecha_vacunacion < DATEADD(DAY, 1, CAST(@fecha AS DATETIME2)) AND h.estado_registro = 'Vigente'
+          GROUP BY l.id_vacuna, h.id_niño, v.dosis_requeridas
+          HAVING COUNT(DISTINCT h.dosis_aplicada) >= v.dosis_requeridas
+        )
+        SELECT
+          v.id_vacuna,
+          v.nombre AS vacuna,
+          (SELECT COUNT(*) FROM asignados) AS total,
+          (SELECT COUNT(*) FROM completos c WHERE c.id_vacuna = v.id_vacuna) AS vacunados
+        FROM Vacunas v
+        ORDER BY v.nombre
+      `);
+    const centro = center.recordset[0].nombre_centro;
+    res.status(200).json(result.recordset.map(row => ({
+      centro,
+      fecha,
+      ...row,
+      porcentaje: row.total > 0 ? Math.round((row.vacunados * 10000) / row.total) / 100 : 0,
+    })));
   } catch (err) {
     logger.error('Error al obtener cobertura de vacunación', { id_centro: req.params.id, error: err.message, ip: req.ip });
     err.statusCode = err.statusCode || 500;
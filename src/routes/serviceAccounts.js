@@ -0,0 +1,652 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { poolPromise, sql } = require('../config/db');
+const apiKeys = require('../services/apiKeys');
+const { registrarAuditoria } = require('../services/audit');
+
+const router = express.Router();
+
+const logger = require('../config/logger');
+
+const validateUUID = param('id').isUUID().withMessage('ID inválido');
+const validateKeyId = param('keyId').isUUID().withMessage('ID de clave inválido');
+
+const validateScopes = body('alcances')
+  .isArray({ min: 1 }).withMessage('Debe indicar al menos un alcance')
+  .bail()
+  .custom(alcances => {
+    const invalid = apiKeys.invalidScopes(alcances);
+    if (invalid.length > 0) {
+      throw new Error(`Alcances no válidos: ${invalid.join(', ')}`);
+    }
+    return true;
+  });
+
+const validateExpiry = body('fecha_expiracion')
+  .optional({ nullable: true })
+  .isISO8601().withMessage('Fecha de expiración inválida')
+  .bail()
+  .custom(value => {
+    if (new Date(value) <= new Date()) {
+      throw new Error('La fecha de expiración debe ser futura');
+    }
+    return true;
+  });
+
+const validateAccount = [
+  body('nombre').isString().notEmpty().isLength({ max: 100 }).withMessage('Nombre es requerido (máximo 100 caracteres)'),
+  body('descripcion').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Descripción debe tener como máximo 500 caracteres'),
+  body('id_centro').optional({ nullable: true }).isUUID().withMessage('ID de centro inválido'),
+];
+
+const checkValidation = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Validación fallida', { errors: errors.array(), ip: req.ip });
+    const error = new Error('Validación fallida');
+    error.statusCode = 400;
+    error.data = errors.array();
+    throw error;
+  }
+};
+
+const loadAccount = async (pool, id_cuenta) => {
+  const result = await pool
+    .request()
+    .input('id_cuenta', sql.UniqueIdentifier, id_cuenta)
+    .query('SELECT * FROM Cuentas_Servicio WHERE id_cuenta = @id_cuenta');
+  if (result.recordset.length === 0) {
+    const error = new Error('Cuenta de servicio no encontrada');
+    error.statusCode = 404;
+    throw error;
+  }
+  return result.recordset[0];
+};
+
+const audit = (req, tabla_afectada, id_registro, accion, detalles) =>
+  registrarAuditoria({
+    tabla_afectada,
+    id_registro,
+    id_usuario: req.user.id_usuario,
+    accion,
+    detalles,
+    ip_origen: req.ip,
+  });
+
+const KEY_COLUMNS = `
+  id_clave, prefijo, alcances, fecha_creacion, fecha_expiracion, fecha_revocacion,
+  ultimo_uso, ultima_ip, total_usos,
+  CASE WHEN fecha_revocacion IS NULL AND fecha_expiracion > SYSDATETIME() THEN 1 ELSE 0 END AS activa`;
+
+/**
+ * @swagger
+ * tags:
+ *   name: ServiceAccounts
+ *   description: Cuentas de servicio y claves API para integraciones entre sistemas
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id_clave:
+ *           type: string
+ *           format: uuid
+ *         prefijo:
+ *           type: string
+ *           description: Identifica la clave sin revelar el secreto
+ *           example: 3f9a0c1b2d4e
+ *         alcances:
+ *           type: string
+ *           example: vaccinations:read,reports:read
+ *         fecha_expiracion:
+ *           type: string
+ *           format: date-time
+ *         fecha_revocacion:
+ *           type: string
+ *           format: date-time
+ *         ultimo_uso:
+ *           type: string
+ *           format: date-time
+ *         ultima_ip:
+ *           type: string
+ *         total_usos:
+ *           type: integer
+ *         activa:
+ *           type: boolean
+ *     IssuedApiKey:
+ *       type: object
+ *       properties:
+ *         id_clave:
+ *           type: string
+ *           format: uuid
+ *         prefijo:
+ *           type: string
+ *         apiKey:
+ *           type: string
+ *           description: Clave completa; solo se muestra en esta respuesta
+ *           example: sv_3f9a0c1b2d4e_Jk3...
+ *         fecha_expiracion:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/service-accounts:
+ *   get:
+ *     summary: Listar cuentas de servicio con el resumen de uso de sus claves
+ *     tags: [ServiceAccounts]
+ *     responses:
+ *       200:
+ *         description: Lista de cuentas obtenida exitosamente
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    logger.info('Obteniendo cuentas de servicio', { ip: req.ip });
+    const pool = await poolPromise;
+    const result = await pool.request().query(`
+      SELECT c.*,
+        (SELECT COUNT(*) FROM Claves_API k
+         WHERE k.id_cuenta = c.id_cuenta AND k.fecha_revocacion IS NULL AND k.fecha_expiracion > SYSDATETIME()) AS claves_activas,
+        (SELECT MAX(k.ultimo_uso) FROM Claves_API k WHERE k.id_cuenta = c.id_cuenta) AS ultimo_uso
+      FROM Cuentas_Servicio c
+      ORDER BY c.nombre
+    `);
+    res.status(200).json(result.recordset);
+  } catch (err) {
+    logger.error('Error al obtener cuentas de servicio', { error: err.message, ip: req.ip });
+    const error = new Error('Error al obtener cuentas de servicio');
+    error.statusCode = 500;
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/service-accounts:
+ *   post:
+ *     summary: Crear una cuenta de servicio y su primera clave API
+ *     tags: [ServiceAccounts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nombre
+ *               - alcances
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *                 example: Laboratorio Central
+ *               descripcion:
+ *                 type: string
+ *               id_centro:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Limita la cuenta a un centro; sin centro tiene alcance nacional
+ *               alcances:
+ *                 type: array
+ *                 description: Alcances '<recurso>:read' / '<recurso>:write'; 'identifiers:decrypt' devuelve en claro los datos identificativos cifrados (FHIR, HL7)
+ *                 items:
+ *                   type: string
+ *                 example: [vaccinations:read, reports:read]
+ *               fecha_expiracion:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Por defecto API_KEY_TTL_DAYS (365 días)
+ *     responses:
+ *       201:
+ *         description: Cuenta creada; la clave solo se muestra en esta respuesta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - type: object
+ *                   properties:
+ *                     id_cuenta:
+ *                       type: string
+ *                       format: uuid
+ *                 - $ref: '#/components/schemas/IssuedApiKey'
+ *       400:
+ *         description: Error en los datos enviados
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/', [validateAccount, validateScopes, validateExpiry], async (req, res, next) => {
+  try {
+    logger.info('Creando cuenta de servicio', { nombre: req.body.nombre, ip: req.ip });
+    checkValidation(req);
+    const pool = await poolPromise;
+    const result = await pool
+      .request()
+      .input('nombre', sql.NVarChar(100), req.body.nombre)
+      .input('descripcion', sql.NVarChar(500), req.body.descripcion || null)
+      .input('id_centro', sql.UniqueIdentifier, req.body.id_centro || null)
+      .input('id_usuario', sql.UniqueIdentifier, req.user.id_usuario)
+      .query(`
+        INSERT INTO Cuentas_Servicio (nombre, descripcion, id_centro, id_usuario_creador)
+        OUTPUT INSERTED.id_cuenta
+        VALUES (@nombre, @descripcion, @id_centro, @id_usuario)
+      `);
+    const id_cuenta = result.recordset[0].id_cuenta;
+    const key = await apiKeys.createKey(pool, id_cuenta, req.body);
+    await audit(req, 'Cuentas_Servicio', id_cuenta, 'INSERT', `Cuenta de servicio creada con alcances ${req.body.alcances.join(',')}`);
+    res.status(201).json({ id_cuenta, ...key });
+  } catch (err) {
+    logger.error('Error al crear cuenta de servicio', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/service-accounts/{id}:
+ *   get:
+ *     summary: Obtener una cuenta de servicio con sus claves (sin secretos)
+ *     tags: [ServiceAccounts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Cuenta obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 claves:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Cuenta de servicio no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/:id', validateUUID, async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const account = await loadAccount(pool, req.params.id);
+    const keys = await pool
+      .request()
+      .input('id_cuenta', sql.UniqueIdentifier, req.params.id)
+      .query(`SELECT ${KEY_COLUMNS} FROM Claves_API WHERE id_cuenta = @id_cuenta ORDER BY fecha_creacion DESC`);
+    res.status(200).json({ ...account, claves: keys.recordset });
+  } catch (err) {
+    logger.error('Error al obtener cuenta de servicio', { id: req.params.id, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/service-accounts/{id}:
+ *   put:
+ *     summary: Actualizar una cuenta de servicio
+ *     tags: [ServiceAccounts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nombre
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *               descripcion:
+ *                 type: string
+ *               id_centro:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       204:
+ *         description: Cuenta actualizada exitosamente
+ *       400:
+ *         description: Error en los datos enviados
+ *       404:
+ *         description: Cuenta de servicio no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.put('/:id', [validateUUID, validateAccount], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    await loadAccount(pool, req.params.id);
+    await pool
+      .request()
+      .input('id_cuenta', sql.UniqueIdentifier, req.params.id)
+      .input('nombre', sql.NVarChar(100), req.body.nombre)
+      .input('descripcion', sql.NVarChar(500), req.body.descripcion || null)
+      .input('id_centro', sql.UniqueIdentifier, req.body.id_centro || null)
+      .query('UPDATE Cuentas_Servicio SET nombre = @nombre, descripcion = @descripcion, id_centro = @id_centro WHERE id_cuenta = @id_cuenta');
+    await audit(req, 'Cuentas_Servicio', req.params.id, 'UPDATE', 'Cuenta de servicio actualizada');
+    res.status(204).send();
+  } catch (err) {
+    logger.error('Error al actualizar cuenta de servicio', { id: req.params.id, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/service-accounts/{id}:
+ *   delete:
+ *     summary: Desactivar una cuenta de servicio y revocar todas sus claves
+ *     tags: [ServiceAccounts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Cuenta desactivada
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Cuenta de servicio no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.delete('/:id', validateUUID, async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    await loadAccount(pool, req.params.id);
+    await pool
+      .request()
+      .input('id_cuenta', sql.UniqueIdentifier, req.params.id)
+      .query(`UPDATE Cuentas_Servicio SET estado = 'Inactivo' WHERE id_cuenta = @id_cuenta`);
+    await apiKeys.revokeAccountKeys(pool, req.params.id);
+    await audit(req, 'Cuentas_Servicio', req.params.id, 'DELETE', 'Cuenta de servicio desactivada y claves revocadas');
+    res.status(204).send();
+  } catch (err) {
+    logger.error('Error al desactivar cuenta de servicio', { id: req.params.id, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/service-accounts/{id}/keys:
+ *   post:
+ *     summary: Emitir una clave API adicional para la cuenta
+ *     tags: [ServiceAccounts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - alcances
+ *             properties:
+ *               alcances:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               fecha_expiracion:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Clave emitida; solo se muestra en esta respuesta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IssuedApiKey'
+ *       400:
+ *         description: Error en los datos enviados
+ *       404:
+ *         description: Cuenta de servicio no encontrada
+ *       409:
+ *         description: La cuenta está inactiva
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/:id/keys', [validateUUID, validateScopes, validateExpiry], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const account = await loadAccount(pool, req.params.id);
+    if (account.estado !== 'Activo') {
+      const error = new Error('La cuenta de servicio está inactiva');
+      error.statusCode = 409;
+      throw error;
+    }
+    const key = await apiKeys.createKey(pool, req.params.id, req.body);
+    await audit(req, 'Claves_API', key.id_clave, 'INSERT', `Clave API emitida con alcances ${req.body.alcances.join(',')}`);
+    res.status(201).json(key);
+  } catch (err) {
+    logger.error('Error al emitir clave API', { id: req.params.id, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/service-accounts/{id}/keys/{keyId}/rotate:
+ *   post:
+ *     summary: Rotar una clave API
+ *     description: Emite una clave nueva con los mismos alcances. La clave anterior sigue siendo válida durante el periodo de gracia (API_KEY_ROTATION_GRACE_MS, 24 horas por defecto).
+ *     tags: [ServiceAccounts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fecha_expiracion:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Clave rotada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/IssuedApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     clave_anterior_expira:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Error en los datos enviados
+ *       404:
+ *         description: Clave no encontrada
+ *       409:
+ *         description: La clave ya está revocada o expirada
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/:id/keys/:keyId/rotate', [validateUUID, validateKeyId, validateExpiry], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const rotated = await apiKeys.rotateKey(pool, req.params.id, req.params.keyId, req.body || {});
+    await audit(req, 'Claves_API', req.params.keyId, 'UPDATE', `Clave API rotada; reemplazada por ${rotated.id_clave}`);
+    res.status(201).json(rotated);
+  } catch (err) {
+    logger.error('Error al rotar clave API', { id: req.params.keyId, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/service-accounts/{id}/keys/{keyId}:
+ *   delete:
+ *     summary: Revocar una clave API
+ *     tags: [ServiceAccounts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Clave revocada
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Clave no encontrada o ya revocada
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.delete('/:id/keys/:keyId', [validateUUID, validateKeyId], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const revoked = await apiKeys.revokeKey(pool, req.params.id, req.params.keyId);
+    if (!revoked) {
+      const error = new Error('Clave no encontrada o ya revocada');
+      error.statusCode = 404;
+      throw error;
+    }
+    await audit(req, 'Claves_API', req.params.keyId, 'UPDATE', 'Clave API revocada');
+    res.status(204).send();
+  } catch (err) {
+    logger.error('Error al revocar clave API', { id: req.params.keyId, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/service-accounts/{id}/keys/{keyId}/usage:
+ *   get:
+ *     summary: Consultar el uso reciente de una clave API
+ *     tags: [ServiceAccounts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Llamadas más recientes realizadas con la clave
+ *       400:
+ *         description: Parámetros inválidos
+ *       404:
+ *         description: Clave no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/:id/keys/:keyId/usage', [
+  validateUUID,
+  validateKeyId,
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Límite debe estar entre 1 y 500'),
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const key = await apiKeys.getKey(pool, req.params.id, req.params.keyId);
+    if (!key) {
+      const error = new Error('Clave no encontrada');
+      error.statusCode = 404;
+      throw error;
+    }
+    const result = await pool
+      .request()
+      .input('id_clave', sql.UniqueIdentifier, req.params.keyId)
+      .input('limit', sql.Int, Number(req.query.limit) || 100)
+      .query(`
+        SELECT TOP (@limit) metodo, ruta, codigo_respuesta, ip_origen, fecha_uso
+        FROM Uso_Claves_API
+        WHERE id_clave = @id_clave
+        ORDER BY fecha_uso DESC
+      `);
+    res.status(200).json({
+      ultimo_uso: key.ultimo_uso,
+      ultima_ip: key.ultima_ip,
+      total_usos: key.total_usos,
+      llamadas: result.recordset,
+    });
+  } catch (err) {
+    logger.error('Error al obtener uso de clave API', { id: req.params.keyId, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+module.exports = router;
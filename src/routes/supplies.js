@@ -1,22 +1,11 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const { poolPromise, sql } = require('../config/db');
-const winston = require('winston');
+const { assertCenterAccess, scopeCondition } = require('../services/centerScope');
 
 const router = express.Router();
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-  ],
-});
+const logger = require('../config/logger');
 
 const validateSupply = [
   body('nombre_suministro').notEmpty().isString().withMessage('Nombre del suministro es requerido'),
@@ -148,7 +137,9 @@ router.get('/', async (req, res, next) => {
   try {
     logger.info('Obteniendo suministros', { ip: req.ip });
     const pool = await poolPromise;
-    const result = await pool.request().query('SELECT * FROM Inventario_Suministros');
+    const request = pool.request();
+    const where = scopeCondition(request, req.centerScope, 'id_centro');
+    const result = await request.query(`SELECT * FROM Inventario_Suministros WHERE ${where}`);
     res.status(200).json(result.recordset);
   } catch (err) {
     logger.error('Error al obtener suministros', { error: err.message, ip: req.ip });
@@ -182,6 +173,8 @@ router.get('/', async (req, res, next) => {
  *         description: ID inválido
  *       404:
  *         description: Suministro no encontrado
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
  *       500:
  *         description: Error interno del servidor
  */
@@ -207,6 +200,7 @@ router.get('/:id', validateUUID, async (req, res, next) => {
       error.statusCode = 404;
       throw error;
     }
+    assertCenterAccess(req.centerScope, result.recordset[0].id_centro);
     res.status(200).json(result.recordset[0]);
   } catch (err) {
     logger.error('Error al obtener suministro', { id: req.params.id, error: err.message, ip: req.ip });
@@ -240,6 +234,8 @@ router.get('/:id', validateUUID, async (req, res, next) => {
  *                   format: uuid
  *       400:
  *         description: Error en los datos enviados
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
  *       500:
  *         description: Error interno del servidor
  */
@@ -254,6 +250,7 @@ router.post('/', validateSupply, async (req, res, next) => {
       error.data = errors.array();
       throw error;
     }
+    assertCenterAccess(req.centerScope, req.body.id_centro);
     const pool = await poolPromise;
     const result = await pool
       .request()
@@ -271,7 +268,7 @@ router.post('/', validateSupply, async (req, res, next) => {
   } catch (err) {
     logger.error('Error al crear suministro', { error: err.message, ip: req.ip });
     const error = new Error('Error al crear suministro');
-    error.statusCode = err.number === 50001 ? 400 : 500;
+    error.statusCode = err.statusCode || (err.number === 50001 ? 400 : 500);
     error.data = err.message;
     next(error);
   }
@@ -303,6 +300,8 @@ router.post('/', validateSupply, async (req, res, next) => {
  *         description: Error en los datos enviados
  *       404:
  *         description: Suministro no encontrado
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
  *       500:
  *         description: Error interno del servidor
  */
@@ -321,13 +320,15 @@ router.put('/:id', [validateUUID, validateSupply], async (req, res, next) => {
     const exists = await pool
       .request()
       .input('id_suministro', sql.UniqueIdentifier, req.params.id)
-      .query('SELECT 1 FROM Inventario_Suministros WHERE id_suministro = @id_suministro');
+      .query('SELECT id_centro FROM Inventario_Suministros WHERE id_suministro = @id_suministro');
     if (exists.recordset.length === 0) {
       logger.warn('Suministro no encontrado', { id: req.params.id, ip: req.ip });
       const error = new Error('Suministro no encontrado');
       error.statusCode = 404;
       throw error;
     }
+    assertCenterAccess(req.centerScope, exists.recordset[0].id_centro);
+    assertCenterAccess(req.centerScope, req.body.id_centro);
     await pool
       .request()
       .input('id_suministro', sql.UniqueIdentifier, req.params.id)
@@ -369,6 +370,8 @@ router.put('/:id', [validateUUID, validateSupply], async (req, res, next) => {
  *         description: ID inválido
  *       404:
  *         description: Suministro no encontrado
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
  *       500:
  *         description: Error interno del servidor
  */
@@ -387,13 +390,14 @@ router.delete('/:id', validateUUID, async (req, res, next) => {
     const exists = await pool
       .request()
       .input('id_suministro', sql.UniqueIdentifier, req.params.id)
-      .query('SELECT 1 FROM Inventario_Suministros WHERE id_suministro = @id_suministro');
+      .query('SELECT id_centro FROM Inventario_Suministros WHERE id_suministro = @id_suministro');
     if (exists.recordset.length === 0) {
       logger.warn('Suministro no encontrado', { id: req.params.id, ip: req.ip });
       const error = new Error('Suministro no encontrado');
       error.statusCode = 404;
       throw error;
     }
+    assertCenterAccess(req.centerScope, exists.recordset[0].id_centro);
     await pool
       .request()
       .input('id_suministro', sql.UniqueIdentifier, req.params.id)
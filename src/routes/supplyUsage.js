@@ -1,34 +1,14 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { param, validationResult } = require('express-validator');
 const { poolPromise, sql } = require('../config/db');
-const winston = require('winston');
+const { validateSupplyUsage, createSupplyUsage } = require('../services/supplyUsage');
 
 const router = express.Router();
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-  ],
-});
+const logger = require('../config/logger');
 
 const validateUUID = param('id').isUUID().withMessage('ID inválido');
 
-const validateSupplyUsage = [
-  body('id_suministro').isUUID().withMessage('ID de suministro inválido'),
-  body('id_personal').isUUID().withMessage('ID de personal inválido'),
-  body('fecha_uso').isISO8601().withMessage('Fecha de uso inválida'),
-  body('cantidad').isFloat({ min: 0 }).withMessage('Cantidad debe ser un número positivo'),
-  body('descripcion').optional().isString().withMessage('Descripción debe ser una cadena válida'),
-  body('estado').isIn(['Registrado', 'Anulado']).withMessage('Estado inválido'),
-];
-
 /**
  * @swagger
  * tags:
@@ -234,16 +214,8 @@ router.post('/', validateSupplyUsage, async (req, res, next) => {
       throw error;
     }
     const pool = await poolPromise;
-    const result = await pool
-      .request()
-      .input('id_suministro', sql.UniqueIdentifier, req.body.id_suministro)
-      .input('id_personal', sql.UniqueIdentifier, req.body.id_personal)
-      .input('fecha_uso', sql.DateTime2, req.body.fecha_uso)
-      .input('cantidad', sql.Float, req.body.cantidad)
-      .input('descripcion', sql.NVarChar, req.body.descripcion)
-      .input('estado', sql.NVarChar, req.body.estado)
-      .execute('sp_CrearUsoSuministro');
-    res.status(201).json({ id_uso: result.recordset[0].id_uso });
+    const id_uso = await createSupplyUsage(pool, req.body);
+    res.status(201).json({ id_uso });
   } catch (err) {
     logger.error('Error al crear uso de suministro', { error: err.message, ip: req.ip });
     const error = new Error('Error al crear uso de suministro');
@@ -0,0 +1,343 @@
+const express = require('express');
+const { validationResult } = require('express-validator');
+const { poolPromise } = require('../config/db');
+const { registrarAuditoria } = require('../services/audit');
+const { describeOverride } = require('../services/doseRegistration');
+const { validateChangeset, validatePull, applyChange, pullReferenceData } = require('../services/offlineSync');
+
+const router = express.Router();
+
+const logger = require('../config/logger');
+
+const checkValidation = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Validación fallida', { errors: errors.array(), ip: req.ip });
+    const error = new Error('Validación fallida');
+    error.statusCode = 400;
+    error.data = errors.array();
+    throw error;
+  }
+};
+
+const AUDIT_TABLES = {
+  paciente: 'Niños',
+  vacunacion: 'Historial_Vacunacion_Alterna',
+  uso_suministro: 'Uso_Suministros',
+};
+
+const audit = (req, tabla_afectada, id_registro, accion, detalles) => registrarAuditoria({
+  tabla_afectada,
+  id_registro,
+  id_usuario: req.user.id_usuario,
+  accion,
+  detalles,
+  ip_origen: req.ip,
+});
+
+// Cada cambio aplicado se audita; también las excepciones de la dosis y la sobrescritura de un paciente
+const auditChange = (req, cambio, { id_servidor, dose, sobrescrito }) => {
+  const accion = cambio.operacion === 'crear' ? 'INSERT' : 'UPDATE';
+  audit(req, AUDIT_TABLES[cambio.tipo], id_servidor, accion, `Sincronización sin conexión (${cambio.tipo}, clave ${cambio.clave_idempotencia})`);
+  if (sobrescrito) {
+    audit(req, 'Niños', id_servidor, 'UPDATE', `Conflicto resuelto a favor del dispositivo: se sobrescribió la versión ${sobrescrito} (versión base ${cambio.version_base ?? 'del lote'})`);
+  }
+  (dose?.overrides || []).forEach(override => audit(req, 'Excepciones_Vacunacion', override.id_excepcion, 'INSERT', describeOverride({ id_historial: id_servidor, ...override })));
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Sync
+ *   description: >
+ *     Sincronización de los equipos de vacunación que trabajan sin conexión. El dispositivo envía sus
+ *     cambios en orden con POST /api/sync y descarga los datos de referencia con GET /api/sync/pull.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SyncChange:
+ *       type: object
+ *       required:
+ *         - clave_idempotencia
+ *         - tipo
+ *         - operacion
+ *         - datos
+ *       properties:
+ *         clave_idempotencia:
+ *           type: string
+ *           maxLength: 100
+ *           description: >
+ *             Clave única del cambio para el usuario. Un cambio ya aplicado con la misma clave no se
+ *             vuelve a aplicar y devuelve su resultado original con estado duplicado, por lo que un
+ *             lote interrumpido puede reenviarse completo.
+ *         tipo:
+ *           type: string
+ *           enum: [paciente, vacunacion, uso_suministro]
+ *         operacion:
+ *           type: string
+ *           enum: [crear, actualizar]
+ *           description: Los pacientes admiten crear y actualizar; vacunaciones y usos de suministros, solo crear
+ *         id_cliente:
+ *           type: string
+ *           maxLength: 100
+ *           description: >
+ *             ID generado por el dispositivo para el elemento creado. Los cambios posteriores, de este lote
+ *             o de lotes futuros del mismo usuario, pueden usarlo en lugar del ID del servidor (en id y en
+ *             datos.id_niño).
+ *         id:
+ *           type: string
+ *           description: Paciente a actualizar (ID del servidor o id_cliente)
+ *         version_base:
+ *           type: string
+ *           description: >
+ *             Versión del paciente sobre la que se hizo el cambio (campo version de GET
+ *             /api/patients/{id} o del resultado de un cambio sincronizado). Obligatoria al actualizar,
+ *             salvo para pacientes creados por el dispositivo en el mismo lote.
+ *         resolucion:
+ *           type: string
+ *           enum: [servidor, cliente]
+ *           default: servidor
+ *           description: Estrategia si el paciente cambió en el servidor desde version_base
+ *         datos:
+ *           type: object
+ *           description: >
+ *             Cuerpo que aceptaría POST /api/patients, PUT /api/patients/{id}, POST
+ *             /api/vaccination-history o POST /api/supply-usage, con las mismas validaciones
+ *       example:
+ *         clave_idempotencia: "tablet-07:2025-06-20:0003"
+ *         tipo: "vacunacion"
+ *         operacion: "crear"
+ *         id_cliente: "dosis-0003"
+ *         datos:
+ *           id_niño: "paciente-0001"
+ *           id_lote: "123e4567-e89b-12d3-a456-426614174007"
+ *           id_usuario: "123e4567-e89b-12d3-a456-426614174002"
+ *           fecha_vacunacion: "2025-06-20T10:30:00Z"
+ *           dosis_aplicada: 1
+ *     SyncResult:
+ *       type: object
+ *       properties:
+ *         indice:
+ *           type: integer
+ *           description: Posición del cambio en el lote
+ *         clave_idempotencia:
+ *           type: string
+ *         tipo:
+ *           type: string
+ *         operacion:
+ *           type: string
+ *         id_cliente:
+ *           type: string
+ *           nullable: true
+ *         estado:
+ *           type: string
+ *           enum: [aplicado, duplicado, conflicto, error]
+ *         id_servidor:
+ *           type: string
+ *           format: uuid
+ *           description: ID asignado por el servidor (aplicado o duplicado)
+ *         detalle:
+ *           type: object
+ *           description: >
+ *             Resultado del cambio: id_paciente y version para pacientes, la respuesta de POST
+ *             /api/vaccination-history para vacunaciones e id_uso para usos de suministros
+ *         error:
+ *           type: string
+ *           description: Motivo del conflicto o del error
+ *         conflicto:
+ *           type: object
+ *           description: >
+ *             Código del conflicto (PACIENTE_MODIFICADO, PACIENTE_ARCHIVADO, IDENTIFICACION_DUPLICADA o
+ *             el de la regla de dosis o de lote incumplida) y, cuando aplica, el estado del servidor. En
+ *             IDENTIFICACION_DUPLICADA el otro paciente solo se indica si pertenece a un centro accesible
+ *         data:
+ *           description: Errores de validación u otros datos del error
+ */
+
+/**
+ * @swagger
+ * /api/sync:
+ *   post:
+ *     summary: Aplicar un lote de cambios registrados sin conexión
+ *     description: >
+ *       Los cambios se aplican en el orden recibido, cada uno en su propia transacción, y la respuesta
+ *       informa el resultado de cada uno; un cambio que falla no detiene los siguientes, pero los que
+ *       referencian su id_cliente fallan también. Solo se guardan los cambios aplicados, así que un
+ *       conflicto o un error puede corregirse y reenviarse con la misma clave de idempotencia.
+ *       Cada cambio pasa las mismas validaciones, reglas de dosis, de lote y de centro que el endpoint
+ *       equivalente; un incumplimiento de esas reglas (409) se informa como conflicto.
+ *
+ *       Resolución de conflictos de pacientes: si el paciente se modificó en el servidor después de
+ *       version_base, gana el servidor. El cambio no se aplica y el resultado incluye la versión
+ *       actual; el dispositivo debe descargar el paciente, volver a aplicar sus cambios y reenviarlos
+ *       con la nueva version_base. Con resolucion cliente, los campos enviados se escriben sobre la
+ *       versión actual (los no enviados se conservan) y la sobrescritura queda auditada. Si otro
+ *       paciente ya tiene la identificación, el conflicto indica su ID para que el dispositivo
+ *       actualice ese paciente en lugar de crear uno nuevo.
+ *     tags: [Sync]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cambios
+ *             properties:
+ *               cambios:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 500
+ *                 items:
+ *                   $ref: '#/components/schemas/SyncChange'
+ *     responses:
+ *       200:
+ *         description: Resultado por cambio
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 resumen:
+ *                   type: object
+ *                   properties:
+ *                     aplicado:
+ *                       type: integer
+ *                     duplicado:
+ *                       type: integer
+ *                     conflicto:
+ *                       type: integer
+ *                     error:
+ *                       type: integer
+ *                 resultados:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SyncResult'
+ *       400:
+ *         description: El lote no tiene el formato esperado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/', validateChangeset, async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const context = { user: req.user, scope: req.centerScope, ids: new Map() };
+    const resultados = [];
+    for (const [indice, cambio] of req.body.cambios.entries()) {
+      const item = {
+        indice,
+        clave_idempotencia: cambio.clave_idempotencia,
+        tipo: cambio.tipo,
+        operacion: cambio.operacion,
+        id_cliente: cambio.id_cliente || null,
+      };
+      try {
+        const applied = await applyChange(pool, cambio, context);
+        if (applied.estado === 'aplicado') {
+          auditChange(req, cambio, applied);
+        }
+        resultados.push({ ...item, estado: applied.estado, id_servidor: applied.id_servidor, detalle: applied.detalle });
+      } catch (err) {
+        if (err.statusCode === 409) {
+          resultados.push({ ...item, estado: 'conflicto', error: err.message, conflicto: err.data });
+        } else if (err.statusCode && err.statusCode < 500) {
+          resultados.push({ ...item, estado: 'error', error: err.message, data: err.data });
+        } else {
+          logger.error('Error al aplicar cambio sincronizado', { indice, tipo: cambio.tipo, error: err.message, ip: req.ip });
+          resultados.push({ ...item, estado: 'error', error: 'Error interno al aplicar el cambio' });
+        }
+      }
+    }
+    const resumen = { aplicado: 0, duplicado: 0, conflicto: 0, error: 0 };
+    resultados.forEach(resultado => { resumen[resultado.estado] += 1; });
+    logger.info('Lote sincronizado', { ...resumen, ip: req.ip });
+    res.status(200).json({ resumen, resultados });
+  } catch (err) {
+    logger.error('Error al sincronizar lote', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/sync/pull:
+ *   get:
+ *     summary: Descargar los datos de referencia modificados desde un punto de control
+ *     description: >
+ *       Devuelve países, centros, vacunas, esquemas, lotes, suministros y reglas de observaciones
+ *       creados o modificados después de desde (todos si se omite), y el punto de control a enviar en
+ *       la próxima descarga. Lotes y suministros se limitan al centro del usuario. Las filas
+ *       eliminadas no se informan, por lo que el dispositivo debe hacer una descarga completa
+ *       periódicamente; las reglas desactivadas sí se devuelven, con activa en false.
+ *     tags: [Sync]
+ *     parameters:
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: string
+ *         description: punto_control devuelto por la descarga anterior
+ *     responses:
+ *       200:
+ *         description: Datos de referencia modificados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 punto_control:
+ *                   type: string
+ *                 completo:
+ *                   type: boolean
+ *                   description: true si es una descarga completa (sin desde)
+ *                 paises:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 centros:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 vacunas:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 esquemas:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 lotes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 suministros:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 reglas_observaciones:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Punto de control inválido
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/pull', validatePull, async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    const data = await pullReferenceData(pool, { desde: req.query.desde, scope: req.centerScope });
+    res.status(200).json(data);
+  } catch (err) {
+    logger.error('Error al descargar datos de referencia', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+module.exports = router;
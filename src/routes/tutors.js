@@ -1,23 +1,17 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const { poolPromise, sql } = require('../config/db');
-const winston = require('winston');
 const bcrypt = require('bcrypt');
+const { passwordPolicyValidator } = require('../services/passwords');
+const { getChildIds, isOwnChild } = require('../services/tutorScope');
+const { ROLES } = require('../config/permissions');
+const { sealFields, storeSealedColumns, revealFields } = require('../services/fieldEncryption');
+const { assertCanIncludeArchived } = require('../services/patientArchive');
+const { httpError } = require('../services/httpError');
 
 const router = express.Router();
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-  ],
-});
+const logger = require('../config/logger');
 
 const validateTutor = [
   body('id_niño')
@@ -47,10 +41,20 @@ const validateTutor = [
   body('username').notEmpty().isString().withMessage('Nombre de usuario es requerido'),
   body('password').notEmpty().isString().withMessage('Contraseña es requerida')
     .isLength({ min: 8 }).withMessage('La contraseña debe tener al menos 8 caracteres'),
+  passwordPolicyValidator('password'),
 ];
 
 const validateUUID = param('id').isUUID().withMessage('ID inválido');
 
+// identificacion, telefono and email are stored encrypted; only the fields present in the body are rewritten
+const sealTutor = (body) => {
+  const sensitive = {};
+  ['identificacion', 'telefono', 'email'].forEach(field => {
+    if (body[field] !== undefined) sensitive[field] = body[field] || null;
+  });
+  return sealFields('Tutores', sensitive);
+};
+
 /**
  * @swagger
  * tags:
@@ -90,7 +94,7 @@ const validateUUID = param('id').isUUID().withMessage('ID inválido');
  *           description: Gentilicio del país de nacionalidad
  *         identificacion:
  *           type: string
- *           description: Número de identificación del tutor (opcional)
+ *           description: Número de identificación del tutor (opcional; se guarda cifrado y se enmascara para roles no clínicos)
  *           nullable: true
  *         telefono:
  *           type: string
@@ -257,6 +261,13 @@ const validateUUID = param('id').isUUID().withMessage('ID inválido');
  *   get:
  *     summary: Listar todos los tutores
  *     tags: [Tutors]
+ *     parameters:
+ *       - in: query
+ *         name: incluir_archivados
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Incluir los tutores de pacientes archivados (solo director y administrador; 403 para el resto)
  *     responses:
  *       200:
  *         description: Lista de tutores obtenida exitosamente
@@ -273,13 +284,13 @@ router.get('/', async (req, res, next) => {
   try {
     logger.info('Obteniendo todos los tutores', { ip: req.ip });
     const pool = await poolPromise;
-    const result = await pool.request().query('SELECT * FROM Tutores');
-    res.status(200).json(result.recordset);
+    assertCanIncludeArchived(req.user, req.query.incluir_archivados);
+    const archived = req.query.incluir_archivados === 'true' ? '' : ' WHERE id_archivo IS NULL';
+    const result = await pool.request().query(`SELECT * FROM Tutores${archived}`);
+    res.status(200).json(result.recordset.map(tutor => revealFields('Tutores', tutor, req.user)));
   } catch (err) {
     logger.error('Error al obtener tutores', { error: err.message, ip: req.ip });
-    const error = new Error('Error al obtener tutores');
-    error.statusCode = 500;
-    next(error);
+    next(httpError(err.statusCode ? err.message : 'Error al obtener tutores', err.statusCode || 500));
   }
 });
 
@@ -317,10 +328,7 @@ router.get('/:id', validateUUID, async (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
-      const error = new Error('Validación fallida');
-      error.statusCode = 400;
-      error.data = errors.array();
-      throw error;
+      throw httpError('Validación fallida', 400, errors.array());
     }
     const pool = await poolPromise;
     const result = await pool
@@ -329,11 +337,9 @@ router.get('/:id', validateUUID, async (req, res, next) => {
       .query('SELECT * FROM Tutores WHERE id_tutor = @id_tutor');
     if (result.recordset.length === 0) {
       logger.warn('Tutor no encontrado', { id: req.params.id, ip: req.ip });
-      const error = new Error('Tutor no encontrado');
-      error.statusCode = 404;
-      throw error;
+      throw httpError('Tutor no encontrado', 404);
     }
-    res.status(200).json(result.recordset[0]);
+    res.status(200).json(revealFields('Tutores', result.recordset[0], req.user));
   } catch (err) {
     logger.error('Error al obtener tutor', { id: req.params.id, error: err.message, ip: req.ip });
     err.statusCode = err.statusCode || 500;
@@ -388,10 +394,7 @@ router.post('/', validateTutor, async (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       logger.warn('Validación fallida', { errors: errors.array(), ip: req.ip });
-      const error = new Error('Validación fallida');
-      error.statusCode = 400;
-      error.data = errors.array();
-      throw error;
+      throw httpError('Validación fallida', 400, errors.array());
     }
 
     // Hash the password
@@ -399,14 +402,15 @@ router.post('/', validateTutor, async (req, res, next) => {
     const password_hash = await bcrypt.hash(req.body.password, saltRounds);
 
     const pool = await poolPromise;
+    const sealed = sealTutor(req.body);
     const request = pool.request()
       .input('id_niño', sql.UniqueIdentifier, req.body.id_niño || null)
       .input('nombre', sql.NVarChar, req.body.nombre)
       .input('relacion', sql.NVarChar, req.body.relacion)
       .input('nacionalidad', sql.NVarChar, req.body.nacionalidad)
-      .input('identificacion', sql.NVarChar, req.body.identificacion || null)
-      .input('telefono', sql.NVarChar, req.body.telefono || null)
-      .input('email', sql.NVarChar, req.body.email || null)
+      .input('identificacion', sql.NVarChar, sealed.values.identificacion || null)
+      .input('telefono', sql.NVarChar, sealed.values.telefono || null)
+      .input('email', sql.NVarChar, sealed.values.email || null)
       .input('direccion', sql.NVarChar, req.body.direccion || null)
       .input('username', sql.NVarChar, req.body.username)
       .input('password_hash', sql.NVarChar, password_hash)
@@ -421,14 +425,12 @@ router.post('/', validateTutor, async (req, res, next) => {
       logger.warn('No se obtuvo id_tutor o id_usuario del procedimiento almacenado', { ip: req.ip });
       throw new Error('No se pudo crear el tutor o el usuario');
     }
+    await storeSealedColumns(pool, 'Tutores', { column: 'id_tutor', type: sql.UniqueIdentifier, value: id_tutor }, sealed.columns);
 
     res.status(201).json({ id_tutor, id_usuario });
   } catch (err) {
     logger.error('Error al crear tutor y usuario', { error: err.message, ip: req.ip });
-    const error = new Error(err.message || 'Error al crear tutor y usuario');
-    error.statusCode = 400;
-    error.data = err.data || { message: err.message };
-    next(error);
+    next(httpError(err.message || 'Error al crear tutor y usuario', 400, err.data || { message: err.message }));
   }
 });
 
@@ -473,10 +475,7 @@ router.put('/:id', [validateUUID, validateTutor], async (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
-      const error = new Error('Validación fallida');
-      error.statusCode = 400;
-      error.data = errors.array();
-      throw error;
+      throw httpError('Validación fallida', 400, errors.array());
     }
     const pool = await poolPromise;
     const exists = await pool
@@ -485,10 +484,9 @@ router.put('/:id', [validateUUID, validateTutor], async (req, res, next) => {
       .query('SELECT 1 FROM Tutores WHERE id_tutor = @id_tutor');
     if (exists.recordset.length === 0) {
       logger.warn('Tutor no encontrado', { id: req.params.id, ip: req.ip });
-      const error = new Error('Tutor no encontrado');
-      error.statusCode = 404;
-      throw error;
+      throw httpError('Tutor no encontrado', 404);
     }
+    const sealed = sealTutor(req.body);
     await pool
       .request()
       .input('id_tutor', sql.UniqueIdentifier, req.params.id)
@@ -496,18 +494,16 @@ router.put('/:id', [validateUUID, validateTutor], async (req, res, next) => {
       .input('nombre', sql.NVarChar, req.body.nombre)
       .input('relacion', sql.NVarChar, req.body.relacion)
       .input('nacionalidad', sql.NVarChar, req.body.nacionalidad)
-      .input('identificacion', sql.NVarChar, req.body.identificacion || null)
-      .input('telefono', sql.NVarChar, req.body.telefono || null)
-      .input('email', sql.NVarChar, req.body.email || null)
+      .input('identificacion', sql.NVarChar, sealed.values.identificacion || null)
+      .input('telefono', sql.NVarChar, sealed.values.telefono || null)
+      .input('email', sql.NVarChar, sealed.values.email || null)
       .input('direccion', sql.NVarChar, req.body.direccion || null)
       .execute('sp_ActualizarTutor');
+    await storeSealedColumns(pool, 'Tutores', { column: 'id_tutor', type: sql.UniqueIdentifier, value: req.params.id }, sealed.columns);
     res.status(204).send();
   } catch (err) {
     logger.error('Error al actualizar tutor', { id: req.params.id, error: err.message, ip: req.ip });
-    const error = new Error(err.message || 'Error al actualizar tutor');
-    error.statusCode = err.statusCode || 500;
-    error.data = err.message ? { message: err.message } : null;
-    next(error);
+    next(httpError(err.message || 'Error al actualizar tutor', err.statusCode || 500, err.message ? { message: err.message } : null));
   }
 });
 
@@ -541,10 +537,7 @@ router.delete('/:id', validateUUID, async (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
-      const error = new Error('Validación fallida');
-      error.statusCode = 400;
-      error.data = errors.array();
-      throw error;
+      throw httpError('Validación fallida', 400, errors.array());
     }
     const pool = await poolPromise;
     const exists = await pool
@@ -553,9 +546,7 @@ router.delete('/:id', validateUUID, async (req, res, next) => {
       .query('SELECT 1 FROM Tutores WHERE id_tutor = @id_tutor');
     if (exists.recordset.length === 0) {
       logger.warn('Tutor no encontrado', { id: req.params.id, ip: req.ip });
-      const error = new Error('Tutor no encontrado');
-      error.statusCode = 404;
-      throw error;
+      throw httpError('Tutor no encontrado', 404);
     }
     await pool
       .request()
@@ -564,10 +555,8 @@ router.delete('/:id', validateUUID, async (req, res, next) => {
     res.status(204).send();
   } catch (err) {
     logger.error('Error al eliminar tutor', { id: req.params.id, error: err.message, ip: req.ip });
-    const error = new Error(err.message || 'Error al eliminar tutor');
-    error.statusCode = err.message.includes('vinculado a un niño') ? 400 : (err.statusCode || 500);
-    error.data = err.message ? { message: err.message } : null;
-    next(error);
+    const statusCode = err.message.includes('vinculado a un niño') ? 400 : (err.statusCode || 500);
+    next(httpError(err.message || 'Error al eliminar tutor', statusCode, err.message ? { message: err.message } : null));
   }
 });
 
@@ -596,6 +585,8 @@ router.delete('/:id', validateUUID, async (req, res, next) => {
  *                 $ref: '#/components/schemas/Niño'
  *       400:
  *         description: ID inválido
+ *       403:
+ *         description: Un tutor solo puede consultar sus propios niños
  *       404:
  *         description: Tutor no encontrado
  *       500:
@@ -607,10 +598,7 @@ router.get('/:id/children', validateUUID, async (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
-      const error = new Error('Validación fallida');
-      error.statusCode = 400;
-      error.data = errors.array();
-      throw error;
+      throw httpError('Validación fallida', 400, errors.array());
     }
 
     const pool = await poolPromise;
@@ -624,13 +612,23 @@ router.get('/:id/children', validateUUID, async (req, res, next) => {
       return res.status(200).json([]);
     }
 
-    res.status(200).json(result.recordset);
+    // A tutor token only ever sees its own children, whatever tutor ID is requested
+    const children = result.recordset.map(child => revealFields('Niños', child, req.user));
+    if (req.user.rol === ROLES.TUTOR) {
+      const childIds = await getChildIds(pool, req.user.id_usuario);
+      const ownChildren = children.filter(child => isOwnChild(childIds, child.id_niño));
+      if (ownChildren.length === 0) {
+        logger.warn('Tutor intentó consultar niños de otro tutor', { id: req.params.id, id_usuario: req.user.id_usuario, ip: req.ip });
+        throw httpError('Acceso denegado: el tutor consultado no corresponde al usuario', 403);
+      }
+      return res.status(200).json(ownChildren);
+    }
+
+    res.status(200).json(children);
   } catch (err) {
     logger.error('Error al obtener niños por tutor', { id: req.params.id, error: err.message, ip: req.ip });
-    const error = new Error(err.message || 'Error al obtener niños');
-    error.statusCode = err.message.includes('no existe') ? 404 : (err.statusCode || 500);
-    error.data = err.message ? { message: err.message } : null;
-    next(error);
+    const statusCode = err.message.includes('no existe') ? 404 : (err.statusCode || 500);
+    next(httpError(err.message || 'Error al obtener niños', statusCode, err.message ? { message: err.message } : null));
   }
 });
 
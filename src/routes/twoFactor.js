@@ -0,0 +1,433 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { poolPromise } = require('../config/db');
+const twoFactor = require('../services/twoFactor');
+const loginThrottle = require('../services/loginThrottle');
+const { registrarAuditoria } = require('../services/audit');
+const { ROLES } = require('../config/permissions');
+
+const router = express.Router();
+
+const logger = require('../config/logger');
+
+const validateCode = [
+  body('code').optional().isString().withMessage('Código inválido'),
+  body('recoveryCode').optional().isString().withMessage('Código de recuperación inválido'),
+  body().custom(value => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('Se requiere un código de verificación o de recuperación');
+    }
+    return true;
+  }),
+];
+
+const validatePolicy = [
+  param('rol').isIn(Object.values(ROLES)).withMessage('Rol inválido'),
+  body('obligatorio').isBoolean().withMessage('Obligatorio debe ser booleano'),
+];
+
+// Los códigos de confirmación cuentan para el mismo control de intentos que el inicio de sesión
+const checkThrottle = (req, res) => {
+  const attempt = loginThrottle.check(req.user.username, req.ip);
+  if (attempt.allowed) return;
+  res.set('Retry-After', String(Math.ceil(attempt.retryAfterMs / 1000)));
+  const locked = attempt.reason === 'locked' && attempt.scope === 'user';
+  const error = new Error(locked ? 'Cuenta bloqueada temporalmente' : 'Demasiados intentos');
+  error.statusCode = locked ? 423 : 429;
+  throw error;
+};
+
+const invalidCode = async (req) => {
+  const outcome = loginThrottle.recordFailure(req.user.username, req.ip);
+  logger.warn('Código de verificación inválido', { id_usuario: req.user.id_usuario, ip: req.ip });
+  if (outcome.userLocked) {
+    await registrarAuditoria({
+      tabla_afectada: 'Usuarios',
+      id_registro: req.user.id_usuario,
+      id_usuario: req.user.id_usuario,
+      accion: 'UPDATE',
+      detalles: `Bloqueo temporal de cuenta tras ${outcome.failures} códigos de verificación inválidos (${Math.round(outcome.lockoutMs / 60000)} min)`,
+      ip_origen: req.ip,
+    });
+  }
+  if (outcome.ipLocked) {
+    await registrarAuditoria({
+      tabla_afectada: 'Usuarios',
+      id_registro: req.user.id_usuario,
+      id_usuario: req.user.id_usuario,
+      accion: 'UPDATE',
+      detalles: `Bloqueo temporal de la IP ${req.ip} tras ${outcome.ipFailures} intentos fallidos (${Math.round(outcome.lockoutMs / 60000)} min)`,
+      ip_origen: req.ip,
+    });
+  }
+  const error = new Error('Código de verificación inválido');
+  error.statusCode = 401;
+  return error;
+};
+
+const checkValidation = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Validación fallida', { errors: errors.array(), ip: req.ip });
+    const error = new Error('Validación fallida');
+    error.statusCode = 400;
+    error.data = errors.array();
+    throw error;
+  }
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: TwoFactor
+ *   description: Autenticación de dos factores (TOTP) y códigos de recuperación
+ */
+
+/**
+ * @swagger
+ * /api/2fa/status:
+ *   get:
+ *     summary: Estado de la autenticación de dos factores del usuario autenticado
+ *     tags: [TwoFactor]
+ *     responses:
+ *       200:
+ *         description: Estado obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 habilitado:
+ *                   type: boolean
+ *                 obligatorio:
+ *                   type: boolean
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/status', async (req, res, next) => {
+  try {
+    const pool = await poolPromise;
+    const enrollment = await twoFactor.getEnrollment(pool, req.user.id_usuario);
+    const obligatorio = await twoFactor.isMandatoryForRole(pool, req.user.rol);
+    res.status(200).json({ habilitado: Boolean(enrollment?.habilitado), obligatorio });
+  } catch (err) {
+    logger.error('Error al obtener estado de dos factores', { error: err.message, ip: req.ip });
+    const error = new Error('Error al obtener estado de dos factores');
+    error.statusCode = 500;
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/2fa/setup:
+ *   post:
+ *     summary: Iniciar la configuración de TOTP (devuelve el secreto y la URI para el código QR)
+ *     tags: [TwoFactor]
+ *     responses:
+ *       200:
+ *         description: Secreto generado; debe confirmarse con POST /api/2fa/enable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   example: JBSWY3DPEHPK3PXP
+ *                 otpauthUri:
+ *                   type: string
+ *                   example: otpauth://totp/SistemaVacunacion%3Ajuanperez?secret=JBSWY3DPEHPK3PXP&issuer=SistemaVacunacion
+ *       409:
+ *         description: La autenticación de dos factores ya está activada
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/setup', async (req, res, next) => {
+  try {
+    logger.info('Iniciando configuración de dos factores', { id_usuario: req.user.id_usuario, ip: req.ip });
+    const pool = await poolPromise;
+    const enrollment = await twoFactor.startEnrollment(pool, req.user);
+    res.status(200).json(enrollment);
+  } catch (err) {
+    logger.error('Error al iniciar configuración de dos factores', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/2fa/enable:
+ *   post:
+ *     summary: Confirmar la configuración con un código TOTP y obtener los códigos de recuperación
+ *     tags: [TwoFactor]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Dos factores activado; los códigos de recuperación solo se muestran esta vez
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Validación fallida o configuración no iniciada
+ *       401:
+ *         description: Código de verificación inválido
+ *       409:
+ *         description: Ya estaba activado
+ *       423:
+ *         description: Cuenta bloqueada temporalmente por códigos inválidos
+ *       429:
+ *         description: Demasiados intentos; ver Retry-After
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/enable', [body('code').isString().notEmpty().withMessage('Código es requerido')], async (req, res, next) => {
+  try {
+    checkValidation(req);
+    checkThrottle(req, res);
+    const pool = await poolPromise;
+    let recoveryCodes;
+    try {
+      recoveryCodes = await twoFactor.activate(pool, req.user.id_usuario, req.body.code);
+    } catch (err) {
+      throw err.statusCode === 401 ? await invalidCode(req) : err;
+    }
+    await registrarAuditoria({
+      tabla_afectada: 'Usuarios',
+      id_registro: req.user.id_usuario,
+      id_usuario: req.user.id_usuario,
+      accion: 'UPDATE',
+      detalles: 'Activación de autenticación de dos factores',
+      ip_origen: req.ip,
+    });
+    logger.info('Dos factores activado', { id_usuario: req.user.id_usuario, ip: req.ip });
+    res.status(200).json({ recoveryCodes });
+  } catch (err) {
+    logger.error('Error al activar dos factores', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerar los códigos de recuperación (invalida los anteriores)
+ *     tags: [TwoFactor]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Nuevos códigos de recuperación
+ *       400:
+ *         description: Validación fallida
+ *       401:
+ *         description: Código de verificación inválido
+ *       423:
+ *         description: Cuenta bloqueada temporalmente por códigos inválidos
+ *       429:
+ *         description: Demasiados intentos; ver Retry-After
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/recovery-codes', validateCode, async (req, res, next) => {
+  try {
+    checkValidation(req);
+    checkThrottle(req, res);
+    const pool = await poolPromise;
+    if (!(await twoFactor.verifySecondFactor(pool, req.user.id_usuario, req.body))) {
+      throw await invalidCode(req);
+    }
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(pool, req.user.id_usuario);
+    logger.info('Códigos de recuperación regenerados', { id_usuario: req.user.id_usuario, ip: req.ip });
+    res.status(200).json({ recoveryCodes });
+  } catch (err) {
+    logger.error('Error al regenerar códigos de recuperación', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/2fa:
+ *   delete:
+ *     summary: Desactivar la autenticación de dos factores (no permitido si el rol la exige)
+ *     tags: [TwoFactor]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       204:
+ *         description: Dos factores desactivado
+ *       400:
+ *         description: Validación fallida
+ *       401:
+ *         description: Código de verificación inválido
+ *       403:
+ *         description: El rol del usuario exige dos factores
+ *       423:
+ *         description: Cuenta bloqueada temporalmente por códigos inválidos
+ *       429:
+ *         description: Demasiados intentos; ver Retry-After
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.delete('/', validateCode, async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const pool = await poolPromise;
+    if (await twoFactor.isMandatoryForRole(pool, req.user.rol)) {
+      const error = new Error('La autenticación de dos factores es obligatoria para su rol');
+      error.statusCode = 403;
+      throw error;
+    }
+    checkThrottle(req, res);
+    if (!(await twoFactor.verifySecondFactor(pool, req.user.id_usuario, req.body))) {
+      throw await invalidCode(req);
+    }
+    await twoFactor.disable(pool, req.user.id_usuario);
+    await registrarAuditoria({
+      tabla_afectada: 'Usuarios',
+      id_registro: req.user.id_usuario,
+      id_usuario: req.user.id_usuario,
+      accion: 'UPDATE',
+      detalles: 'Desactivación de autenticación de dos factores',
+      ip_origen: req.ip,
+    });
+    res.status(204).send();
+  } catch (err) {
+    logger.error('Error al desactivar dos factores', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/2fa/policy:
+ *   get:
+ *     summary: Listar la política de dos factores por rol
+ *     tags: [TwoFactor]
+ *     responses:
+ *       200:
+ *         description: Política obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   rol:
+ *                     type: string
+ *                   obligatorio:
+ *                     type: boolean
+ *                   fecha_actualizacion:
+ *                     type: string
+ *                     format: date-time
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/policy', async (req, res, next) => {
+  try {
+    const pool = await poolPromise;
+    res.status(200).json(await twoFactor.listPolicies(pool));
+  } catch (err) {
+    logger.error('Error al obtener política de dos factores', { error: err.message, ip: req.ip });
+    const error = new Error('Error al obtener política de dos factores');
+    error.statusCode = 500;
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/2fa/policy/{rol}:
+ *   put:
+ *     summary: Hacer obligatoria (u opcional) la autenticación de dos factores para un rol
+ *     tags: [TwoFactor]
+ *     parameters:
+ *       - in: path
+ *         name: rol
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [doctor, director, responsable, administrador, tutor]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - obligatorio
+ *             properties:
+ *               obligatorio:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       204:
+ *         description: Política actualizada
+ *       400:
+ *         description: Validación fallida
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.put('/policy/:rol', validatePolicy, async (req, res, next) => {
+  try {
+    checkValidation(req);
+    const obligatorio = req.body.obligatorio === true || req.body.obligatorio === 'true';
+    const pool = await poolPromise;
+    await twoFactor.setPolicy(pool, req.params.rol, obligatorio);
+    logger.info('Política de dos factores actualizada', {
+      rol: req.params.rol,
+      obligatorio,
+      id_usuario: req.user.id_usuario,
+      ip: req.ip,
+    });
+    res.status(204).send();
+  } catch (err) {
+    logger.error('Error al actualizar política de dos factores', { error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,16 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const { poolPromise, sql } = require('../config/db');
-const winston = require('winston');
+const tokenStore = require('../services/tokenStore');
+const loginThrottle = require('../services/loginThrottle');
+const { registrarAuditoria } = require('../services/audit');
+const passwords = require('../services/passwords');
+const { ROLES } = require('../config/permissions');
+const { revealPatient } = require('../services/fieldEncryption');
 
 const router = express.Router();
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-  ],
-});
+const logger = require('../config/logger');
 
 const validateUser = [
   body('nombre').notEmpty().isString().withMessage('Nombre es requerido'),
@@ -24,12 +18,19 @@ const validateUser = [
   body('id_centro').optional().isUUID().withMessage('ID de centro inválido'),
   body('username').notEmpty().isString().withMessage('Nombre de usuario es requerido'),
   body('password').notEmpty().isString().withMessage('Contraseña es requerida'),
+  passwords.passwordPolicyValidator('password'),
   body('email').optional().isEmail().withMessage('Email inválido'),
   body('telefono').optional().isString().matches(/^\+?[\d\s\-()]{7,15}$/).withMessage('Teléfono debe ser un número válido (e.g., +1-809-532-0001)'),
 ];
 
 const validateUUID = param('id').isUUID().withMessage('ID inválido');
 
+const validatePasswordChange = [
+  body('currentPassword').notEmpty().isString().withMessage('Contraseña actual es requerida'),
+  body('newPassword').notEmpty().isString().withMessage('Nueva contraseña es requerida'),
+  passwords.passwordPolicyValidator('newPassword'),
+];
+
 /**
  * @swagger
  * openapi: 3.0.3
@@ -371,6 +372,82 @@ router.post('/', validateUser, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/me/password:
+ *   put:
+ *     summary: Cambiar la contraseña del usuario autenticado
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 example: "password123"
+ *               newPassword:
+ *                 type: string
+ *                 example: "NuevaClave2025"
+ *     responses:
+ *       204:
+ *         description: Contraseña actualizada; las demás sesiones quedan revocadas
+ *       400:
+ *         description: Validación fallida, política de contraseñas incumplida o contraseña usada recientemente
+ *       401:
+ *         description: Contraseña actual incorrecta
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.put('/me/password', validatePasswordChange, async (req, res, next) => {
+  try {
+    logger.info('Cambiando contraseña del usuario autenticado', { id: req.user.id_usuario, ip: req.ip });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { id: req.user.id_usuario, errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+    const pool = await poolPromise;
+    const result = await pool
+      .request()
+      .input('id_usuario', sql.UniqueIdentifier, req.user.id_usuario)
+      .query('SELECT id_usuario, password_hash FROM Usuarios WHERE id_usuario = @id_usuario');
+    const user = result.recordset[0];
+    if (!user) {
+      const error = new Error('Usuario no encontrado');
+      error.statusCode = 404;
+      throw error;
+    }
+    const bcrypt = require('bcryptjs');
+    if (!(await bcrypt.compare(req.body.currentPassword, user.password_hash))) {
+      logger.warn('Contraseña actual incorrecta', { id: req.user.id_usuario, ip: req.ip });
+      const error = new Error('Contraseña actual incorrecta');
+      error.statusCode = 401;
+      throw error;
+    }
+    if (await passwords.isRecentlyUsed(pool, user.id_usuario, req.body.newPassword, user.password_hash)) {
+      const error = new Error('La contraseña fue utilizada recientemente');
+      error.statusCode = 400;
+      throw error;
+    }
+    await passwords.updatePassword(pool, user.id_usuario, req.body.newPassword);
+    tokenStore.revokeUser(user.id_usuario);
+    res.status(204).send();
+  } catch (err) {
+    logger.error('Error al cambiar contraseña', { id: req.user?.id_usuario, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
 /**
  * @swagger
  * /api/users/{id}:
@@ -575,6 +652,8 @@ router.delete('/:id', validateUUID, async (req, res, next) => {
       .request()
       .input('id_usuario', sql.UniqueIdentifier, req.params.id)
       .query('UPDATE Usuarios SET estado = \'Inactivo\' WHERE id_usuario = @id_usuario');
+    tokenStore.revokeUser(req.params.id);
+    logger.info('Sesiones del usuario revocadas', { id: req.params.id, ip: req.ip });
     res.status(204).send();
   } catch (err) {
     logger.error('Error al desactivar usuario', { id: req.params.id, error: err.message, ip: req.ip });
@@ -676,6 +755,89 @@ router.put('/:id/activate', validateUUID, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   put:
+ *     summary: Desbloquear una cuenta bloqueada por intentos fallidos de inicio de sesión
+ *     description: Levanta el bloqueo de la cuenta y retira sus intentos fallidos de las IP desde las que falló; una IP compartida sigue bloqueada si los fallos de otras cuentas alcanzan el máximo.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID del usuario
+ *     responses:
+ *       204:
+ *         description: Cuenta desbloqueada exitosamente
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Usuario no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Usuario no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al desbloquear usuario
+ */
+router.put('/:id/unlock', validateUUID, async (req, res, next) => {
+  try {
+    logger.info('Desbloqueando usuario', { id: req.params.id, ip: req.ip });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+    const pool = await poolPromise;
+    const result = await pool
+      .request()
+      .input('id_usuario', sql.UniqueIdentifier, req.params.id)
+      .query('SELECT username FROM Usuarios WHERE id_usuario = @id_usuario');
+    if (result.recordset.length === 0) {
+      logger.warn('Usuario no encontrado', { id: req.params.id, ip: req.ip });
+      const error = new Error('Usuario no encontrado');
+      error.statusCode = 404;
+      throw error;
+    }
+    const unlocked = loginThrottle.unlock(result.recordset[0].username);
+    const ips = unlocked.ips.length > 0 ? ` (intentos retirados de las IP: ${unlocked.ips.join(', ')})` : '';
+    await registrarAuditoria({
+      tabla_afectada: 'Usuarios',
+      id_registro: req.params.id,
+      id_usuario: req.user.id_usuario,
+      accion: 'UPDATE',
+      detalles: unlocked.user || unlocked.ips.length > 0
+        ? `Desbloqueo manual de cuenta bloqueada por intentos fallidos${ips}`
+        : 'Desbloqueo manual solicitado sobre una cuenta sin bloqueo activo',
+      ip_origen: req.ip,
+    });
+    res.status(204).send();
+  } catch (err) {
+    logger.error('Error al desbloquear usuario', { id: req.params.id, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
 /**
  * @swagger
  * /api/users/{userId}/patients:
@@ -701,6 +863,8 @@ router.put('/:id/activate', validateUUID, async (req, res, next) => {
  *                 $ref: '#/components/schemas/Niño'
  *       400:
  *         description: ID de usuario inválido
+ *       403:
+ *         description: Un tutor solo puede consultar sus propios pacientes
  *       404:
  *         description: Usuario no encontrado o no asociado a un tutor
  *       500:
@@ -729,13 +893,28 @@ router.get(
         });
       }
 
+      // Tutors may only list their own children
+      if (
+        req.user.rol === ROLES.TUTOR &&
+        req.params.userId.toLowerCase() !== String(req.user.id_usuario).toLowerCase()
+      ) {
+        logger.warn('Tutor intentó consultar pacientes de otro usuario', {
+          id_usuario: req.params.userId,
+          solicitante: req.user.id_usuario,
+          ip: req.ip,
+        });
+        return res.status(403).json({
+          message: 'Acceso denegado: solo puede consultar sus propios pacientes',
+        });
+      }
+
       const pool = await poolPromise;
       const result = await pool
         .request()
         .input('id_usuario', sql.UniqueIdentifier, req.params.userId)
         .execute('sp_ObtenerPacientesPorUsuario');
 
-      const pacientes = result.recordset;
+      const pacientes = result.recordset.map(row => revealPatient(row, req.user));
 
       if (pacientes.length === 0) {
         logger.info('No se encontraron pacientes para el usuario', {
@@ -1,43 +1,45 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const { poolPromise, sql } = require('../config/db'); // Ensure this path is correct
-const winston = require('winston');
+const { assertCenterAccess, scopeCondition } = require('../services/centerScope');
+const { registrarAuditoria } = require('../services/audit');
+const { withTransaction } = require('../services/transaction');
+const { loadRules, matchRules, openIncident } = require('../services/observationFlags');
+const {
+  validateVaccination,
+  getLotCenter,
+  checkDoseRules,
+  recordOverrides,
+  describeOverride,
+  prepareDose,
+  writeDose,
+  doseResponse,
+} = require('../services/doseRegistration');
+const { ENTERED_IN_ERROR, validateReason, amendDose, markEnteredInError, listVersions } = require('../services/doseVersions');
+const { assertCanIncludeArchived } = require('../services/patientArchive');
 
 const router = express.Router();
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-  ],
-});
-
-const validateVaccination = [
-  body('id_niño').isUUID().withMessage('ID de niño inválido'),
-  body('id_lote').isUUID().withMessage('ID de lote inválido'),
-  body('id_usuario').isUUID().withMessage('ID de usuario inválido'),
-  body('id_centro').optional({ nullable: true }).isUUID().withMessage('ID de centro inválido'),
-  body('fecha_vacunacion').isISO8601().withMessage('Fecha de vacunación inválida'),
-  body('dosis_aplicada').isInt({ min: 1 }).withMessage('Dosis aplicada debe ser un número positivo'),
-  body('sitio_aplicacion')
-    .optional({ nullable: true })
-    .isString()
-    .isLength({ max: 100 })
-    .withMessage('Sitio de aplicación debe ser una cadena válida (máximo 100 caracteres)'),
-  body('observaciones')
-    .optional({ nullable: true })
-    .isString()
-    .withMessage('Observaciones debe ser una cadena válida'),
-];
+const logger = require('../config/logger');
 
 const validateUUID = param('id').isUUID().withMessage('ID inválido');
 
+// A dose belongs to the center where it was applied, or to the lot's center when that is not recorded
+const RECORD_CENTER = 'COALESCE(h.id_centro, l.id_centro)';
+const FROM_HISTORY = `
+  FROM Historial_Vacunacion_Alterna h
+  LEFT JOIN Lotes_Vacunas l ON l.id_lote = h.id_lote`;
+
+const auditOverride = (req, override) => registrarAuditoria({
+  tabla_afectada: 'Excepciones_Vacunacion',
+  id_registro: override.id_excepcion,
+  id_usuario: req.user.id_usuario,
+  id_cuenta: req.user.id_cuenta,
+  accion: 'INSERT',
+  detalles: describeOverride(override),
+  ip_origen: req.ip,
+});
+
 const validateIncidente = [
   body('descripcion').isString().notEmpty().withMessage('Descripción es obligatoria'),
   body('fecha_reporte').isISO8601().withMessage('Fecha de reporte inválida'),
@@ -111,6 +113,13 @@ const validateIncidente = [
  *         usuario_responsable:
  *           type: string
  *           description: Nombre del usuario responsable
+ *         estado_registro:
+ *           type: string
+ *           enum: [Vigente, Error de registro]
+ *           description: Una dosis registrada por error se conserva, pero no cuenta como dosis aplicada
+ *         version:
+ *           type: integer
+ *           description: Versión vigente del registro (ver /api/vaccination-history/by-id/{id}/versions)
  *       example:
  *         id_historial: "123e4567-e89b-12d3-a456-426614174019"
  *         id_niño: "123e4567-e89b-12d3-a456-426614174006"
@@ -124,6 +133,8 @@ const validateIncidente = [
  *         nombre_vacuna: "Vacuna contra el sarampión"
  *         nombre_centro: "Centro de Salud Central"
  *         usuario_responsable: "Dr. Juan Pérez"
+ *         estado_registro: "Vigente"
+ *         version: 1
  *     VaccinationHistoryInput:
  *       type: object
  *       required:
@@ -157,6 +168,33 @@ const validateIncidente = [
  *         observaciones:
  *           type: string
  *           nullable: true
+ *         excepcion:
+ *           type: object
+ *           nullable: true
+ *           description: >
+ *             Autorización de un supervisor (director o administrador) para registrar una dosis que no
+ *             cumple el esquema de vacunación
+ *           properties:
+ *             justificacion:
+ *               type: string
+ *               minLength: 10
+ *               maxLength: 1000
+ *         id_vacuna:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Vacuna que se aplica; si se indica, el lote debe ser de esa vacuna
+ *         uso_emergencia:
+ *           type: object
+ *           nullable: true
+ *           description: >
+ *             Autorización de un supervisor (director o administrador) para usar un lote vencido, en
+ *             cuarentena o de otro centro. No se admite para un lote de otra vacuna.
+ *           properties:
+ *             justificacion:
+ *               type: string
+ *               minLength: 10
+ *               maxLength: 1000
  *       example:
  *         id_niño: "123e4567-e89b-12d3-a456-426614174006"
  *         id_lote: "123e4567-e89b-12d3-a456-426614174018"
@@ -166,6 +204,119 @@ const validateIncidente = [
  *         dosis_aplicada: 1
  *         sitio_aplicacion: "Espalda"
  *         observaciones: "Vacunación exitosa"
+ *     VaccinationAmendment:
+ *       allOf:
+ *         - $ref: '#/components/schemas/VaccinationHistoryInput'
+ *         - type: object
+ *           required:
+ *             - motivo
+ *           properties:
+ *             motivo:
+ *               type: string
+ *               minLength: 10
+ *               maxLength: 1000
+ *               description: Motivo de la corrección, guardado con la nueva versión
+ *     VaccinationHistoryVersion:
+ *       type: object
+ *       description: Estado completo de una dosis en una versión, con su autor, fecha y motivo
+ *       properties:
+ *         id_version:
+ *           type: string
+ *           format: uuid
+ *         version:
+ *           type: integer
+ *         tipo_cambio:
+ *           type: string
+ *           enum: [Registro, Enmienda, Error de registro]
+ *         id_niño:
+ *           type: string
+ *           format: uuid
+ *         id_lote:
+ *           type: string
+ *           format: uuid
+ *         id_usuario:
+ *           type: string
+ *           format: uuid
+ *         id_centro:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         fecha_vacunacion:
+ *           type: string
+ *           format: date-time
+ *         dosis_aplicada:
+ *           type: integer
+ *         sitio_aplicacion:
+ *           type: string
+ *           nullable: true
+ *         observaciones:
+ *           type: string
+ *           nullable: true
+ *         estado_registro:
+ *           type: string
+ *           enum: [Vigente, Error de registro]
+ *         motivo:
+ *           type: string
+ *           nullable: true
+ *           description: Obligatorio en enmiendas y errores; null en el registro
+ *         id_usuario_autor:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: >
+ *             Null en la versión de registro de dosis anteriores al control de versiones y en los cambios
+ *             hechos con una clave API
+ *         id_cuenta_autor:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Cuenta de servicio autora, en los cambios hechos con una clave API
+ *         autor:
+ *           type: string
+ *           nullable: true
+ *           description: Nombre del usuario o de la cuenta de servicio autora
+ *         fecha:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id_version: "123e4567-e89b-12d3-a456-426614174040"
+ *         version: 2
+ *         tipo_cambio: "Enmienda"
+ *         id_niño: "123e4567-e89b-12d3-a456-426614174006"
+ *         id_lote: "123e4567-e89b-12d3-a456-426614174018"
+ *         id_usuario: "123e4567-e89b-12d3-a456-426614174005"
+ *         id_centro: "123e4567-e89b-12d3-a456-426614174007"
+ *         fecha_vacunacion: "2025-06-20T14:00:00Z"
+ *         dosis_aplicada: 1
+ *         sitio_aplicacion: "Brazo izquierdo"
+ *         observaciones: "Vacunación exitosa"
+ *         estado_registro: "Vigente"
+ *         motivo: "Se registró el sitio de aplicación equivocado"
+ *         id_usuario_autor: "123e4567-e89b-12d3-a456-426614174005"
+ *         autor: "Dr. Juan Pérez"
+ *         fecha: "2025-06-21T09:00:00Z"
+ *     DoseRuleReason:
+ *       type: object
+ *       description: Motivo por el que una dosis no cumple el esquema de vacunación
+ *       properties:
+ *         codigo:
+ *           type: string
+ *           enum: [DOSIS_EXCEDIDA, DOSIS_REPETIDA, DOSIS_OMITIDA, ORDEN_CRONOLOGICO, SIN_ESQUEMA, EDAD_MINIMA, INTERVALO_MINIMO]
+ *         severidad:
+ *           type: string
+ *           enum: [error, advertencia]
+ *           description: Los errores impiden el registro salvo excepción; las advertencias no
+ *         mensaje:
+ *           type: string
+ *     LotProblem:
+ *       type: object
+ *       description: Motivo por el que un lote no puede usarse para una vacunación
+ *       properties:
+ *         codigo:
+ *           type: string
+ *           enum: [LOTE_VACUNA_DISTINTA, LOTE_EN_CUARENTENA, LOTE_VENCIDO, LOTE_OTRO_CENTRO]
+ *         mensaje:
+ *           type: string
  *     Incidente:
  *       type: object
  *       required:
@@ -201,6 +352,19 @@ const validateIncidente = [
  *   get:
  *     summary: Listar todos los historiales de vacunación
  *     tags: [Vaccinations]
+ *     parameters:
+ *       - in: query
+ *         name: incluir_archivados
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Incluir los historiales de pacientes archivados (solo director y administrador; 403 para el resto)
+ *       - in: query
+ *         name: incluir_errores
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Incluir las dosis registradas por error
  *     responses:
  *       200:
  *         description: Lista de historiales obtenida exitosamente
@@ -217,12 +381,17 @@ router.get('/', async (req, res, next) => {
   try {
     logger.info('Obteniendo historiales de vacunación', { ip: req.ip });
     const pool = await poolPromise;
-    const result = await pool.request().query('SELECT * FROM Historial_Vacunacion_Alterna');
+    const request = pool.request();
+    const where = scopeCondition(request, req.centerScope, RECORD_CENTER);
+    assertCanIncludeArchived(req.user, req.query.incluir_archivados);
+    const archived = req.query.incluir_archivados === 'true' ? '' : ' AND h.id_archivo IS NULL';
+    const valid = req.query.incluir_errores === 'true' ? '' : " AND h.estado_registro = 'Vigente'";
+    const result = await request.query(`SELECT h.* ${FROM_HISTORY} WHERE ${where}${archived}${valid}`);
     res.status(200).json(result.recordset);
   } catch (err) {
     logger.error('Error al obtener historiales de vacunación', { error: err.message, ip: req.ip });
-    const error = new Error('Error al obtener historiales de vacunación');
-    error.statusCode = 500;
+    const error = new Error(err.statusCode ? err.message : 'Error al obtener historiales de vacunación');
+    error.statusCode = err.statusCode || 500;
     next(error);
   }
 });
@@ -232,6 +401,7 @@ router.get('/', async (req, res, next) => {
  * /api/vaccination-history/by-id/{id}:
  *   get:
  *     summary: Obtener un historial de vacunación por ID
+ *     description: Devuelve la versión vigente, también si la dosis se registró por error.
  *     tags: [Vaccinations]
  *     parameters:
  *       - in: path
@@ -252,6 +422,8 @@ router.get('/', async (req, res, next) => {
  *         description: ID inválido
  *       404:
  *         description: Historial no encontrado
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
  *       500:
  *         description: Error interno del servidor
  */
@@ -264,20 +436,23 @@ router.get('/by-id/:id', validateUUID, async (req, res, next) => {
       const error = new Error('Validación fallida');
       error.statusCode = 400;
       error.data = errors.array();
+      error.expose = true;
       throw error;
     }
     const pool = await poolPromise;
     const result = await pool
       .request()
       .input('id_historial', sql.UniqueIdentifier, req.params.id)
-      .query('SELECT * FROM Historial_Vacunacion_Alterna WHERE id_historial = @id_historial');
+      .query(`SELECT h.*, ${RECORD_CENTER} AS centro_registro ${FROM_HISTORY} WHERE h.id_historial = @id_historial`);
     if (result.recordset.length === 0) {
       logger.warn('Historial no encontrado', { id: req.params.id, ip: req.ip });
       const error = new Error('Historial no encontrado');
       error.statusCode = 404;
       throw error;
     }
-    res.status(200).json(result.recordset[0]);
+    const { centro_registro, ...historial } = result.recordset[0];
+    assertCenterAccess(req.centerScope, centro_registro);
+    res.status(200).json(historial);
   } catch (err) {
     logger.error('Error al obtener historial de vacunación', { id: req.params.id, error: err.message, ip: req.ip });
     err.statusCode = err.statusCode || 500;
@@ -285,6 +460,73 @@ router.get('/by-id/:id', validateUUID, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/vaccination-history/by-id/{id}/versions:
+ *   get:
+ *     summary: Obtener todas las versiones de un historial de vacunación
+ *     description: >
+ *       Cada registro, corrección y marcado como error de la dosis, de la más antigua a la vigente, con
+ *       su autor, fecha y motivo.
+ *     tags: [Vaccinations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID del historial de vacunación
+ *     responses:
+ *       200:
+ *         description: Versiones obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/VaccinationHistoryVersion'
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Historial no encontrado
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/by-id/:id/versions', validateUUID, async (req, res, next) => {
+  try {
+    logger.info('Obteniendo versiones del historial de vacunación', { id: req.params.id, ip: req.ip });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      error.expose = true;
+      throw error;
+    }
+    const pool = await poolPromise;
+    const exists = await pool
+      .request()
+      .input('id_historial', sql.UniqueIdentifier, req.params.id)
+      .query(`SELECT ${RECORD_CENTER} AS id_centro ${FROM_HISTORY} WHERE h.id_historial = @id_historial`);
+    if (exists.recordset.length === 0) {
+      logger.warn('Historial no encontrado', { id: req.params.id, ip: req.ip });
+      const error = new Error('Historial no encontrado');
+      error.statusCode = 404;
+      throw error;
+    }
+    assertCenterAccess(req.centerScope, exists.recordset[0].id_centro);
+    res.status(200).json(await listVersions(pool, req.params.id));
+  } catch (err) {
+    logger.error('Error al obtener versiones del historial de vacunación', { id: req.params.id, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
 /**
  * @swagger
  * /api/vaccination-history/by-child/:id:
@@ -299,6 +541,12 @@ router.get('/by-id/:id', validateUUID, async (req, res, next) => {
  *           type: string
  *           format: uuid
  *         description: ID del niño
+ *       - in: query
+ *         name: incluir_errores
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Incluir las dosis registradas por error
  *     responses:
  *       200:
  *         description: Historial obtenido exitosamente
@@ -324,13 +572,14 @@ router.get('/by-child/:id', validateUUID, async (req, res, next) => {
       const error = new Error('Validación fallida');
       error.statusCode = 400;
       error.data = errors.array();
+      error.expose = true;
       throw error;
     }
     const pool = await poolPromise;
-    const result = await pool
-      .request()
-      .input('id_niño', sql.UniqueIdentifier, req.params.id)
-      .query('SELECT * FROM Historial_Vacunacion_Alterna WHERE id_niño = @id_niño');
+    const request = pool.request().input('id_niño', sql.UniqueIdentifier, req.params.id);
+    const where = scopeCondition(request, req.centerScope, RECORD_CENTER);
+    const valid = req.query.incluir_errores === 'true' ? '' : " AND h.estado_registro = 'Vigente'";
+    const result = await request.query(`SELECT h.* ${FROM_HISTORY} WHERE h.id_niño = @id_niño AND ${where}${valid}`);
     if (result.recordset.length === 0) {
       logger.warn('Historial no encontrado para el niño', { id_niño: req.params.id, ip: req.ip });
       const error = new Error('Historial no encontrado');
@@ -368,12 +617,59 @@ router.get('/by-child/:id', validateUUID, async (req, res, next) => {
  *                 id_historial:
  *                   type: string
  *                   format: uuid
+ *                 advertencias:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DoseRuleReason'
+ *                 excepcion:
+ *                   type: object
+ *                   description: Presente si la dosis se registró con una excepción autorizada
+ *                   properties:
+ *                     id_excepcion:
+ *                       type: string
+ *                       format: uuid
+ *                     motivos:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DoseRuleReason'
+ *                 uso_emergencia:
+ *                   type: object
+ *                   description: Presente si se usó el lote en una emergencia autorizada
+ *                   properties:
+ *                     id_excepcion:
+ *                       type: string
+ *                       format: uuid
+ *                     problemas:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LotProblem'
+ *                 incidente:
+ *                   type: object
+ *                   description: >
+ *                     Presente si las observaciones coinciden con una regla activa de /api/observation-rules;
+ *                     la dosis se registra igualmente y se abre un incidente vinculado para su seguimiento
+ *                   properties:
+ *                     id_incidente:
+ *                       type: string
+ *                       format: uuid
+ *                     reglas:
+ *                       type: array
+ *                       items:
+ *                         type: string
  *       400:
  *         description: Error en los datos enviados
  *       404:
  *         description: Recurso no encontrado (ej. niño, lote, usuario, centro)
  *       409:
- *         description: Conflicto (ej. stock de vacuna insuficiente)
+ *         description: >
+ *           Conflicto (ej. stock de vacuna insuficiente, o una dosis omitida, repetida, de más, o antes de
+ *           la edad o el intervalo mínimos; los motivos se devuelven en data.motivos). Si el lote no puede
+ *           usarse, el código se devuelve en data.codigo (LOTE_VENCIDO, LOTE_EN_CUARENTENA, LOTE_OTRO_CENTRO,
+ *           LOTE_VACUNA_DISTINTA) y todos los problemas en data.problemas.
+ *       403:
+ *         description: >
+ *           Acceso denegado: el registro pertenece a otro centro, o la excepción al esquema o el uso de
+ *           emergencia del lote no los autoriza un supervisor
  *       500:
  *         description: Error interno del servidor
  */
@@ -386,37 +682,24 @@ router.post('/', validateVaccination, async (req, res, next) => {
       const error = new Error('Validación de entrada fallida');
       error.statusCode = 400;
       error.data = errors.array();
-      throw error;
-    }
-
-    // Check for concerning observations
-    const concerningKeywords = ['ojo', 'accidente', 'error', 'herida', 'incidente'];
-    if (req.body.observaciones && concerningKeywords.some(keyword => req.body.observaciones.toLowerCase().includes(keyword))) {
-      logger.warn('Observaciones contienen contenido preocupante', { observaciones: req.body.observaciones, ip: req.ip });
-      const error = new Error('Las observaciones contienen contenido no permitido. Por favor, use el endpoint /api/incidentes para reportar incidentes.');
-      error.statusCode = 400;
+      error.expose = true;
       throw error;
     }
 
     const pool = await poolPromise;
+    const plan = await prepareDose(pool, req.body, { user: req.user, scope: req.centerScope });
     logger.info('Executing sp_RegistrarVacunacion_Alterna with parameters', {
       id_niño: req.body.id_niño,
       id_lote: req.body.id_lote,
       id_usuario: req.body.id_usuario,
       ip: req.ip
     });
-    const result = await pool
-      .request()
-      .input('id_niño', sql.UniqueIdentifier, req.body.id_niño)
-      .input('id_lote', sql.UniqueIdentifier, req.body.id_lote)
-      .input('id_usuario', sql.UniqueIdentifier, req.body.id_usuario)
-      .input('id_centro', sql.UniqueIdentifier, req.body.id_centro || null)
-      .input('fecha_vacunacion', sql.DateTime2, req.body.fecha_vacunacion)
-      .input('dosis_aplicada', sql.Int, req.body.dosis_aplicada)
-      .input('sitio_aplicacion', sql.NVarChar(100), req.body.sitio_aplicacion || null)
-      .input('observaciones', sql.NVarChar(sql.MAX), req.body.observaciones || null)
-      .execute('sp_RegistrarVacunacion_Alterna');
-    res.status(201).json({ id_historial: result.recordset[0].id_historial });
+    const dose = await withTransaction(pool, transaction => writeDose(transaction, req.body, plan, { user: req.user }));
+    dose.overrides.forEach(override => auditOverride(req, { id_historial: dose.id_historial, ...override }));
+    if (dose.id_incidente) {
+      logger.warn('Observaciones marcadas: incidente abierto', { id_historial: dose.id_historial, id_incidente: dose.id_incidente, reglas: dose.reglas, ip: req.ip });
+    }
+    res.status(201).json(doseResponse(dose));
   } catch (err) {
     logger.error('Error al crear historial de vacunación', {
       error: err.message,
@@ -456,6 +739,8 @@ router.post('/', validateVaccination, async (req, res, next) => {
 
     const error = new Error(errorMessage);
     error.statusCode = statusCode;
+    error.data = err.statusCode ? err.data : undefined;
+    error.expose = Boolean(err.statusCode && err.expose);
     next(error);
   }
 });
@@ -464,7 +749,12 @@ router.post('/', validateVaccination, async (req, res, next) => {
  * @swagger
  * /api/vaccination-history/{id}:
  *   put:
- *     summary: Actualizar un historial de vacunación
+ *     summary: Corregir un historial de vacunación
+ *     description: >
+ *       La corrección crea una nueva versión de la dosis con el autor, la fecha y el motivo; las versiones
+ *       anteriores se conservan en /api/vaccination-history/by-id/{id}/versions. Si las observaciones
+ *       cambian y coinciden con una regla activa de /api/observation-rules, se abre un incidente vinculado
+ *       a la dosis.
  *     tags: [Vaccinations]
  *     parameters:
  *       - in: path
@@ -479,18 +769,49 @@ router.post('/', validateVaccination, async (req, res, next) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/VaccinationHistoryInput'
+ *             $ref: '#/components/schemas/VaccinationAmendment'
  *     responses:
- *       204:
- *         description: Historial actualizado exitosamente
+ *       200:
+ *         description: >
+ *           Historial corregido exitosamente. Devuelve la nueva versión y, como el registro, las advertencias
+ *           del esquema y la excepción, el uso de emergencia o el incidente que se hayan registrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id_historial:
+ *                   type: string
+ *                   format: uuid
+ *                 version:
+ *                   type: integer
+ *                   example: 2
+ *                 advertencias:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DoseRuleReason'
+ *                 excepcion:
+ *                   type: object
+ *                 uso_emergencia:
+ *                   type: object
+ *                 incidente:
+ *                   type: object
  *       400:
  *         description: Error en los datos enviados
  *       404:
  *         description: Historial no encontrado
+ *       409:
+ *         description: >
+ *           La dosis está registrada como error, no cumple el esquema de vacunación (motivos en
+ *           data.motivos) o el lote no puede usarse (código en data.codigo)
+ *       403:
+ *         description: >
+ *           Acceso denegado: el registro pertenece a otro centro, o la excepción al esquema o el uso de
+ *           emergencia del lote no los autoriza un supervisor
  *       500:
  *         description: Error interno del servidor
  */
-router.put('/:id', [validateUUID, validateVaccination], async (req, res, next) => {
+router.put('/:id', [validateUUID, validateVaccination, validateReason], async (req, res, next) => {
   try {
     logger.info('Actualizando historial de vacunación', { id: req.params.id, id_niño: req.body.id_niño, ip: req.ip });
     const errors = validationResult(req);
@@ -499,14 +820,7 @@ router.put('/:id', [validateUUID, validateVaccination], async (req, res, next) =
       const error = new Error('Validación fallida');
       error.statusCode = 400;
       error.data = errors.array();
-      throw error;
-    }
-
-    const concerningKeywords = ['ojo', 'accidente', 'error', 'herida', 'incidente'];
-    if (req.body.observaciones && concerningKeywords.some(keyword => req.body.observaciones.toLowerCase().includes(keyword))) {
-      logger.warn('Observaciones contienen contenido preocupante', { observaciones: req.body.observaciones, ip: req.ip });
-      const error = new Error('Las observaciones contienen contenido no permitido. Por favor, use el endpoint /api/incidentes para reportar incidentes.');
-      error.statusCode = 400;
+      error.expose = true;
       throw error;
     }
 
@@ -514,26 +828,55 @@ router.put('/:id', [validateUUID, validateVaccination], async (req, res, next) =
     const exists = await pool
       .request()
       .input('id_historial', sql.UniqueIdentifier, req.params.id)
-      .query('SELECT 1 FROM Historial_Vacunacion_Alterna WHERE id_historial = @id_historial');
+      .query(`SELECT ${RECORD_CENTER} AS id_centro, h.observaciones, h.estado_registro ${FROM_HISTORY} WHERE h.id_historial = @id_historial`);
     if (exists.recordset.length === 0) {
       logger.warn('Historial no encontrado', { id: req.params.id, ip: req.ip });
       const error = new Error('Historial no encontrado');
       error.statusCode = 404;
       throw error;
     }
-    await pool
-      .request()
-      .input('id_historial', sql.UniqueIdentifier, req.params.id)
-      .input('id_niño', sql.UniqueIdentifier, req.body.id_niño)
-      .input('id_lote', sql.UniqueIdentifier, req.body.id_lote)
-      .input('id_usuario', sql.UniqueIdentifier, req.body.id_usuario)
-      .input('id_centro', sql.UniqueIdentifier, req.body.id_centro || null)
-      .input('fecha_vacunacion', sql.DateTime2, req.body.fecha_vacunacion)
-      .input('dosis_aplicada', sql.Int, req.body.dosis_aplicada)
-      .input('sitio_aplicacion', sql.NVarChar(100), req.body.sitio_aplicacion || null)
-      .input('observaciones', sql.NVarChar(sql.MAX), req.body.observaciones || null)
-      .execute('sp_ActualizarHistorialVacunacion_Alterna');
-    res.status(204).send();
+    assertCenterAccess(req.centerScope, exists.recordset[0].id_centro);
+    if (exists.recordset[0].estado_registro === ENTERED_IN_ERROR) {
+      const error = new Error('La dosis está registrada como error y no puede modificarse');
+      error.statusCode = 409;
+      throw error;
+    }
+    const id_centro = req.body.id_centro || await getLotCenter(pool, req.body.id_lote);
+    if (id_centro) {
+      assertCenterAccess(req.centerScope, id_centro);
+    }
+    const { motivos, esquema, lote } = await checkDoseRules(pool, req.body, { user: req.user, id_historial: req.params.id });
+    // Solo se marcan observaciones nuevas: corregir otro dato de la dosis no abre otro incidente
+    const changed = (req.body.observaciones || null) !== exists.recordset[0].observaciones;
+    const reglas = changed ? matchRules(await loadRules(pool), req.body.observaciones) : [];
+    const { version, overrides, id_incidente } = await withTransaction(pool, async (transaction) => ({
+      version: await amendDose(transaction, req.params.id, req.body, { motivo: req.body.motivo, id_usuario: req.user.id_usuario, id_cuenta: req.user.id_cuenta }),
+      overrides: await recordOverrides(transaction, { id_historial: req.params.id, data: req.body, user: req.user, esquema, lote }),
+      id_incidente: reglas.length > 0
+        ? await openIncident(transaction, { id_historial: req.params.id, observaciones: req.body.observaciones, reglas })
+        : null,
+    }));
+    registrarAuditoria({
+      tabla_afectada: 'Historial_Vacunacion_Alterna',
+      id_registro: req.params.id,
+      id_usuario: req.user.id_usuario,
+      id_cuenta: req.user.id_cuenta,
+      accion: 'UPDATE',
+      detalles: `Dosis corregida (versión ${version}): ${req.body.motivo}`,
+      ip_origen: req.ip,
+    });
+    overrides.forEach(override => auditOverride(req, { id_historial: req.params.id, ...override }));
+    if (id_incidente) {
+      logger.warn('Observaciones marcadas: incidente abierto', { id_historial: req.params.id, id_incidente, reglas: reglas.map(regla => regla.patron), ip: req.ip });
+    }
+    res.status(200).json(doseResponse({
+      id_historial: req.params.id,
+      version,
+      advertencias: motivos.filter(motivo => motivo.severidad === 'advertencia'),
+      overrides,
+      id_incidente,
+      reglas: reglas.map(regla => regla.patron),
+    }));
   } catch (err) {
     logger.error('Error al actualizar historial de vacunación', { id: req.params.id, error: err.message, ip: req.ip });
     err.statusCode = err.statusCode || 500;
@@ -545,7 +888,11 @@ router.put('/:id', [validateUUID, validateVaccination], async (req, res, next) =
  * @swagger
  * /api/vaccination-history/{id}:
  *   delete:
- *     summary: Eliminar un historial de vacunación
+ *     summary: Registrar una dosis como error
+ *     description: >
+ *       La dosis no se borra: queda con estado_registro "Error de registro" en una nueva versión con el
+ *       autor, la fecha y el motivo, y deja de contar en el esquema, el carné, los certificados y los
+ *       informes. Sigue visible por ID, en sus versiones y con incluir_errores en los listados.
  *     tags: [Vaccinations]
  *     parameters:
  *       - in: path
@@ -555,45 +902,72 @@ router.put('/:id', [validateUUID, validateVaccination], async (req, res, next) =
  *           type: string
  *           format: uuid
  *         description: ID del historial de vacunación
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - motivo
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 minLength: 10
+ *                 maxLength: 1000
+ *                 description: Por qué la dosis se registró por error
  *     responses:
  *       204:
- *         description: Historial eliminado exitosamente
+ *         description: Dosis registrada como error
  *       400:
- *         description: ID inválido
+ *         description: ID o motivo inválido
  *       404:
  *         description: Historial no encontrado
+ *       409:
+ *         description: La dosis ya está registrada como error
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
  *       500:
  *         description: Error interno del servidor
  */
-router.delete('/:id', validateUUID, async (req, res, next) => {
+router.delete('/:id', [validateUUID, validateReason], async (req, res, next) => {
   try {
-    logger.info('Eliminando historial de vacunación', { id: req.params.id, ip: req.ip });
+    logger.info('Registrando dosis como error', { id: req.params.id, ip: req.ip });
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
       const error = new Error('Validación fallida');
       error.statusCode = 400;
       error.data = errors.array();
+      error.expose = true;
       throw error;
     }
     const pool = await poolPromise;
     const exists = await pool
       .request()
       .input('id_historial', sql.UniqueIdentifier, req.params.id)
-      .query('SELECT 1 FROM Historial_Vacunacion_Alterna WHERE id_historial = @id_historial');
+      .query(`SELECT ${RECORD_CENTER} AS id_centro ${FROM_HISTORY} WHERE h.id_historial = @id_historial`);
     if (exists.recordset.length === 0) {
       logger.warn('Historial no encontrado', { id: req.params.id, ip: req.ip });
       const error = new Error('Historial no encontrado');
       error.statusCode = 404;
       throw error;
     }
-    await pool
-      .request()
-      .input('id_historial', sql.UniqueIdentifier, req.params.id)
-      .execute('sp_EliminarHistorialVacunacion_Alterna');
+    assertCenterAccess(req.centerScope, exists.recordset[0].id_centro);
+    const version = await withTransaction(pool, transaction =>
+      markEnteredInError(transaction, req.params.id, { motivo: req.body.motivo, id_usuario: req.user.id_usuario, id_cuenta: req.user.id_cuenta }));
+    registrarAuditoria({
+      tabla_afectada: 'Historial_Vacunacion_Alterna',
+      id_registro: req.params.id,
+      id_usuario: req.user.id_usuario,
+      id_cuenta: req.user.id_cuenta,
+      accion: 'UPDATE',
+      detalles: `Dosis registrada como error (versión ${version}): ${req.body.motivo}`,
+      ip_origen: req.ip,
+    });
     res.status(204).send();
   } catch (err) {
-    logger.error('Error al eliminar historial de vacunación', { id: req.params.id, error: err.message, ip: req.ip });
+    logger.error('Error al registrar dosis como error', { id: req.params.id, error: err.message, ip: req.ip });
     err.statusCode = err.statusCode || 500;
     next(err);
   }
@@ -601,7 +975,7 @@ router.delete('/:id', validateUUID, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/incidentes:
+ * /api/vaccination-history/incidentes:
  *   post:
  *     summary: Registrar un nuevo incidente
  *     tags: [Incidentes]
@@ -638,6 +1012,7 @@ router.post('/incidentes', validateIncidente, async (req, res, next) => {
       const error = new Error('Validación fallida');
       error.statusCode = 400;
       error.data = errors.array();
+      error.expose = true;
       throw error;
     }
 
@@ -675,6 +1050,8 @@ router.post('/incidentes', validateIncidente, async (req, res, next) => {
 
     const error = new Error(errorMessage);
     error.statusCode = statusCode;
+    error.data = err.statusCode ? err.data : undefined;
+    error.expose = Boolean(err.statusCode && err.expose);
     next(error);
   }
 });
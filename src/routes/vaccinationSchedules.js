@@ -1,30 +1,33 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const { poolPromise, sql } = require('../config/db');
-const winston = require('winston');
 
 const router = express.Router();
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-  ],
-});
+const logger = require('../config/logger');
 
 const validateVaccinationSchedule = [
   body('id_vacuna').isUUID().withMessage('ID de vacuna inválido'),
   body('orden_dosis').isInt({ min: 1 }).withMessage('Orden de dosis debe ser un número positivo'),
   body('edad_recomendada').notEmpty().isString().withMessage('Edad recomendada es requerida'),
   body('descripcion').optional().isString().withMessage('Descripción debe ser una cadena válida'),
+  body('edad_minima_dias').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Edad mínima debe ser un número de días no negativo'),
+  body('intervalo_minimo_dias').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Intervalo mínimo debe ser un número de días no negativo'),
 ];
 
+// The minimum age and interval are not parameters of the stored procedures, so they are written separately
+const storeScheduleLimits = (pool, id_esquema, { edad_minima_dias, intervalo_minimo_dias }) =>
+  pool
+    .request()
+    .input('id_esquema', sql.UniqueIdentifier, id_esquema)
+    .input('edad_minima_dias', sql.Int, edad_minima_dias ?? null)
+    .input('intervalo_minimo_dias', sql.Int, intervalo_minimo_dias ?? null)
+    .query(`
+      UPDATE Esquema_Vacunacion
+      SET edad_minima_dias = @edad_minima_dias, intervalo_minimo_dias = @intervalo_minimo_dias
+      WHERE id_esquema = @id_esquema
+    `);
+
 const validateUUID = param('id').isUUID().withMessage('ID inválido');
 
 /**
@@ -62,12 +65,22 @@ const validateUUID = param('id').isUUID().withMessage('ID inválido');
  *         descripcion:
  *           type: string
  *           description: Descripción del esquema (opcional)
+ *         edad_minima_dias:
+ *           type: integer
+ *           nullable: true
+ *           description: Edad mínima en días para aplicar esta dosis
+ *         intervalo_minimo_dias:
+ *           type: integer
+ *           nullable: true
+ *           description: Días mínimos desde la dosis anterior
  *       example:
  *         id_esquema: "123e4567-e89b-12d3-a456-426614174016"
  *         id_vacuna: "123e4567-e89b-12d3-a456-426614174008"
  *         orden_dosis: 1
  *         edad_recomendada: "2 meses"
  *         descripcion: "Primera dosis de la vacuna contra la hepatitis B"
+ *         edad_minima_dias: 42
+ *         intervalo_minimo_dias: null
  *     VaccinationScheduleInput:
  *       type: object
  *       required:
@@ -85,6 +98,12 @@ const validateUUID = param('id').isUUID().withMessage('ID inválido');
  *         descripcion:
  *           type: string
  *           nullable: true
+ *         edad_minima_dias:
+ *           type: integer
+ *           nullable: true
+ *         intervalo_minimo_dias:
+ *           type: integer
+ *           nullable: true
  */
 
 /**
@@ -223,6 +242,7 @@ router.post('/', validateVaccinationSchedule, async (req, res, next) => {
       .input('edad_recomendada', sql.NVarChar, req.body.edad_recomendada)
       .input('descripcion', sql.NVarChar, req.body.descripcion)
       .execute('sp_CrearEsquemaVacunacion');
+    await storeScheduleLimits(pool, result.recordset[0].id_esquema, req.body);
     res.status(201).json({ id_esquema: result.recordset[0].id_esquema });
   } catch (err) {
     logger.error('Error al crear esquema de vacunación', { error: err.message, ip: req.ip });
@@ -292,6 +312,7 @@ router.put('/:id', [validateUUID, validateVaccinationSchedule], async (req, res,
       .input('edad_recomendada', sql.NVarChar, req.body.edad_recomendada)
       .input('descripcion', sql.NVarChar, req.body.descripcion)
       .execute('sp_ActualizarEsquemaVacunacion');
+    await storeScheduleLimits(pool, req.params.id, req.body);
     res.status(204).send();
   } catch (err) {
     logger.error('Error al actualizar esquema de vacunación', { id: req.params.id, error: err.message, ip: req.ip });
@@ -1,22 +1,12 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const { poolPromise, sql } = require('../config/db');
-const winston = require('winston');
+const { assertCenterAccess, scopeCondition } = require('../services/centerScope');
+const { registrarAuditoria } = require('../services/audit');
 
 const router = express.Router();
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-  ],
-});
+const logger = require('../config/logger');
 
 const validateVaccineBatch = [
   body('id_vacuna').isUUID().withMessage('ID de vacuna inválido'),
@@ -31,6 +21,27 @@ const validateVaccineBatch = [
 
 const validateUUID = param('id').isUUID().withMessage('ID inválido');
 
+const validateQuarantine = [
+  validateUUID,
+  body('motivo').isString().trim().isLength({ min: 5, max: 500 }).withMessage('El motivo de la cuarentena debe tener entre 5 y 500 caracteres'),
+];
+
+// Lote existente y accesible para el usuario
+const findLot = async (pool, req) => {
+  const result = await pool
+    .request()
+    .input('id_lote', sql.UniqueIdentifier, req.params.id)
+    .query('SELECT id_centro, numero_lote, en_cuarentena FROM Lotes_Vacunas WHERE id_lote = @id_lote');
+  if (result.recordset.length === 0) {
+    logger.warn('Lote no encontrado', { id: req.params.id, ip: req.ip });
+    const error = new Error('Lote no encontrado');
+    error.statusCode = 404;
+    throw error;
+  }
+  assertCenterAccess(req.centerScope, result.recordset[0].id_centro);
+  return result.recordset[0];
+};
+
 /**
  * @swagger
  * tags:
@@ -85,6 +96,17 @@ const validateUUID = param('id').isUUID().withMessage('ID inválido');
  *         condiciones_almacenamiento:
  *           type: string
  *           description: Condiciones de almacenamiento (opcional)
+ *         en_cuarentena:
+ *           type: boolean
+ *           description: El lote no puede usarse para vacunar hasta que se libere
+ *         motivo_cuarentena:
+ *           type: string
+ *           nullable: true
+ *         fecha_cuarentena:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Desde cuándo está en cuarentena; las dosis aplicadas antes siguen siendo válidas
  *       example:
  *         id_lote: "123e4567-e89b-12d3-a456-426614174018"
  *         id_vacuna: "123e4567-e89b-12d3-a456-426614174008"
@@ -95,6 +117,9 @@ const validateUUID = param('id').isUUID().withMessage('ID inválido');
  *         fecha_vencimiento: "2026-01-01"
  *         id_centro: "123e4567-e89b-12d3-a456-426614174007"
  *         condiciones_almacenamiento: "Refrigerar entre 2-8°C"
+ *         en_cuarentena: false
+ *         motivo_cuarentena: null
+ *         fecha_cuarentena: null
  *     VaccineBatchInput:
  *       type: object
  *       required:
@@ -151,7 +176,9 @@ router.get('/', async (req, res, next) => {
   try {
     logger.info('Obteniendo lotes de vacunas', { ip: req.ip });
     const pool = await poolPromise;
-    const result = await pool.request().query('SELECT * FROM Lotes_Vacunas');
+    const request = pool.request();
+    const where = scopeCondition(request, req.centerScope, 'id_centro');
+    const result = await request.query(`SELECT * FROM Lotes_Vacunas WHERE ${where}`);
     res.status(200).json(result.recordset);
   } catch (err) {
     logger.error('Error al obtener lotes de vacunas', { error: err.message, ip: req.ip });
@@ -185,6 +212,8 @@ router.get('/', async (req, res, next) => {
  *         description: ID inválido
  *       404:
  *         description: Lote no encontrado
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
  *       500:
  *         description: Error interno del servidor
  */
@@ -210,6 +239,7 @@ router.get('/:id', validateUUID, async (req, res, next) => {
       error.statusCode = 404;
       throw error;
     }
+    assertCenterAccess(req.centerScope, result.recordset[0].id_centro);
     res.status(200).json(result.recordset[0]);
   } catch (err) {
     logger.error('Error al obtener lote de vacunas', { id: req.params.id, error: err.message, ip: req.ip });
@@ -243,6 +273,8 @@ router.get('/:id', validateUUID, async (req, res, next) => {
  *                   format: uuid
  *       400:
  *         description: Error en los datos enviados
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
  *       500:
  *         description: Error interno del servidor
  */
@@ -257,6 +289,7 @@ router.post('/', validateVaccineBatch, async (req, res, next) => {
       error.data = errors.array();
       throw error;
     }
+    assertCenterAccess(req.centerScope, req.body.id_centro);
     const pool = await poolPromise;
     const result = await pool
       .request()
@@ -273,7 +306,7 @@ router.post('/', validateVaccineBatch, async (req, res, next) => {
   } catch (err) {
     logger.error('Error al crear lote de vacunas', { error: err.message, ip: req.ip });
     const error = new Error('Error al crear lote de vacunas');
-    error.statusCode = err.number === 50001 ? 400 : 500;
+    error.statusCode = err.statusCode || (err.number === 50001 ? 400 : 500);
     error.data = err.message;
     next(error);
   }
@@ -305,6 +338,8 @@ router.post('/', validateVaccineBatch, async (req, res, next) => {
  *         description: Error en los datos enviados
  *       404:
  *         description: Lote no encontrado
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
  *       500:
  *         description: Error interno del servidor
  */
@@ -323,13 +358,15 @@ router.put('/:id', [validateUUID, validateVaccineBatch], async (req, res, next)
     const exists = await pool
       .request()
       .input('id_lote', sql.UniqueIdentifier, req.params.id)
-      .query('SELECT 1 FROM Lotes_Vacunas WHERE id_lote = @id_lote');
+      .query('SELECT id_centro FROM Lotes_Vacunas WHERE id_lote = @id_lote');
     if (exists.recordset.length === 0) {
       logger.warn('Lote no encontrado', { id: req.params.id, ip: req.ip });
       const error = new Error('Lote no encontrado');
       error.statusCode = 404;
       throw error;
     }
+    assertCenterAccess(req.centerScope, exists.recordset[0].id_centro);
+    assertCenterAccess(req.centerScope, req.body.id_centro);
     await pool
       .request()
       .input('id_lote', sql.UniqueIdentifier, req.params.id)
@@ -350,6 +387,163 @@ router.put('/:id', [validateUUID, validateVaccineBatch], async (req, res, next)
   }
 });
 
+/**
+ * @swagger
+ * /api/vaccine-lots/{id}/quarantine:
+ *   post:
+ *     summary: Poner un lote en cuarentena
+ *     description: >
+ *       Un lote en cuarentena no puede usarse para registrar vacunaciones (LOTE_EN_CUARENTENA) salvo con
+ *       uso de emergencia autorizado por un supervisor. Las dosis aplicadas antes de la cuarentena siguen
+ *       siendo válidas.
+ *     tags: [VaccineBatches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - motivo
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 example: Ruptura de la cadena de frío
+ *     responses:
+ *       204:
+ *         description: Lote puesto en cuarentena
+ *       400:
+ *         description: Error en los datos enviados
+ *       404:
+ *         description: Lote no encontrado
+ *       409:
+ *         description: El lote ya está en cuarentena
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/:id/quarantine', validateQuarantine, async (req, res, next) => {
+  try {
+    logger.info('Poniendo lote en cuarentena', { id: req.params.id, ip: req.ip });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+    const pool = await poolPromise;
+    const lote = await findLot(pool, req);
+    if (lote.en_cuarentena) {
+      const error = new Error('El lote ya está en cuarentena');
+      error.statusCode = 409;
+      throw error;
+    }
+    await pool
+      .request()
+      .input('id_lote', sql.UniqueIdentifier, req.params.id)
+      .input('motivo', sql.NVarChar(500), req.body.motivo)
+      .query(`
+        UPDATE Lotes_Vacunas
+        SET en_cuarentena = 1, motivo_cuarentena = @motivo, fecha_cuarentena = SYSDATETIME()
+        WHERE id_lote = @id_lote
+      `);
+    registrarAuditoria({
+      tabla_afectada: 'Lotes_Vacunas',
+      id_registro: req.params.id,
+      id_usuario: req.user.id_usuario,
+      id_cuenta: req.user.id_cuenta,
+      accion: 'UPDATE',
+      detalles: `Lote ${lote.numero_lote} en cuarentena: ${req.body.motivo}`,
+      ip_origen: req.ip,
+    });
+    res.status(204).send();
+  } catch (err) {
+    logger.error('Error al poner lote en cuarentena', { id: req.params.id, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/vaccine-lots/{id}/release:
+ *   post:
+ *     summary: Liberar un lote de la cuarentena
+ *     tags: [VaccineBatches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Lote liberado
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Lote no encontrado
+ *       409:
+ *         description: El lote no está en cuarentena
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/:id/release', validateUUID, async (req, res, next) => {
+  try {
+    logger.info('Liberando lote de la cuarentena', { id: req.params.id, ip: req.ip });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validación fallida', { id: req.params.id, errors: errors.array(), ip: req.ip });
+      const error = new Error('Validación fallida');
+      error.statusCode = 400;
+      error.data = errors.array();
+      throw error;
+    }
+    const pool = await poolPromise;
+    const lote = await findLot(pool, req);
+    if (!lote.en_cuarentena) {
+      const error = new Error('El lote no está en cuarentena');
+      error.statusCode = 409;
+      throw error;
+    }
+    await pool
+      .request()
+      .input('id_lote', sql.UniqueIdentifier, req.params.id)
+      .query(`
+        UPDATE Lotes_Vacunas
+        SET en_cuarentena = 0, motivo_cuarentena = NULL, fecha_cuarentena = NULL
+        WHERE id_lote = @id_lote
+      `);
+    registrarAuditoria({
+      tabla_afectada: 'Lotes_Vacunas',
+      id_registro: req.params.id,
+      id_usuario: req.user.id_usuario,
+      id_cuenta: req.user.id_cuenta,
+      accion: 'UPDATE',
+      detalles: `Lote ${lote.numero_lote} liberado de la cuarentena`,
+      ip_origen: req.ip,
+    });
+    res.status(204).send();
+  } catch (err) {
+    logger.error('Error al liberar lote de la cuarentena', { id: req.params.id, error: err.message, ip: req.ip });
+    err.statusCode = err.statusCode || 500;
+    next(err);
+  }
+});
+
 /**
  * @swagger
  * /api/vaccine-lots/{id}:
@@ -370,6 +564,8 @@ router.put('/:id', [validateUUID, validateVaccineBatch], async (req, res, next)
  *         description: ID inválido
  *       404:
  *         description: Lote no encontrado
+ *       403:
+ *         description: 'Acceso denegado: el registro pertenece a otro centro'
  *       500:
  *         description: Error interno del servidor
  */
@@ -388,13 +584,14 @@ router.delete('/:id', validateUUID, async (req, res, next) => {
     const exists = await pool
       .request()
       .input('id_lote', sql.UniqueIdentifier, req.params.id)
-      .query('SELECT 1 FROM Lotes_Vacunas WHERE id_lote = @id_lote');
+      .query('SELECT id_centro FROM Lotes_Vacunas WHERE id_lote = @id_lote');
     if (exists.recordset.length === 0) {
       logger.warn('Lote no encontrado', { id: req.params.id, ip: req.ip });
       const error = new Error('Lote no encontrado');
       error.statusCode = 404;
       throw error;
     }
+    assertCenterAccess(req.centerScope, exists.recordset[0].id_centro);
     await pool
       .request()
       .input('id_lote', sql.UniqueIdentifier, req.params.id)
@@ -1,30 +1,27 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const { poolPromise, sql } = require('../config/db');
-const winston = require('winston');
 
 const router = express.Router();
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-  ],
-});
+const logger = require('../config/logger');
 
 const validateVaccine = [
   body('nombre').notEmpty().isString().withMessage('Nombre es requerido'),
   body('fabricante').notEmpty().isString().withMessage('Fabricante es requerido'),
   body('tipo').notEmpty().isString().withMessage('Tipo es requerido'),
   body('dosis_requeridas').isInt({ min: 1 }).withMessage('Dosis requeridas debe ser un número positivo'),
+  body('codigo_cvx').optional({ nullable: true }).matches(/^\d{1,3}$/).withMessage('Código CVX inválido (1 a 3 dígitos)'),
 ];
 
+// The CVX code is not a parameter of the stored procedures, so it is written separately
+const storeCvxCode = (pool, id_vacuna, codigo_cvx) =>
+  pool
+    .request()
+    .input('id_vacuna', sql.UniqueIdentifier, id_vacuna)
+    .input('codigo_cvx', sql.NVarChar(10), codigo_cvx || null)
+    .query('UPDATE Vacunas SET codigo_cvx = @codigo_cvx WHERE id_vacuna = @id_vacuna');
+
 const validateUUID = param('id').isUUID().withMessage('ID inválido');
 
 /**
@@ -62,12 +59,17 @@ const validateUUID = param('id').isUUID().withMessage('ID inválido');
  *         dosis_requeridas:
  *           type: integer
  *           description: Número de dosis requeridas
+ *         codigo_cvx:
+ *           type: string
+ *           nullable: true
+ *           description: Código CVX de la vacuna (usado en la exportación FHIR)
  *       example:
  *         id_vacuna: "123e4567-e89b-12d3-a456-426614174008"
  *         nombre: "Pfizer-BioNTech"
  *         fabricante: "Pfizer"
  *         tipo: "ARNm"
  *         dosis_requeridas: 2
+ *         codigo_cvx: "208"
  *     VaccineInput:
  *       type: object
  *       required:
@@ -84,6 +86,9 @@ const validateUUID = param('id').isUUID().withMessage('ID inválido');
  *           type: string
  *         dosis_requeridas:
  *           type: integer
+ *         codigo_cvx:
+ *           type: string
+ *           nullable: true
  */
 
 /**
@@ -240,6 +245,9 @@ router.post('/', validateVaccine, async (req, res, next) => {
       .input('tipo', sql.NVarChar, req.body.tipo)
       .input('dosis_requeridas', sql.Int, req.body.dosis_requeridas)
       .execute('sp_CrearVacuna');
+    if (req.body.codigo_cvx) {
+      await storeCvxCode(pool, result.recordset[0].id_vacuna, req.body.codigo_cvx);
+    }
     res.status(201).json({ id_vacuna: result.recordset[0].id_vacuna });
   } catch (err) {
     logger.error('Error al crear vacuna', { error: err.message, ip: req.ip });
@@ -315,6 +323,9 @@ router.put('/:id', [validateUUID, validateVaccine], async (req, res, next) => {
       .input('tipo', sql.NVarChar, req.body.tipo)
       .input('dosis_requeridas', sql.Int, req.body.dosis_requeridas)
       .execute('sp_ActualizarVacuna');
+    if (req.body.codigo_cvx !== undefined) {
+      await storeCvxCode(pool, req.params.id, req.body.codigo_cvx);
+    }
     res.status(204).send();
   } catch (err) {
     logger.error('Error al actualizar vacuna', { id: req.params.id, error: err.message, ip: req.ip });
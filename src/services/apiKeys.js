@@ -0,0 +1,167 @@
+// src/services/apiKeys.js
+const crypto = require('crypto');
+const { sql } = require('../config/db');
+const { SCOPES } = require('../config/permissions');
+const { httpError } = require('./httpError');
+
+const KEY_TTL_DAYS = Number(process.env.API_KEY_TTL_DAYS) || 365;
+const ROTATION_GRACE_MS = Number(process.env.API_KEY_ROTATION_GRACE_MS) || 24 * 60 * 60 * 1000;
+const KEY_PATTERN = /^sv_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Genera una clave con la forma sv_<prefijo>_<secreto>. El prefijo se guarda
+ * en claro para localizar la clave; del secreto solo se guarda su SHA-256.
+ */
+const generateKey = () => {
+  const prefijo = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { prefijo, apiKey: `sv_${prefijo}_${secret}`, clave_hash: hashSecret(secret) };
+};
+
+const parseKey = (apiKey) => {
+  const match = KEY_PATTERN.exec(apiKey || '');
+  return match ? { prefijo: match[1], secret: match[2] } : null;
+};
+
+const parseScopes = (alcances) => (alcances ? alcances.split(',').filter(Boolean) : []);
+
+const invalidScopes = (alcances) => alcances.filter(scope => !SCOPES.includes(scope));
+
+const defaultExpiry = (now = Date.now()) => new Date(now + KEY_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const createKey = async (pool, id_cuenta, { alcances, fecha_expiracion } = {}) => {
+  const { prefijo, apiKey, clave_hash } = generateKey();
+  const expiracion = fecha_expiracion ? new Date(fecha_expiracion) : defaultExpiry();
+  const result = await pool
+    .request()
+    .input('id_cuenta', sql.UniqueIdentifier, id_cuenta)
+    .input('prefijo', sql.NVarChar(16), prefijo)
+    .input('clave_hash', sql.NVarChar(64), clave_hash)
+    .input('alcances', sql.NVarChar(1000), [...new Set(alcances)].join(','))
+    .input('fecha_expiracion', sql.DateTime2, expiracion)
+    .query(`
+      INSERT INTO Claves_API (id_cuenta, prefijo, clave_hash, alcances, fecha_expiracion)
+      OUTPUT INSERTED.id_clave
+      VALUES (@id_cuenta, @prefijo, @clave_hash, @alcances, @fecha_expiracion)
+    `);
+  return { id_clave: result.recordset[0].id_clave, prefijo, apiKey, fecha_expiracion: expiracion };
+};
+
+const getKey = async (pool, id_cuenta, id_clave) => {
+  const result = await pool
+    .request()
+    .input('id_cuenta', sql.UniqueIdentifier, id_cuenta)
+    .input('id_clave', sql.UniqueIdentifier, id_clave)
+    .query('SELECT * FROM Claves_API WHERE id_clave = @id_clave AND id_cuenta = @id_cuenta');
+  return result.recordset[0] || null;
+};
+
+/**
+ * Emite una clave nueva con los mismos alcances y deja la anterior válida
+ * durante el periodo de gracia (API_KEY_ROTATION_GRACE_MS) para el despliegue.
+ */
+const rotateKey = async (pool, id_cuenta, id_clave, { fecha_expiracion } = {}, now = Date.now()) => {
+  const current = await getKey(pool, id_cuenta, id_clave);
+  if (!current) throw httpError('Clave no encontrada', 404);
+  if (current.fecha_revocacion || new Date(current.fecha_expiracion).getTime() <= now) {
+    throw httpError('Solo se pueden rotar claves activas', 409);
+  }
+  const created = await createKey(pool, id_cuenta, {
+    alcances: parseScopes(current.alcances),
+    fecha_expiracion,
+  });
+  const graceEnd = new Date(Math.min(new Date(current.fecha_expiracion).getTime(), now + ROTATION_GRACE_MS));
+  await pool
+    .request()
+    .input('id_clave', sql.UniqueIdentifier, id_clave)
+    .input('fecha_expiracion', sql.DateTime2, graceEnd)
+    .query('UPDATE Claves_API SET fecha_expiracion = @fecha_expiracion WHERE id_clave = @id_clave');
+  return { ...created, clave_anterior_expira: graceEnd };
+};
+
+const revokeKey = async (pool, id_cuenta, id_clave) => {
+  const result = await pool
+    .request()
+    .input('id_cuenta', sql.UniqueIdentifier, id_cuenta)
+    .input('id_clave', sql.UniqueIdentifier, id_clave)
+    .query(`
+      UPDATE Claves_API SET fecha_revocacion = SYSDATETIME()
+      WHERE id_clave = @id_clave AND id_cuenta = @id_cuenta AND fecha_revocacion IS NULL
+    `);
+  return result.rowsAffected[0] > 0;
+};
+
+const revokeAccountKeys = async (pool, id_cuenta) => {
+  await pool
+    .request()
+    .input('id_cuenta', sql.UniqueIdentifier, id_cuenta)
+    .query('UPDATE Claves_API SET fecha_revocacion = SYSDATETIME() WHERE id_cuenta = @id_cuenta AND fecha_revocacion IS NULL');
+};
+
+/**
+ * Valida una clave API y devuelve la identidad de la cuenta de servicio, o
+ * null si la clave no existe, no coincide, está revocada o ha expirado.
+ */
+const verifyKey = async (pool, apiKey, now = Date.now()) => {
+  const parsed = parseKey(apiKey);
+  if (!parsed) return null;
+  const result = await pool
+    .request()
+    .input('prefijo', sql.NVarChar(16), parsed.prefijo)
+    .query(`
+      SELECT k.id_clave, k.clave_hash, k.alcances, k.fecha_expiracion, k.fecha_revocacion,
+             c.id_cuenta, c.nombre, c.id_centro, c.estado
+      FROM Claves_API k
+      INNER JOIN Cuentas_Servicio c ON c.id_cuenta = k.id_cuenta
+      WHERE k.prefijo = @prefijo
+    `);
+  const key = result.recordset[0];
+  if (!key) return null;
+
+  const expected = Buffer.from(key.clave_hash, 'hex');
+  const actual = Buffer.from(hashSecret(parsed.secret), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  if (key.fecha_revocacion || key.estado !== 'Activo') return null;
+  if (new Date(key.fecha_expiracion).getTime() <= now) return null;
+
+  return {
+    id_clave: key.id_clave,
+    id_cuenta: key.id_cuenta,
+    nombre: key.nombre,
+    id_centro: key.id_centro,
+    alcances: parseScopes(key.alcances),
+  };
+};
+
+const recordUsage = async (pool, { id_clave, metodo, ruta, codigo_respuesta, ip }) => {
+  await pool
+    .request()
+    .input('id_clave', sql.UniqueIdentifier, id_clave)
+    .input('metodo', sql.NVarChar(10), metodo)
+    .input('ruta', sql.NVarChar(500), ruta.slice(0, 500))
+    .input('codigo_respuesta', sql.Int, codigo_respuesta)
+    .input('ip', sql.NVarChar(45), ip || null)
+    .query(`
+      INSERT INTO Uso_Claves_API (id_clave, metodo, ruta, codigo_respuesta, ip_origen)
+      VALUES (@id_clave, @metodo, @ruta, @codigo_respuesta, @ip);
+      UPDATE Claves_API
+      SET ultimo_uso = SYSDATETIME(), ultima_ip = @ip, total_usos = total_usos + 1
+      WHERE id_clave = @id_clave;
+    `);
+};
+
+module.exports = {
+  generateKey,
+  parseKey,
+  parseScopes,
+  invalidScopes,
+  createKey,
+  getKey,
+  rotateKey,
+  revokeKey,
+  revokeAccountKeys,
+  verifyKey,
+  recordUsage,
+};
@@ -0,0 +1,37 @@
+// src/services/audit.js
+const { poolPromise, sql, logger } = require('../config/db');
+
+// Auditoria.ip_origen admite 15 caracteres: se descarta el prefijo IPv4-mapped de IPv6.
+const normalizeIp = (ip) => {
+  if (!ip) return null;
+  const value = String(ip).replace(/^::ffff:/, '');
+  return value.length <= 15 ? value : null;
+};
+
+/**
+ * Registra una fila en Auditoria mediante sp_RegistrarAuditoria. El autor es el usuario
+ * o, en las peticiones con clave API, la cuenta de servicio (`id_cuenta`).
+ * Un fallo al auditar se registra en el log pero no interrumpe la operación
+ * que lo originó.
+ */
+const registrarAuditoria = async ({ tabla_afectada, id_registro, id_usuario, id_cuenta, accion, detalles, ip_origen }) => {
+  try {
+    const pool = await poolPromise;
+    const result = await pool
+      .request()
+      .input('tabla_afectada', sql.NVarChar(100), tabla_afectada)
+      .input('id_registro', sql.UniqueIdentifier, id_registro)
+      .input('id_usuario', sql.UniqueIdentifier, id_usuario || null)
+      .input('id_cuenta', sql.UniqueIdentifier, id_cuenta || null)
+      .input('accion', sql.NVarChar(20), accion)
+      .input('detalles', sql.NVarChar(500), detalles ? String(detalles).slice(0, 500) : null)
+      .input('ip_origen', sql.NVarChar(15), normalizeIp(ip_origen))
+      .execute('sp_RegistrarAuditoria');
+    return result.recordset[0]?.id_auditoria || null;
+  } catch (err) {
+    logger.error('Error al registrar auditoría', { tabla_afectada, id_registro, accion, error: err.message });
+    return null;
+  }
+};
+
+module.exports = { registrarAuditoria };
@@ -0,0 +1,55 @@
+// src/services/centerScope.js
+const { sql } = require('../config/db');
+const { ROLES } = require('../config/permissions');
+const { httpError } = require('./httpError');
+const { sameId } = require('./ids');
+
+// Roles that work nationally when they are not tied to a specific center
+const NATIONAL_ROLES = [ROLES.DIRECTOR, ROLES.ADMINISTRADOR];
+
+/**
+ * Resuelve el alcance de datos del usuario a partir de Usuarios.id_centro.
+ * Directores y administradores sin centro asignado tienen alcance nacional;
+ * el resto del personal queda limitado a su centro. Las cuentas de servicio
+ * usan el centro de la cuenta (sin centro, alcance nacional).
+ */
+const resolveScope = async (pool, user) => {
+  if (user.tipo === 'servicio') {
+    return { national: !user.id_centro, id_centro: user.id_centro || null };
+  }
+  const result = await pool
+    .request()
+    .input('id_usuario', sql.UniqueIdentifier, user.id_usuario)
+    .query('SELECT id_centro FROM Usuarios WHERE id_usuario = @id_usuario');
+  const id_centro = result.recordset[0]?.id_centro || null;
+  return { national: !id_centro && NATIONAL_ROLES.includes(user.rol), id_centro };
+};
+
+const sameCenter = sameId;
+
+const canAccessCenter = (scope, id_centro) => scope.national || sameCenter(scope.id_centro, id_centro);
+
+const assertCenterAccess = (scope, id_centro) => {
+  if (!canAccessCenter(scope, id_centro)) {
+    throw httpError('Acceso denegado: el registro pertenece a otro centro', 403);
+  }
+};
+
+/**
+ * Añade el filtro de centro a una consulta de listado y devuelve la condición
+ * SQL correspondiente ('1 = 1' para alcance nacional).
+ */
+const scopeCondition = (request, scope, column) => {
+  if (scope.national) return '1 = 1';
+  request.input('scope_id_centro', sql.UniqueIdentifier, scope.id_centro);
+  return `${column} = @scope_id_centro`;
+};
+
+module.exports = {
+  NATIONAL_ROLES,
+  resolveScope,
+  sameCenter,
+  canAccessCenter,
+  assertCenterAccess,
+  scopeCondition,
+};
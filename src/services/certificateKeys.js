@@ -0,0 +1,103 @@
+// src/services/certificateKeys.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+
+/**
+ * Claves de firma de certificados (ECDSA P-256), guardadas en disco en
+ * CERTIFICATE_KEYS_DIR (por defecto keys/certificates): un <kid>.pem por clave
+ * privada y un fichero `active` con el kid que firma los certificados nuevos.
+ * Al rotar se crea una clave nueva y se marca activa; las anteriores se conservan
+ * para seguir verificando los certificados que firmaron.
+ */
+const keysDir = () => process.env.CERTIFICATE_KEYS_DIR || path.join(process.cwd(), 'keys', 'certificates');
+
+const KID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+let cache = null;
+
+const readKeys = () => {
+  const dir = keysDir();
+  if (!fs.existsSync(dir)) return { dir, keys: new Map(), activeKid: null };
+  const keys = new Map();
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.pem') && KID_PATTERN.test(path.basename(file, '.pem')))
+    .forEach(file => {
+      const kid = path.basename(file, '.pem');
+      const fullPath = path.join(dir, file);
+      try {
+        const privateKey = crypto.createPrivateKey(fs.readFileSync(fullPath));
+        keys.set(kid, {
+          kid,
+          privateKey,
+          publicKey: crypto.createPublicKey(privateKey),
+          created: fs.statSync(fullPath).mtime,
+        });
+      } catch (err) {
+        logger.error('Clave de certificados ilegible', { kid, error: err.message });
+      }
+    });
+  const activeFile = path.join(dir, 'active');
+  const configured = fs.existsSync(activeFile) ? fs.readFileSync(activeFile, 'utf8').trim() : null;
+  const newest = [...keys.values()].sort((a, b) => b.created - a.created)[0];
+  const activeKid = keys.has(configured) ? configured : newest?.kid || null;
+  return { dir, keys, activeKid };
+};
+
+const loadKeys = () => {
+  if (!cache || cache.dir !== keysDir()) cache = readKeys();
+  return cache;
+};
+
+/**
+ * Genera una clave nueva y la marca como activa. Devuelve su kid.
+ */
+const rotateKey = () => {
+  const dir = keysDir();
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const kid = `${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(3).toString('hex')}`;
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  fs.writeFileSync(path.join(dir, `${kid}.pem`), privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  fs.writeFileSync(path.join(dir, 'active'), kid);
+  cache = null;
+  logger.info('Nueva clave de firma de certificados activa', { kid });
+  return kid;
+};
+
+/**
+ * Clave con la que se firman los certificados nuevos; si aún no hay ninguna se
+ * genera la primera.
+ */
+const getSigningKey = () => {
+  let { keys, activeKid } = loadKeys();
+  if (!activeKid) {
+    logger.warn('No hay claves de firma de certificados; se genera una', { dir: keysDir() });
+    rotateKey();
+    ({ keys, activeKid } = loadKeys());
+  }
+  return keys.get(activeKid);
+};
+
+// Relee el directorio si el kid no está en memoria (p. ej. otra instancia rotó la clave)
+const getVerificationKey = (kid) => {
+  if (!kid || !KID_PATTERN.test(kid)) return null;
+  if (!loadKeys().keys.has(kid)) cache = null;
+  return loadKeys().keys.get(kid)?.publicKey || null;
+};
+
+const publicJwk = ({ kid, publicKey }) => ({ ...publicKey.export({ format: 'jwk' }), kid, alg: 'ES256', use: 'sig' });
+
+/**
+ * Claves públicas en formato JWKS, para que terceros verifiquen sin conexión.
+ */
+const getJwks = () => ({ keys: [...loadKeys().keys.values()].map(publicJwk) });
+
+const listKeys = () => {
+  const { keys, activeKid } = loadKeys();
+  return [...keys.values()]
+    .sort((a, b) => b.created - a.created)
+    .map(key => ({ kid: key.kid, activa: key.kid === activeKid, fecha_creacion: key.created, jwk: publicJwk(key) }));
+};
+
+module.exports = { rotateKey, getSigningKey, getVerificationKey, getJwks, listKeys };
@@ -0,0 +1,125 @@
+// src/services/certificates.js
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { sql } = require('../config/db');
+const { getSigningKey, getVerificationKey } = require('./certificateKeys');
+const { httpError } = require('./httpError');
+
+const ISSUER = () => process.env.CERTIFICATE_ISSUER || 'sistema-vacunacion';
+const DEFAULT_VALIDITY_DAYS = 365;
+
+const isoDate = (value) => new Date(value).toISOString().slice(0, 10);
+
+const verificationUrl = (token) => {
+  const base = process.env.CERTIFICATE_VERIFY_URL || `${process.env.API_BASE_URL || ''}/api/certificates/verify`;
+  return `${base}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Emite un certificado firmado (JWT ES256) con el nombre, la fecha de nacimiento y
+ * las dosis aplicadas del paciente, lo registra en Certificados_Vacunacion para poder
+ * revocarlo y devuelve el token junto con un QR que apunta a la URL de verificación.
+ * El emisor es el usuario o, para claves API, la cuenta de servicio de `user`.
+ * `authorize(paciente)` se llama antes de emitir.
+ */
+const issueCertificate = async (pool, { id_niño, user, validityDays = DEFAULT_VALIDITY_DAYS, authorize }) => {
+  const result = await pool
+    .request()
+    .input('id_niño', sql.UniqueIdentifier, id_niño)
+    .query(`
+      SELECT id_niño, nombre_completo, fecha_nacimiento, id_centro_salud FROM Niños WHERE id_niño = @id_niño;
+
+      SELECT v.nombre AS vacuna, h.dosis_aplicada, h.fecha_vacunacion
+      FROM Historial_Vacunacion_Alterna h
+      INNER JOIN Lotes_Vacunas l ON l.id_lote = h.id_lote
+      INNER JOIN Vacunas v ON v.id_vacuna = l.id_vacuna
+      WHERE h.id_niño = @id_niño AND h.estado_registro = 'Vigente'
+      ORDER BY h.fecha_vacunacion;
+    `);
+  const [patients, doses] = result.recordsets;
+  const paciente = patients[0];
+  if (!paciente) throw httpError('Paciente no encontrado', 404);
+  authorize(paciente);
+  if (doses.length === 0) throw httpError('El paciente no tiene dosis registradas', 409);
+
+  const key = getSigningKey();
+  const fecha_expiracion = new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000);
+  const created = await pool
+    .request()
+    .input('id_niño', sql.UniqueIdentifier, id_niño)
+    .input('kid', sql.NVarChar(64), key.kid)
+    .input('fecha_expiracion', sql.DateTime2, fecha_expiracion)
+    .input('id_usuario', sql.UniqueIdentifier, user.id_usuario || null)
+    .input('id_cuenta', sql.UniqueIdentifier, user.id_cuenta || null)
+    .query(`
+      INSERT INTO Certificados_Vacunacion (id_niño, kid, fecha_expiracion, id_usuario_emisor, id_cuenta_emisora)
+      OUTPUT INSERTED.id_certificado, INSERTED.fecha_emision
+      VALUES (@id_niño, @kid, @fecha_expiracion, @id_usuario, @id_cuenta)
+    `);
+  const { id_certificado, fecha_emision } = created.recordset[0];
+
+  // Claves cortas para que el QR siga siendo legible con historiales largos
+  const token = jwt.sign(
+    {
+      n: paciente.nombre_completo,
+      fn: isoDate(paciente.fecha_nacimiento),
+      v: doses.map(dose => [dose.vacuna, dose.dosis_aplicada, isoDate(dose.fecha_vacunacion)]),
+      exp: Math.floor(fecha_expiracion.getTime() / 1000),
+    },
+    key.privateKey,
+    { algorithm: 'ES256', keyid: key.kid, jwtid: String(id_certificado).toLowerCase(), issuer: ISSUER() }
+  );
+  const url_verificacion = verificationUrl(token);
+
+  return {
+    id_certificado,
+    kid: key.kid,
+    fecha_emision,
+    fecha_expiracion,
+    token,
+    url_verificacion,
+    qr: await QRCode.toDataURL(url_verificacion, { errorCorrectionLevel: 'M' }),
+  };
+};
+
+/**
+ * Verifica la firma, la vigencia y la revocación de un certificado. Nunca lanza por
+ * un certificado inválido: devuelve { valido: false, motivo }. Si es válido devuelve
+ * solo los datos firmados (nombre, fecha de nacimiento y dosis).
+ */
+const verifyCertificate = async (pool, token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || decoded.header.alg !== 'ES256') return { valido: false, motivo: 'formato_invalido' };
+  const publicKey = getVerificationKey(decoded.header.kid);
+  if (!publicKey) return { valido: false, motivo: 'clave_desconocida' };
+
+  let payload;
+  try {
+    payload = jwt.verify(token, publicKey, { algorithms: ['ES256'], issuer: ISSUER() });
+  } catch (err) {
+    return { valido: false, motivo: err.name === 'TokenExpiredError' ? 'expirado' : 'firma_invalida' };
+  }
+
+  const result = await pool
+    .request()
+    .input('id_certificado', sql.UniqueIdentifier, payload.jti)
+    .query('SELECT estado, fecha_revocacion FROM Certificados_Vacunacion WHERE id_certificado = @id_certificado');
+  const registro = result.recordset[0];
+  if (!registro) return { valido: false, motivo: 'desconocido' };
+  if (registro.estado === 'Revocado') {
+    return { valido: false, motivo: 'revocado', fecha_revocacion: registro.fecha_revocacion };
+  }
+
+  return {
+    valido: true,
+    certificado: {
+      id_certificado: payload.jti,
+      fecha_emision: new Date(payload.iat * 1000).toISOString(),
+      fecha_expiracion: new Date(payload.exp * 1000).toISOString(),
+      paciente: { nombre_completo: payload.n, fecha_nacimiento: payload.fn },
+      dosis: payload.v.map(([vacuna, dosis, fecha]) => ({ vacuna, dosis, fecha })),
+    },
+  };
+};
+
+module.exports = { DEFAULT_VALIDITY_DAYS, issueCertificate, verifyCertificate };
@@ -0,0 +1,154 @@
+// src/services/doseRegistration.js
+// Registro de una dosis en Historial_Vacunacion_Alterna, compartido por /api/vaccination-history y /api/sync
+const { body } = require('express-validator');
+const { sql } = require('../config/db');
+const { assertCenterAccess } = require('./centerScope');
+const { checkDose, assertDoseAllowed, recordOverride } = require('./doseValidation');
+const { checkLot, assertLotAllowed } = require('./lotEligibility');
+const { loadRules, matchRules, openIncident } = require('./observationFlags');
+const { recordVersion } = require('./doseVersions');
+
+const validateVaccination = [
+  body('id_niño').isUUID().withMessage('ID de niño inválido'),
+  body('id_lote').isUUID().withMessage('ID de lote inválido'),
+  body('id_usuario').isUUID().withMessage('ID de usuario inválido'),
+  body('id_centro').optional({ nullable: true }).isUUID().withMessage('ID de centro inválido'),
+  body('fecha_vacunacion').isISO8601().withMessage('Fecha de vacunación inválida'),
+  body('dosis_aplicada').isInt({ min: 1 }).withMessage('Dosis aplicada debe ser un número positivo'),
+  body('sitio_aplicacion')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Sitio de aplicación debe ser una cadena válida (máximo 100 caracteres)'),
+  body('observaciones')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Observaciones debe ser una cadena válida'),
+  body('excepcion').optional({ nullable: true }).isObject().withMessage('Excepción debe ser un objeto'),
+  body('excepcion.justificacion')
+    .if(body('excepcion').exists({ values: 'null' }))
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('La justificación de la excepción debe tener entre 10 y 1000 caracteres'),
+  body('id_vacuna').optional({ nullable: true }).isUUID().withMessage('ID de vacuna inválido'),
+  body('uso_emergencia').optional({ nullable: true }).isObject().withMessage('Uso de emergencia debe ser un objeto'),
+  body('uso_emergencia.justificacion')
+    .if(body('uso_emergencia').exists({ values: 'null' }))
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('La justificación del uso de emergencia debe tener entre 10 y 1000 caracteres'),
+];
+
+const getLotCenter = async (pool, id_lote) => {
+  const result = await pool
+    .request()
+    .input('id_lote', sql.UniqueIdentifier, id_lote)
+    .query('SELECT id_centro FROM Lotes_Vacunas WHERE id_lote = @id_lote');
+  return result.recordset[0]?.id_centro || null;
+};
+
+/**
+ * Elegibilidad del lote y reglas del esquema de una dosis; lanza 409 o 403 si no puede
+ * registrarse. Devuelve los motivos del esquema y lo que autorizan `excepcion` (esquema)
+ * y `uso_emergencia` (lote). `id_historial` excluye el propio registro al corregirlo.
+ */
+const checkDoseRules = async (pool, data, { user, id_historial = null }) => {
+  const problemasLote = await checkLot(pool, { ...data, id_centro: data.id_centro || null });
+  const lote = assertLotAllowed(problemasLote, { user, uso_emergencia: data.uso_emergencia });
+  const motivos = await checkDose(pool, { ...data, id_historial });
+  const esquema = assertDoseAllowed(motivos, { user, excepcion: data.excepcion });
+  return { motivos, esquema, lote };
+};
+
+/**
+ * Guarda en la transacción las excepciones (esquema y lote) que autorizaron la dosis y
+ * devuelve las que se registraron, para auditarlas y devolverlas en la respuesta.
+ */
+const recordOverrides = async (transaction, { id_historial, data, user, esquema, lote }) => {
+  const overrides = [
+    esquema && { tipo: 'Esquema', motivos: esquema, justificacion: data.excepcion.justificacion },
+    lote && { tipo: 'Lote', motivos: lote, justificacion: data.uso_emergencia.justificacion },
+  ].filter(Boolean);
+  for (const override of overrides) {
+    override.id_excepcion = await recordOverride(transaction, { id_historial, ...override, id_usuario: user.id_usuario });
+  }
+  return overrides;
+};
+
+const OVERRIDE_DESCRIPTIONS = { Esquema: 'fuera de esquema', Lote: 'con uso de emergencia del lote' };
+
+// Detalle de auditoría de una excepción registrada por recordOverrides
+const describeOverride = ({ id_historial, tipo, motivos, justificacion }) =>
+  `Dosis ${id_historial} autorizada ${OVERRIDE_DESCRIPTIONS[tipo]} (${motivos.map(motivo => motivo.codigo).join(', ')}): ${justificacion}`;
+
+/**
+ * Comprobaciones previas al registro de una dosis, fuera de la transacción: acceso al
+ * centro donde se aplica (o al del lote), lote, esquema y reglas de observaciones.
+ */
+const prepareDose = async (pool, data, { user, scope }) => {
+  const id_centro = data.id_centro || await getLotCenter(pool, data.id_lote);
+  if (id_centro) {
+    assertCenterAccess(scope, id_centro);
+  }
+  const rules = await checkDoseRules(pool, data, { user });
+  const reglas = matchRules(await loadRules(pool), data.observaciones);
+  return { ...rules, reglas };
+};
+
+/**
+ * Registra la dosis preparada por prepareDose con sp_RegistrarVacunacion_Alterna, junto con su
+ * versión de registro, sus excepciones y el incidente de las observaciones marcadas, en la
+ * transacción recibida.
+ */
+const writeDose = async (transaction, data, { motivos, esquema, lote, reglas }, { user }) => {
+  const result = await transaction
+    .request()
+    .input('id_niño', sql.UniqueIdentifier, data.id_niño)
+    .input('id_lote', sql.UniqueIdentifier, data.id_lote)
+    .input('id_usuario', sql.UniqueIdentifier, data.id_usuario)
+    .input('id_centro', sql.UniqueIdentifier, data.id_centro || null)
+    .input('fecha_vacunacion', sql.DateTime2, data.fecha_vacunacion)
+    .input('dosis_aplicada', sql.Int, data.dosis_aplicada)
+    .input('sitio_aplicacion', sql.NVarChar(100), data.sitio_aplicacion || null)
+    .input('observaciones', sql.NVarChar(sql.MAX), data.observaciones || null)
+    .execute('sp_RegistrarVacunacion_Alterna');
+  const id_historial = result.recordset[0].id_historial;
+  await recordVersion(transaction, { id_historial, tipo_cambio: 'Registro', id_usuario: user.id_usuario, id_cuenta: user.id_cuenta });
+  const overrides = await recordOverrides(transaction, { id_historial, data, user, esquema, lote });
+  const id_incidente = reglas.length > 0
+    ? await openIncident(transaction, { id_historial, observaciones: data.observaciones, reglas })
+    : null;
+  return {
+    id_historial,
+    advertencias: motivos.filter(motivo => motivo.severidad === 'advertencia'),
+    overrides,
+    id_incidente,
+    reglas: reglas.map(regla => regla.patron),
+  };
+};
+
+// Cuerpo de la respuesta de una dosis registrada por writeDose o corregida (con su `version`)
+const doseResponse = ({ id_historial, version, advertencias, overrides, id_incidente, reglas }) => {
+  const byType = tipo => overrides.find(override => override.tipo === tipo);
+  return {
+    id_historial,
+    ...(version && { version }),
+    advertencias,
+    ...(byType('Esquema') && { excepcion: { id_excepcion: byType('Esquema').id_excepcion, motivos: byType('Esquema').motivos } }),
+    ...(byType('Lote') && { uso_emergencia: { id_excepcion: byType('Lote').id_excepcion, problemas: byType('Lote').motivos } }),
+    ...(id_incidente && { incidente: { id_incidente, reglas } }),
+  };
+};
+
+module.exports = {
+  validateVaccination,
+  getLotCenter,
+  checkDoseRules,
+  recordOverrides,
+  describeOverride,
+  prepareDose,
+  writeDose,
+  doseResponse,
+};
@@ -0,0 +1,168 @@
+// src/services/doseValidation.js
+const { sql } = require('../config/db');
+const { ROLES } = require('../config/permissions');
+const { httpError } = require('./httpError');
+
+// Roles que pueden autorizar una dosis fuera de esquema
+const SUPERVISOR_ROLES = [ROLES.DIRECTOR, ROLES.ADMINISTRADOR];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Días de tolerancia de la edad mínima y del intervalo mínimo (DOSE_GRACE_DAYS, 4 por
+ * defecto): una dosis que se adelanta dentro de ese margen se registra con una
+ * advertencia en lugar de rechazarse.
+ */
+const graceDays = () => {
+  const value = Number.parseInt(process.env.DOSE_GRACE_DAYS, 10);
+  return Number.isNaN(value) || value < 0 ? 4 : value;
+};
+
+const dayNumber = value => Math.floor(new Date(value).getTime() / DAY_MS);
+const isoDate = value => new Date(value).toISOString().slice(0, 10);
+
+// Regla de mínimo (edad o intervalo): error si se incumple por más de la tolerancia, advertencia si no
+const minimumRule = (codigo, actual, minimo, mensaje) => {
+  const deficit = minimo - actual;
+  if (deficit <= 0) return null;
+  return { codigo, severidad: deficit <= graceDays() ? 'advertencia' : 'error', mensaje, dias: actual, minimo_dias: minimo };
+};
+
+/**
+ * Comprueba una dosis contra las dosis previas del paciente para la misma vacuna, las
+ * dosis requeridas de la vacuna y la entrada de Esquema_Vacunacion de su orden.
+ * Devuelve los motivos ({ codigo, severidad: 'error' | 'advertencia', mensaje, ... });
+ * `id_historial` excluye el propio registro al actualizarlo. Si el paciente o el lote no
+ * existen no devuelve nada: el procedimiento de registro informa de ello.
+ */
+const checkDose = async (pool, { id_niño, id_lote, fecha_vacunacion, dosis_aplicada, id_historial = null }) => {
+  const result = await pool
+    .request()
+    .input('id_niño', sql.UniqueIdentifier, id_niño)
+    .input('id_lote', sql.UniqueIdentifier, id_lote)
+    .input('id_historial', sql.UniqueIdentifier, id_historial)
+    .query(`
+      SELECT fecha_nacimiento FROM Niños WHERE id_niño = @id_niño;
+      SELECT v.id_vacuna, v.nombre, v.dosis_requeridas
+      FROM Lotes_Vacunas l INNER JOIN Vacunas v ON v.id_vacuna = l.id_vacuna
+      WHERE l.id_lote = @id_lote;
+      SELECT e.orden_dosis, e.edad_minima_dias, e.intervalo_minimo_dias
+      FROM Esquema_Vacunacion e INNER JOIN Lotes_Vacunas l ON l.id_vacuna = e.id_vacuna
+      WHERE l.id_lote = @id_lote;
+      SELECT h.id_historial, h.dosis_aplicada, h.fecha_vacunacion
+      FROM Historial_Vacunacion_Alterna h
+      INNER JOIN Lotes_Vacunas l ON l.id_lote = h.id_lote
+      WHERE h.id_niño = @id_niño AND h.estado_registro = 'Vigente'
+        AND l.id_vacuna = (SELECT id_vacuna FROM Lotes_Vacunas WHERE id_lote = @id_lote)
+        AND (@id_historial IS NULL OR h.id_historial <> @id_historial)
+      ORDER BY h.dosis_aplicada;
+    `);
+  const [[paciente], [vacuna], esquema, previas] = result.recordsets;
+  if (!paciente || !vacuna) return [];
+
+  const dosis = Number(dosis_aplicada);
+  const fecha = new Date(fecha_vacunacion);
+  const motivos = [];
+
+  if (vacuna.dosis_requeridas && dosis > vacuna.dosis_requeridas) {
+    motivos.push({
+      codigo: 'DOSIS_EXCEDIDA',
+      severidad: 'error',
+      mensaje: `${vacuna.nombre} requiere ${vacuna.dosis_requeridas} dosis; no se puede registrar la dosis ${dosis}`,
+      dosis_requeridas: vacuna.dosis_requeridas,
+    });
+  }
+
+  const repetida = previas.find(previa => previa.dosis_aplicada === dosis);
+  if (repetida) {
+    motivos.push({
+      codigo: 'DOSIS_REPETIDA',
+      severidad: 'error',
+      mensaje: `La dosis ${dosis} de ${vacuna.nombre} ya se aplicó el ${isoDate(repetida.fecha_vacunacion)}`,
+      id_historial: repetida.id_historial,
+    });
+  }
+
+  const faltantes = Array.from({ length: dosis - 1 }, (_, i) => i + 1)
+    .filter(orden => !previas.some(previa => previa.dosis_aplicada === orden));
+  if (faltantes.length > 0) {
+    motivos.push({
+      codigo: 'DOSIS_OMITIDA',
+      severidad: 'error',
+      mensaje: `Faltan las dosis ${faltantes.join(', ')} de ${vacuna.nombre} antes de la dosis ${dosis}`,
+      dosis_faltantes: faltantes,
+    });
+  }
+
+  const anterior = previas.find(previa => previa.dosis_aplicada === dosis - 1);
+  if (anterior && fecha < new Date(anterior.fecha_vacunacion)) {
+    motivos.push({
+      codigo: 'ORDEN_CRONOLOGICO',
+      severidad: 'error',
+      mensaje: `La fecha es anterior a la dosis ${anterior.dosis_aplicada}, aplicada el ${isoDate(anterior.fecha_vacunacion)}`,
+    });
+  }
+
+  const regla = esquema.find(entrada => entrada.orden_dosis === dosis);
+  if (!regla) {
+    motivos.push({
+      codigo: 'SIN_ESQUEMA',
+      severidad: 'advertencia',
+      mensaje: `No hay esquema para la dosis ${dosis} de ${vacuna.nombre}; no se validan la edad ni el intervalo`,
+    });
+    return motivos;
+  }
+
+  if (regla.edad_minima_dias !== null && regla.edad_minima_dias !== undefined) {
+    const edad = dayNumber(fecha) - dayNumber(paciente.fecha_nacimiento);
+    const motivo = minimumRule('EDAD_MINIMA', edad, regla.edad_minima_dias,
+      `El paciente tiene ${edad} días y la dosis ${dosis} requiere al menos ${regla.edad_minima_dias}`);
+    if (motivo) motivos.push(motivo);
+  }
+  if (regla.intervalo_minimo_dias !== null && regla.intervalo_minimo_dias !== undefined && anterior && fecha >= new Date(anterior.fecha_vacunacion)) {
+    const intervalo = dayNumber(fecha) - dayNumber(anterior.fecha_vacunacion);
+    const motivo = minimumRule('INTERVALO_MINIMO', intervalo, regla.intervalo_minimo_dias,
+      `Han pasado ${intervalo} días desde la dosis ${anterior.dosis_aplicada} y se requieren al menos ${regla.intervalo_minimo_dias}`);
+    if (motivo) motivos.push(motivo);
+  }
+  return motivos;
+};
+
+/**
+ * Decide si una dosis con estos motivos puede registrarse. Sin errores, sí. Con errores,
+ * solo si se envía una `excepcion` y quien registra es supervisor; devuelve entonces los
+ * errores que la excepción autoriza. Lanza 409 con los motivos, o 403 si no es supervisor.
+ */
+const assertDoseAllowed = (motivos, { user, excepcion }) => {
+  const errores = motivos.filter(motivo => motivo.severidad === 'error');
+  if (errores.length === 0) return null;
+  if (!excepcion) throw httpError('La dosis no cumple el esquema de vacunación', 409, { motivos }, { expose: true });
+  if (!SUPERVISOR_ROLES.includes(user.rol) || !user.id_usuario) {
+    throw httpError('Solo un supervisor (director o administrador) puede autorizar una dosis fuera de esquema', 403, { motivos }, {
+      expose: true,
+    });
+  }
+  return errores;
+};
+
+/**
+ * Guarda la excepción que autorizó la dosis `id_historial` ('Esquema' o, para el uso de
+ * emergencia de un lote, 'Lote'); `runner` puede ser una transacción.
+ */
+const recordOverride = async (runner, { id_historial, tipo = 'Esquema', motivos, justificacion, id_usuario }) => {
+  const result = await runner
+    .request()
+    .input('id_historial', sql.UniqueIdentifier, id_historial)
+    .input('tipo', sql.NVarChar(30), tipo)
+    .input('motivos', sql.NVarChar(sql.MAX), JSON.stringify(motivos))
+    .input('justificacion', sql.NVarChar(1000), justificacion)
+    .input('id_usuario', sql.UniqueIdentifier, id_usuario)
+    .query(`
+      INSERT INTO Excepciones_Vacunacion (id_historial, tipo, motivos, justificacion, id_usuario_autoriza)
+      OUTPUT INSERTED.id_excepcion
+      VALUES (@id_historial, @tipo, @motivos, @justificacion, @id_usuario)
+    `);
+  return result.recordset[0].id_excepcion;
+};
+
+module.exports = { SUPERVISOR_ROLES, checkDose, assertDoseAllowed, recordOverride };
@@ -0,0 +1,154 @@
+// src/services/doseVersions.js
+// Versiones de los registros de Historial_Vacunacion_Alterna: la fila guarda la versión vigente y
+// Versiones_Historial_Vacunacion cada versión con su autor, fecha y motivo
+const { body } = require('express-validator');
+const { sql } = require('../config/db');
+const { httpError } = require('./httpError');
+
+const ENTERED_IN_ERROR = 'Error de registro';
+
+const validateReason = body('motivo')
+  .isString()
+  .trim()
+  .isLength({ min: 10, max: 1000 })
+  .withMessage('El motivo debe tener entre 10 y 1000 caracteres');
+
+const VERSION_COLUMNS = `
+  id_historial, version, tipo_cambio, id_niño, id_lote, id_usuario, id_centro, fecha_vacunacion,
+  dosis_aplicada, sitio_aplicacion, observaciones, estado_registro, motivo, id_usuario_autor, id_cuenta_autor`;
+const SNAPSHOT = `
+  h.id_historial, h.version, @tipo_cambio, h.id_niño, h.id_lote, h.id_usuario, h.id_centro, h.fecha_vacunacion,
+  h.dosis_aplicada, h.sitio_aplicacion, h.observaciones, h.estado_registro`;
+
+/**
+ * Copia la fila actual de la dosis como versión `tipo_cambio` ('Registro', 'Enmienda' o
+ * 'Error de registro'). El autor es el usuario o, con una clave API, la cuenta de servicio
+ * (`id_cuenta`). `runner` puede ser una transacción.
+ */
+const recordVersion = (runner, { id_historial, tipo_cambio, motivo = null, id_usuario, id_cuenta = null }) => runner
+  .request()
+  .input('id_historial', sql.UniqueIdentifier, id_historial)
+  .input('tipo_cambio', sql.NVarChar(20), tipo_cambio)
+  .input('motivo', sql.NVarChar(1000), motivo)
+  .input('id_usuario_autor', sql.UniqueIdentifier, id_usuario || null)
+  .input('id_cuenta_autor', sql.UniqueIdentifier, id_cuenta || null)
+  .query(`
+    INSERT INTO Versiones_Historial_Vacunacion (${VERSION_COLUMNS})
+    SELECT ${SNAPSHOT}, @motivo, @id_usuario_autor, @id_cuenta_autor
+    FROM Historial_Vacunacion_Alterna h
+    WHERE h.id_historial = @id_historial
+  `);
+
+// Dosis registradas antes del control de versiones: su estado actual pasa a ser la versión de registro.
+// El bloqueo de actualización retiene la fila hasta el commit: los cambios simultáneos de una dosis se aplican en orden
+const ensureBaseline = (transaction, id_historial) => transaction
+  .request()
+  .input('id_historial', sql.UniqueIdentifier, id_historial)
+  .input('tipo_cambio', sql.NVarChar(20), 'Registro')
+  .query(`
+    INSERT INTO Versiones_Historial_Vacunacion (${VERSION_COLUMNS})
+    SELECT ${SNAPSHOT}, NULL, NULL, NULL
+    FROM Historial_Vacunacion_Alterna h WITH (UPDLOCK, ROWLOCK)
+    WHERE h.id_historial = @id_historial
+      AND NOT EXISTS (SELECT 1 FROM Versiones_Historial_Vacunacion v WHERE v.id_historial = h.id_historial)
+  `);
+
+// Incrementa la versión de una dosis vigente (y la marca como error si se pide) y devuelve la nueva;
+// lanza 409 si la dosis ya estaba registrada como error
+const nextVersion = async (transaction, id_historial, { enteredInError = false } = {}) => {
+  const result = await transaction
+    .request()
+    .input('id_historial', sql.UniqueIdentifier, id_historial)
+    .input('error', sql.NVarChar(20), ENTERED_IN_ERROR)
+    .query(`
+      UPDATE Historial_Vacunacion_Alterna
+      SET ${enteredInError ? 'estado_registro = @error, ' : ''}version = version + 1
+      OUTPUT INSERTED.version
+      WHERE id_historial = @id_historial AND estado_registro = 'Vigente'
+    `);
+  if (result.recordset.length === 0) {
+    throw httpError(enteredInError
+      ? 'La dosis ya está registrada como error'
+      : 'La dosis está registrada como error y no puede modificarse', 409);
+  }
+  return result.recordset[0].version;
+};
+
+/**
+ * Enmienda una dosis vigente con sp_ActualizarHistorialVacunacion_Alterna y guarda la nueva
+ * versión con su autor y motivo, en la transacción recibida. Devuelve el número de versión.
+ */
+const amendDose = async (transaction, id_historial, data, { motivo, id_usuario, id_cuenta }) => {
+  await ensureBaseline(transaction, id_historial);
+  // Antes del procedimiento: una dosis registrada como error no llega a modificarse
+  const version = await nextVersion(transaction, id_historial);
+  await transaction
+    .request()
+    .input('id_historial', sql.UniqueIdentifier, id_historial)
+    .input('id_niño', sql.UniqueIdentifier, data.id_niño)
+    .input('id_lote', sql.UniqueIdentifier, data.id_lote)
+    .input('id_usuario', sql.UniqueIdentifier, data.id_usuario)
+    .input('id_centro', sql.UniqueIdentifier, data.id_centro || null)
+    .input('fecha_vacunacion', sql.DateTime2, data.fecha_vacunacion)
+    .input('dosis_aplicada', sql.Int, data.dosis_aplicada)
+    .input('sitio_aplicacion', sql.NVarChar(100), data.sitio_aplicacion || null)
+    .input('observaciones', sql.NVarChar(sql.MAX), data.observaciones || null)
+    .execute('sp_ActualizarHistorialVacunacion_Alterna');
+  await recordVersion(transaction, { id_historial, tipo_cambio: 'Enmienda', motivo, id_usuario, id_cuenta });
+  return version;
+};
+
+/**
+ * Traslada una dosis vigente a otro paciente (fusión de pacientes y su reversión) y guarda esa
+ * enmienda con su autor y motivo, en la transacción recibida. Devuelve el número de versión.
+ */
+const reassignDose = async (transaction, id_historial, id_niño, { motivo, id_usuario }) => {
+  await ensureBaseline(transaction, id_historial);
+  const version = await nextVersion(transaction, id_historial);
+  await transaction
+    .request()
+    .input('id_historial', sql.UniqueIdentifier, id_historial)
+    .input('id_niño', sql.UniqueIdentifier, id_niño)
+    .query('UPDATE Historial_Vacunacion_Alterna SET id_niño = @id_niño WHERE id_historial = @id_historial');
+  await recordVersion(transaction, { id_historial, tipo_cambio: 'Enmienda', motivo, id_usuario });
+  return version;
+};
+
+/**
+ * Marca una dosis vigente como registrada por error, sin borrarla, y guarda esa versión con su
+ * autor y motivo. Devuelve el número de versión.
+ */
+const markEnteredInError = async (transaction, id_historial, { motivo, id_usuario, id_cuenta }) => {
+  await ensureBaseline(transaction, id_historial);
+  const version = await nextVersion(transaction, id_historial, { enteredInError: true });
+  await recordVersion(transaction, { id_historial, tipo_cambio: ENTERED_IN_ERROR, motivo, id_usuario, id_cuenta });
+  return version;
+};
+
+/** Versiones de una dosis, de la más antigua a la vigente, con el nombre del autor. */
+const listVersions = async (pool, id_historial) => {
+  const result = await pool
+    .request()
+    .input('id_historial', sql.UniqueIdentifier, id_historial)
+    .query(`
+      SELECT v.id_version, v.version, v.tipo_cambio, v.id_niño, v.id_lote, v.id_usuario, v.id_centro,
+        v.fecha_vacunacion, v.dosis_aplicada, v.sitio_aplicacion, v.observaciones, v.estado_registro,
+        v.motivo, v.id_usuario_autor, v.id_cuenta_autor, COALESCE(u.nombre, cs.nombre) AS autor, v.fecha
+      FROM Versiones_Historial_Vacunacion v
+      LEFT JOIN Usuarios u ON u.id_usuario = v.id_usuario_autor
+      LEFT JOIN Cuentas_Servicio cs ON cs.id_cuenta = v.id_cuenta_autor
+      WHERE v.id_historial = @id_historial
+      ORDER BY v.version
+    `);
+  return result.recordset;
+};
+
+module.exports = {
+  ENTERED_IN_ERROR,
+  validateReason,
+  recordVersion,
+  amendDose,
+  reassignDose,
+  markEnteredInError,
+  listVersions,
+};
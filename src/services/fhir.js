@@ -0,0 +1,404 @@
+// src/services/fhir.js
+const { sql } = require('../config/db');
+const { revealFields, blindIndex } = require('./fieldEncryption');
+const { canAccessCenter, scopeCondition } = require('./centerScope');
+const { withTransaction } = require('./transaction');
+const { ENTERED_IN_ERROR, recordVersion } = require('./doseVersions');
+const { httpError } = require('./httpError');
+
+const FHIR_JSON = 'application/fhir+json';
+
+// Sistemas de identificadores y códigos; los locales pueden sustituirse por los del intercambio nacional
+const SYSTEMS = {
+  identificacion: () => process.env.FHIR_IDENTIFIER_SYSTEM || 'urn:sistema-vacunacion:identificacion',
+  saludNacional: () => process.env.FHIR_NATIONAL_HEALTH_ID_SYSTEM || 'urn:sistema-vacunacion:id-salud-nacional',
+  vacunas: () => 'urn:sistema-vacunacion:vacuna',
+  cvx: () => 'http://hl7.org/fhir/sid/cvx',
+  roleCode: () => 'http://terminology.hl7.org/CodeSystem/v3-RoleCode',
+};
+
+const GENDERS = { M: 'male', F: 'female', O: 'other' };
+const RELATIONSHIPS = { Madre: 'MTH', Padre: 'FTH', 'Tutor Legal': 'GUARD' };
+const STATUS_TEXT = {
+  200: 'OK', 201: 'Created', 400: 'Bad Request', 403: 'Forbidden', 404: 'Not Found',
+  409: 'Conflict', 422: 'Unprocessable Entity', 500: 'Internal Server Error',
+};
+
+const UUID = '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}';
+
+const id = (value) => String(value).toLowerCase();
+const isoDate = (value) => new Date(value).toISOString().slice(0, 10);
+
+// FHIR no admite null ni arrays vacíos: se omiten esos elementos
+const compact = (resource) => Object.fromEntries(
+  Object.entries(resource).filter(([, value]) => value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0))
+);
+
+const operationOutcome = (message, code = 'processing', severity = 'error') => ({
+  resourceType: 'OperationOutcome',
+  issue: [{ severity, code, diagnostics: message }],
+});
+
+const toPatient = (row) => compact({
+  resourceType: 'Patient',
+  id: id(row.id_niño),
+  identifier: [
+    row.identificacion && { use: 'official', system: SYSTEMS.identificacion(), value: row.identificacion },
+    row.id_salud_nacional && { system: SYSTEMS.saludNacional(), value: row.id_salud_nacional },
+  ].filter(Boolean),
+  active: row.estado === 'Activo' && !row.id_archivo,
+  name: [{ text: row.nombre_completo }],
+  gender: GENDERS[row.genero] || 'unknown',
+  birthDate: isoDate(row.fecha_nacimiento),
+  address: row.direccion_residencia ? [{ text: row.direccion_residencia }] : null,
+});
+
+const toRelatedPerson = (row) => compact({
+  resourceType: 'RelatedPerson',
+  id: id(row.id_tutor),
+  identifier: row.identificacion ? [{ system: SYSTEMS.identificacion(), value: row.identificacion }] : null,
+  active: row.estado === 'Activo',
+  patient: { reference: `Patient/${id(row.id_niño)}` },
+  relationship: [{
+    coding: RELATIONSHIPS[row.relacion] ? [{ system: SYSTEMS.roleCode(), code: RELATIONSHIPS[row.relacion] }] : [],
+    text: row.relacion,
+  }],
+  name: [{ text: row.nombre }],
+  telecom: [
+    row.telefono && { system: 'phone', value: row.telefono },
+    row.email && { system: 'email', value: row.email },
+  ].filter(Boolean),
+  address: row.direccion ? [{ text: row.direccion }] : null,
+});
+
+const toLocation = (row) => compact({
+  resourceType: 'Location',
+  id: id(row.id_centro),
+  status: row.estado === 'Activo' ? 'active' : 'inactive',
+  name: row.nombre_centro,
+  alias: row.nombre_corto ? [row.nombre_corto] : null,
+  telecom: [
+    row.telefono && { system: 'phone', value: row.telefono },
+    row.sitio_web && { system: 'url', value: row.sitio_web },
+  ].filter(Boolean),
+  address: row.direccion ? { text: row.direccion } : null,
+  position: row.latitud != null && row.longitud != null ? { latitude: Number(row.latitud), longitude: Number(row.longitud) } : null,
+});
+
+// La vacuna se codifica con CVX cuando tiene código y siempre con su identificador local
+const toVaccineCode = (row) => ({
+  coding: [
+    row.codigo_cvx && { system: SYSTEMS.cvx(), code: row.codigo_cvx, display: row.vacuna },
+    { system: SYSTEMS.vacunas(), code: id(row.id_vacuna), display: row.vacuna },
+  ].filter(Boolean),
+  text: row.vacuna,
+});
+
+const toImmunization = (row) => compact({
+  resourceType: 'Immunization',
+  id: id(row.id_historial),
+  status: row.estado_registro === ENTERED_IN_ERROR ? 'entered-in-error' : 'completed',
+  vaccineCode: toVaccineCode(row),
+  patient: { reference: `Patient/${id(row.id_niño)}` },
+  occurrenceDateTime: new Date(row.fecha_vacunacion).toISOString(),
+  primarySource: true,
+  location: row.id_centro ? { reference: `Location/${id(row.id_centro)}`, display: row.nombre_centro || undefined } : null,
+  manufacturer: row.fabricante ? { display: row.fabricante } : null,
+  lotNumber: row.numero_lote,
+  expirationDate: row.fecha_vencimiento ? isoDate(row.fecha_vencimiento) : null,
+  site: row.sitio_aplicacion ? { text: row.sitio_aplicacion } : null,
+  performer: row.id_usuario ? [{ actor: { reference: `Practitioner/${id(row.id_usuario)}`, display: row.usuario || undefined } }] : null,
+  note: row.observaciones ? [{ text: row.observaciones }] : null,
+  protocolApplied: [{ doseNumberPositiveInt: row.dosis_aplicada }],
+});
+
+const searchBundle = (resources) => ({
+  resourceType: 'Bundle',
+  type: 'searchset',
+  total: resources.length,
+  entry: resources.map(resource => ({
+    fullUrl: `${resource.resourceType}/${resource.id}`,
+    resource,
+    search: { mode: 'match' },
+  })),
+});
+
+const PATIENT_SELECT = `
+  SELECT n.id_niño, n.nombre_completo, n.identificacion, n.id_salud_nacional, n.fecha_nacimiento, n.genero,
+    n.direccion_residencia, n.id_centro_salud, n.estado, n.id_archivo
+  FROM Niños n`;
+const TUTOR_SELECT = `
+  SELECT t.id_tutor, t.id_niño, t.nombre, t.relacion, t.identificacion, t.telefono, t.email, t.direccion, t.estado
+  FROM Tutores t`;
+const CENTER_SELECT = `
+  SELECT c.id_centro, c.nombre_centro, c.nombre_corto, c.direccion, c.latitud, c.longitud, c.telefono, c.sitio_web, c.estado
+  FROM Centros_Vacunacion c`;
+const DOSE_SELECT = `
+  SELECT h.id_historial, h.id_niño, h.fecha_vacunacion, h.dosis_aplicada, h.sitio_aplicacion, h.observaciones,
+    h.estado_registro, h.id_usuario, u.nombre AS usuario, l.numero_lote, l.fecha_vencimiento,
+    v.id_vacuna, v.nombre AS vacuna, v.fabricante, v.codigo_cvx,
+    COALESCE(h.id_centro, l.id_centro) AS id_centro, c.nombre_centro
+  FROM Historial_Vacunacion_Alterna h
+  INNER JOIN Lotes_Vacunas l ON l.id_lote = h.id_lote
+  INNER JOIN Vacunas v ON v.id_vacuna = l.id_vacuna
+  LEFT JOIN Usuarios u ON u.id_usuario = h.id_usuario
+  LEFT JOIN Centros_Vacunacion c ON c.id_centro = COALESCE(h.id_centro, l.id_centro)`;
+
+const getPatient = async (pool, id_niño) => {
+  const result = await pool.request()
+    .input('id_niño', sql.UniqueIdentifier, id_niño)
+    .query(`${PATIENT_SELECT} WHERE n.id_niño = @id_niño`);
+  return result.recordset[0] || null;
+};
+
+/**
+ * Busca pacientes no archivados por identificador FHIR. Sin sistema se busca tanto
+ * en la identificación (por índice ciego) como en el identificador nacional de salud.
+ */
+const searchPatients = async (pool, { system, value }, scope) => {
+  const request = pool.request();
+  const conditions = [];
+  if (!system || system === SYSTEMS.identificacion()) {
+    request.input('identificacion_hash', sql.NVarChar(64), blindIndex(value));
+    conditions.push('n.identificacion_hash = @identificacion_hash');
+  }
+  if (!system || system === SYSTEMS.saludNacional()) {
+    request.input('id_salud_nacional', sql.NVarChar(20), value);
+    conditions.push('n.id_salud_nacional = @id_salud_nacional');
+  }
+  if (conditions.length === 0) return [];
+  const where = scopeCondition(request, scope, 'n.id_centro_salud');
+  const result = await request.query(`
+    ${PATIENT_SELECT}
+    WHERE (${conditions.join(' OR ')}) AND n.id_archivo IS NULL AND ${where}
+  `);
+  return result.recordset;
+};
+
+const getRelatedPerson = async (pool, id_tutor) => {
+  const result = await pool.request()
+    .input('id_tutor', sql.UniqueIdentifier, id_tutor)
+    .query(`
+      SELECT t.id_tutor, t.id_niño, t.nombre, t.relacion, t.identificacion, t.telefono, t.email, t.direccion, t.estado,
+        n.id_centro_salud
+      FROM Tutores t INNER JOIN Niños n ON n.id_niño = t.id_niño
+      WHERE t.id_tutor = @id_tutor
+    `);
+  return result.recordset[0] || null;
+};
+
+const getLocation = async (pool, id_centro) => {
+  const result = await pool.request()
+    .input('id_centro', sql.UniqueIdentifier, id_centro)
+    .query(`${CENTER_SELECT} WHERE c.id_centro = @id_centro`);
+  return result.recordset[0] || null;
+};
+
+const getImmunization = async (pool, id_historial) => {
+  const result = await pool.request()
+    .input('id_historial', sql.UniqueIdentifier, id_historial)
+    .query(`${DOSE_SELECT} WHERE h.id_historial = @id_historial`);
+  return result.recordset[0] || null;
+};
+
+const listImmunizations = async (pool, id_niño) => {
+  const result = await pool.request()
+    .input('id_niño', sql.UniqueIdentifier, id_niño)
+    .query(`${DOSE_SELECT} WHERE h.id_niño = @id_niño ORDER BY h.fecha_vacunacion`);
+  return result.recordset;
+};
+
+/**
+ * Patient/$everything: el paciente, sus tutores, sus inmunizaciones y los centros
+ * que aparecen en ellas. `authorize(paciente)` se llama antes de leer el resto.
+ */
+const patientEverything = async (pool, id_niño, { user, authorize }) => {
+  const paciente = await getPatient(pool, id_niño);
+  if (!paciente) throw httpError('Paciente no encontrado', 404);
+  authorize(paciente);
+
+  const result = await pool.request()
+    .input('id_niño', sql.UniqueIdentifier, id_niño)
+    .query(`
+      ${TUTOR_SELECT} WHERE t.id_niño = @id_niño;
+      ${DOSE_SELECT} WHERE h.id_niño = @id_niño ORDER BY h.fecha_vacunacion;
+      ${CENTER_SELECT}
+      WHERE c.id_centro IN (
+        SELECT COALESCE(h.id_centro, l.id_centro) FROM Historial_Vacunacion_Alterna h
+        INNER JOIN Lotes_Vacunas l ON l.id_lote = h.id_lote
+        WHERE h.id_niño = @id_niño
+        UNION SELECT id_centro_salud FROM Niños WHERE id_niño = @id_niño
+      );
+    `);
+  const [tutores, dosis, centros] = result.recordsets;
+
+  return searchBundle([
+    toPatient(revealFields('Niños', paciente, user)),
+    ...tutores.map(tutor => toRelatedPerson(revealFields('Tutores', tutor, user))),
+    ...dosis.map(toImmunization),
+    ...centros.map(toLocation),
+  ]);
+};
+
+const referenceId = (reference, type) => {
+  const match = new RegExp(`(?:^|/)${type}/(${UUID})$`).exec(reference || '');
+  return match ? match[1] : null;
+};
+
+const resolvePatient = async (runner, patient, scope) => {
+  const byReference = referenceId(patient?.reference, 'Patient');
+  if (byReference) {
+    const paciente = await getPatient(runner, byReference);
+    if (!paciente) throw httpError(`Paciente ${byReference} no encontrado`, 404);
+    return paciente;
+  }
+  if (patient?.identifier?.value) {
+    const matches = await searchPatients(runner, patient.identifier, scope);
+    if (matches.length === 1) return matches[0];
+    throw httpError(matches.length === 0 ? 'Ningún paciente coincide con el identificador' : 'Varios pacientes coinciden con el identificador', 422);
+  }
+  throw httpError('Immunization.patient debe ser una referencia Patient/<id> o un identificador', 422);
+};
+
+// El lote se busca por número y se desambigua con el código de vacuna y el centro indicados
+const resolveLot = async (runner, resource, id_centro) => {
+  if (!resource.lotNumber) throw httpError('Immunization.lotNumber es obligatorio', 422);
+  const result = await runner.request()
+    .input('numero_lote', sql.NVarChar(50), resource.lotNumber)
+    .query(`
+      SELECT l.id_lote, l.id_centro, v.id_vacuna, v.codigo_cvx
+      FROM Lotes_Vacunas l INNER JOIN Vacunas v ON v.id_vacuna = l.id_vacuna
+      WHERE l.numero_lote = @numero_lote
+    `);
+  const codings = resource.vaccineCode?.coding || [];
+  let lots = result.recordset.filter(lot => codings.length === 0 || codings.some(coding =>
+    (coding.system === SYSTEMS.cvx() && lot.codigo_cvx && coding.code === lot.codigo_cvx)
+    || (coding.system === SYSTEMS.vacunas() && String(coding.code).toLowerCase() === id(lot.id_vacuna))));
+  if (lots.length > 1 && id_centro) {
+    lots = lots.filter(lot => id(lot.id_centro) === id(id_centro));
+  }
+  if (lots.length === 0) throw httpError(`No existe el lote ${resource.lotNumber} para la vacuna indicada`, 422);
+  if (lots.length > 1) throw httpError(`El lote ${resource.lotNumber} es ambiguo; indique la vacuna o el centro`, 422);
+  return lots[0];
+};
+
+/**
+ * Convierte un Immunization recibido en una dosis y la registra con
+ * sp_RegistrarVacunacion_Alterna. Si la misma dosis (paciente, lote, número y día)
+ * ya existe no se duplica y se devuelve la existente con estado 200.
+ */
+const importImmunization = async (runner, resource, { user, scope }) => {
+  if (resource?.resourceType !== 'Immunization') throw httpError('Solo se admiten recursos Immunization', 400);
+  if (resource.status !== 'completed') throw httpError('Solo se importan inmunizaciones con estado completed', 422);
+  const fecha = resource.occurrenceDateTime ? new Date(resource.occurrenceDateTime) : null;
+  if (!fecha || Number.isNaN(fecha.getTime())) throw httpError('Immunization.occurrenceDateTime es obligatorio', 422);
+  const protocol = resource.protocolApplied?.[0] || {};
+  const dosis = Number(protocol.doseNumberPositiveInt ?? protocol.doseNumberString);
+  if (!Number.isInteger(dosis) || dosis < 1) throw httpError('Immunization.protocolApplied[0].doseNumberPositiveInt es obligatorio', 422);
+
+  const paciente = await resolvePatient(runner, resource.patient, scope);
+  const locationId = referenceId(resource.location?.reference, 'Location');
+  const lot = await resolveLot(runner, resource, locationId);
+  const id_centro = locationId || lot.id_centro;
+  if (!canAccessCenter(scope, id_centro)) throw httpError('Acceso denegado: el registro pertenece a otro centro', 403);
+  const id_usuario = referenceId(resource.performer?.[0]?.actor?.reference, 'Practitioner') || user.id_usuario;
+  if (!id_usuario) throw httpError('Indique en performer el profesional (Practitioner/<id>) que aplicó la dosis', 422);
+
+  const existing = await runner.request()
+    .input('id_niño', sql.UniqueIdentifier, paciente.id_niño)
+    .input('id_lote', sql.UniqueIdentifier, lot.id_lote)
+    .input('dosis_aplicada', sql.Int, dosis)
+    .input('fecha', sql.Date, fecha)
+    .query(`
+      SELECT id_historial FROM Historial_Vacunacion_Alterna
+      WHERE id_niño = @id_niño AND id_lote = @id_lote AND dosis_aplicada = @dosis_aplicada
+        AND CAST(fecha_vacunacion AS DATE) = @fecha AND estado_registro = 'Vigente'
+    `);
+  if (existing.recordset[0]) return { status: 200, id_historial: existing.recordset[0].id_historial };
+
+  const result = await runner.request()
+    .input('id_niño', sql.UniqueIdentifier, paciente.id_niño)
+    .input('id_lote', sql.UniqueIdentifier, lot.id_lote)
+    .input('id_usuario', sql.UniqueIdentifier, id_usuario)
+    .input('id_centro', sql.UniqueIdentifier, locationId)
+    .input('fecha_vacunacion', sql.DateTime2, fecha)
+    .input('dosis_aplicada', sql.Int, dosis)
+    .input('sitio_aplicacion', sql.NVarChar(100), resource.site?.text || resource.site?.coding?.[0]?.display || null)
+    .input('observaciones', sql.NVarChar(sql.MAX), (resource.note || []).map(note => note.text).filter(Boolean).join('\n') || null)
+    .execute('sp_RegistrarVacunacion_Alterna');
+  const { id_historial } = result.recordset[0];
+  await recordVersion(runner, { id_historial, tipo_cambio: 'Registro', id_usuario: user.id_usuario, id_cuenta: user.id_cuenta });
+  return { status: 201, id_historial };
+};
+
+const entryResponse = (status, extra) => ({ response: { status: `${status} ${STATUS_TEXT[status] || ''}`.trim(), ...extra } });
+
+/**
+ * Importa un Bundle batch o transaction de Immunization. En batch cada entrada se
+ * procesa por separado y la respuesta informa el resultado de cada una; en
+ * transaction todas se registran en una sola transacción y cualquier error la revierte.
+ * Devuelve el Bundle de respuesta y los id_historial creados.
+ */
+const importBundle = async (pool, bundle, { user, scope }) => {
+  if (bundle?.resourceType !== 'Bundle' || !['batch', 'transaction'].includes(bundle.type)) {
+    throw httpError('Se espera un Bundle de tipo batch o transaction', 400);
+  }
+  const entries = bundle.entry || [];
+  if (entries.length === 0) throw httpError('El Bundle no contiene entradas', 400);
+
+  const created = [];
+  const toEntry = ({ status, id_historial }) => {
+    if (status === 201) created.push(id_historial);
+    return entryResponse(status, { location: `Immunization/${id(id_historial)}` });
+  };
+
+  let responses;
+  if (bundle.type === 'transaction') {
+    responses = await withTransaction(pool, async (transaction) => {
+      const results = [];
+      for (const [index, entry] of entries.entries()) {
+        try {
+          results.push(toEntry(await importImmunization(transaction, entry.resource, { user, scope })));
+        } catch (err) {
+          err.message = `Entrada ${index}: ${err.message}`;
+          throw err;
+        }
+      }
+      return results;
+    });
+  } else {
+    responses = [];
+    for (const entry of entries) {
+      try {
+        responses.push(toEntry(await importImmunization(pool, entry.resource, { user, scope })));
+      } catch (err) {
+        const status = err.statusCode || (err.originalError ? 422 : 500);
+        responses.push(entryResponse(status, { outcome: operationOutcome(status === 500 ? 'Error interno del servidor' : err.message) }));
+      }
+    }
+  }
+
+  return {
+    bundle: { resourceType: 'Bundle', type: `${bundle.type}-response`, entry: responses },
+    created,
+  };
+};
+
+module.exports = {
+  FHIR_JSON,
+  SYSTEMS,
+  operationOutcome,
+  toPatient,
+  toRelatedPerson,
+  toLocation,
+  toImmunization,
+  searchBundle,
+  getPatient,
+  searchPatients,
+  getRelatedPerson,
+  getLocation,
+  getImmunization,
+  listImmunizations,
+  patientEverything,
+  importBundle,
+};
@@ -0,0 +1,311 @@
+// src/services/fieldEncryption.js
+const crypto = require('crypto');
+const { sql } = require('../config/db');
+const logger = require('../config/logger');
+const { SENSITIVE_FIELDS, DECRYPT_ROLES, DECRYPT_SCOPE, enabledFields, isEncryptedField } = require('../config/encryption');
+const { httpError } = require('./httpError');
+
+const PREFIX = 'enc:';
+const ALGORITHM = 'aes-256-gcm';
+const CIPHER_PATTERN = /^enc:v(\d+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]*)$/;
+
+const configError = (message) => httpError(message, 500);
+
+/**
+ * Lee las claves del entorno:
+ * - FIELD_ENCRYPTION_KEYS: "1:<base64 32 bytes>,2:<base64 32 bytes>" (todas las versiones vigentes).
+ * - FIELD_ENCRYPTION_ACTIVE_VERSION: versión con la que se cifra (por defecto la más alta).
+ * - BLIND_INDEX_KEY: clave HMAC (base64) del índice ciego; cambiarla exige reindexar.
+ */
+const parseKeyring = () => {
+  const keys = new Map();
+  for (const entry of (process.env.FIELD_ENCRYPTION_KEYS || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const [version, material] = entry.split(':');
+    const key = Buffer.from(material || '', 'base64');
+    if (!/^\d+$/.test(version) || key.length !== 32) {
+      throw configError(`Clave de cifrado inválida en FIELD_ENCRYPTION_KEYS (versión ${version})`);
+    }
+    keys.set(Number(version), key);
+  }
+  const active = Number(process.env.FIELD_ENCRYPTION_ACTIVE_VERSION) || (keys.size > 0 ? Math.max(...keys.keys()) : null);
+  const indexKey = process.env.BLIND_INDEX_KEY ? Buffer.from(process.env.BLIND_INDEX_KEY, 'base64') : null;
+  return { keys, active, indexKey };
+};
+
+let cached = { source: null, keyring: null };
+
+const getKeyring = () => {
+  const source = [
+    process.env.FIELD_ENCRYPTION_KEYS,
+    process.env.FIELD_ENCRYPTION_ACTIVE_VERSION,
+    process.env.BLIND_INDEX_KEY,
+  ].join('|');
+  if (cached.source !== source) {
+    cached = { source, keyring: parseKeyring() };
+  }
+  return cached.keyring;
+};
+
+/**
+ * Comprueba al arrancar que las claves cubren la configuración, para no descubrirlo con un
+ * 500 en la primera alta o búsqueda de pacientes y tutores. Lanza el error con el motivo.
+ */
+const assertEncryptionConfigured = () => {
+  const { keys, active, indexKey } = getKeyring();
+  if (enabledFields().size > 0 && (!active || !keys.has(active))) {
+    throw configError(active
+      ? `FIELD_ENCRYPTION_KEYS no incluye la versión activa ${active} (FIELD_ENCRYPTION_ACTIVE_VERSION)`
+      : 'Falta FIELD_ENCRYPTION_KEYS: hace falta para cifrar los campos de ENCRYPTED_FIELDS (por defecto, todos)');
+  }
+  if (!indexKey || indexKey.length === 0) {
+    throw configError('Falta BLIND_INDEX_KEY: hace falta para buscar pacientes y tutores por identificación y teléfono');
+  }
+};
+
+const isCiphertext = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+const keyVersion = (value) => {
+  const match = isCiphertext(value) ? CIPHER_PATTERN.exec(value) : null;
+  return match ? Number(match[1]) : null;
+};
+
+const encrypt = (plaintext) => {
+  if (plaintext === null || plaintext === undefined) return null;
+  const { keys, active } = getKeyring();
+  if (!active || !keys.has(active)) {
+    throw configError('Cifrado de campos no configurado (FIELD_ENCRYPTION_KEYS)');
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(active), iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return `${PREFIX}v${active}:${iv.toString('base64')}:${tag.toString('base64')}:${data.toString('base64')}`;
+};
+
+// Los valores que no llevan el prefijo enc: son datos heredados en claro y se devuelven tal cual
+const decrypt = (value) => {
+  if (!isCiphertext(value)) return value;
+  const match = CIPHER_PATTERN.exec(value);
+  if (!match) throw configError('Valor cifrado con formato inválido');
+  const [, version, iv, tag, data] = match;
+  const key = getKeyring().keys.get(Number(version));
+  if (!key) throw configError(`Clave de cifrado v${version} no disponible`);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// Identificaciones y teléfonos se comparan sin espacios, puntos, guiones ni paréntesis y sin distinguir mayúsculas
+const normalizeForIndex = (value) => String(value).normalize('NFKC').toUpperCase().replace(/[\s.()-]/g, '');
+
+const blindIndex = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const { indexKey } = getKeyring();
+  if (!indexKey || indexKey.length === 0) {
+    throw configError('Índice ciego no configurado (BLIND_INDEX_KEY)');
+  }
+  return crypto.createHmac('sha256', indexKey).update(normalizeForIndex(value)).digest('hex');
+};
+
+const canDecrypt = (user) => {
+  if (!user) return false;
+  if (user.tipo === 'servicio') return (user.alcances || []).includes(DECRYPT_SCOPE);
+  return DECRYPT_ROLES.includes(user.rol);
+};
+
+const mask = (value) => {
+  if (value === null || value === undefined || typeof value !== 'string') return null;
+  return value.length <= 4 ? '****' : `****${value.slice(-4)}`;
+};
+
+/**
+ * Prepara los campos sensibles de `values` para escribirlos en `table`.
+ * Devuelve `values` con los campos cifrados en su propia columna y `columns` con las
+ * columnas adicionales (cifradas aparte e índices ciegos) que hay que guardar después
+ * con storeSealedColumns. Solo se tratan los campos presentes en `values`.
+ */
+const sealFields = (table, values) => {
+  const sealed = { ...values };
+  const columns = {};
+  for (const [field, options] of Object.entries(SENSITIVE_FIELDS[table].fields)) {
+    if (!(field in values) || values[field] === undefined) continue;
+    const plaintext = values[field] === null || values[field] === '' ? null : String(values[field]);
+    if (options.blindIndex) columns[options.blindIndex] = blindIndex(plaintext);
+    if (!isEncryptedField(table, field)) continue;
+    const ciphertext = encrypt(plaintext);
+    if (options.column) {
+      columns[options.column] = ciphertext;
+      columns[field] = null;
+      sealed[field] = null;
+    } else {
+      sealed[field] = ciphertext;
+    }
+  }
+  return { values: sealed, columns };
+};
+
+const storeSealedColumns = async (pool, table, match, columns) => {
+  const entries = Object.entries(columns);
+  if (entries.length === 0) return;
+  const request = pool.request().input('match', match.type, match.value);
+  const assignments = entries.map(([column, value], i) => {
+    if (value === null) return `${column} = NULL`;
+    request.input(`valor_${i}`, sql.NVarChar(512), value);
+    return `${column} = @valor_${i}`;
+  });
+  await request.query(`UPDATE [${table}] SET ${assignments.join(', ')} WHERE ${match.column} = @match`);
+};
+
+/**
+ * Devuelve una copia de la fila con los campos sensibles descifrados para roles
+ * clínicos y enmascarados para el resto. Las columnas internas (cifradas aparte e
+ * índices ciegos) no se exponen.
+ */
+const revealFields = (table, row, user) => {
+  if (!row) return row;
+  const clear = canDecrypt(user);
+  const revealed = { ...row };
+  for (const [field, options] of Object.entries(SENSITIVE_FIELDS[table].fields)) {
+    const stored = options.column && revealed[options.column] != null ? revealed[options.column] : revealed[field];
+    if (options.column) delete revealed[options.column];
+    if (options.blindIndex) delete revealed[options.blindIndex];
+    if (stored === undefined) continue;
+    let value = decrypt(stored);
+    if (options.type === 'number' && value !== null && value !== undefined) value = Number(value);
+    revealed[field] = clear ? value : mask(value);
+  }
+  return revealed;
+};
+
+/**
+ * revealFields de un paciente y de sus tutores anidados, que llegan como lista o como
+ * el texto JSON de FOR JSON PATH. Sin columna de tutores se devuelve solo el paciente.
+ */
+const revealPatient = (row, user) => {
+  const { tutores, ...patient } = revealFields('Niños', row, user);
+  if (tutores === undefined) return patient;
+  const list = typeof tutores === 'string' ? JSON.parse(tutores) : tutores || [];
+  return { ...patient, tutores: list.map(tutor => revealFields('Tutores', tutor, user)) };
+};
+
+/**
+ * IDs de las filas cuyo índice ciego de `field` coincide con `value`. Con `lock`, dentro de una
+ * transacción, bloquea también el rango buscado hasta el commit, para que nadie inserte el mismo
+ * valor entre la comprobación y la escritura.
+ */
+const findByBlindIndex = async (runner, table, field, value, { lock = false } = {}) => {
+  const { key, fields } = SENSITIVE_FIELDS[table];
+  const hash = blindIndex(value);
+  if (!hash) return [];
+  const result = await runner
+    .request()
+    .input('hash', sql.NVarChar(64), hash)
+    .query(`SELECT ${key} AS id FROM [${table}]${lock ? ' WITH (UPDLOCK, HOLDLOCK)' : ''} WHERE ${fields[field].blindIndex} = @hash`);
+  return result.recordset.map(row => row.id);
+};
+
+// Condición SQL de filas que aún no están cifradas con la versión activa o sin índice ciego
+const pendingCondition = (table) => {
+  const conditions = [];
+  for (const [field, options] of Object.entries(SENSITIVE_FIELDS[table].fields)) {
+    if (isEncryptedField(table, field)) {
+      const column = options.column || field;
+      conditions.push(`(${column} IS NOT NULL AND ${column} NOT LIKE @prefijo)`);
+      if (options.column) conditions.push(`${field} IS NOT NULL`);
+    }
+    if (options.blindIndex) {
+      conditions.push(`(${options.column || field} IS NOT NULL AND ${options.blindIndex} IS NULL)`);
+    }
+  }
+  return conditions.length > 0 ? conditions.join(' OR ') : '1 = 0';
+};
+
+const activePrefix = () => `${PREFIX}v${getKeyring().active}:%`;
+
+const encryptionStatus = async (pool) => {
+  const pendientes = {};
+  for (const table of Object.keys(SENSITIVE_FIELDS)) {
+    const result = await pool
+      .request()
+      .input('prefijo', sql.NVarChar(20), activePrefix())
+      .query(`SELECT COUNT(*) AS total FROM [${table}] WHERE ${pendingCondition(table)}`);
+    pendientes[table] = result.recordset[0].total;
+  }
+  return { version_activa: getKeyring().active, pendientes };
+};
+
+/**
+ * Vuelve a cifrar con la versión activa las filas cifradas con claves anteriores,
+ * cifra los datos heredados en claro y completa los índices ciegos. Recorre cada
+ * tabla una sola vez por clave primaria; con `reindex` procesa todas las filas
+ * (necesario tras cambiar BLIND_INDEX_KEY).
+ */
+const rotateKeys = async (pool, { batchSize = 500, reindex = false } = {}) => {
+  const { active, keys } = getKeyring();
+  if (!active || !keys.has(active)) {
+    throw configError('Cifrado de campos no configurado (FIELD_ENCRYPTION_KEYS)');
+  }
+  const summary = {};
+  for (const [table, { key, fields }] of Object.entries(SENSITIVE_FIELDS)) {
+    const counts = { revisadas: 0, actualizadas: 0, errores: 0 };
+    const selected = [...new Set(Object.entries(fields).flatMap(([field, options]) =>
+      [field, options.column, options.blindIndex].filter(Boolean)
+    ))];
+    const where = reindex ? '1 = 1' : pendingCondition(table);
+    let last = null;
+    for (;;) {
+      const request = pool
+        .request()
+        .input('prefijo', sql.NVarChar(20), activePrefix())
+        .input('lote', sql.Int, batchSize);
+      if (last) request.input('ultimo', sql.UniqueIdentifier, last);
+      const result = await request.query(`
+        SELECT TOP (@lote) ${key}, ${selected.join(', ')}
+        FROM [${table}]
+        WHERE (${where}) ${last ? `AND ${key} > @ultimo` : ''}
+        ORDER BY ${key}
+      `);
+      if (result.recordset.length === 0) break;
+      for (const row of result.recordset) {
+        counts.revisadas++;
+        try {
+          const plain = {};
+          for (const [field, options] of Object.entries(fields)) {
+            const stored = options.column && row[options.column] != null ? row[options.column] : row[field];
+            plain[field] = decrypt(stored);
+          }
+          const { values, columns } = sealFields(table, plain);
+          for (const [field, options] of Object.entries(fields)) {
+            if (!options.column && isEncryptedField(table, field)) columns[field] = values[field];
+          }
+          await storeSealedColumns(pool, table, { column: key, type: sql.UniqueIdentifier, value: row[key] }, columns);
+          counts.actualizadas++;
+        } catch (err) {
+          counts.errores++;
+          logger.error('Error al volver a cifrar fila', { tabla: table, id: row[key], error: err.message });
+        }
+      }
+      last = result.recordset[result.recordset.length - 1][key];
+    }
+    summary[table] = counts;
+  }
+  return { version_activa: active, tablas: summary };
+};
+
+module.exports = {
+  assertEncryptionConfigured,
+  isCiphertext,
+  keyVersion,
+  encrypt,
+  decrypt,
+  blindIndex,
+  canDecrypt,
+  mask,
+  sealFields,
+  storeSealedColumns,
+  revealFields,
+  revealPatient,
+  findByBlindIndex,
+  encryptionStatus,
+  rotateKeys,
+};
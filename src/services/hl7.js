@@ -0,0 +1,158 @@
+// src/services/hl7.js
+// Codificación y decodificación de mensajes HL7 v2 (ER7, separadores |^~\&)
+const crypto = require('crypto');
+const { httpError } = require('./httpError');
+
+const HL7_CONTENT_TYPE = 'application/hl7-v2';
+const SEGMENT_SEPARATOR = '\r';
+
+const ESCAPES = { F: '|', S: '^', T: '&', R: '~', E: '\\' };
+
+const unescape = (value) => value.replace(/\\([FSTRE])\\/g, (_, code) => ESCAPES[code]);
+const escape = (value) => String(value ?? '')
+  .replace(/\\/g, '\\E\\')
+  .replace(/\|/g, '\\F\\')
+  .replace(/\^/g, '\\S\\')
+  .replace(/&/g, '\\T\\')
+  .replace(/~/g, '\\R\\')
+  .replace(/[\r\n]+/g, ' ');
+
+/**
+ * Divide un mensaje en segmentos. `fields[n]` es el campo n del segmento tal como lo
+ * numera el estándar; en MSH, fields[1] es el separador de campos y fields[2] los de codificación.
+ * Solo se admiten los separadores estándar.
+ */
+const parseMessage = (text) => {
+  const lines = String(text || '').split(/\r\n|\r|\n/).filter(line => line.trim() !== '');
+  if (!lines[0] || !lines[0].startsWith('MSH|^~\\&')) {
+    throw httpError('El mensaje debe comenzar con un segmento MSH con los separadores |^~\\&', 400);
+  }
+  return lines.map((line) => {
+    const parts = line.split('|');
+    const name = parts[0];
+    return { name, fields: name === 'MSH' ? [name, '|', ...parts.slice(1)] : parts };
+  });
+};
+
+// Repeticiones de un campo, cada una como lista de componentes ya decodificados
+const repetitions = (segment, index) => {
+  const raw = segment?.fields[index] || '';
+  if (raw === '') return [];
+  return raw.split('~').map(repetition => repetition.split('^').map(unescape));
+};
+
+// Componente (base 1) de la primera repetición de un campo
+const component = (segment, index, position = 1) => repetitions(segment, index)[0]?.[position - 1] || '';
+
+/**
+ * Construye un campo a partir de componentes (o de una lista de repeticiones con
+ * `{ repeat: [...] }`), escapando los valores y quitando los componentes vacíos finales.
+ */
+const encodeField = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object' && !Array.isArray(value)) return value.repeat.map(encodeField).join('~');
+  const parts = (Array.isArray(value) ? value : [value]).map(escape);
+  while (parts.length > 0 && parts[parts.length - 1] === '') parts.pop();
+  return parts.join('^');
+};
+
+const encodeSegment = (name, fields) => {
+  const encoded = fields.map(encodeField);
+  while (encoded.length > 0 && encoded[encoded.length - 1] === '') encoded.pop();
+  return [name, ...encoded].join('|');
+};
+
+const encodeMessage = segments => segments.join(SEGMENT_SEPARATOR) + SEGMENT_SEPARATOR;
+
+// TS de HL7 (AAAA[MM[DD[HHMM[SS]]]][+/-ZZZZ]) a Date; null si no es válido
+const parseTimestamp = (value) => {
+  const match = /^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:\.\d+)?([+-]\d{4})?$/.exec(value || '');
+  if (!match) return null;
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', offset] = match;
+  const iso = `${year}-${month}-${day}T${hour}:${minute}:${second}${offset ? `${offset.slice(0, 3)}:${offset.slice(3)}` : 'Z'}`;
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const formatTimestamp = (date, precision = 14) => new Date(date).toISOString().replace(/[-:T]/g, '').slice(0, precision);
+
+/** Identidad de este sistema en MSH-3/MSH-4 de las respuestas. */
+const localIdentity = () => ({
+  application: process.env.HL7_APPLICATION || 'SISTEMA_VACUNACION',
+  facility: process.env.HL7_FACILITY || 'SISTEMA_VACUNACION',
+});
+
+/**
+ * MSH de una respuesta: intercambia emisor y receptor del mensaje original y
+ * conserva su identificador de procesamiento y versión.
+ */
+const responseHeader = (msh, messageType, controlId = crypto.randomBytes(10).toString('hex')) => {
+  const { application, facility } = localIdentity();
+  return 'MSH|^~\\&|' + encodeSegment('', [
+    application,
+    facility,
+    repetitions(msh, 3)[0],
+    repetitions(msh, 4)[0],
+    formatTimestamp(new Date()),
+    null,
+    messageType,
+    controlId,
+    component(msh, 11) || 'P',
+    component(msh, 12) || '2.5.1',
+  ]).slice(1);
+};
+
+/**
+ * Segmento ERR (v2.5.1): ubicación SEGMENTO^secuencia^campo, código de la tabla
+ * HL70357 y severidad E (error) o W (advertencia).
+ */
+const ERROR_CODES = {
+  101: 'Required field missing',
+  102: 'Data type error',
+  103: 'Table value not found',
+  200: 'Unsupported message type',
+  201: 'Unsupported event code',
+  204: 'Unknown key identifier',
+  207: 'Application internal error',
+};
+
+const errorSegment = ({ location, code, message, severity = 'E' }) => encodeSegment('ERR', [
+  null,
+  location || null,
+  [String(code), ERROR_CODES[code], 'HL70357'],
+  severity,
+  null,
+  null,
+  null,
+  message,
+]);
+
+/**
+ * ACK a un mensaje: AA si no hay errores (las advertencias se incluyen igualmente),
+ * `code` (AE por defecto, o AR si el mensaje se rechaza sin procesarlo) si los hay.
+ */
+const buildAck = (msh, { code = 'AE', errors = [], controlId }) => {
+  const hasErrors = errors.some(error => (error.severity || 'E') === 'E');
+  const trigger = component(msh, 9, 2);
+  return encodeMessage([
+    responseHeader(msh, ['ACK', trigger, 'ACK'], controlId),
+    encodeSegment('MSA', [hasErrors ? code : 'AA', component(msh, 10)]),
+    ...errors.map(errorSegment),
+  ]);
+};
+
+module.exports = {
+  HL7_CONTENT_TYPE,
+  parseMessage,
+  repetitions,
+  component,
+  encodeField,
+  encodeSegment,
+  encodeMessage,
+  parseTimestamp,
+  formatTimestamp,
+  localIdentity,
+  responseHeader,
+  errorSegment,
+  buildAck,
+};
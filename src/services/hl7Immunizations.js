@@ -0,0 +1,426 @@
+// src/services/hl7Immunizations.js
+// VXU^V04 (notificación de vacunas) y QBP^Q11 (consulta de historial) de HL7 v2.5.1
+const { sql } = require('../config/db');
+const { revealFields, blindIndex } = require('./fieldEncryption');
+const { canAccessCenter, scopeCondition } = require('./centerScope');
+const { withTransaction } = require('./transaction');
+const { ENTERED_IN_ERROR, recordVersion } = require('./doseVersions');
+const { createPatient } = require('./patientCreation');
+const { listImmunizations } = require('./fhir');
+const {
+  repetitions, component, encodeSegment, encodeMessage, parseTimestamp, formatTimestamp, localIdentity, responseHeader, buildAck, errorSegment,
+} = require('./hl7');
+
+// Tipos de identificador de PID-3 (tabla HL70203) y la columna de Niños con la que se comparan
+const IDENTIFIER_TYPES = {
+  identificacion: ['NI', 'NN', 'PPN', 'SS', 'BC'],
+  id_salud_nacional: ['HC', 'JHN'],
+};
+// NK1-3 (tabla HL70063) ↔ Tutores.relacion, con el tipo de relación que ocupa cada uno
+const RELATIONSHIPS = {
+  MTH: { relacion: 'Madre', tipo_relacion: 'Padre1' },
+  FTH: { relacion: 'Padre', tipo_relacion: 'Padre2' },
+  GRD: { relacion: 'Tutor Legal', tipo_relacion: 'TutorLegal' },
+};
+const RELATIONSHIP_CODES = {
+  Madre: ['MTH', 'Mother', 'HL70063'],
+  Padre: ['FTH', 'Father', 'HL70063'],
+  'Tutor Legal': ['GRD', 'Guardian', 'HL70063'],
+};
+// LOINC del número de dosis en la serie (OBX)
+const DOSE_NUMBER = ['30973-2', 'Dose number in series', 'LN'];
+// CVX 998: no se administró ninguna vacuna
+const NO_VACCINE_CVX = '998';
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const issue = (location, code, message, severity = 'E') => ({ location, code, message, severity });
+
+const formatAddress = (xad) => (xad || []).filter(Boolean).join(', ') || null;
+
+// XTN: número en formato libre (1) o código de área (6) y número (7); correo en el componente 4
+const formatPhone = (xtn) => (xtn ? xtn[0] || [xtn[5], xtn[6]].filter(Boolean).join(' ') || null : null);
+
+const formatName = (xpn) => {
+  const [family, given, middle] = xpn || [];
+  return [given, middle, family].filter(Boolean).join(' ');
+};
+
+// En sentido inverso, la primera palabra del nombre completo es el nombre y el resto los apellidos
+const splitName = (nombre) => {
+  const [given, ...family] = String(nombre || '').trim().split(/\s+/);
+  return family.length > 0 ? [family.join(' '), given] : [given];
+};
+
+const readIdentifiers = (field) => field
+  .map(([value, , , , type]) => ({ value, type: (type || '').toUpperCase() }))
+  .filter(identifier => identifier.value);
+
+const readPatient = (pid, nk1s) => {
+  const identifiers = readIdentifiers(repetitions(pid, 3));
+  const nacionalidad = component(pid, 28, 2) || component(pid, 28) || process.env.HL7_DEFAULT_NATIONALITY || null;
+  const tutores = [];
+  nk1s.forEach((nk1) => {
+    const relationship = RELATIONSHIPS[component(nk1, 3).toUpperCase()];
+    if (!relationship || tutores.some(tutor => tutor.relacion === relationship.relacion)) return;
+    const phones = repetitions(nk1, 5);
+    const email = phones.find(xtn => xtn[3] && xtn[3].includes('@'));
+    tutores.push({
+      nombre: formatName(repetitions(nk1, 2)[0]),
+      ...relationship,
+      nacionalidad,
+      telefono: formatPhone(phones.find(xtn => xtn !== email)),
+      email: email ? email[3] : undefined,
+      direccion: formatAddress(repetitions(nk1, 4)[0]) || undefined,
+    });
+  });
+  return {
+    identifiers,
+    identificacion: identifiers.find(({ type }) => IDENTIFIER_TYPES.identificacion.includes(type))?.value || null,
+    nombre_completo: formatName(repetitions(pid, 5)[0]),
+    fecha_nacimiento: parseTimestamp(component(pid, 7)),
+    genero: ['M', 'F'].includes(component(pid, 8).toUpperCase()) ? component(pid, 8).toUpperCase() : 'O',
+    direccion_residencia: formatAddress(repetitions(pid, 11)[0]),
+    nacionalidad,
+    pais_nacimiento: component(pid, 23) || component(pid, 11, 6) || process.env.HL7_DEFAULT_COUNTRY || null,
+    contacto_principal: formatPhone(repetitions(pid, 13)[0]),
+    tutores,
+  };
+};
+
+/**
+ * Pacientes que coinciden con alguno de los identificadores tipificados. Los archivados
+ * solo se incluyen con `includeArchived`; `scope` limita la búsqueda al centro del usuario.
+ */
+const findPatients = async (runner, identifiers, { scope = null, includeArchived = false } = {}) => {
+  const request = runner.request();
+  const conditions = [];
+  identifiers.forEach(({ value, type }, i) => {
+    if (IDENTIFIER_TYPES.identificacion.includes(type)) {
+      request.input(`hash${i}`, sql.NVarChar(64), blindIndex(value));
+      conditions.push(`n.identificacion_hash = @hash${i}`);
+    } else if (IDENTIFIER_TYPES.id_salud_nacional.includes(type)) {
+      request.input(`salud${i}`, sql.NVarChar(20), value);
+      conditions.push(`n.id_salud_nacional = @salud${i}`);
+    }
+  });
+  if (conditions.length === 0) return null;
+  const filters = [`(${conditions.join(' OR ')})`];
+  if (!includeArchived) filters.push('n.id_archivo IS NULL');
+  if (scope) filters.push(scopeCondition(request, scope, 'n.id_centro_salud'));
+  const result = await request.query(`
+    SELECT n.id_niño, n.nombre_completo, n.identificacion, n.id_salud_nacional, n.fecha_nacimiento, n.genero,
+      n.direccion_residencia, n.id_centro_salud, n.id_archivo
+    FROM Niños n
+    WHERE ${filters.join(' AND ')}
+  `);
+  return result.recordset;
+};
+
+// Agrupa cada RXA con los RXR y OBX que lo siguen
+const readOrders = (segments) => {
+  const orders = [];
+  segments.forEach((segment) => {
+    if (segment.name === 'RXA') orders.push({ sequence: orders.length + 1, rxa: segment, rxr: null, obx: [] });
+    const current = orders[orders.length - 1];
+    if (!current) return;
+    if (segment.name === 'RXR') current.rxr = segment;
+    if (segment.name === 'OBX') current.obx.push(segment);
+  });
+  return orders;
+};
+
+const cvxCode = (rxa) => {
+  if (component(rxa, 5, 3).toUpperCase() === 'CVX') return component(rxa, 5, 1);
+  if (component(rxa, 5, 6).toUpperCase() === 'CVX') return component(rxa, 5, 4);
+  return '';
+};
+
+/**
+ * Resuelve un RXA a los datos de la dosis: el lote por RXA-15 y el CVX de RXA-5, el centro
+ * por RXA-11 (si es un id de centro) o el del lote, y el profesional por RXA-10 (si es un
+ * id de usuario) o el usuario autenticado. Devuelve null si el RXA no es una dosis aplicada.
+ */
+const resolveDose = async (pool, { sequence, rxa, rxr, obx }, { user, scope }, issues) => {
+  const at = field => ['RXA', sequence, field];
+  const status = (component(rxa, 20) || 'CP').toUpperCase();
+  const cvx = cvxCode(rxa);
+  if (['RE', 'NA'].includes(status) || cvx === NO_VACCINE_CVX) {
+    issues.push(issue(at(20), 103, 'Dosis no administrada; no se registra', 'W'));
+    return null;
+  }
+  if ((component(rxa, 21) || 'A').toUpperCase() === 'D') {
+    issues.push(issue(at(21), 207, 'Las eliminaciones (RXA-21 D) no se admiten; anule la dosis en el sistema'));
+    return null;
+  }
+
+  const fecha = parseTimestamp(component(rxa, 3));
+  const numero_lote = component(rxa, 15);
+  const providerId = component(rxa, 10);
+  const id_usuario = UUID.test(providerId) ? providerId : user.id_usuario;
+  const facility = component(rxa, 11, 4).split('&')[0];
+  const doseObx = obx.find(segment => component(segment, 3) === DOSE_NUMBER[0]);
+  const dosis_aplicada = doseObx ? Number(component(doseObx, 5)) : null;
+
+  const before = issues.length;
+  if (!fecha) issues.push(issue(at(3), 101, 'RXA-3 (fecha de administración) es obligatorio'));
+  if (!numero_lote) issues.push(issue(at(15), 101, 'RXA-15 (número de lote) es obligatorio'));
+  if (!id_usuario) issues.push(issue(at(10), 101, 'RXA-10 debe identificar al profesional que aplicó la dosis'));
+  if (doseObx && (!Number.isInteger(dosis_aplicada) || dosis_aplicada < 1)) {
+    issues.push(issue(['OBX', sequence, 5], 102, 'El número de dosis debe ser un entero positivo'));
+  }
+  if (issues.length > before) return null;
+
+  const lots = await pool.request()
+    .input('numero_lote', sql.NVarChar(50), numero_lote)
+    .query(`
+      SELECT l.id_lote, l.id_centro, v.id_vacuna, v.codigo_cvx
+      FROM Lotes_Vacunas l INNER JOIN Vacunas v ON v.id_vacuna = l.id_vacuna
+      WHERE l.numero_lote = @numero_lote
+    `);
+  let candidates = lots.recordset.filter(lot => !cvx || lot.codigo_cvx === cvx);
+  if (candidates.length > 1 && UUID.test(facility)) {
+    candidates = candidates.filter(lot => String(lot.id_centro).toLowerCase() === facility.toLowerCase());
+  }
+  if (candidates.length !== 1) {
+    issues.push(issue(at(15), 103, candidates.length === 0
+      ? `No existe el lote ${numero_lote}${cvx ? ` para la vacuna CVX ${cvx}` : ''}`
+      : `El lote ${numero_lote} es ambiguo; indique la vacuna (RXA-5) o el centro (RXA-11)`));
+    return null;
+  }
+  const [lot] = candidates;
+  const id_centro = UUID.test(facility) ? facility : lot.id_centro;
+  if (!canAccessCenter(scope, id_centro)) {
+    issues.push(issue(at(11), 207, 'Acceso denegado: el registro pertenece a otro centro'));
+    return null;
+  }
+
+  return {
+    sequence,
+    id_lote: lot.id_lote,
+    id_vacuna: lot.id_vacuna,
+    id_centro: UUID.test(facility) ? facility : null,
+    id_centro_lote: lot.id_centro,
+    id_usuario,
+    fecha_vacunacion: fecha,
+    dosis_aplicada,
+    sitio_aplicacion: component(rxr, 2, 2) || component(rxr, 2) || null,
+  };
+};
+
+// Registra una dosis salvo que ya exista la misma (paciente, lote y día); sin OBX de número de dosis, se numera por orden
+const registerDose = async (transaction, id_niño, dose, user) => {
+  const existing = await transaction.request()
+    .input('id_niño', sql.UniqueIdentifier, id_niño)
+    .input('id_lote', sql.UniqueIdentifier, dose.id_lote)
+    .input('fecha', sql.Date, dose.fecha_vacunacion)
+    .query(`
+      SELECT id_historial FROM Historial_Vacunacion_Alterna
+      WHERE id_niño = @id_niño AND id_lote = @id_lote AND CAST(fecha_vacunacion AS DATE) = @fecha
+        AND estado_registro = 'Vigente'
+    `);
+  if (existing.recordset[0]) return null;
+
+  let dosis = dose.dosis_aplicada;
+  if (!dosis) {
+    const previous = await transaction.request()
+      .input('id_niño', sql.UniqueIdentifier, id_niño)
+      .input('id_vacuna', sql.UniqueIdentifier, dose.id_vacuna)
+      .input('fecha_vacunacion', sql.DateTime2, dose.fecha_vacunacion)
+      .query(`
+        SELECT COUNT(*) AS total FROM Historial_Vacunacion_Alterna h
+        INNER JOIN Lotes_Vacunas l ON l.id_lote = h.id_lote
+        WHERE h.id_niño = @id_niño AND l.id_vacuna = @id_vacuna AND h.fecha_vacunacion < @fecha_vacunacion
+          AND h.estado_registro = 'Vigente'
+      `);
+    dosis = previous.recordset[0].total + 1;
+  }
+
+  const result = await transaction.request()
+    .input('id_niño', sql.UniqueIdentifier, id_niño)
+    .input('id_lote', sql.UniqueIdentifier, dose.id_lote)
+    .input('id_usuario', sql.UniqueIdentifier, dose.id_usuario)
+    .input('id_centro', sql.UniqueIdentifier, dose.id_centro)
+    .input('fecha_vacunacion', sql.DateTime2, dose.fecha_vacunacion)
+    .input('dosis_aplicada', sql.Int, dosis)
+    .input('sitio_aplicacion', sql.NVarChar(100), dose.sitio_aplicacion)
+    .input('observaciones', sql.NVarChar(sql.MAX), null)
+    .execute('sp_RegistrarVacunacion_Alterna');
+  const { id_historial } = result.recordset[0];
+  await recordVersion(transaction, { id_historial, tipo_cambio: 'Registro', id_usuario: user.id_usuario, id_cuenta: user.id_cuenta });
+  return id_historial;
+};
+
+/**
+ * Procesa un VXU^V04. El paciente se busca por los identificadores tipificados de PID-3
+ * (incluidos los archivados, que se rechazan) y, si no existe, se crea con los datos de PID
+ * y los tutores de NK1; a un paciente existente no se le modifican los datos. Todo se
+ * valida antes de escribir y se registra en una sola transacción: con cualquier error se
+ * responde AE sin registrar nada. Las dosis ya registradas no se duplican.
+ */
+const processVxu = async (pool, segments, { user, scope }) => {
+  const [msh] = segments;
+  const issues = [];
+  const result = { id_paciente: null, paciente_creado: false, dosis: [] };
+  const pid = segments.find(segment => segment.name === 'PID');
+  if (!pid) {
+    issues.push(issue(['PID'], 101, 'El mensaje no contiene el segmento PID'));
+    return { ...result, ack: buildAck(msh, { errors: issues }) };
+  }
+
+  const datos = readPatient(pid, segments.filter(segment => segment.name === 'NK1'));
+  const matches = await findPatients(pool, datos.identifiers, { includeArchived: true });
+  let paciente = null;
+  if (matches === null) {
+    issues.push(issue(['PID', 1, 3], 101, `PID-3 debe incluir un identificador de tipo ${[...IDENTIFIER_TYPES.identificacion, ...IDENTIFIER_TYPES.id_salud_nacional].join(', ')}`));
+  } else if (matches.length > 1) {
+    issues.push(issue(['PID', 1, 3], 204, 'Los identificadores de PID-3 corresponden a varios pacientes'));
+  } else if (matches.length === 1) {
+    [paciente] = matches;
+    if (paciente.id_archivo) issues.push(issue(['PID', 1, 3], 204, 'El paciente está archivado'));
+  } else {
+    if (!datos.identificacion) issues.push(issue(['PID', 1, 3], 101, `Para crear el paciente, PID-3 debe incluir un identificador de tipo ${IDENTIFIER_TYPES.identificacion.join(', ')}`));
+    if (!datos.nombre_completo) issues.push(issue(['PID', 1, 5], 101, 'PID-5 (nombre) es obligatorio'));
+    if (!datos.fecha_nacimiento) issues.push(issue(['PID', 1, 7], 101, 'PID-7 (fecha de nacimiento) es obligatorio'));
+    if (!datos.nacionalidad) issues.push(issue(['PID', 1, 28], 101, 'PID-28 (nacionalidad) es obligatorio'));
+    if (!datos.pais_nacimiento) issues.push(issue(['PID', 1, 23], 101, 'PID-23 (lugar de nacimiento) es obligatorio'));
+  }
+
+  const doses = [];
+  for (const order of readOrders(segments)) {
+    const dose = await resolveDose(pool, order, { user, scope }, issues);
+    if (dose) doses.push(dose);
+  }
+  if (issues.some(({ severity }) => severity === 'E')) {
+    return { ...result, ack: buildAck(msh, { errors: issues }) };
+  }
+
+  try {
+    await withTransaction(pool, async (transaction) => {
+      let id_niño = paciente?.id_niño;
+      if (!id_niño) {
+        // Igual que en POST /api/patients: el centro del usuario o, para usuarios nacionales, el de la primera dosis
+        const id_centro_salud = scope.national ? (doses[0]?.id_centro || doses[0]?.id_centro_lote || null) : scope.id_centro;
+        id_niño = await createPatient(transaction, {
+          ...datos,
+          fecha_nacimiento: datos.fecha_nacimiento.toISOString().slice(0, 10),
+        }, id_centro_salud);
+        if (!id_niño) {
+          const error = new Error('No se pudo crear el paciente');
+          error.statusCode = 500;
+          throw error;
+        }
+        result.paciente_creado = true;
+      }
+      result.id_paciente = id_niño;
+      for (const dose of doses) {
+        const id_historial = await registerDose(transaction, id_niño, dose, user);
+        if (id_historial) result.dosis.push(id_historial);
+      }
+    });
+  } catch (err) {
+    if (!err.originalError && !err.statusCode) throw err;
+    return { ...result, paciente_creado: false, dosis: [], ack: buildAck(msh, { errors: [issue(null, 207, err.message)] }) };
+  }
+
+  return { ...result, ack: buildAck(msh, { errors: issues }) };
+};
+
+const pidSegment = (paciente) => encodeSegment('PID', [
+  '1',
+  null,
+  {
+    repeat: [
+      paciente.identificacion && [paciente.identificacion, '', '', '', 'NI'],
+      paciente.id_salud_nacional && [paciente.id_salud_nacional, '', '', '', 'HC'],
+    ].filter(Boolean),
+  },
+  null,
+  splitName(paciente.nombre_completo),
+  null,
+  formatTimestamp(paciente.fecha_nacimiento, 8),
+  paciente.genero,
+  null,
+  null,
+  paciente.direccion_residencia ? [paciente.direccion_residencia] : null,
+]);
+
+const immunizationSegments = (dosis) => {
+  const { application } = localIdentity();
+  return [
+    encodeSegment('ORC', ['RE', null, [String(dosis.id_historial).toLowerCase(), application]]),
+    encodeSegment('RXA', [
+      '0',
+      '1',
+      formatTimestamp(dosis.fecha_vacunacion),
+      null,
+      dosis.codigo_cvx ? [dosis.codigo_cvx, dosis.vacuna, 'CVX'] : ['', dosis.vacuna],
+      '999',
+      null,
+      null,
+      ['00', 'New immunization record', 'NIP001'],
+      dosis.id_usuario ? [String(dosis.id_usuario).toLowerCase(), dosis.usuario] : null,
+      dosis.id_centro ? ['', '', '', String(dosis.id_centro).toLowerCase()] : null,
+      null,
+      null,
+      null,
+      dosis.numero_lote,
+      dosis.fecha_vencimiento ? formatTimestamp(dosis.fecha_vencimiento, 8) : null,
+      dosis.fabricante ? ['', dosis.fabricante] : null,
+      null,
+      null,
+      'CP',
+      'A',
+    ]),
+    ...(dosis.sitio_aplicacion ? [encodeSegment('RXR', [null, ['', dosis.sitio_aplicacion]])] : []),
+    encodeSegment('OBX', ['1', 'NM', DOSE_NUMBER, '1', String(dosis.dosis_aplicada), null, null, null, null, null, 'F']),
+  ];
+};
+
+/**
+ * Responde un QBP^Q11 con un RSP^K11: el historial completo del paciente que coincide con los
+ * identificadores de QPD-3 (y con la fecha de nacimiento de QPD-6, si se indica), dentro del
+ * centro del usuario. QAK-2 es OK, NF (sin coincidencias), TM (varias) o AE (consulta inválida).
+ */
+const processQbp = async (pool, segments, { user, scope }) => {
+  const [msh] = segments;
+  const qpd = segments.find(segment => segment.name === 'QPD');
+  const header = responseHeader(msh, ['RSP', 'K11', 'RSP_K11']);
+  const reply = (status, body = [], errors = []) => encodeMessage([
+    header,
+    encodeSegment('MSA', [errors.length > 0 ? 'AE' : 'AA', component(msh, 10)]),
+    ...errors.map(errorSegment),
+    encodeSegment('QAK', [component(qpd, 2), status]),
+    ...(qpd ? [qpd.fields.join('|')] : []),
+    ...body,
+  ]);
+
+  if (!qpd) return reply('AE', [], [issue(['QPD'], 101, 'El mensaje no contiene el segmento QPD')]);
+  const matches = await findPatients(pool, readIdentifiers(repetitions(qpd, 3)), { scope });
+  if (matches === null) {
+    return reply('AE', [], [issue(['QPD', 1, 3], 101, 'QPD-3 debe incluir un identificador tipificado del paciente')]);
+  }
+  const birthDate = parseTimestamp(component(qpd, 6));
+  const pacientes = birthDate
+    ? matches.filter(paciente => formatTimestamp(paciente.fecha_nacimiento, 8) === formatTimestamp(birthDate, 8))
+    : matches;
+  if (pacientes.length === 0) return reply('NF');
+  if (pacientes.length > 1) return reply('TM');
+
+  const paciente = revealFields('Niños', pacientes[0], user);
+  const tutores = await pool.request()
+    .input('id_niño', sql.UniqueIdentifier, paciente.id_niño)
+    .query("SELECT nombre, relacion, telefono FROM Tutores WHERE id_niño = @id_niño AND estado = 'Activo'");
+  const dosis = await listImmunizations(pool, paciente.id_niño);
+
+  return reply('OK', [
+    pidSegment(paciente),
+    ...tutores.recordset.map((tutor, i) => {
+      const revealed = revealFields('Tutores', tutor, user);
+      return encodeSegment('NK1', [String(i + 1), splitName(revealed.nombre), RELATIONSHIP_CODES[revealed.relacion], null, revealed.telefono]);
+    }),
+    ...dosis.filter(dose => dose.estado_registro !== ENTERED_IN_ERROR).flatMap(dose => immunizationSegments(dose)),
+  ]);
+};
+
+module.exports = { IDENTIFIER_TYPES, processVxu, processQbp };
@@ -0,0 +1,16 @@
+// src/services/httpError.js
+
+/**
+ * Error con el código HTTP que responde el manejador de errores y, si se indica, su
+ * contexto en `data` (motivos, códigos, errores de validación). El manejador solo
+ * devuelve `data` al cliente si el error se crea con `expose`.
+ */
+const httpError = (message, statusCode, data, { expose = false } = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (data !== undefined) error.data = data;
+  if (expose) error.expose = true;
+  return error;
+};
+
+module.exports = { httpError };
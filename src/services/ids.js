@@ -0,0 +1,7 @@
+// src/services/ids.js
+
+// Compara dos UNIQUEIDENTIFIER sin distinguir mayúsculas (SQL Server los devuelve en mayúsculas
+// y los clientes suelen enviarlos en minúsculas). Un ID ausente nunca coincide.
+const sameId = (a, b) => Boolean(a && b) && String(a).toLowerCase() === String(b).toLowerCase();
+
+module.exports = { sameId };
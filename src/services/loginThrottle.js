@@ -0,0 +1,140 @@
+// src/services/loginThrottle.js
+
+/**
+ * Control de intentos fallidos de inicio de sesión por usuario y por IP.
+ * Cada fallo aumenta exponencialmente la espera mínima antes del siguiente
+ * intento; al alcanzar el máximo de fallos la cuenta (o la IP) queda
+ * bloqueada temporalmente. Las entradas caducadas se purgan periódicamente y
+ * el número de entradas por mapa está acotado (se descartan las menos recientes).
+ */
+
+const MAX_ATTEMPTS_PER_USER = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const MAX_ATTEMPTS_PER_IP = Number(process.env.LOGIN_MAX_ATTEMPTS_IP) || 20;
+const LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000;
+const BASE_DELAY_MS = Number(process.env.LOGIN_BASE_DELAY_MS) || 1000;
+const MAX_DELAY_MS = Number(process.env.LOGIN_MAX_DELAY_MS) || 30 * 1000;
+const ATTEMPT_WINDOW_MS = Number(process.env.LOGIN_ATTEMPT_WINDOW_MS) || 60 * 60 * 1000;
+const MAX_ENTRIES = Number(process.env.LOGIN_THROTTLE_MAX_ENTRIES) || 10000;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const byUser = new Map();
+const byIp = new Map();
+let lastPrune = 0;
+
+const userKey = (username) => String(username || '').trim().toLowerCase();
+
+const getEntry = (store, key, now) => {
+  const entry = store.get(key);
+  if (!entry) return null;
+  if (entry.lockedUntil && entry.lockedUntil <= now) {
+    store.delete(key);
+    return null;
+  }
+  if (!entry.lockedUntil && now - entry.lastFailure > ATTEMPT_WINDOW_MS) {
+    store.delete(key);
+    return null;
+  }
+  return entry;
+};
+
+// Recorre los mapas como mucho una vez por minuto; getEntry borra las entradas caducadas
+const prune = (now) => {
+  if (now - lastPrune < PRUNE_INTERVAL_MS) return;
+  lastPrune = now;
+  for (const store of [byUser, byIp]) {
+    for (const key of [...store.keys()]) getEntry(store, key, now);
+  }
+};
+
+// Los Map conservan el orden de inserción: se reinsertan al fallar, así que la primera es la menos reciente
+const remember = (map, key, entry) => {
+  map.delete(key);
+  map.set(key, entry);
+  while (map.size > MAX_ENTRIES) map.delete(map.keys().next().value);
+};
+
+const delayFor = (failures) =>
+  failures === 0 ? 0 : Math.min(BASE_DELAY_MS * 2 ** (failures - 1), MAX_DELAY_MS);
+
+/**
+ * Indica si un intento puede procesarse. Devuelve `{ allowed: true }` o
+ * `{ allowed: false, reason, retryAfterMs }` con reason 'locked' o 'throttled'.
+ */
+const check = (username, ip, now = Date.now()) => {
+  for (const [store, key] of [[byUser, userKey(username)], [byIp, ip]]) {
+    const entry = getEntry(store, key, now);
+    if (!entry) continue;
+    if (entry.lockedUntil) {
+      return { allowed: false, reason: 'locked', scope: store === byUser ? 'user' : 'ip', retryAfterMs: entry.lockedUntil - now };
+    }
+    const nextAllowedAt = entry.lastFailure + delayFor(entry.failures);
+    if (nextAllowedAt > now) {
+      return { allowed: false, reason: 'throttled', scope: store === byUser ? 'user' : 'ip', retryAfterMs: nextAllowedAt - now };
+    }
+  }
+  return { allowed: true };
+};
+
+const bump = (map, key, max, now) => {
+  const entry = getEntry(map, key, now) || { failures: 0, lastFailure: now, lockedUntil: null };
+  entry.failures += 1;
+  entry.lastFailure = now;
+  const justLocked = entry.failures >= max && !entry.lockedUntil;
+  if (justLocked) entry.lockedUntil = now + LOCKOUT_MS;
+  remember(map, key, entry);
+  return { entry, justLocked };
+};
+
+/**
+ * Registra un intento fallido. `userLocked`/`ipLocked` son verdaderos solo en
+ * el intento que provoca el bloqueo, para que el llamador lo audite una vez.
+ */
+const recordFailure = (username, ip, now = Date.now()) => {
+  prune(now);
+  const key = userKey(username);
+  const user = bump(byUser, key, MAX_ATTEMPTS_PER_USER, now);
+  const address = bump(byIp, ip, MAX_ATTEMPTS_PER_IP, now);
+  // Las IP desde las que falló el usuario y cuántos fallos de cada IP son suyos,
+  // para retirar solo esos al desbloquear la cuenta
+  user.entry.ips = (user.entry.ips || new Set()).add(ip);
+  address.entry.users = address.entry.users || new Map();
+  address.entry.users.set(key, (address.entry.users.get(key) || 0) + 1);
+  return {
+    failures: user.entry.failures,
+    userLocked: user.justLocked,
+    ipLocked: address.justLocked,
+    ipFailures: address.entry.failures,
+    lockoutMs: LOCKOUT_MS,
+  };
+};
+
+const recordSuccess = (username) => {
+  byUser.delete(userKey(username));
+};
+
+/**
+ * Levanta el bloqueo y la espera de la cuenta y retira sus fallos de las IP desde
+ * las que falló. Una IP compartida conserva los fallos de las demás cuentas y solo
+ * se desbloquea si con ellos queda por debajo del máximo.
+ * Devuelve `{ user, ips }`: si la cuenta tenía intentos registrados y las IP de
+ * las que se retiraron sus fallos.
+ */
+const unlock = (username) => {
+  const key = userKey(username);
+  const entry = byUser.get(key);
+  byUser.delete(key);
+  const ips = [];
+  for (const ip of entry?.ips || []) {
+    const address = byIp.get(ip);
+    const own = address?.users?.get(key);
+    if (!own) continue;
+    address.users.delete(key);
+    address.failures -= own;
+    if (address.failures <= 0) byIp.delete(ip);
+    else if (address.failures < MAX_ATTEMPTS_PER_IP) address.lockedUntil = null;
+    ips.push(ip);
+  }
+  return { user: Boolean(entry), ips };
+};
+
+module.exports = { check, recordFailure, recordSuccess, unlock, MAX_ATTEMPTS_PER_USER, MAX_ATTEMPTS_PER_IP };
@@ -0,0 +1,89 @@
+// src/services/lotEligibility.js
+const { sql } = require('../config/db');
+const { SUPERVISOR_ROLES } = require('./doseValidation');
+const { sameCenter } = require('./centerScope');
+const { httpError } = require('./httpError');
+const { sameId } = require('./ids');
+
+const isoDate = value => new Date(value).toISOString().slice(0, 10);
+
+// Un lote de otra vacuna es un error de registro, no una urgencia: no admite uso de emergencia
+const NOT_OVERRIDABLE = ['LOTE_VACUNA_DISTINTA'];
+
+/**
+ * Comprueba si el lote puede usarse para una vacunación: que sea de la vacuna indicada
+ * (si se indica `id_vacuna`), que no estuviera en cuarentena ni vencido en la fecha de
+ * vacunación y que pertenezca al centro donde se vacuna (si se indica `id_centro`).
+ * Devuelve los problemas ({ codigo, mensaje, ... }) en ese orden; si el lote no existe no
+ * devuelve nada: el procedimiento de registro informa de ello.
+ */
+const checkLot = async (pool, { id_lote, id_centro, fecha_vacunacion, id_vacuna }) => {
+  const result = await pool
+    .request()
+    .input('id_lote', sql.UniqueIdentifier, id_lote)
+    .query(`
+      SELECT l.numero_lote, l.id_vacuna, l.id_centro, l.fecha_vencimiento,
+             l.en_cuarentena, l.motivo_cuarentena, l.fecha_cuarentena, v.nombre AS vacuna
+      FROM Lotes_Vacunas l INNER JOIN Vacunas v ON v.id_vacuna = l.id_vacuna
+      WHERE l.id_lote = @id_lote
+    `);
+  const lote = result.recordset[0];
+  if (!lote) return [];
+
+  const problemas = [];
+  if (id_vacuna && !sameId(id_vacuna, lote.id_vacuna)) {
+    problemas.push({
+      codigo: 'LOTE_VACUNA_DISTINTA',
+      mensaje: `El lote ${lote.numero_lote} es de ${lote.vacuna}, no de la vacuna que se aplica`,
+      id_vacuna_lote: lote.id_vacuna,
+    });
+  }
+  // Una dosis aplicada antes de la cuarentena (registrada con retraso o corregida) sigue siendo válida
+  const aplicadaAntes = lote.fecha_cuarentena && new Date(fecha_vacunacion) < new Date(lote.fecha_cuarentena);
+  if (lote.en_cuarentena && !aplicadaAntes) {
+    problemas.push({
+      codigo: 'LOTE_EN_CUARENTENA',
+      mensaje: `El lote ${lote.numero_lote} está en cuarentena${lote.motivo_cuarentena ? `: ${lote.motivo_cuarentena}` : ''}`,
+    });
+  }
+  if (isoDate(fecha_vacunacion) > isoDate(lote.fecha_vencimiento)) {
+    problemas.push({
+      codigo: 'LOTE_VENCIDO',
+      mensaje: `El lote ${lote.numero_lote} venció el ${isoDate(lote.fecha_vencimiento)}`,
+      fecha_vencimiento: isoDate(lote.fecha_vencimiento),
+    });
+  }
+  if (id_centro && !sameCenter(id_centro, lote.id_centro)) {
+    problemas.push({
+      codigo: 'LOTE_OTRO_CENTRO',
+      mensaje: `El lote ${lote.numero_lote} pertenece a otro centro`,
+      id_centro_lote: lote.id_centro,
+    });
+  }
+  return problemas;
+};
+
+/**
+ * Decide si el lote puede usarse con estos problemas. Sin problemas, sí. Si no, solo con
+ * `uso_emergencia` autorizado por un supervisor, y nunca con un lote de otra vacuna; devuelve
+ * entonces los problemas que el uso de emergencia autoriza. Lanza 409 con el código del
+ * primer problema en data.codigo, o 403 si quien registra no es supervisor.
+ */
+const assertLotAllowed = (problemas, { user, uso_emergencia }) => {
+  if (problemas.length === 0) return null;
+  const [primero] = problemas;
+  const blocking = problemas.find(problema => NOT_OVERRIDABLE.includes(problema.codigo));
+  if (!uso_emergencia || blocking) {
+    const motivo = blocking || primero;
+    throw httpError(motivo.mensaje, 409, { codigo: motivo.codigo, problemas }, { expose: true });
+  }
+  if (!SUPERVISOR_ROLES.includes(user.rol) || !user.id_usuario) {
+    throw httpError('Solo un supervisor (director o administrador) puede autorizar el uso de emergencia de un lote', 403, {
+      codigo: primero.codigo,
+      problemas,
+    }, { expose: true });
+  }
+  return problemas;
+};
+
+module.exports = { checkLot, assertLotAllowed };
@@ -0,0 +1,50 @@
+// src/services/mailOutbox.js
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../config/db');
+
+/**
+ * Bandeja de salida de correo. El transporte se elige con MAIL_OUTBOX:
+ *   - 'memory' (por defecto): guarda los mensajes en memoria (pruebas y desarrollo).
+ *   - 'file': agrega cada mensaje como una línea JSON en MAIL_OUTBOX_PATH.
+ * Un transporte real (SMTP, API del proveedor) puede registrarse con setTransport.
+ */
+
+const memoryMessages = [];
+
+const memoryTransport = {
+  send: async (message) => {
+    memoryMessages.push(message);
+  },
+};
+
+const fileTransport = (filePath) => ({
+  send: async (message) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, `${JSON.stringify(message)}\n`);
+  },
+});
+
+const createDefaultTransport = () => {
+  if (process.env.MAIL_OUTBOX === 'file') {
+    return fileTransport(process.env.MAIL_OUTBOX_PATH || 'logs/mail-outbox.jsonl');
+  }
+  return memoryTransport;
+};
+
+let transport = createDefaultTransport();
+
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const message = { to, subject, text, fecha: new Date().toISOString() };
+  await transport.send(message);
+  logger.info('Correo encolado en la bandeja de salida', { subject });
+  return message;
+};
+
+const getSentMessages = () => [...memoryMessages];
+
+module.exports = { sendMail, setTransport, getSentMessages };
@@ -0,0 +1,49 @@
+// src/services/observationFlags.js
+const { sql } = require('../config/db');
+
+// Minúsculas, sin tildes y con espacios simples, para que 'lesión' coincida con 'LESION'
+const normalize = value => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/\s+/g, ' ')
+  .toLowerCase();
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Reglas activas de Reglas_Observaciones. */
+const loadRules = async (pool) => {
+  const result = await pool
+    .request()
+    .query('SELECT id_regla, patron, descripcion FROM Reglas_Observaciones WHERE activa = 1');
+  return result.recordset;
+};
+
+/**
+ * Reglas cuyo patrón aparece en las observaciones como palabra o frase completa
+ * ('ojo' no marca 'rojo'), sin distinguir mayúsculas ni tildes.
+ */
+const matchRules = (rules, observaciones) => {
+  const text = normalize(observaciones);
+  if (!text) return [];
+  return rules.filter((rule) => {
+    const pattern = normalize(rule.patron).trim();
+    return pattern !== '' && new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(pattern)}($|[^\\p{L}\\p{N}])`, 'u').test(text);
+  });
+};
+
+/**
+ * Abre con sp_RegistrarIncidente un incidente vinculado a la dosis `id_historial` por las
+ * reglas que marcaron sus observaciones; `runner` puede ser una transacción.
+ */
+const openIncident = async (runner, { id_historial, observaciones, reglas }) => {
+  const motivos = reglas.map(regla => regla.descripcion || regla.patron).join('; ');
+  const result = await runner
+    .request()
+    .input('id_historial', sql.UniqueIdentifier, id_historial)
+    .input('descripcion', sql.NVarChar(sql.MAX), `Observaciones marcadas para seguimiento (${motivos}): ${observaciones}`)
+    .input('fecha_reporte', sql.DateTime2, new Date())
+    .execute('sp_RegistrarIncidente');
+  return result.recordset[0].id_incidente;
+};
+
+module.exports = { loadRules, matchRules, openIncident };
@@ -0,0 +1,336 @@
+// src/services/offlineSync.js
+// Sincronización de los cambios registrados sin conexión por los equipos de campo (/api/sync)
+const { body, query } = require('express-validator');
+const { sql } = require('../config/db');
+const { assertCenterAccess, canAccessCenter, sameCenter, scopeCondition } = require('./centerScope');
+const { findByBlindIndex } = require('./fieldEncryption');
+const { withTransaction } = require('./transaction');
+const { sameId } = require('./ids');
+const { validatePatientCreate, validatePatientUpdate, validateBody, createPatient, updatePatient } = require('./patientCreation');
+const { recordCenterChange } = require('./patientTransfers');
+const { validateVaccination, prepareDose, writeDose, doseResponse } = require('./doseRegistration');
+const { validateSupplyUsage, createSupplyUsage } = require('./supplyUsage');
+const { httpError } = require('./httpError');
+
+// Operaciones admitidas por tipo de elemento
+const SYNC_OPERATIONS = {
+  paciente: ['crear', 'actualizar'],
+  vacunacion: ['crear'],
+  uso_suministro: ['crear'],
+};
+
+const MAX_CHANGES = 500;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const validateChangeset = [
+  body('cambios').isArray({ min: 1, max: MAX_CHANGES }).withMessage(`Cambios debe ser una lista de 1 a ${MAX_CHANGES} elementos`),
+  body('cambios.*.clave_idempotencia')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('La clave de idempotencia debe tener entre 1 y 100 caracteres'),
+  body('cambios.*.tipo').isIn(Object.keys(SYNC_OPERATIONS)).withMessage('Tipo de elemento inválido'),
+  body('cambios.*.operacion').isIn(['crear', 'actualizar']).withMessage('Operación inválida'),
+  body('cambios.*.id_cliente')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El ID de cliente debe tener entre 1 y 100 caracteres'),
+  body('cambios.*.id').optional({ nullable: true }).isString().trim().notEmpty().withMessage('ID inválido'),
+  body('cambios.*.version_base').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Versión base inválida'),
+  body('cambios.*.resolucion').optional({ nullable: true }).isIn(['servidor', 'cliente']).withMessage('Resolución inválida'),
+  body('cambios.*.datos').isObject().withMessage('Datos debe ser un objeto'),
+];
+
+const validatePull = [
+  query('desde').optional().isInt({ min: 0 }).withMessage('El punto de control debe ser un entero no negativo'),
+];
+
+const conflict = (codigo, message, data = {}) => httpError(message, 409, { codigo, ...data });
+
+const assertValid = async (chains, datos) => {
+  const errors = await validateBody(chains, datos);
+  if (errors.length > 0) {
+    throw httpError('Validación fallida', 400, errors);
+  }
+};
+
+// Cambio ya aplicado con esta clave por el usuario, o null
+const findApplied = async (pool, id_usuario, clave_idempotencia) => {
+  const result = await pool
+    .request()
+    .input('id_usuario', sql.UniqueIdentifier, id_usuario)
+    .input('clave_idempotencia', sql.NVarChar(100), clave_idempotencia)
+    .query(`
+      SELECT id_cliente, id_servidor, resultado
+      FROM Sincronizacion_Elementos
+      WHERE id_usuario = @id_usuario AND clave_idempotencia = @clave_idempotencia
+    `);
+  return result.recordset[0] || null;
+};
+
+const recordApplied = (transaction, id_usuario, cambio, id_servidor, detalle) => transaction
+  .request()
+  .input('id_usuario', sql.UniqueIdentifier, id_usuario)
+  .input('clave_idempotencia', sql.NVarChar(100), cambio.clave_idempotencia)
+  .input('tipo', sql.NVarChar(30), cambio.tipo)
+  .input('operacion', sql.NVarChar(20), cambio.operacion)
+  .input('id_cliente', sql.NVarChar(100), cambio.id_cliente || null)
+  .input('id_servidor', sql.UniqueIdentifier, id_servidor)
+  .input('resultado', sql.NVarChar(sql.MAX), JSON.stringify(detalle))
+  .query(`
+    INSERT INTO Sincronizacion_Elementos (id_usuario, clave_idempotencia, tipo, operacion, id_cliente, id_servidor, resultado)
+    VALUES (@id_usuario, @clave_idempotencia, @tipo, @operacion, @id_cliente, @id_servidor, @resultado)
+  `);
+
+/**
+ * Traduce una referencia del dispositivo al ID del servidor: primero los ID de cliente creados
+ * en este lote, luego los de lotes anteriores del mismo usuario y, si no, un ID del servidor.
+ */
+const resolveId = async (pool, context, value) => {
+  // Client IDs are looked up first, so a device may use UUIDs of its own
+  if (context.ids.has(value)) return context.ids.get(value).id_servidor;
+  const result = await pool
+    .request()
+    .input('id_usuario', sql.UniqueIdentifier, context.user.id_usuario)
+    .input('id_cliente', sql.NVarChar(100), value)
+    .query('SELECT TOP 1 id_servidor FROM Sincronizacion_Elementos WHERE id_usuario = @id_usuario AND id_cliente = @id_cliente');
+  if (result.recordset[0]) return result.recordset[0].id_servidor;
+  if (UUID_PATTERN.test(value)) return value;
+  throw httpError(`La referencia '${value}' no corresponde a ningún elemento sincronizado`, 400);
+};
+
+// Otro paciente con la misma identificación (por ejemplo registrado por otro equipo entretanto).
+// Se comprueba en la transacción que escribe, con la búsqueda bloqueada hasta el commit; el ID
+// del otro paciente solo se devuelve si el usuario tiene acceso a su centro
+const assertIdentityFree = async (transaction, scope, identificacion, id_paciente = null) => {
+  const matches = await findByBlindIndex(transaction, 'Niños', 'identificacion', identificacion, { lock: true });
+  const existing = matches.find(id => !id_paciente || !sameId(id, id_paciente));
+  if (existing) {
+    const center = await transaction
+      .request()
+      .input('id_niño', sql.UniqueIdentifier, existing)
+      .query('SELECT id_centro_salud FROM Niños WHERE id_niño = @id_niño');
+    const visible = canAccessCenter(scope, center.recordset[0]?.id_centro_salud);
+    throw conflict('IDENTIFICACION_DUPLICADA', 'Ya existe un paciente con esta identificación', visible ? { servidor: { id_paciente: existing } } : {});
+  }
+};
+
+const patientVersion = async (runner, id_niño) => {
+  const result = await runner
+    .request()
+    .input('id_niño', sql.UniqueIdentifier, id_niño)
+    .query('SELECT CAST(version_fila AS BIGINT) AS version FROM Niños WHERE id_niño = @id_niño');
+  return result.recordset[0] ? String(result.recordset[0].version) : null;
+};
+
+const createPatientChange = async (pool, cambio, { user, scope }) => {
+  const datos = cambio.datos;
+  await assertValid(validatePatientCreate, datos);
+  const id_centro_salud = datos.id_centro_salud || (scope.national ? null : scope.id_centro);
+  if (id_centro_salud) {
+    assertCenterAccess(scope, id_centro_salud);
+  }
+  return withTransaction(pool, async (transaction) => {
+    await assertIdentityFree(transaction, scope, datos.identificacion);
+    const id_niño = await createPatient(transaction, datos, id_centro_salud);
+    if (!id_niño) throw httpError('No se pudo crear el paciente', 500);
+    const detalle = { id_paciente: id_niño, version: await patientVersion(transaction, id_niño) };
+    await recordApplied(transaction, user.id_usuario, cambio, id_niño, detalle);
+    return { id_servidor: id_niño, detalle };
+  });
+};
+
+/**
+ * Actualización de un paciente hecha sin conexión. Si el paciente cambió en el servidor desde
+ * `version_base`, gana el servidor y se devuelve un conflicto con la versión actual, salvo que
+ * el dispositivo pida `resolucion: 'cliente'`, que aplica sus campos sobre la versión actual.
+ * Sin `version_base`, un paciente que el dispositivo creó en este lote (o en un envío anterior
+ * del mismo lote) se compara con la versión que dejó su último cambio sincronizado.
+ */
+const updatePatientChange = async (pool, cambio, context) => {
+  const { user, scope } = context;
+  const datos = cambio.datos;
+  await assertValid(validatePatientUpdate, datos);
+  const base = cambio.version_base ?? context.ids.get(cambio.id)?.version;
+  if (base == null) {
+    throw httpError('version_base es obligatoria para actualizar un paciente', 400);
+  }
+  const id_niño = await resolveId(pool, context, cambio.id);
+  if (datos.id_centro_salud) {
+    assertCenterAccess(scope, datos.id_centro_salud);
+  }
+  return withTransaction(pool, async (transaction) => {
+    // The row stays locked until commit so no other edit lands between the version check and the update
+    const current = await transaction
+      .request()
+      .input('id_niño', sql.UniqueIdentifier, id_niño)
+      .query(`
+        SELECT id_centro_salud, id_archivo, CAST(version_fila AS BIGINT) AS version
+        FROM Niños WITH (UPDLOCK, ROWLOCK)
+        WHERE id_niño = @id_niño
+      `);
+    if (current.recordset.length === 0) throw httpError('Paciente no encontrado', 404);
+    const { id_centro_salud, id_archivo } = current.recordset[0];
+    const version = String(current.recordset[0].version);
+    assertCenterAccess(scope, id_centro_salud);
+    if (id_archivo) {
+      throw conflict('PACIENTE_ARCHIVADO', 'El paciente está archivado; restáurelo antes de modificarlo', { servidor: { id_paciente: id_niño } });
+    }
+    const modificado = String(base) !== version;
+    if (modificado && cambio.resolucion !== 'cliente') {
+      throw conflict('PACIENTE_MODIFICADO', 'El paciente se modificó en el servidor después de la versión enviada', {
+        servidor: { id_paciente: id_niño, version },
+      });
+    }
+    if (datos.identificacion) {
+      await assertIdentityFree(transaction, scope, datos.identificacion, id_niño);
+    }
+    await updatePatient(transaction, id_niño, datos);
+    if (datos.id_centro_salud && !sameCenter(id_centro_salud, datos.id_centro_salud)) {
+      await recordCenterChange(transaction, {
+        id_niño,
+        id_centro_origen: id_centro_salud,
+        id_centro_destino: datos.id_centro_salud,
+        id_usuario: user.id_usuario,
+      });
+    }
+    const detalle = { id_paciente: id_niño, version: await patientVersion(transaction, id_niño) };
+    await recordApplied(transaction, user.id_usuario, cambio, id_niño, detalle);
+    return { id_servidor: id_niño, detalle, sobrescrito: modificado ? version : null };
+  });
+};
+
+const createVaccinationChange = async (pool, cambio, context) => {
+  const { user, scope } = context;
+  const datos = { ...cambio.datos };
+  // The patient may be one the device registered offline, referenced by its client ID
+  if (typeof datos.id_niño === 'string') {
+    datos.id_niño = await resolveId(pool, context, datos.id_niño);
+  }
+  await assertValid(validateVaccination, datos);
+  const plan = await prepareDose(pool, datos, { user, scope });
+  return withTransaction(pool, async (transaction) => {
+    const dose = await writeDose(transaction, datos, plan, { user });
+    const detalle = doseResponse(dose);
+    await recordApplied(transaction, user.id_usuario, cambio, dose.id_historial, detalle);
+    return { id_servidor: dose.id_historial, detalle, dose };
+  });
+};
+
+const createSupplyUsageChange = async (pool, cambio, { user, scope }) => {
+  const datos = cambio.datos;
+  await assertValid(validateSupplyUsage, datos);
+  const supply = await pool
+    .request()
+    .input('id_suministro', sql.UniqueIdentifier, datos.id_suministro)
+    .query('SELECT id_centro FROM Inventario_Suministros WHERE id_suministro = @id_suministro');
+  if (supply.recordset.length === 0) throw httpError('Suministro no encontrado', 404);
+  assertCenterAccess(scope, supply.recordset[0].id_centro);
+  return withTransaction(pool, async (transaction) => {
+    const id_uso = await createSupplyUsage(transaction, datos);
+    const detalle = { id_uso };
+    await recordApplied(transaction, user.id_usuario, cambio, id_uso, detalle);
+    return { id_servidor: id_uso, detalle };
+  });
+};
+
+const HANDLERS = {
+  'paciente:crear': createPatientChange,
+  'paciente:actualizar': updatePatientChange,
+  'vacunacion:crear': createVaccinationChange,
+  'uso_suministro:crear': createSupplyUsageChange,
+};
+
+// Violación de UQ_Sincronizacion_Elementos_clave: otro envío con la misma clave se aplicó a la vez
+const isDuplicateKey = err => err.number === 2627 || err.number === 2601;
+
+/**
+ * Aplica un cambio del lote en su propia transacción, que también guarda la clave de
+ * idempotencia. Devuelve `{ estado: 'aplicado' | 'duplicado', id_servidor, detalle }` y, para el
+ * registro de auditoría de la ruta, `dose` o `sobrescrito`; los conflictos (409) y demás
+ * errores se lanzan. `context` lleva el usuario, su alcance e `ids`, el mapa de ID de cliente
+ * a `{ id_servidor, version }` que se completa según avanza el lote.
+ */
+const applyChange = async (pool, cambio, context) => {
+  if (!SYNC_OPERATIONS[cambio.tipo].includes(cambio.operacion)) {
+    throw httpError(`La operación '${cambio.operacion}' no está permitida para '${cambio.tipo}'`, 400);
+  }
+  if (cambio.operacion === 'actualizar' && !cambio.id) {
+    throw httpError('ID es obligatorio para actualizar', 400);
+  }
+  // Updates of a patient the device created keep its entry at the version they left behind
+  const remember = (id_servidor, detalle) => {
+    const key = cambio.id_cliente || (context.ids.has(cambio.id) ? cambio.id : null);
+    if (key) context.ids.set(key, { id_servidor, version: detalle.version });
+  };
+  const duplicate = async () => {
+    const applied = await findApplied(pool, context.user.id_usuario, cambio.clave_idempotencia);
+    if (!applied) return null;
+    const detalle = JSON.parse(applied.resultado);
+    remember(applied.id_servidor, detalle);
+    return { estado: 'duplicado', id_servidor: applied.id_servidor, detalle };
+  };
+
+  const previous = await duplicate();
+  if (previous) return previous;
+  try {
+    const applied = await HANDLERS[`${cambio.tipo}:${cambio.operacion}`](pool, cambio, context);
+    remember(applied.id_servidor, applied.detalle);
+    return { estado: 'aplicado', ...applied };
+  } catch (err) {
+    if (isDuplicateKey(err)) {
+      const concurrent = await duplicate();
+      if (concurrent) return concurrent;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Datos de referencia modificados después del punto de control `desde` (todos si se omite), con
+ * el nuevo punto de control. Lotes y suministros se limitan al centro del usuario. Las filas
+ * eliminadas no se informan: el dispositivo debe descargar todo de nuevo periódicamente.
+ */
+const pullReferenceData = async (pool, { desde, scope }) => {
+  const request = pool.request().input('desde', sql.BigInt, desde || 0);
+  const lotScope = scopeCondition(request, scope, 'id_centro');
+  const changed = 'version_fila > CAST(@desde AS BINARY(8))';
+  // The checkpoint is read first: rows committed while the pull runs are sent again next time
+  const result = await request.query(`
+    SELECT CAST(MIN_ACTIVE_ROWVERSION() AS BIGINT) - 1 AS punto_control;
+    SELECT id_pais, nombre, gentilicio FROM Paises WHERE ${changed};
+    SELECT id_centro, nombre_centro, nombre_corto, direccion, latitud, longitud, telefono, estado
+    FROM Centros_Vacunacion WHERE ${changed};
+    SELECT id_vacuna, nombre, fabricante, tipo, dosis_requeridas, codigo_cvx FROM Vacunas WHERE ${changed};
+    SELECT id_esquema, id_vacuna, orden_dosis, edad_recomendada, descripcion, edad_minima_dias, intervalo_minimo_dias
+    FROM Esquema_Vacunacion WHERE ${changed};
+    SELECT id_lote, id_vacuna, numero_lote, cantidad_disponible, fecha_fabricacion, fecha_vencimiento, id_centro, en_cuarentena
+    FROM Lotes_Vacunas WHERE ${changed} AND ${lotScope};
+    SELECT id_suministro, nombre_suministro, tipo_suministro, cantidad_disponible, id_centro, fecha_vencimiento
+    FROM Inventario_Suministros WHERE ${changed} AND ${lotScope};
+    SELECT id_regla, patron, descripcion, activa FROM Reglas_Observaciones WHERE ${changed};
+  `);
+  const [[{ punto_control }], paises, centros, vacunas, esquemas, lotes, suministros, reglas_observaciones] = result.recordsets;
+  return {
+    punto_control: String(punto_control),
+    completo: !Number(desde),
+    paises,
+    centros,
+    vacunas,
+    esquemas,
+    lotes,
+    suministros,
+    reglas_observaciones,
+  };
+};
+
+module.exports = {
+  SYNC_OPERATIONS,
+  validateChangeset,
+  validatePull,
+  applyChange,
+  pullReferenceData,
+};
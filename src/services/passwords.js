@@ -0,0 +1,128 @@
+// src/services/passwords.js
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { body } = require('express-validator');
+const { sql } = require('../config/db');
+
+const MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+const HISTORY_SIZE = Number(process.env.PASSWORD_HISTORY_SIZE) || 5;
+const RESET_TOKEN_TTL = process.env.PASSWORD_RESET_TTL || '30m';
+const SALT_ROUNDS = 10;
+
+/**
+ * Política de contraseñas compartida por la creación de usuarios y tutores,
+ * el cambio de contraseña y el restablecimiento. Devuelve los incumplimientos.
+ */
+const checkPasswordPolicy = (password, { username } = {}) => {
+  const problems = [];
+  if (typeof password !== 'string' || password.length < MIN_LENGTH) {
+    problems.push(`La contraseña debe tener al menos ${MIN_LENGTH} caracteres`);
+    return problems;
+  }
+  if (!/[a-z]/.test(password)) problems.push('La contraseña debe incluir una letra minúscula');
+  if (!/[A-Z]/.test(password)) problems.push('La contraseña debe incluir una letra mayúscula');
+  if (!/\d/.test(password)) problems.push('La contraseña debe incluir un número');
+  if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    problems.push('La contraseña no puede contener el nombre de usuario');
+  }
+  return problems;
+};
+
+const passwordPolicyValidator = (field = 'password') =>
+  body(field).custom((value, { req }) => {
+    const problems = checkPasswordPolicy(value, { username: req.body.username || req.user?.username });
+    if (problems.length > 0) {
+      throw new Error(problems.join('. '));
+    }
+    return true;
+  });
+
+/**
+ * Indica si la contraseña coincide con la actual o con alguna de las últimas
+ * HISTORY_SIZE guardadas en Historial_Contrasenas.
+ */
+const isRecentlyUsed = async (pool, id_usuario, password, currentHash) => {
+  const result = await pool
+    .request()
+    .input('id_usuario', sql.UniqueIdentifier, id_usuario)
+    .input('limite', sql.Int, HISTORY_SIZE)
+    .query(`
+      SELECT TOP (@limite) password_hash
+      FROM Historial_Contrasenas
+      WHERE id_usuario = @id_usuario
+      ORDER BY fecha_cambio DESC
+    `);
+  const hashes = [currentHash, ...result.recordset.map(row => row.password_hash)].filter(Boolean);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+/**
+ * Guarda la nueva contraseña y archiva la anterior en Historial_Contrasenas.
+ */
+const updatePassword = async (pool, id_usuario, password) => {
+  const password_hash = await bcrypt.hash(password, SALT_ROUNDS);
+  await pool
+    .request()
+    .input('id_usuario', sql.UniqueIdentifier, id_usuario)
+    .input('password_hash', sql.NVarChar(500), password_hash)
+    .query(`
+      INSERT INTO Historial_Contrasenas (id_usuario, password_hash, fecha_cambio)
+      SELECT id_usuario, password_hash, SYSDATETIME() FROM Usuarios WHERE id_usuario = @id_usuario;
+      UPDATE Usuarios SET password_hash = @password_hash WHERE id_usuario = @id_usuario;
+    `);
+  return password_hash;
+};
+
+// La huella del hash actual invalida el token en cuanto la contraseña cambia,
+// por lo que cada token de restablecimiento solo puede usarse una vez.
+const fingerprint = (passwordHash) =>
+  crypto.createHash('sha256').update(String(passwordHash)).digest('hex').slice(0, 32);
+
+const resetSecret = () => process.env.PASSWORD_RESET_SECRET || process.env.JWT_SECRET;
+
+const createResetToken = (user) =>
+  jwt.sign(
+    { id_usuario: user.id_usuario, purpose: 'password-reset', pwf: fingerprint(user.password_hash) },
+    resetSecret(),
+    { expiresIn: RESET_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+
+/**
+ * Verifica un token de restablecimiento contra el hash de contraseña vigente
+ * del usuario. Lanza un error con statusCode 400 si no es válido.
+ */
+const verifyResetToken = (token, currentPasswordHash) => {
+  const invalid = () => {
+    const error = new Error('Token de restablecimiento inválido o expirado');
+    error.statusCode = 400;
+    return error;
+  };
+  let payload;
+  try {
+    payload = jwt.verify(token, resetSecret());
+  } catch {
+    throw invalid();
+  }
+  if (payload.purpose !== 'password-reset') throw invalid();
+  if (currentPasswordHash !== undefined && payload.pwf !== fingerprint(currentPasswordHash)) throw invalid();
+  return payload;
+};
+
+const decodeResetToken = (token) => {
+  const payload = jwt.decode(token);
+  return payload && payload.purpose === 'password-reset' ? payload : null;
+};
+
+module.exports = {
+  checkPasswordPolicy,
+  passwordPolicyValidator,
+  isRecentlyUsed,
+  updatePassword,
+  createResetToken,
+  verifyResetToken,
+  decodeResetToken,
+};
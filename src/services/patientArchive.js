@@ -0,0 +1,191 @@
+// src/services/patientArchive.js
+const { sql } = require('../config/db');
+const { getAllowedRoles } = require('../config/permissions');
+const { withTransaction } = require('./transaction');
+const { httpError } = require('./httpError');
+
+/**
+ * `incluir_archivados=true` en los listados solo lo admiten los roles que pueden ver
+ * GET /api/patients/archived; para el resto (y las cuentas de servicio) responde 403.
+ */
+const assertCanIncludeArchived = (user, incluir_archivados) => {
+  if (incluir_archivados === 'true' && !getAllowedRoles('/api/patients', 'GET', '/archived').includes(user.rol)) {
+    throw httpError('Acceso denegado: solo la dirección puede incluir registros archivados', 403);
+  }
+};
+
+/**
+ * Registros que siguen el ciclo de vida del paciente: al archivarlo se marcan con el
+ * mismo id_archivo y al restaurarlo se desmarcan solo los de ese archivo.
+ */
+const ARCHIVED_TABLES = [
+  { table: 'Historial_Vacunacion_Alterna', label: 'historial' },
+  { table: 'Tutores', label: 'tutores' },
+  { table: 'Citas', label: 'citas' },
+];
+
+// Tablas que referencian al paciente y que sp_EliminarNiño no conoce; se borran antes al purgar
+const PURGE_DEPENDENTS = `
+  DELETE r FROM Fusiones_Pacientes_Registros r
+  INNER JOIN Fusiones_Pacientes f ON f.id_fusion = r.id_fusion
+  WHERE f.id_niño_superviviente = @id_niño OR f.id_niño_duplicado = @id_niño;
+  DELETE FROM Fusiones_Pacientes WHERE id_niño_superviviente = @id_niño OR id_niño_duplicado = @id_niño;
+  DELETE FROM Solicitudes_Cita WHERE id_niño = @id_niño;
+  DELETE FROM Certificados_Vacunacion WHERE id_niño = @id_niño;
+  DELETE FROM Traslados_Pacientes WHERE id_niño = @id_niño;`;
+
+/**
+ * Política de retención: un paciente archivado puede purgarse cuando han pasado
+ * PATIENT_RETENTION_DAYS días desde el archivado (10 años por defecto) y además ha
+ * cumplido PATIENT_RETENTION_MIN_AGE años (18 por defecto).
+ */
+const retentionPolicy = () => ({
+  dias: Number(process.env.PATIENT_RETENTION_DAYS) || 3650,
+  edad_minima: Number(process.env.PATIENT_RETENTION_MIN_AGE) || 18,
+});
+
+/**
+ * Archiva un paciente y sus registros relacionados en una transacción, guardando el
+ * motivo, el usuario y la fecha a partir de la cual podrá purgarse.
+ * `authorize(paciente)` se llama antes de modificar nada.
+ */
+const archivePatient = async (pool, { id_niño, motivo, id_usuario, authorize }) =>
+  withTransaction(pool, async (transaction) => {
+    const found = await transaction
+      .request()
+      .input('id_niño', sql.UniqueIdentifier, id_niño)
+      .query('SELECT id_niño, id_centro_salud, id_archivo FROM Niños WITH (UPDLOCK) WHERE id_niño = @id_niño');
+    const paciente = found.recordset[0];
+    if (!paciente) throw httpError('Paciente no encontrado', 404);
+    authorize(paciente);
+    if (paciente.id_archivo) throw httpError('El paciente ya está archivado', 409);
+
+    const { dias, edad_minima } = retentionPolicy();
+    const created = await transaction
+      .request()
+      .input('id_niño', sql.UniqueIdentifier, id_niño)
+      .input('motivo', sql.NVarChar(500), motivo)
+      .input('id_usuario', sql.UniqueIdentifier, id_usuario || null)
+      .input('dias', sql.Int, dias)
+      .input('edad_minima', sql.Int, edad_minima)
+      .query(`
+        INSERT INTO Archivos_Pacientes (id_niño, motivo, id_usuario_archivo, fecha_purga)
+        OUTPUT INSERTED.id_archivo, INSERTED.fecha_archivo, INSERTED.fecha_purga
+        SELECT n.id_niño, @motivo, @id_usuario,
+          (SELECT MAX(fecha) FROM (VALUES
+            (DATEADD(DAY, @dias, SYSDATETIME())),
+            (DATEADD(YEAR, @edad_minima, CAST(n.fecha_nacimiento AS DATETIME2)))
+          ) AS limites(fecha))
+        FROM Niños n WHERE n.id_niño = @id_niño
+      `);
+    const archivo = created.recordset[0];
+
+    const marked = await transaction
+      .request()
+      .input('id_niño', sql.UniqueIdentifier, id_niño)
+      .input('id_archivo', sql.UniqueIdentifier, archivo.id_archivo)
+      .query(`
+        UPDATE Niños SET id_archivo = @id_archivo WHERE id_niño = @id_niño;
+        ${ARCHIVED_TABLES.map(({ table }) =>
+          `UPDATE ${table} SET id_archivo = @id_archivo WHERE id_niño = @id_niño AND id_archivo IS NULL;`).join('\n        ')}
+      `);
+    const registros = Object.fromEntries(
+      ARCHIVED_TABLES.map(({ label }, i) => [label, marked.rowsAffected[i + 1] || 0])
+    );
+
+    return { ...archivo, id_paciente: id_niño, registros };
+  });
+
+/**
+ * Restaura un paciente archivado y los registros que se archivaron con él.
+ * `authorize(paciente)` se llama antes de modificar nada.
+ */
+const restorePatient = async (pool, { id_niño, id_usuario, authorize }) =>
+  withTransaction(pool, async (transaction) => {
+    const found = await transaction
+      .request()
+      .input('id_niño', sql.UniqueIdentifier, id_niño)
+      .query('SELECT id_niño, id_centro_salud, id_archivo FROM Niños WITH (UPDLOCK) WHERE id_niño = @id_niño');
+    const paciente = found.recordset[0];
+    if (!paciente) throw httpError('Paciente no encontrado', 404);
+    authorize(paciente);
+    if (!paciente.id_archivo) throw httpError('El paciente no está archivado', 409);
+
+    await transaction
+      .request()
+      .input('id_archivo', sql.UniqueIdentifier, paciente.id_archivo)
+      .input('id_usuario', sql.UniqueIdentifier, id_usuario || null)
+      .query(`
+        ${ARCHIVED_TABLES.map(({ table }) => `UPDATE ${table} SET id_archivo = NULL WHERE id_archivo = @id_archivo;`).join('\n        ')}
+        UPDATE Niños SET id_archivo = NULL WHERE id_archivo = @id_archivo;
+        UPDATE Archivos_Pacientes
+        SET estado = 'Restaurado', fecha_restauracion = SYSDATETIME(), id_usuario_restauracion = @id_usuario
+        WHERE id_archivo = @id_archivo;
+      `);
+
+    return { id_archivo: paciente.id_archivo, id_paciente: id_niño };
+  });
+
+/**
+ * Lista los pacientes archivados (restringidos por `where`, una condición sobre
+ * n.id_centro_salud) con la fecha desde la que pueden purgarse.
+ */
+const listArchived = async (request, where) => {
+  const result = await request.query(`
+    SELECT
+      a.id_archivo, n.id_niño AS id_paciente, n.nombre_completo, n.id_centro_salud,
+      a.motivo, a.fecha_archivo, a.id_usuario_archivo, a.fecha_purga,
+      CAST(CASE WHEN a.fecha_purga <= SYSDATETIME() THEN 1 ELSE 0 END AS BIT) AS purgable
+    FROM Archivos_Pacientes a
+    INNER JOIN Niños n ON n.id_archivo = a.id_archivo
+    WHERE ${where}
+    ORDER BY a.fecha_archivo DESC
+  `);
+  return result.recordset;
+};
+
+/**
+ * Borra definitivamente los pacientes cuyo plazo de retención ya venció. Cada paciente
+ * se purga en su propia transacción; el registro en Archivos_Pacientes se conserva
+ * como constancia. Con `dryRun` solo devuelve los que se purgarían. `authorize(paciente)`
+ * se llama con cada paciente antes de purgar ninguno.
+ */
+const purgeExpired = async (pool, { id_usuario, dryRun = false, authorize }) => {
+  const due = await pool.request().query(`
+    SELECT a.id_archivo, a.id_niño AS id_paciente, n.id_centro_salud, a.fecha_archivo, a.fecha_purga
+    FROM Archivos_Pacientes a
+    INNER JOIN Niños n ON n.id_archivo = a.id_archivo
+    WHERE a.estado = 'Archivado' AND a.fecha_purga <= SYSDATETIME()
+    ORDER BY a.fecha_purga
+  `);
+  due.recordset.forEach(paciente => authorize(paciente));
+  if (dryRun) return due.recordset;
+
+  for (const archivo of due.recordset) {
+    await withTransaction(pool, async (transaction) => {
+      await transaction
+        .request()
+        .input('id_niño', sql.UniqueIdentifier, archivo.id_paciente)
+        .query(PURGE_DEPENDENTS);
+      await transaction
+        .request()
+        .input('id_paciente', sql.UniqueIdentifier, archivo.id_paciente)
+        .execute('sp_EliminarNiño');
+      await transaction
+        .request()
+        .input('id_niño', sql.UniqueIdentifier, archivo.id_paciente)
+        .input('id_archivo', sql.UniqueIdentifier, archivo.id_archivo)
+        .input('id_usuario', sql.UniqueIdentifier, id_usuario || null)
+        .query(`
+          -- Después del procedimiento, que al borrar los tutores añade filas a este historial
+          DELETE FROM Historial_Tutores WHERE id_niño = @id_niño;
+          UPDATE Archivos_Pacientes
+          SET estado = 'Purgado', fecha_purgado = SYSDATETIME(), id_usuario_purga = @id_usuario
+          WHERE id_archivo = @id_archivo
+        `);
+    });
+  }
+  return due.recordset;
+};
+
+module.exports = { ARCHIVED_TABLES, assertCanIncludeArchived, retentionPolicy, archivePatient, restorePatient, listArchived, purgeExpired };
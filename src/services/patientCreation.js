@@ -0,0 +1,250 @@
+// src/services/patientCreation.js
+const { body, validationResult } = require('express-validator');
+const { sql } = require('../config/db');
+const { sealFields, storeSealedColumns, findByBlindIndex } = require('./fieldEncryption');
+
+const validatePatientCreate = [
+  body('nombre_completo').notEmpty().isString().withMessage('Nombre completo es requerido'),
+  body('identificacion').notEmpty().isString().withMessage('Identificación es requerida'),
+  body('nacionalidad').notEmpty().isString().withMessage('Nacionalidad es requerida'),
+  body('pais_nacimiento').notEmpty().isString().withMessage('País de nacimiento es requerido'),
+  body('fecha_nacimiento').isISO8601().withMessage('Fecha de nacimiento inválida'),
+  body('genero').isIn(['M', 'F', 'O']).withMessage('Género inválido'),
+  body('direccion_residencia').optional().isString().withMessage('Dirección debe ser una cadena válida'),
+  body('latitud').optional().isDecimal().withMessage('Latitud inválida'),
+  body('longitud').optional().isDecimal().withMessage('Longitud inválida'),
+  body('id_centro_salud').optional().isUUID().withMessage('ID de centro inválido'),
+  body('contacto_principal').optional().isString().withMessage('Contacto principal debe ser una cadena válida'),
+  body('tutores').optional().isArray({ min: 0, max: 3 }).withMessage('Debe asignarse hasta 3 tutores nuevos'),
+  body('tutores.*.nombre').optional().notEmpty().isString().withMessage('Nombre del tutor es requerido'),
+  body('tutores.*.relacion')
+    .optional()
+    .customSanitizer(value => {
+      if (typeof value === 'string') {
+        return value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
+      }
+      return value;
+    })
+    .isIn(['Madre', 'Padre', 'Tutor Legal']).withMessage('Relación inválida'),
+  body('tutores.*.nacionalidad').optional().notEmpty().isString().withMessage('Nacionalidad del tutor es requerida'),
+  body('tutores.*.identificacion').optional().isString().withMessage('Identificación del tutor debe ser una cadena válida'),
+  body('tutores.*.telefono').optional().isString().withMessage('Teléfono del tutor debe ser una cadena válida'),
+  body('tutores.*.email').optional().isEmail().withMessage('Email del tutor debe ser válido'),
+  body('tutores.*.direccion').optional().isString().withMessage('Dirección del tutor debe ser una cadena válida'),
+  body('tutores.*.tipo_relacion').optional().isIn(['Padre1', 'Padre2', 'TutorLegal']).withMessage('Tipo de relación inválido'),
+  body('tutor_ids').optional().isArray({ min: 0, max: 3 }).withMessage('Debe asignarse hasta 3 IDs de tutores existentes'),
+  body('tutor_ids.*').optional().isUUID().withMessage('ID de tutor inválido'),
+  body('tutores').custom((tutores, { req }) => {
+    if (tutores && tutores.length > 0) {
+      const roles = tutores.map(t => t.tipo_relacion || 'TutorLegal');
+      const roleCount = {};
+      roles.forEach(r => { roleCount[r] = (roleCount[r] || 0) + 1; });
+      if (roleCount['Padre1'] > 1 || roleCount['Padre2'] > 1 || roleCount['TutorLegal'] > 1) {
+        throw new Error('Solo puede haber un Padre1, un Padre2 y un TutorLegal.');
+      }
+    }
+    return true;
+  }),
+];
+
+// Runs a validation chain against a plain object as if it were the request body; sanitizers update `data`
+const validateBody = async (chains, data) => {
+  const req = { body: data };
+  for (const chain of chains) {
+    await chain.run(req);
+  }
+  return validationResult(req).array();
+};
+
+// Same rules as creation, but every field is optional: only the fields present are updated
+const validatePatientUpdate = [
+  body('nombre_completo').optional().notEmpty().isString().withMessage('Nombre completo debe ser una cadena válida'),
+  body('identificacion').optional().notEmpty().isString().withMessage('Identificación debe ser una cadena válida'),
+  body('nacionalidad').optional().notEmpty().isString().withMessage('Nacionalidad debe ser una cadena válida'),
+  body('pais_nacimiento').optional().notEmpty().isString().withMessage('País de nacimiento debe ser una cadena válida'),
+  body('fecha_nacimiento').optional().isISO8601().withMessage('Fecha de nacimiento inválida'),
+  body('genero').optional().isIn(['M', 'F', 'O']).withMessage('Género inválido'),
+  body('direccion_residencia').optional().isString().withMessage('Dirección debe ser una cadena válida'),
+  body('latitud').optional().isDecimal().withMessage('Latitud inválida'),
+  body('longitud').optional().isDecimal().withMessage('Longitud inválida'),
+  body('id_centro_salud').optional().isUUID().withMessage('ID de centro inválido'),
+  body('contacto_principal').optional().isString().withMessage('Contacto principal debe ser una cadena válida'),
+  body('tutores').optional().isArray({ min: 0, max: 3 }).withMessage('Debe asignarse hasta 3 tutores si se proporciona'),
+  body('tutores.*.nombre').optional().notEmpty().isString().withMessage('Nombre del tutor es requerido'),
+  body('tutores.*.relacion')
+    .optional()
+    .customSanitizer(value => {
+      if (typeof value === 'string') {
+        return value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
+      }
+      return value;
+    })
+    .isIn(['Madre', 'Padre', 'Tutor Legal']).withMessage('Relación inválida'),
+  body('tutores.*.nacionalidad').optional().notEmpty().isString().withMessage('Nacionalidad del tutor es requerida'),
+  body('tutores.*.identificacion').optional().isString().withMessage('Identificación del tutor debe ser una cadena válida'),
+  body('tutores.*.telefono').optional().isString().withMessage('Teléfono del tutor debe ser una cadena válida'),
+  body('tutores.*.email').optional().isEmail().withMessage('Email del tutor debe ser válido'),
+  body('tutores.*.direccion').optional().isString().withMessage('Dirección del tutor debe ser una cadena válida'),
+  body('tutores.*.tipo_relacion').optional().isIn(['Padre1', 'Padre2', 'TutorLegal']).withMessage('Tipo de relación inválido'),
+  body('tutor_ids').optional().isArray({ min: 0, max: 3 }).withMessage('Debe asignarse hasta 3 IDs de tutores si se proporciona'),
+  body('tutor_ids.*').optional().isUUID().withMessage('ID de tutor inválido'),
+  body('tutores').custom((tutores, { req }) => {
+    if (tutores && tutores.length > 0) {
+      const roles = tutores.map(t => t.tipo_relacion || 'TutorLegal');
+      const roleCount = {};
+      roles.forEach(r => { roleCount[r] = (roleCount[r] || 0) + 1; });
+      if (roleCount['Padre1'] > 1 || roleCount['Padre2'] > 1 || roleCount['TutorLegal'] > 1) {
+        throw new Error('Solo puede haber un Padre1, un Padre2 y un TutorLegal.');
+      }
+    }
+    return true;
+  }),
+];
+
+const assertUniqueIdentificacion = async (pool, identificacion, id_paciente = null) => {
+  const matches = await findByBlindIndex(pool, 'Niños', 'identificacion', identificacion);
+  if (matches.some(id => !id_paciente || String(id).toLowerCase() !== id_paciente.toLowerCase())) {
+    const error = new Error('Ya existe un paciente con esta identificación');
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+const buildTutoresTable = (tutores) => {
+  const tvpTutores = new sql.Table();
+  tvpTutores.columns.add('nombre', sql.NVarChar(200));
+  tvpTutores.columns.add('relacion', sql.NVarChar(50));
+  tvpTutores.columns.add('nacionalidad', sql.NVarChar(100));
+  tvpTutores.columns.add('identificacion', sql.NVarChar(512));
+  tvpTutores.columns.add('telefono', sql.NVarChar(512));
+  tvpTutores.columns.add('email', sql.NVarChar(512));
+  tvpTutores.columns.add('direccion', sql.NVarChar(500));
+  tvpTutores.columns.add('tipo_relacion', sql.NVarChar(20));
+  tutores.forEach(({ values: tutor }) => {
+    tvpTutores.rows.add(
+      tutor.nombre,
+      tutor.relacion,
+      tutor.nacionalidad,
+      tutor.identificacion || null,
+      tutor.telefono || null,
+      tutor.email || null,
+      tutor.direccion || null,
+      tutor.tipo_relacion || 'TutorLegal'
+    );
+  });
+  return tvpTutores;
+};
+
+// New tutors come back from the procedure without their ID; each patient has at most one active tutor
+// per tipo_relacion, so that pair resolves the tutor rows whose encrypted columns are stored here
+const storeTutorColumns = async (pool, id_niño, tutores) => {
+  for (const { values, columns } of tutores) {
+    if (Object.keys(columns).length === 0) continue;
+    const result = await pool
+      .request()
+      .input('id_niño', sql.UniqueIdentifier, id_niño)
+      .input('tipo_relacion', sql.NVarChar(20), values.tipo_relacion || 'TutorLegal')
+      .query("SELECT id_tutor FROM Tutores WHERE id_niño = @id_niño AND tipo_relacion = @tipo_relacion AND estado = 'Activo'");
+    for (const { id_tutor } of result.recordset) {
+      await storeSealedColumns(pool, 'Tutores', { column: 'id_tutor', type: sql.UniqueIdentifier, value: id_tutor }, columns);
+    }
+  }
+};
+
+/**
+ * Crea un paciente con sus tutores mediante sp_CrearNiño y guarda las columnas cifradas.
+ * `pool` puede ser una transacción. Devuelve el id_niño, o null si el procedimiento no lo devolvió.
+ */
+const createPatient = async (pool, data, id_centro_salud) => {
+  const sealed = sealFields('Niños', {
+    identificacion: data.identificacion,
+    latitud: data.latitud || null,
+    longitud: data.longitud || null,
+  });
+  const tutores = (data.tutores || []).map(tutor => sealFields('Tutores', tutor));
+  const tvpTutores = buildTutoresTable(tutores);
+
+  const tvpTutorIds = new sql.Table();
+  tvpTutorIds.columns.add('id_tutor', sql.UniqueIdentifier);
+  if (data.tutor_ids && data.tutor_ids.length > 0) {
+    data.tutor_ids.forEach(id => {
+      tvpTutorIds.rows.add(id);
+    });
+  }
+
+  const result = await pool.request()
+    .input('nombre_completo', sql.NVarChar, data.nombre_completo)
+    .input('identificacion', sql.NVarChar, sealed.values.identificacion)
+    .input('nacionalidad', sql.NVarChar, data.nacionalidad)
+    .input('pais_nacimiento', sql.NVarChar, data.pais_nacimiento)
+    .input('fecha_nacimiento', sql.Date, data.fecha_nacimiento)
+    .input('genero', sql.Char(1), data.genero)
+    .input('direccion_residencia', sql.NVarChar, data.direccion_residencia || null)
+    .input('latitud', sql.Decimal(9, 6), sealed.values.latitud)
+    .input('longitud', sql.Decimal(9, 6), sealed.values.longitud)
+    .input('id_centro_salud', sql.UniqueIdentifier, id_centro_salud)
+    .input('contacto_principal', sql.NVarChar, data.contacto_principal || null)
+    .input('tutores', tvpTutores)
+    .input('tutor_ids', tvpTutorIds)
+    .execute('sp_CrearNiño');
+  const id_niño = result.recordset[0]?.id_niño;
+  if (!id_niño) return null;
+
+  await storeSealedColumns(pool, 'Niños', { column: 'id_niño', type: sql.UniqueIdentifier, value: id_niño }, sealed.columns);
+  await storeTutorColumns(pool, id_niño, tutores);
+  return id_niño;
+};
+
+/**
+ * Actualiza un paciente con sp_ActualizarNiño; los campos ausentes en `data` se conservan.
+ * `pool` puede ser una transacción.
+ */
+const updatePatient = async (pool, id_niño, data) => {
+  // Only the identifying fields present in the body are re-encrypted
+  const sensitive = {};
+  ['identificacion', 'latitud', 'longitud'].forEach(field => {
+    if (data[field] !== undefined) sensitive[field] = data[field] || null;
+  });
+  const sealed = sealFields('Niños', sensitive);
+  const tutores = (data.tutores || []).map(tutor => sealFields('Tutores', tutor));
+  const tvpTutores = buildTutoresTable(tutores);
+
+  const tvpTutorIds = new sql.Table();
+  tvpTutorIds.columns.add('id_tutor', sql.UniqueIdentifier);
+  if (data.tutor_ids && data.tutor_ids.length > 0) {
+    data.tutor_ids.forEach(id => {
+      tvpTutorIds.rows.add(id);
+    });
+  }
+
+  await pool
+    .request()
+    .input('id_paciente', sql.UniqueIdentifier, id_niño)
+    .input('nombre_completo', sql.NVarChar, data.nombre_completo || null)
+    .input('identificacion', sql.NVarChar, sealed.values.identificacion || null)
+    .input('nacionalidad', sql.NVarChar, data.nacionalidad || null)
+    .input('pais_nacimiento', sql.NVarChar, data.pais_nacimiento || null)
+    .input('fecha_nacimiento', sql.Date, data.fecha_nacimiento || null)
+    .input('genero', sql.Char(1), data.genero || null)
+    .input('direccion_residencia', sql.NVarChar, data.direccion_residencia || null)
+    .input('latitud', sql.Decimal(9, 6), sealed.values.latitud ?? null)
+    .input('longitud', sql.Decimal(9, 6), sealed.values.longitud ?? null)
+    .input('id_centro_salud', sql.UniqueIdentifier, data.id_centro_salud || null)
+    .input('contacto_principal', sql.NVarChar, data.contacto_principal || null)
+    .input('tutores', tvpTutores)
+    .input('tutor_ids', tvpTutorIds)
+    .execute('sp_ActualizarNiño');
+  await storeSealedColumns(pool, 'Niños', { column: 'id_niño', type: sql.UniqueIdentifier, value: id_niño }, sealed.columns);
+  await storeTutorColumns(pool, id_niño, tutores);
+};
+
+module.exports = {
+  validatePatientCreate,
+  validatePatientUpdate,
+  validateBody,
+  assertUniqueIdentificacion,
+  buildTutoresTable,
+  storeTutorColumns,
+  createPatient,
+  updatePatient,
+};
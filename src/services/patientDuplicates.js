@@ -0,0 +1,350 @@
+// src/services/patientDuplicates.js
+const { sql } = require('../config/db');
+const { scopeCondition } = require('./centerScope');
+const { withTransaction } = require('./transaction');
+const { reassignDose } = require('./doseVersions');
+const { httpError } = require('./httpError');
+
+// Tablas cuyos registros se trasladan al paciente superviviente al fusionar. Las dosis de
+// Historial_Vacunacion_Alterna se trasladan aparte, como enmiendas versionadas (moveDoses).
+// `condition` limita qué filas del duplicado se trasladan: los tutores que el superviviente ya
+// tiene (misma identificación o mismo tipo de relación) se reutilizan en lugar de duplicarse.
+const MERGE_TABLES = [
+  { table: 'Historial_Vacunacion', key: 'id_historial', label: 'dosis' },
+  { table: 'Citas', key: 'id_cita', label: 'citas' },
+  { table: 'Solicitudes_Cita', key: 'id_solicitud', label: 'solicitudes_cita' },
+  { table: 'Alertas', key: 'id_alerta', label: 'alertas' },
+  {
+    table: 'Tutores',
+    key: 'id_tutor',
+    label: 'tutores',
+    condition: `AND NOT EXISTS (
+      SELECT 1 FROM Tutores s
+      WHERE s.id_niño = @id_superviviente AND s.estado = 'Activo'
+        AND (s.tipo_relacion = Tutores.tipo_relacion OR s.identificacion_hash = Tutores.identificacion_hash)
+    )`,
+  },
+  { table: 'Eventos_Adversos', key: 'id_evento', label: 'eventos_adversos' },
+];
+
+const WEIGHTS = { identificacion: 0.4, nombre: 0.3, fecha_nacimiento: 0.2, tutor: 0.1 };
+const NEAR_BIRTH_DATE_DAYS = 31;
+
+const normalizeName = (name) =>
+  String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+const dice = (a, b) => {
+  if (a.length === 0 && b.length === 0) return 1;
+  const counts = new Map();
+  a.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+  let shared = 0;
+  b.forEach(item => {
+    if (counts.get(item) > 0) {
+      shared++;
+      counts.set(item, counts.get(item) - 1);
+    }
+  });
+  return (2 * shared) / (a.length + b.length);
+};
+
+const bigrams = (text) => {
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) grams.push(text.slice(i, i + 2));
+  return grams;
+};
+
+/**
+ * Similitud 0..1 entre dos nombres sin acentos ni mayúsculas: el máximo entre la
+ * coincidencia de palabras (tolera un apellido de más o desordenado) y la de bigramas
+ * de caracteres (tolera errores de tipeo).
+ */
+const nameSimilarity = (a, b) => {
+  const wordsA = normalizeName(a);
+  const wordsB = normalizeName(b);
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+  const byWords = dice([...new Set(wordsA)], [...new Set(wordsB)]);
+  const byChars = dice(bigrams(wordsA.join(' ')), bigrams(wordsB.join(' ')));
+  return Math.max(byWords, byChars);
+};
+
+const daysBetween = (a, b) => Math.abs(new Date(a) - new Date(b)) / (24 * 60 * 60 * 1000);
+
+const scoreCandidate = ({ misma_identificacion, tutor_comun, nombre_a, nombre_b, fecha_a, fecha_b }) => {
+  const motivos = [];
+  let score = 0;
+  if (misma_identificacion) {
+    score += WEIGHTS.identificacion;
+    motivos.push('identificacion');
+  }
+  const similarity = nameSimilarity(nombre_a, nombre_b);
+  score += WEIGHTS.nombre * similarity;
+  if (similarity >= 0.8) motivos.push('nombre');
+  const days = daysBetween(fecha_a, fecha_b);
+  if (days === 0) {
+    score += WEIGHTS.fecha_nacimiento;
+    motivos.push('fecha_nacimiento');
+  } else if (days <= NEAR_BIRTH_DATE_DAYS) {
+    score += WEIGHTS.fecha_nacimiento / 2;
+  }
+  if (tutor_comun) {
+    score += WEIGHTS.tutor;
+    motivos.push('tutor');
+  }
+  return { puntuacion: Math.round(score * 1000) / 1000, similitud_nombre: Math.round(similarity * 1000) / 1000, motivos };
+};
+
+/**
+ * Busca pares de pacientes activos que probablemente son el mismo niño. Los pares
+ * candidatos salen de tres bloqueos (misma identificación, misma fecha de nacimiento
+ * con nombre fonéticamente similar, tutor en común) y se puntúan en la aplicación.
+ * Con `id_paciente` solo se buscan duplicados de ese paciente. Los usuarios de un
+ * centro solo ven pares en los que ambos pacientes son de su centro.
+ */
+const findDuplicateCandidates = async (pool, { scope, id_paciente = null, minScore = 0.6, limit = 50 }) => {
+  const request = pool.request().input('max', sql.Int, Math.min(limit * 5, 1000));
+  if (id_paciente) request.input('id_paciente', sql.UniqueIdentifier, id_paciente);
+  const pair = id_paciente ? 'a.id_niño = @id_paciente AND b.id_niño <> a.id_niño' : 'b.id_niño > a.id_niño';
+  const tutorPair = id_paciente ? 'ta.id_niño = @id_paciente AND tb.id_niño <> ta.id_niño' : 'tb.id_niño > ta.id_niño';
+  const scopeA = scopeCondition(request, scope, 'a.id_centro_salud');
+  const scopeB = scope.national ? '1 = 1' : 'b.id_centro_salud = @scope_id_centro';
+
+  const result = await request.query(`
+    WITH pares AS (
+      SELECT a.id_niño AS id_a, b.id_niño AS id_b
+      FROM Niños a JOIN Niños b ON b.identificacion_hash = a.identificacion_hash
+      WHERE ${pair}
+      UNION
+      SELECT a.id_niño, b.id_niño
+      FROM Niños a JOIN Niños b ON b.fecha_nacimiento = a.fecha_nacimiento AND SOUNDEX(b.nombre_completo) = SOUNDEX(a.nombre_completo)
+      WHERE ${pair}
+      UNION
+      SELECT ta.id_niño, tb.id_niño
+      FROM Tutores ta JOIN Tutores tb ON tb.identificacion_hash = ta.identificacion_hash
+      WHERE ${tutorPair}
+      UNION
+      SELECT ta.id_niño, tb.id_niño
+      FROM Tutores ta JOIN Tutores tb ON tb.telefono_hash = ta.telefono_hash
+      WHERE ${tutorPair}
+    )
+    SELECT TOP (@max)
+      p.id_a, p.id_b,
+      a.nombre_completo AS nombre_a, b.nombre_completo AS nombre_b,
+      a.fecha_nacimiento AS fecha_a, b.fecha_nacimiento AS fecha_b,
+      a.id_centro_salud AS centro_a, b.id_centro_salud AS centro_b,
+      CASE WHEN a.identificacion_hash = b.identificacion_hash THEN 1 ELSE 0 END AS misma_identificacion,
+      CASE WHEN EXISTS (
+        SELECT 1 FROM Tutores ta JOIN Tutores tb
+          ON tb.identificacion_hash = ta.identificacion_hash OR tb.telefono_hash = ta.telefono_hash
+        WHERE ta.id_niño = p.id_a AND tb.id_niño = p.id_b
+      ) THEN 1 ELSE 0 END AS tutor_comun
+    FROM pares p
+    INNER JOIN Niños a ON a.id_niño = p.id_a
+    INNER JOIN Niños b ON b.id_niño = p.id_b
+    WHERE a.estado = 'Activo' AND b.estado = 'Activo' AND a.id_archivo IS NULL AND b.id_archivo IS NULL
+      AND ${scopeA} AND ${scopeB}
+    ORDER BY misma_identificacion DESC, tutor_comun DESC
+  `);
+
+  return result.recordset
+    .map(row => ({
+      paciente_a: { id_paciente: row.id_a, nombre_completo: row.nombre_a, fecha_nacimiento: row.fecha_a, id_centro_salud: row.centro_a },
+      paciente_b: { id_paciente: row.id_b, nombre_completo: row.nombre_b, fecha_nacimiento: row.fecha_b, id_centro_salud: row.centro_b },
+      ...scoreCandidate(row),
+    }))
+    .filter(candidate => candidate.puntuacion >= minScore)
+    .sort((x, y) => y.puntuacion - x.puntuacion)
+    .slice(0, limit);
+};
+
+// Traslada las dosis vigentes `ids` al paciente `id_niño`, cada una como una enmienda con su versión;
+// las registradas como error no pueden modificarse y se quedan en el paciente donde se marcaron
+const moveDoses = async (transaction, { id_fusion, ids, id_niño, motivo, id_usuario, record }) => {
+  for (const id_historial of ids) {
+    await reassignDose(transaction, id_historial, id_niño, { motivo, id_usuario });
+    if (!record) continue;
+    await transaction
+      .request()
+      .input('id_fusion', sql.UniqueIdentifier, id_fusion)
+      .input('id_historial', sql.UniqueIdentifier, id_historial)
+      .query(`
+        INSERT INTO Fusiones_Pacientes_Registros (id_fusion, tabla, id_registro)
+        VALUES (@id_fusion, 'Historial_Vacunacion_Alterna', @id_historial)
+      `);
+  }
+  return ids.length;
+};
+
+const loadForMerge = async (transaction, id_niño) => {
+  const result = await transaction
+    .request()
+    .input('id_niño', sql.UniqueIdentifier, id_niño)
+    .query('SELECT id_niño, nombre_completo, id_centro_salud, estado FROM Niños WITH (UPDLOCK) WHERE id_niño = @id_niño');
+  return result.recordset[0] || null;
+};
+
+/**
+ * Traslada los registros del duplicado al superviviente en una transacción, deja el
+ * duplicado Inactivo y guarda qué registros se movieron para poder revertirlo.
+ * `authorize(superviviente, duplicado)` se llama antes de modificar nada.
+ */
+const mergePatients = async (pool, { id_superviviente, id_duplicado, motivo, id_usuario, authorize }) =>
+  withTransaction(pool, async (transaction) => {
+    const superviviente = await loadForMerge(transaction, id_superviviente);
+    const duplicado = await loadForMerge(transaction, id_duplicado);
+    if (!superviviente || !duplicado) throw httpError('Paciente no encontrado', 404);
+    if (superviviente.estado !== 'Activo' || duplicado.estado !== 'Activo') {
+      throw httpError('Solo se pueden fusionar pacientes activos', 409);
+    }
+    authorize(superviviente, duplicado);
+
+    const created = await transaction
+      .request()
+      .input('id_superviviente', sql.UniqueIdentifier, id_superviviente)
+      .input('id_duplicado', sql.UniqueIdentifier, id_duplicado)
+      .input('estado_anterior', sql.NVarChar(20), duplicado.estado)
+      .input('motivo', sql.NVarChar(500), motivo || null)
+      .input('id_usuario', sql.UniqueIdentifier, id_usuario)
+      .query(`
+        INSERT INTO Fusiones_Pacientes (id_niño_superviviente, id_niño_duplicado, estado_anterior_duplicado, motivo, id_usuario)
+        OUTPUT INSERTED.id_fusion
+        VALUES (@id_superviviente, @id_duplicado, @estado_anterior, @motivo, @id_usuario)
+      `);
+    const id_fusion = created.recordset[0].id_fusion;
+
+    const doses = await transaction
+      .request()
+      .input('id_duplicado', sql.UniqueIdentifier, id_duplicado)
+      .query(`
+        SELECT id_historial FROM Historial_Vacunacion_Alterna WITH (UPDLOCK)
+        WHERE id_niño = @id_duplicado AND estado_registro = 'Vigente'
+      `);
+    const movidos = {
+      dosis: await moveDoses(transaction, {
+        id_fusion,
+        ids: doses.recordset.map(row => row.id_historial),
+        id_niño: id_superviviente,
+        motivo: `Fusión de pacientes ${id_fusion}`,
+        id_usuario,
+        record: true,
+      }),
+    };
+    for (const { table, key, label, condition = '' } of MERGE_TABLES) {
+      const result = await transaction
+        .request()
+        .input('id_fusion', sql.UniqueIdentifier, id_fusion)
+        .input('id_superviviente', sql.UniqueIdentifier, id_superviviente)
+        .input('id_duplicado', sql.UniqueIdentifier, id_duplicado)
+        .query(`
+          IF OBJECT_ID('${table}', 'U') IS NOT NULL
+            UPDATE ${table} SET id_niño = @id_superviviente
+            OUTPUT @id_fusion, '${table}', INSERTED.${key}
+              INTO Fusiones_Pacientes_Registros (id_fusion, tabla, id_registro)
+            WHERE id_niño = @id_duplicado ${condition}
+        `);
+      movidos[label] = (movidos[label] || 0) + (result.rowsAffected[0] || 0);
+    }
+
+    await transaction
+      .request()
+      .input('id_duplicado', sql.UniqueIdentifier, id_duplicado)
+      .query(`UPDATE Niños SET estado = 'Inactivo' WHERE id_niño = @id_duplicado`);
+
+    return { id_fusion, id_superviviente, id_duplicado, movidos };
+  });
+
+/**
+ * Devuelve al paciente duplicado los registros que se movieron en la fusión y
+ * restaura su estado. No se puede revertir si el superviviente se fusionó después
+ * en otro paciente (hay que revertir primero esa fusión).
+ */
+const undoMerge = async (pool, { id_fusion, id_usuario, authorize }) =>
+  withTransaction(pool, async (transaction) => {
+    const found = await transaction
+      .request()
+      .input('id_fusion', sql.UniqueIdentifier, id_fusion)
+      .query('SELECT * FROM Fusiones_Pacientes WITH (UPDLOCK) WHERE id_fusion = @id_fusion');
+    const fusion = found.recordset[0];
+    if (!fusion) throw httpError('Fusión no encontrada', 404);
+    if (fusion.estado !== 'Aplicada') throw httpError('La fusión ya fue revertida', 409);
+
+    const later = await transaction
+      .request()
+      .input('id_superviviente', sql.UniqueIdentifier, fusion.id_niño_superviviente)
+      .query(`SELECT 1 FROM Fusiones_Pacientes WHERE id_niño_duplicado = @id_superviviente AND estado = 'Aplicada'`);
+    if (later.recordset.length > 0) {
+      throw httpError('El paciente superviviente se fusionó después en otro; revierta primero esa fusión', 409);
+    }
+
+    const superviviente = await loadForMerge(transaction, fusion.id_niño_superviviente);
+    const duplicado = await loadForMerge(transaction, fusion.id_niño_duplicado);
+    authorize(superviviente, duplicado);
+
+    const doses = await transaction
+      .request()
+      .input('id_fusion', sql.UniqueIdentifier, id_fusion)
+      .input('id_superviviente', sql.UniqueIdentifier, fusion.id_niño_superviviente)
+      .query(`
+        SELECT h.id_historial
+        FROM Historial_Vacunacion_Alterna h WITH (UPDLOCK)
+        INNER JOIN Fusiones_Pacientes_Registros r
+          ON r.id_registro = h.id_historial AND r.tabla = 'Historial_Vacunacion_Alterna' AND r.id_fusion = @id_fusion
+        WHERE h.id_niño = @id_superviviente AND h.estado_registro = 'Vigente'
+      `);
+    const restaurados = {
+      dosis: await moveDoses(transaction, {
+        id_fusion,
+        ids: doses.recordset.map(row => row.id_historial),
+        id_niño: fusion.id_niño_duplicado,
+        motivo: `Reversión de la fusión de pacientes ${id_fusion}`,
+        id_usuario,
+        record: false,
+      }),
+    };
+    for (const { table, key, label } of MERGE_TABLES) {
+      const result = await transaction
+        .request()
+        .input('id_fusion', sql.UniqueIdentifier, id_fusion)
+        .input('id_superviviente', sql.UniqueIdentifier, fusion.id_niño_superviviente)
+        .input('id_duplicado', sql.UniqueIdentifier, fusion.id_niño_duplicado)
+        .query(`
+          IF OBJECT_ID('${table}', 'U') IS NOT NULL
+            UPDATE t SET id_niño = @id_duplicado
+            FROM ${table} t
+            INNER JOIN Fusiones_Pacientes_Registros r
+              ON r.id_registro = t.${key} AND r.tabla = '${table}' AND r.id_fusion = @id_fusion
+            WHERE t.id_niño = @id_superviviente
+        `);
+      restaurados[label] = (restaurados[label] || 0) + (result.rowsAffected[0] || 0);
+    }
+
+    await transaction
+      .request()
+      .input('id_fusion', sql.UniqueIdentifier, id_fusion)
+      .input('id_duplicado', sql.UniqueIdentifier, fusion.id_niño_duplicado)
+      .input('estado_anterior', sql.NVarChar(20), fusion.estado_anterior_duplicado)
+      .input('id_usuario', sql.UniqueIdentifier, id_usuario)
+      .query(`
+        UPDATE Niños SET estado = @estado_anterior WHERE id_niño = @id_duplicado;
+        UPDATE Fusiones_Pacientes
+        SET estado = 'Revertida', id_usuario_reversion = @id_usuario, fecha_reversion = SYSDATETIME()
+        WHERE id_fusion = @id_fusion;
+      `);
+
+    return { id_fusion, id_superviviente: fusion.id_niño_superviviente, id_duplicado: fusion.id_niño_duplicado, restaurados };
+  });
+
+module.exports = {
+  MERGE_TABLES,
+  normalizeName,
+  nameSimilarity,
+  scoreCandidate,
+  findDuplicateCandidates,
+  mergePatients,
+  undoMerge,
+};
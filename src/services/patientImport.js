@@ -0,0 +1,156 @@
+// src/services/patientImport.js
+const { parse } = require('csv-parse/sync');
+const { sql } = require('../config/db');
+const { blindIndex } = require('./fieldEncryption');
+const { withTransaction } = require('./transaction');
+const { httpError } = require('./httpError');
+
+const PATIENT_COLUMNS = [
+  'nombre_completo', 'identificacion', 'nacionalidad', 'pais_nacimiento', 'fecha_nacimiento', 'genero',
+  'direccion_residencia', 'latitud', 'longitud', 'id_centro_salud', 'contacto_principal',
+];
+const TUTOR_FIELDS = ['nombre', 'relacion', 'nacionalidad', 'identificacion', 'telefono', 'email', 'direccion', 'tipo_relacion'];
+const MAX_TUTORES = 3;
+// Tutores en columnas tutor1_nombre, tutor1_relacion, ..., tutor3_tipo_relacion
+const TUTOR_COLUMNS = Array.from({ length: MAX_TUTORES }, (_, i) => TUTOR_FIELDS.map(field => `tutor${i + 1}_${field}`)).flat();
+const IMPORT_COLUMNS = [...PATIENT_COLUMNS, ...TUTOR_COLUMNS];
+
+const MAX_ROWS = 5000;
+const DEFAULT_BATCH_SIZE = 100;
+// SQL Server admite hasta 2100 parámetros por consulta
+const LOOKUP_CHUNK = 1000;
+
+const chunk = (items, size) =>
+  Array.from({ length: Math.ceil(items.length / size) }, (_, i) => items.slice(i * size, (i + 1) * size));
+
+// Las celdas vacías se omiten para que las reglas opcionales del validador se comporten igual que en la API
+const rowToBody = (record) => {
+  const body = {};
+  PATIENT_COLUMNS.forEach(column => {
+    if (record[column]) body[column] = record[column];
+  });
+  const tutores = [];
+  for (let i = 1; i <= MAX_TUTORES; i++) {
+    const tutor = {};
+    TUTOR_FIELDS.forEach(field => {
+      if (record[`tutor${i}_${field}`]) tutor[field] = record[`tutor${i}_${field}`];
+    });
+    if (Object.keys(tutor).length > 0) tutores.push(tutor);
+  }
+  if (tutores.length > 0) body.tutores = tutores;
+  return body;
+};
+
+/**
+ * Convierte un CSV (separado por comas o punto y coma, con cabecera) en filas
+ * { fila, body } con la misma forma que el cuerpo de POST /api/patients.
+ * `fila` es el número de línea en el fichero, contando la cabecera como la 1.
+ */
+const parsePatientCsv = (text) => {
+  let records;
+  try {
+    records = parse(text, {
+      bom: true,
+      columns: header => header.map(column => column.trim().toLowerCase()),
+      delimiter: [',', ';'],
+      skip_empty_lines: true,
+      trim: true,
+      info: true,
+    });
+  } catch (err) {
+    throw httpError(`CSV inválido: ${err.message}`, 400);
+  }
+  if (records.length === 0) throw httpError('El CSV no contiene filas', 400);
+  if (records.length > MAX_ROWS) throw httpError(`El CSV supera el máximo de ${MAX_ROWS} filas`, 400);
+
+  const unknown = Object.keys(records[0].record).filter(column => !IMPORT_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw httpError(`Columnas desconocidas: ${unknown.join(', ')}`, 400, { columnas_permitidas: IMPORT_COLUMNS });
+  }
+
+  return records.map(({ record, info }) => ({ fila: info.lines, body: rowToBody(record) }));
+};
+
+// Índices ciegos de identificación que ya existen en Niños (incluidos los pacientes archivados)
+const findExistingIdentificaciones = async (pool, hashes) => {
+  const existing = new Set();
+  for (const part of chunk(hashes, LOOKUP_CHUNK)) {
+    const request = pool.request();
+    const params = part.map((hash, i) => {
+      request.input(`h${i}`, sql.NVarChar(64), hash);
+      return `@h${i}`;
+    });
+    const result = await request.query(`SELECT identificacion_hash FROM Niños WHERE identificacion_hash IN (${params.join(', ')})`);
+    result.recordset.forEach(row => existing.add(row.identificacion_hash));
+  }
+  return existing;
+};
+
+/**
+ * Valida todas las filas y, si no es `dryRun`, crea las válidas en lotes de
+ * `batchSize`, cada lote en su propia transacción: si un lote falla se revierte
+ * entero y sus filas se informan con el error, pero los demás lotes continúan.
+ * `validate(body)` devuelve los errores de la fila ({ path, msg }) y puede
+ * normalizar `body`; `create(transaction, body)` crea el paciente y devuelve su id.
+ */
+const importPatients = async (pool, rows, { dryRun = true, validate, create, batchSize = DEFAULT_BATCH_SIZE }) => {
+  const report = rows.map(row => ({ ...row, errores: [] }));
+
+  for (const row of report) {
+    const errors = await validate(row.body);
+    row.errores = errors.map(error => ({ campo: error.path, mensaje: error.msg }));
+  }
+
+  // Duplicados contra la base de datos y dentro del propio fichero
+  const seen = new Map();
+  report.forEach(row => {
+    row.hash = row.body.identificacion ? blindIndex(row.body.identificacion) : null;
+    if (!row.hash) return;
+    if (seen.has(row.hash)) {
+      row.errores.push({ campo: 'identificacion', mensaje: `Identificación repetida en la fila ${seen.get(row.hash)}` });
+    } else {
+      seen.set(row.hash, row.fila);
+    }
+  });
+  const existing = await findExistingIdentificaciones(pool, [...seen.keys()]);
+  report.forEach(row => {
+    if (row.hash && existing.has(row.hash)) {
+      row.errores.push({ campo: 'identificacion', mensaje: 'Ya existe un paciente con esta identificación' });
+    }
+  });
+
+  const valid = report.filter(row => row.errores.length === 0);
+  const creados = [];
+  if (!dryRun) {
+    for (const batch of chunk(valid, batchSize)) {
+      try {
+        const created = await withTransaction(pool, async (transaction) => {
+          const ids = [];
+          for (const row of batch) {
+            const id_paciente = await create(transaction, row.body);
+            if (!id_paciente) throw new Error(`No se pudo crear el paciente de la fila ${row.fila}`);
+            ids.push({ fila: row.fila, id_paciente });
+          }
+          return ids;
+        });
+        creados.push(...created);
+      } catch (err) {
+        batch.forEach(row => row.errores.push({ campo: null, mensaje: `Lote no importado: ${err.message}` }));
+      }
+    }
+  }
+
+  const errores = report
+    .filter(row => row.errores.length > 0)
+    .map(({ fila, body, errores: rowErrors }) => ({ fila, identificacion: body.identificacion || null, errores: rowErrors }));
+  return {
+    dry_run: dryRun,
+    total: report.length,
+    validas: valid.length,
+    importadas: creados.length,
+    creados,
+    errores,
+  };
+};
+
+module.exports = { IMPORT_COLUMNS, MAX_ROWS, parsePatientCsv, importPatients };
@@ -0,0 +1,107 @@
+// src/services/patientTimeline.js
+const { sql } = require('../config/db');
+
+/**
+ * Fuentes del historial clínico de un paciente. Cada una devuelve las mismas columnas
+ * (tipo, id_registro, fecha, resumen, estado, detalles) para poder unirlas con UNION ALL;
+ * `detalles` es un objeto JSON con los campos propios del tipo.
+ */
+const TIMELINE_SOURCES = {
+  dosis: `
+    SELECT 'dosis' AS tipo, h.id_historial AS id_registro, CAST(h.fecha_vacunacion AS DATETIME2) AS fecha,
+      CONCAT(v.nombre, N' - dosis ', h.dosis_aplicada) AS resumen, h.estado_registro AS estado,
+      (SELECT v.nombre AS vacuna, h.dosis_aplicada, l.numero_lote, h.sitio_aplicacion, c.nombre_centro AS centro
+       FOR JSON PATH, WITHOUT_ARRAY_WRAPPER) AS detalles
+    FROM Historial_Vacunacion_Alterna h
+    INNER JOIN Lotes_Vacunas l ON l.id_lote = h.id_lote
+    INNER JOIN Vacunas v ON v.id_vacuna = l.id_vacuna
+    LEFT JOIN Centros_Vacunacion c ON c.id_centro = COALESCE(h.id_centro, l.id_centro)
+    WHERE h.id_niño = @id_niño`,
+  cita: `
+    SELECT 'cita', ct.id_cita, CAST(ct.fecha_cita AS DATETIME2),
+      CONCAT(N'Cita en ', c.nombre_centro), ct.estado,
+      (SELECT c.nombre_centro AS centro, ct.id_centro FOR JSON PATH, WITHOUT_ARRAY_WRAPPER)
+    FROM Citas ct
+    LEFT JOIN Centros_Vacunacion c ON c.id_centro = ct.id_centro
+    WHERE ct.id_niño = @id_niño`,
+  alerta: `
+    SELECT 'alerta', a.id_alerta, CAST(a.fecha_alerta AS DATETIME2),
+      a.tipo_alerta, a.estado,
+      (SELECT a.tipo_alerta, a.descripcion FOR JSON PATH, WITHOUT_ARRAY_WRAPPER)
+    FROM Alertas a
+    WHERE a.id_niño = @id_niño`,
+  evento_adverso: `
+    SELECT 'evento_adverso', e.id_evento, CAST(e.fecha_evento AS DATETIME2),
+      CONCAT(N'Evento adverso ', LOWER(e.gravedad)), e.estado,
+      (SELECT e.descripcion_evento, e.gravedad, e.acciones_tomadas, e.id_historial FOR JSON PATH, WITHOUT_ARRAY_WRAPPER)
+    FROM Eventos_Adversos e
+    WHERE e.id_niño = @id_niño`,
+  incidente: `
+    SELECT 'incidente', i.id_incidente, CAST(i.fecha_reporte AS DATETIME2),
+      N'Incidente', CAST(NULL AS NVARCHAR(20)),
+      (SELECT i.descripcion, i.id_historial FOR JSON PATH, WITHOUT_ARRAY_WRAPPER)
+    FROM Incidentes i
+    INNER JOIN Historial_Vacunacion_Alterna h ON h.id_historial = i.id_historial
+    WHERE h.id_niño = @id_niño`,
+  traslado: `
+    SELECT 'traslado', t.id_traslado, CAST(t.fecha_efectiva AS DATETIME2),
+      CONCAT(N'Traslado a ', cd.nombre_centro), CAST(NULL AS NVARCHAR(20)),
+      (SELECT co.nombre_centro AS centro_origen, cd.nombre_centro AS centro_destino, t.motivo, t.citas_trasladadas
+       FOR JSON PATH, WITHOUT_ARRAY_WRAPPER)
+    FROM Traslados_Pacientes t
+    LEFT JOIN Centros_Vacunacion co ON co.id_centro = t.id_centro_origen
+    INNER JOIN Centros_Vacunacion cd ON cd.id_centro = t.id_centro_destino
+    WHERE t.id_niño = @id_niño`,
+  tutor: `
+    SELECT 'tutor', ht.id_historial_tutor, CAST(ht.fecha AS DATETIME2),
+      CONCAT(N'Tutor ', LOWER(ht.accion), N': ', ht.nombre), ht.estado,
+      (SELECT ht.id_tutor, ht.accion, ht.nombre, ht.relacion FOR JSON PATH, WITHOUT_ARRAY_WRAPPER)
+    FROM Historial_Tutores ht
+    WHERE ht.id_niño = @id_niño`,
+};
+
+const TIMELINE_TYPES = Object.keys(TIMELINE_SOURCES);
+
+/**
+ * Devuelve una página del historial del paciente, del evento más reciente al más
+ * antiguo (o al revés con order 'asc'), limitado a los tipos y fechas indicados.
+ */
+const getTimeline = async (pool, id_niño, { tipos = TIMELINE_TYPES, desde, hasta, order = 'desc', page = 1, limit = 50 }) => {
+  const request = pool
+    .request()
+    .input('id_niño', sql.UniqueIdentifier, id_niño)
+    .input('offset', sql.Int, (page - 1) * limit)
+    .input('limit', sql.Int, limit);
+  const conditions = [];
+  if (desde) {
+    request.input('desde', sql.Date, desde);
+    conditions.push('fecha >= @desde');
+  }
+  if (hasta) {
+    request.input('hasta', sql.Date, hasta);
+    conditions.push('fecha < DATEADD(DAY, 1, CAST(@hasta AS DATETIME2))');
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const events = `WITH eventos AS (${tipos.map(tipo => TIMELINE_SOURCES[tipo]).join('\n    UNION ALL')}\n  )`;
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+  const result = await request.query(`
+    ${events}
+    SELECT COUNT(*) AS total FROM eventos ${where};
+
+    ${events}
+    SELECT tipo, id_registro, fecha, resumen, estado, detalles
+    FROM eventos ${where}
+    ORDER BY fecha ${direction}, tipo, id_registro
+    OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY;
+  `);
+
+  return {
+    data: result.recordsets[1].map(row => ({ ...row, detalles: row.detalles ? JSON.parse(row.detalles) : {} })),
+    page,
+    limit,
+    total: result.recordsets[0][0].total,
+  };
+};
+
+module.exports = { TIMELINE_TYPES, getTimeline };
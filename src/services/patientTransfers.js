@@ -0,0 +1,135 @@
+// src/services/patientTransfers.js
+const { sql } = require('../config/db');
+const { sameCenter } = require('./centerScope');
+const { withTransaction } = require('./transaction');
+const { httpError } = require('./httpError');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const insertTransfer = (request, { id_niño, id_centro_origen, id_centro_destino, fecha_efectiva, motivo, id_usuario }) =>
+  request
+    .input('id_niño', sql.UniqueIdentifier, id_niño)
+    .input('id_centro_origen', sql.UniqueIdentifier, id_centro_origen || null)
+    .input('id_centro_destino', sql.UniqueIdentifier, id_centro_destino)
+    .input('fecha_efectiva', sql.Date, fecha_efectiva)
+    .input('motivo', sql.NVarChar(500), motivo)
+    .input('id_usuario', sql.UniqueIdentifier, id_usuario || null)
+    .query(`
+      INSERT INTO Traslados_Pacientes (id_niño, id_centro_origen, id_centro_destino, fecha_efectiva, motivo, id_usuario)
+      OUTPUT INSERTED.id_traslado
+      VALUES (@id_niño, @id_centro_origen, @id_centro_destino, @fecha_efectiva, @motivo, @id_usuario)
+    `);
+
+/**
+ * Traslada un paciente a otro centro en una transacción: registra el traslado,
+ * actualiza Niños.id_centro_salud y, si se pide, mueve al centro de destino sus citas
+ * futuras pendientes o confirmadas. La fecha efectiva no puede ser futura ni anterior
+ * al último traslado, para que el historial sea una secuencia ordenada.
+ * `authorize(paciente)` se llama antes de modificar nada.
+ */
+const transferPatient = async (pool, { id_niño, id_centro_destino, motivo, fecha_efectiva = today(), trasladar_citas = false, id_usuario, authorize }) =>
+  withTransaction(pool, async (transaction) => {
+    const found = await transaction
+      .request()
+      .input('id_niño', sql.UniqueIdentifier, id_niño)
+      .input('id_centro_destino', sql.UniqueIdentifier, id_centro_destino)
+      .query(`
+        SELECT id_niño, id_centro_salud, estado FROM Niños WITH (UPDLOCK) WHERE id_niño = @id_niño;
+        SELECT estado FROM Centros_Vacunacion WHERE id_centro = @id_centro_destino;
+        SELECT MAX(fecha_efectiva) AS ultima FROM Traslados_Pacientes WHERE id_niño = @id_niño;
+      `);
+    const [patients, centers, previous] = found.recordsets;
+    const paciente = patients[0];
+    if (!paciente) throw httpError('Paciente no encontrado', 404);
+    authorize(paciente);
+    if (!centers[0]) throw httpError('Centro de destino no encontrado', 404);
+    if (centers[0].estado !== 'Activo') throw httpError('El centro de destino no está activo', 409);
+    if (sameCenter(paciente.id_centro_salud, id_centro_destino)) {
+      throw httpError('El paciente ya pertenece al centro de destino', 409);
+    }
+    if (fecha_efectiva > today()) throw httpError('La fecha efectiva no puede ser futura', 400);
+    const ultima = previous[0]?.ultima ? new Date(previous[0].ultima).toISOString().slice(0, 10) : null;
+    if (ultima && fecha_efectiva < ultima) {
+      throw httpError(`La fecha efectiva no puede ser anterior al último traslado (${ultima})`, 409);
+    }
+
+    const created = await insertTransfer(transaction.request(), {
+      id_niño,
+      id_centro_origen: paciente.id_centro_salud,
+      id_centro_destino,
+      fecha_efectiva,
+      motivo,
+      id_usuario,
+    });
+    const id_traslado = created.recordset[0].id_traslado;
+
+    let citas_trasladadas = 0;
+    if (trasladar_citas) {
+      const moved = await transaction
+        .request()
+        .input('id_niño', sql.UniqueIdentifier, id_niño)
+        .input('id_centro_destino', sql.UniqueIdentifier, id_centro_destino)
+        .query(`
+          UPDATE Citas SET id_centro = @id_centro_destino
+          WHERE id_niño = @id_niño
+            AND estado IN ('Pendiente', 'Confirmada')
+            AND fecha_cita >= SYSDATETIME()
+            AND id_centro <> @id_centro_destino
+        `);
+      citas_trasladadas = moved.rowsAffected[0] || 0;
+    }
+
+    await transaction
+      .request()
+      .input('id_niño', sql.UniqueIdentifier, id_niño)
+      .input('id_centro_destino', sql.UniqueIdentifier, id_centro_destino)
+      .input('id_traslado', sql.UniqueIdentifier, id_traslado)
+      .input('citas_trasladadas', sql.Int, citas_trasladadas)
+      .query(`
+        UPDATE Niños SET id_centro_salud = @id_centro_destino WHERE id_niño = @id_niño;
+        UPDATE Traslados_Pacientes SET citas_trasladadas = @citas_trasladadas WHERE id_traslado = @id_traslado;
+      `);
+
+    return {
+      id_traslado,
+      id_paciente: id_niño,
+      id_centro_origen: paciente.id_centro_salud,
+      id_centro_destino,
+      fecha_efectiva,
+      citas_trasladadas,
+    };
+  });
+
+/**
+ * Registra como traslado (con fecha efectiva de hoy) un cambio de centro hecho
+ * directamente sobre el paciente, para no perder el historial.
+ */
+const recordCenterChange = (pool, { id_niño, id_centro_origen, id_centro_destino, id_usuario }) =>
+  insertTransfer(pool.request(), {
+    id_niño,
+    id_centro_origen,
+    id_centro_destino,
+    fecha_efectiva: today(),
+    motivo: 'Cambio de centro al actualizar los datos del paciente',
+    id_usuario,
+  });
+
+const listTransfers = async (pool, id_niño) => {
+  const result = await pool
+    .request()
+    .input('id_niño', sql.UniqueIdentifier, id_niño)
+    .query(`
+      SELECT
+        t.id_traslado, t.fecha_efectiva, t.motivo, t.citas_trasladadas, t.fecha_registro, t.id_usuario,
+        t.id_centro_origen, co.nombre_centro AS centro_origen,
+        t.id_centro_destino, cd.nombre_centro AS centro_destino
+      FROM Traslados_Pacientes t
+      LEFT JOIN Centros_Vacunacion co ON co.id_centro = t.id_centro_origen
+      INNER JOIN Centros_Vacunacion cd ON cd.id_centro = t.id_centro_destino
+      WHERE t.id_niño = @id_niño
+      ORDER BY t.fecha_efectiva DESC, t.fecha_registro DESC
+    `);
+  return result.recordset;
+};
+
+module.exports = { transferPatient, recordCenterChange, listTransfers };
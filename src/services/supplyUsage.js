@@ -0,0 +1,29 @@
+// src/services/supplyUsage.js
+// Registro de usos de suministros, compartido por /api/supply-usage y /api/sync
+const { body } = require('express-validator');
+const { sql } = require('../config/db');
+
+const validateSupplyUsage = [
+  body('id_suministro').isUUID().withMessage('ID de suministro inválido'),
+  body('id_personal').isUUID().withMessage('ID de personal inválido'),
+  body('fecha_uso').isISO8601().withMessage('Fecha de uso inválida'),
+  body('cantidad').isFloat({ min: 0 }).withMessage('Cantidad debe ser un número positivo'),
+  body('descripcion').optional().isString().withMessage('Descripción debe ser una cadena válida'),
+  body('estado').isIn(['Registrado', 'Anulado']).withMessage('Estado inválido'),
+];
+
+/** Registra un uso con sp_CrearUsoSuministro y devuelve su id_uso; `runner` puede ser una transacción. */
+const createSupplyUsage = async (runner, data) => {
+  const result = await runner
+    .request()
+    .input('id_suministro', sql.UniqueIdentifier, data.id_suministro)
+    .input('id_personal', sql.UniqueIdentifier, data.id_personal)
+    .input('fecha_uso', sql.DateTime2, data.fecha_uso)
+    .input('cantidad', sql.Float, data.cantidad)
+    .input('descripcion', sql.NVarChar, data.descripcion)
+    .input('estado', sql.NVarChar, data.estado)
+    .execute('sp_CrearUsoSuministro');
+  return result.recordset[0].id_uso;
+};
+
+module.exports = { validateSupplyUsage, createSupplyUsage };
@@ -0,0 +1,104 @@
+// src/services/tokenStore.js
+const crypto = require('crypto');
+const { httpError } = require('./httpError');
+
+/**
+ * Almacén de sesiones y revocaciones de tokens.
+ * Mantiene los refresh tokens (solo su hash) agrupados por familia para
+ * poder detectar reutilización tras una rotación, y las revocaciones que
+ * consulta el middleware de autenticación en cada petición.
+ *
+ * El estado vive en la memoria del proceso: al reiniciar se pierden las sesiones
+ * (los usuarios deben volver a iniciar sesión) y las revocaciones, y con varias
+ * instancias detrás de un balanceador un refresh token solo es válido en la que lo
+ * emitió y un logout o una revocación no llega a las demás. Por eso la API debe
+ * desplegarse como una sola instancia mientras este almacén no se lleve a la base
+ * de datos o a un almacén compartido.
+ */
+
+const REFRESH_TOKEN_TTL_MS = Number(process.env.REFRESH_TOKEN_TTL_MS) || 7 * 24 * 60 * 60 * 1000;
+
+const sessions = new Map(); // id_sesion -> { id_usuario, familia, hash, expira, revocada }
+const revokedFamilies = new Set();
+const userRevocations = new Map(); // id_usuario -> epoch (segundos) desde el cual los tokens son inválidos
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const issueRefreshToken = (id_usuario, familia) => {
+  const sessionId = crypto.randomUUID();
+  const secret = crypto.randomBytes(48).toString('base64url');
+  sessions.set(sessionId, {
+    id_usuario,
+    familia,
+    hash: hashToken(secret),
+    expira: Date.now() + REFRESH_TOKEN_TTL_MS,
+    revocada: false,
+  });
+  return { sessionId, familia, refreshToken: `${sessionId}.${secret}` };
+};
+
+const pruneExpired = () => {
+  const now = Date.now();
+  for (const [sessionId, session] of sessions) {
+    if (session.expira < now) sessions.delete(sessionId);
+  }
+};
+
+const createSession = (id_usuario) => {
+  pruneExpired();
+  return issueRefreshToken(id_usuario, crypto.randomUUID());
+};
+
+/**
+ * Valida un refresh token y lo sustituye por uno nuevo de la misma familia.
+ * Presentar un token ya rotado revoca la familia completa.
+ */
+const rotateSession = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  const session = sessionId && sessions.get(sessionId);
+  if (!session || !secret || session.hash !== hashToken(secret)) {
+    throw httpError('Invalid refresh token', 401);
+  }
+  if (session.revocada) {
+    revokedFamilies.add(session.familia);
+    throw httpError('Refresh token reuse detected', 401);
+  }
+  if (revokedFamilies.has(session.familia) || session.expira < Date.now()) {
+    throw httpError('Refresh token expired or revoked', 401);
+  }
+  session.revocada = true;
+  return { id_usuario: session.id_usuario, ...issueRefreshToken(session.id_usuario, session.familia) };
+};
+
+const revokeFamily = (familia) => {
+  if (familia) revokedFamilies.add(familia);
+};
+
+const revokeUser = (id_usuario) => {
+  const key = String(id_usuario).toLowerCase();
+  userRevocations.set(key, Math.floor(Date.now() / 1000));
+  for (const session of sessions.values()) {
+    if (String(session.id_usuario).toLowerCase() === key) {
+      session.revocada = true;
+      revokedFamilies.add(session.familia);
+    }
+  }
+};
+
+/**
+ * Indica si un access token decodificado pertenece a una sesión revocada o
+ * a un usuario cuyas credenciales fueron revocadas después de emitirse.
+ */
+const isRevoked = (payload) => {
+  if (payload.sid && revokedFamilies.has(payload.sid)) return true;
+  const revokedAt = payload.id_usuario && userRevocations.get(String(payload.id_usuario).toLowerCase());
+  return Boolean(revokedAt && payload.iat <= revokedAt);
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeFamily,
+  revokeUser,
+  isRevoked,
+};
@@ -0,0 +1,25 @@
+// src/services/transaction.js
+const { sql } = require('../config/db');
+
+/**
+ * Ejecuta `work(transaction)` dentro de una transacción: confirma si termina bien
+ * y revierte (propagando el error original) si falla.
+ */
+const withTransaction = async (pool, work) => {
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+  try {
+    const result = await work(transaction);
+    await transaction.commit();
+    return result;
+  } catch (err) {
+    try {
+      await transaction.rollback();
+    } catch (rollbackErr) {
+      // SQL Server ya abortó la transacción; el error relevante es el original
+    }
+    throw err;
+  }
+};
+
+module.exports = { withTransaction };
@@ -0,0 +1,48 @@
+// src/services/tutorScope.js
+const { sql } = require('../config/db');
+const { httpError } = require('./httpError');
+
+// Quita de los niños del tutor los archivados, que dejan de ser visibles en el portal
+const withoutArchived = async (pool, ids) => {
+  if (ids.length === 0) return ids;
+  const archived = await pool
+    .request()
+    .input('ids', sql.NVarChar(sql.MAX), ids.join(','))
+    .query(`
+      SELECT id_niño FROM Niños
+      WHERE id_archivo IS NOT NULL
+        AND id_niño IN (SELECT TRY_CONVERT(UNIQUEIDENTIFIER, value) FROM STRING_SPLIT(@ids, ','))
+    `);
+  const hidden = new Set(archived.recordset.map(row => String(row.id_niño).toLowerCase()));
+  return ids.filter(id => !hidden.has(id));
+};
+
+/**
+ * Devuelve los IDs (en minúsculas) de los niños no archivados asociados a un usuario
+ * tutor, con la misma resolución que usa GET /api/users/:userId/patients.
+ */
+const getChildIds = async (pool, id_usuario) => {
+  let result;
+  try {
+    result = await pool
+      .request()
+      .input('id_usuario', sql.UniqueIdentifier, id_usuario)
+      .execute('sp_ObtenerPacientesPorUsuario');
+  } catch (err) {
+    // The procedure raises when the user has no tutor record; that simply means no children
+    if (err.message && err.message.includes('no asociado')) return new Set();
+    throw err;
+  }
+  const ids = [...new Set(result.recordset.map(row => String(row.id_niño).toLowerCase()))];
+  return new Set(await withoutArchived(pool, ids));
+};
+
+const isOwnChild = (childIds, id_niño) => Boolean(id_niño) && childIds.has(String(id_niño).toLowerCase());
+
+const assertOwnChild = (childIds, id_niño) => {
+  if (!isOwnChild(childIds, id_niño)) {
+    throw httpError('Acceso denegado: el paciente no está asociado a este tutor', 403);
+  }
+};
+
+module.exports = { getChildIds, isOwnChild, assertOwnChild };
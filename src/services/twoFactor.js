@@ -0,0 +1,238 @@
+// src/services/twoFactor.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { sql } = require('../config/db');
+const totp = require('./totp');
+const { httpError } = require('./httpError');
+const { sealFields, decrypt } = require('./fieldEncryption');
+
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+
+// El secreto se guarda cifrado (los heredados en claro se leen tal cual) y se devuelve descifrado
+const getEnrollment = async (pool, id_usuario) => {
+  const result = await pool
+    .request()
+    .input('id_usuario', sql.UniqueIdentifier, id_usuario)
+    .query('SELECT id_usuario, secreto, habilitado, ultimo_paso FROM Autenticacion_Dos_Factores WHERE id_usuario = @id_usuario');
+  const enrollment = result.recordset[0];
+  return enrollment ? { ...enrollment, secreto: decrypt(enrollment.secreto) } : null;
+};
+
+const isMandatoryForRole = async (pool, rol) => {
+  const result = await pool
+    .request()
+    .input('rol', sql.NVarChar(50), rol)
+    .query('SELECT obligatorio FROM Politica_Dos_Factores WHERE rol = @rol');
+  return Boolean(result.recordset[0]?.obligatorio);
+};
+
+/**
+ * Determina si el inicio de sesión de un usuario necesita un segundo factor:
+ * cuando lo tiene activado o cuando su rol lo exige (aunque aún no lo haya configurado).
+ */
+const getLoginRequirement = async (pool, user) => {
+  const enrollment = await getEnrollment(pool, user.id_usuario);
+  const enrolled = Boolean(enrollment?.habilitado);
+  const mandatory = await isMandatoryForRole(pool, user.rol);
+  return { required: enrolled || mandatory, enrolled };
+};
+
+/**
+ * Genera (o reemplaza) un secreto pendiente de confirmación para el usuario.
+ */
+const startEnrollment = async (pool, user) => {
+  const existing = await getEnrollment(pool, user.id_usuario);
+  if (existing?.habilitado) {
+    throw httpError('La autenticación de dos factores ya está activada', 409);
+  }
+  const secret = totp.generateSecret();
+  const sealed = sealFields('Autenticacion_Dos_Factores', { secreto: secret });
+  await pool
+    .request()
+    .input('id_usuario', sql.UniqueIdentifier, user.id_usuario)
+    .input('secreto', sql.NVarChar(512), sealed.values.secreto)
+    .query(`
+      MERGE Autenticacion_Dos_Factores AS destino
+      USING (SELECT @id_usuario AS id_usuario) AS origen
+      ON destino.id_usuario = origen.id_usuario
+      WHEN MATCHED THEN
+        UPDATE SET secreto = @secreto, habilitado = 0, ultimo_paso = NULL, fecha_creacion = SYSDATETIME(), fecha_activacion = NULL
+      WHEN NOT MATCHED THEN
+        INSERT (id_usuario, secreto, habilitado, fecha_creacion) VALUES (@id_usuario, @secreto, 0, SYSDATETIME());
+    `);
+  return { secret, otpauthUri: totp.provisioningUri(secret, user.username) };
+};
+
+const regenerateRecoveryCodes = async (pool, id_usuario) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  const table = new sql.Table('Codigos_Recuperacion_2FA');
+  table.columns.add('id_usuario', sql.UniqueIdentifier, { nullable: false });
+  table.columns.add('codigo_hash', sql.NVarChar(64), { nullable: false });
+  codes.forEach(code => table.rows.add(id_usuario, hashRecoveryCode(code)));
+
+  await pool
+    .request()
+    .input('id_usuario', sql.UniqueIdentifier, id_usuario)
+    .query('DELETE FROM Codigos_Recuperacion_2FA WHERE id_usuario = @id_usuario');
+  await pool.request().bulk(table);
+  return codes;
+};
+
+const markStepUsed = async (pool, id_usuario, step) => {
+  await pool
+    .request()
+    .input('id_usuario', sql.UniqueIdentifier, id_usuario)
+    .input('paso', sql.BigInt, step)
+    .query('UPDATE Autenticacion_Dos_Factores SET ultimo_paso = @paso WHERE id_usuario = @id_usuario');
+};
+
+/**
+ * Confirma la configuración con un primer código válido y devuelve los
+ * códigos de recuperación (solo se muestran esta vez).
+ */
+const activate = async (pool, id_usuario, code) => {
+  const enrollment = await getEnrollment(pool, id_usuario);
+  if (!enrollment) {
+    throw httpError('Debe iniciar la configuración de dos factores primero', 400);
+  }
+  if (enrollment.habilitado) {
+    throw httpError('La autenticación de dos factores ya está activada', 409);
+  }
+  const step = totp.verifyCode(enrollment.secreto, code);
+  if (step === null) {
+    throw httpError('Código de verificación inválido', 401);
+  }
+  await pool
+    .request()
+    .input('id_usuario', sql.UniqueIdentifier, id_usuario)
+    .input('paso', sql.BigInt, step)
+    .query(`
+      UPDATE Autenticacion_Dos_Factores
+      SET habilitado = 1, ultimo_paso = @paso, fecha_activacion = SYSDATETIME()
+      WHERE id_usuario = @id_usuario
+    `);
+  return regenerateRecoveryCodes(pool, id_usuario);
+};
+
+/**
+ * Verifica un código TOTP (sin permitir reutilizar un paso ya usado) o un
+ * código de recuperación de un solo uso.
+ */
+const verifySecondFactor = async (pool, id_usuario, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const result = await pool
+      .request()
+      .input('id_usuario', sql.UniqueIdentifier, id_usuario)
+      .input('codigo_hash', sql.NVarChar(64), hashRecoveryCode(recoveryCode))
+      .query(`
+        UPDATE Codigos_Recuperacion_2FA SET fecha_uso = SYSDATETIME()
+        WHERE id_usuario = @id_usuario AND codigo_hash = @codigo_hash AND fecha_uso IS NULL
+      `);
+    return result.rowsAffected[0] > 0;
+  }
+
+  const enrollment = await getEnrollment(pool, id_usuario);
+  if (!enrollment?.habilitado) return false;
+  const step = totp.verifyCode(enrollment.secreto, code);
+  if (step === null || (enrollment.ultimo_paso !== null && step <= Number(enrollment.ultimo_paso))) {
+    return false;
+  }
+  await markStepUsed(pool, id_usuario, step);
+  return true;
+};
+
+const disable = async (pool, id_usuario) => {
+  await pool
+    .request()
+    .input('id_usuario', sql.UniqueIdentifier, id_usuario)
+    .query(`
+      DELETE FROM Codigos_Recuperacion_2FA WHERE id_usuario = @id_usuario;
+      DELETE FROM Autenticacion_Dos_Factores WHERE id_usuario = @id_usuario;
+    `);
+};
+
+const listPolicies = async (pool) => {
+  const result = await pool.request().query('SELECT rol, obligatorio, fecha_actualizacion FROM Politica_Dos_Factores');
+  return result.recordset;
+};
+
+const setPolicy = async (pool, rol, obligatorio) => {
+  await pool
+    .request()
+    .input('rol', sql.NVarChar(50), rol)
+    .input('obligatorio', sql.Bit, obligatorio)
+    .query(`
+      MERGE Politica_Dos_Factores AS destino
+      USING (SELECT @rol AS rol) AS origen
+      ON destino.rol = origen.rol
+      WHEN MATCHED THEN UPDATE SET obligatorio = @obligatorio, fecha_actualizacion = SYSDATETIME()
+      WHEN NOT MATCHED THEN INSERT (rol, obligatorio, fecha_actualizacion) VALUES (@rol, @obligatorio, SYSDATETIME());
+    `);
+};
+
+const challengeSecret = () => process.env.TWO_FACTOR_SECRET || process.env.JWT_SECRET;
+
+// jti de los tokens de desafío ya canjeados, hasta que caducan. Vive en memoria, como las
+// sesiones de tokenStore (ver allí las consecuencias con varias instancias)
+const usedChallenges = new Map(); // jti -> exp (segundos)
+
+/**
+ * Token de desafío de corta duración emitido por /login tras validar la
+ * contraseña; solo sirve para completar una vez el segundo paso en /login/2fa.
+ */
+const createChallengeToken = (user, { enroll = false } = {}) =>
+  jwt.sign(
+    { id_usuario: user.id_usuario, purpose: '2fa-challenge', enroll },
+    challengeSecret(),
+    { expiresIn: CHALLENGE_TTL, jwtid: crypto.randomUUID() }
+  );
+
+const verifyChallengeToken = (token) => {
+  try {
+    const payload = jwt.verify(token, challengeSecret());
+    if (payload.purpose !== '2fa-challenge' || !payload.jti || usedChallenges.has(payload.jti)) {
+      throw new Error('challenge');
+    }
+    return payload;
+  } catch {
+    throw httpError('Token de desafío inválido o expirado', 401);
+  }
+};
+
+/**
+ * Marca como canjeado un desafío verificado tras aceptar el segundo factor. Falla si otra
+ * petición con el mismo token se adelantó, para que cada desafío abra una sola sesión.
+ */
+const consumeChallengeToken = (challenge) => {
+  const now = Math.floor(Date.now() / 1000);
+  for (const [jti, exp] of usedChallenges) {
+    if (exp <= now) usedChallenges.delete(jti);
+  }
+  if (usedChallenges.has(challenge.jti)) {
+    throw httpError('Token de desafío inválido o expirado', 401);
+  }
+  usedChallenges.set(challenge.jti, challenge.exp);
+};
+
+module.exports = {
+  getEnrollment,
+  getLoginRequirement,
+  isMandatoryForRole,
+  startEnrollment,
+  activate,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable,
+  listPolicies,
+  setPolicy,
+  createChallengeToken,
+  verifyChallengeToken,
+  consumeChallengeToken,
+};
@@ -0,0 +1,334 @@
+// src/services/vaccinationCard.js
+const PDFDocument = require('pdfkit');
+const { sql } = require('../config/db');
+const { revealFields } = require('./fieldEncryption');
+
+// Textos del carnet por idioma; el primero es el idioma por defecto
+const LABELS = {
+  es: {
+    locale: 'es-DO',
+    title: 'Carnet de vacunación',
+    issued: 'Emitido el',
+    patient: 'Datos del paciente',
+    name: 'Nombre',
+    identification: 'Identificación',
+    birthDate: 'Fecha de nacimiento',
+    gender: 'Género',
+    genders: { M: 'Masculino', F: 'Femenino', O: 'Otro' },
+    nationality: 'Nacionalidad',
+    center: 'Centro de salud',
+    address: 'Dirección',
+    tutors: 'Tutores',
+    relationship: 'Relación',
+    phone: 'Teléfono',
+    noTutors: 'Sin tutores registrados',
+    doses: 'Dosis aplicadas',
+    vaccine: 'Vacuna',
+    dose: 'Dosis',
+    lot: 'Lote',
+    date: 'Fecha',
+    staff: 'Personal',
+    noDoses: 'Sin dosis registradas',
+    pending: 'Próximas dosis',
+    recommendedAge: 'Edad recomendada',
+    dueDate: 'Fecha prevista',
+    overdue: 'atrasada',
+    noPending: 'Esquema completo',
+  },
+  en: {
+    locale: 'en-US',
+    title: 'Vaccination card',
+    issued: 'Issued on',
+    patient: 'Patient details',
+    name: 'Name',
+    identification: 'Identification',
+    birthDate: 'Date of birth',
+    gender: 'Gender',
+    genders: { M: 'Male', F: 'Female', O: 'Other' },
+    nationality: 'Nationality',
+    center: 'Health center',
+    address: 'Address',
+    tutors: 'Guardians',
+    relationship: 'Relationship',
+    phone: 'Phone',
+    noTutors: 'No guardians on record',
+    doses: 'Doses given',
+    vaccine: 'Vaccine',
+    dose: 'Dose',
+    lot: 'Lot',
+    date: 'Date',
+    staff: 'Staff',
+    noDoses: 'No doses on record',
+    pending: 'Upcoming doses',
+    recommendedAge: 'Recommended age',
+    dueDate: 'Due date',
+    overdue: 'overdue',
+    noPending: 'Schedule complete',
+  },
+};
+
+const CARD_LANGUAGES = Object.keys(LABELS);
+
+/**
+ * Convierte Esquema_Vacunacion.edad_recomendada ("Al nacer", "2 meses", "1 año",
+ * "6 semanas") en un desplazamiento desde el nacimiento, o null si no se reconoce.
+ */
+const parseRecommendedAge = (text) => {
+  const value = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+  if (/nacer|nacimiento|birth/.test(value)) return { months: 0, days: 0 };
+  const match = value.match(/(\d+)\s*(dia|semana|mes|ano|day|week|month|year)/);
+  if (!match) return null;
+  const amount = Number(match[1]);
+  switch (match[2]) {
+    case 'dia':
+    case 'day':
+      return { months: 0, days: amount };
+    case 'semana':
+    case 'week':
+      return { months: 0, days: amount * 7 };
+    case 'mes':
+    case 'month':
+      return { months: amount, days: 0 };
+    default:
+      return { months: amount * 12, days: 0 };
+  }
+};
+
+const dueDate = (fecha_nacimiento, age) => {
+  if (!age || !fecha_nacimiento) return null;
+  const date = new Date(fecha_nacimiento);
+  date.setUTCMonth(date.getUTCMonth() + age.months);
+  date.setUTCDate(date.getUTCDate() + age.days);
+  return date;
+};
+
+/**
+ * Dosis del esquema que el paciente aún no tiene registradas (por vacuna y número
+ * de dosis), ordenadas por fecha prevista; las de edad no reconocida van al final.
+ */
+const pendingDoses = (schedule, doses, fecha_nacimiento, today = new Date()) => {
+  const applied = new Set(doses.map(dose => `${String(dose.id_vacuna).toLowerCase()}:${dose.dosis_aplicada}`));
+  return schedule
+    .filter(entry => !applied.has(`${String(entry.id_vacuna).toLowerCase()}:${entry.orden_dosis}`))
+    .map(entry => {
+      const fecha_prevista = dueDate(fecha_nacimiento, parseRecommendedAge(entry.edad_recomendada));
+      return {
+        vacuna: entry.vacuna,
+        orden_dosis: entry.orden_dosis,
+        edad_recomendada: entry.edad_recomendada,
+        fecha_prevista,
+        atrasada: Boolean(fecha_prevista) && fecha_prevista < today,
+      };
+    })
+    .sort((a, b) => {
+      if (!a.fecha_prevista || !b.fecha_prevista) return a.fecha_prevista ? -1 : b.fecha_prevista ? 1 : 0;
+      return a.fecha_prevista - b.fecha_prevista;
+    });
+};
+
+/**
+ * Reúne los datos del carnet: paciente, tutores activos, dosis aplicadas y el esquema
+ * que le corresponde (el del calendario nacional de su nacionalidad o, si el país no
+ * tiene calendario, el esquema completo). Devuelve null si el paciente no existe.
+ */
+const loadCardData = async (pool, id_niño, user) => {
+  const result = await pool
+    .request()
+    .input('id_niño', sql.UniqueIdentifier, id_niño)
+    .query(`
+      SELECT
+        n.id_niño, n.nombre_completo, n.identificacion, n.fecha_nacimiento, n.genero,
+        n.direccion_residencia, n.id_centro_salud, c.nombre_centro, p.gentilicio AS nacionalidad
+      FROM Niños n
+      LEFT JOIN Centros_Vacunacion c ON c.id_centro = n.id_centro_salud
+      LEFT JOIN Paises p ON p.id_pais = n.nacionalidad
+      WHERE n.id_niño = @id_niño AND n.id_archivo IS NULL;
+
+      SELECT t.id_tutor, t.nombre, t.relacion, t.identificacion, t.telefono, t.email
+      FROM Tutores t
+      WHERE t.id_niño = @id_niño AND t.estado = 'Activo'
+      ORDER BY t.nombre;
+
+      SELECT
+        h.fecha_vacunacion, h.dosis_aplicada, l.id_vacuna, v.nombre AS vacuna,
+        l.numero_lote, c.nombre_centro, u.nombre AS personal
+      FROM Historial_Vacunacion_Alterna h
+      INNER JOIN Lotes_Vacunas l ON l.id_lote = h.id_lote
+      INNER JOIN Vacunas v ON v.id_vacuna = l.id_vacuna
+      LEFT JOIN Centros_Vacunacion c ON c.id_centro = COALESCE(h.id_centro, l.id_centro)
+      LEFT JOIN Usuarios u ON u.id_usuario = h.id_usuario
+      WHERE h.id_niño = @id_niño AND h.estado_registro = 'Vigente'
+      ORDER BY h.fecha_vacunacion;
+
+      SELECT e.id_vacuna, v.nombre AS vacuna, e.orden_dosis, e.edad_recomendada
+      FROM Esquema_Vacunacion e
+      INNER JOIN Vacunas v ON v.id_vacuna = e.id_vacuna
+      WHERE e.id_esquema IN (
+          SELECT cn.id_esquema FROM Calendarios_Nacionales cn
+          INNER JOIN Niños n ON n.nacionalidad = cn.id_pais
+          WHERE n.id_niño = @id_niño
+        )
+        OR NOT EXISTS (
+          SELECT 1 FROM Calendarios_Nacionales cn
+          INNER JOIN Niños n ON n.nacionalidad = cn.id_pais
+          WHERE n.id_niño = @id_niño
+        )
+      ORDER BY v.nombre, e.orden_dosis;
+    `);
+
+  const [patients, tutors, doses, schedule] = result.recordsets;
+  if (!patients[0]) return null;
+  const paciente = revealFields('Niños', patients[0], user);
+  return {
+    paciente,
+    tutores: tutors.map(tutor => revealFields('Tutores', tutor, user)),
+    dosis: doses,
+    pendientes: pendingDoses(schedule, doses, paciente.fecha_nacimiento),
+  };
+};
+
+const formatDate = (value, labels) =>
+  value ? new Date(value).toLocaleDateString(labels.locale, { timeZone: 'UTC', day: '2-digit', month: '2-digit', year: 'numeric' }) : '';
+
+const drawSection = (doc, title) => {
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(12).text(title, doc.page.margins.left);
+  doc.moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.width - doc.page.margins.right, doc.y).stroke();
+  doc.moveDown(0.3).font('Helvetica').fontSize(9);
+};
+
+// Tabla simple: ajusta el alto de cada fila al texto más largo y salta de página si no cabe
+const drawTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+  const usable = doc.page.width - left - doc.page.margins.right;
+  const widths = columns.map(column => column.width * usable);
+  const drawRow = (cells, font) => {
+    doc.font(font).fontSize(9);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell), { width: widths[i] - 4 }))) + 4;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    const top = doc.y;
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.text(String(cell), x + 2, top + 2, { width: widths[i] - 4 });
+      x += widths[i];
+    });
+    doc.x = left;
+    doc.y = top + height;
+  };
+  drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+  rows.forEach(row => drawRow(row, 'Helvetica'));
+};
+
+/**
+ * Genera el carnet en PDF con pdfkit (fuentes estándar, sin servicios externos)
+ * y resuelve con el documento completo en un Buffer.
+ */
+const renderCard = (card, lang = CARD_LANGUAGES[0]) =>
+  new Promise((resolve, reject) => {
+    const labels = LABELS[lang] || LABELS[CARD_LANGUAGES[0]];
+    const { paciente, tutores, dosis, pendientes } = card;
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 40,
+      lang,
+      info: { Title: `${labels.title} - ${paciente.nombre_completo}`, Creator: 'Sistema de Vacunación' },
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(18).text(labels.title, { align: 'center' });
+    doc.font('Helvetica').fontSize(9).text(`${labels.issued} ${formatDate(new Date(), labels)}`, { align: 'center' });
+
+    drawSection(doc, labels.patient);
+    [
+      [labels.name, paciente.nombre_completo],
+      [labels.identification, paciente.identificacion],
+      [labels.birthDate, formatDate(paciente.fecha_nacimiento, labels)],
+      [labels.gender, labels.genders[paciente.genero] || paciente.genero],
+      [labels.nationality, paciente.nacionalidad],
+      [labels.center, paciente.nombre_centro],
+      [labels.address, paciente.direccion_residencia],
+    ]
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value));
+      });
+
+    drawSection(doc, labels.tutors);
+    if (tutores.length === 0) {
+      doc.text(labels.noTutors);
+    } else {
+      drawTable(
+        doc,
+        [
+          { header: labels.name, width: 0.35 },
+          { header: labels.relationship, width: 0.2 },
+          { header: labels.identification, width: 0.2 },
+          { header: labels.phone, width: 0.25 },
+        ],
+        tutores.map(tutor => [tutor.nombre, tutor.relacion, tutor.identificacion || '', tutor.telefono || ''])
+      );
+    }
+
+    drawSection(doc, labels.doses);
+    if (dosis.length === 0) {
+      doc.text(labels.noDoses);
+    } else {
+      drawTable(
+        doc,
+        [
+          { header: labels.vaccine, width: 0.22 },
+          { header: labels.dose, width: 0.08 },
+          { header: labels.lot, width: 0.13 },
+          { header: labels.date, width: 0.13 },
+          { header: labels.center, width: 0.24 },
+          { header: labels.staff, width: 0.2 },
+        ],
+        dosis.map(dose => [
+          dose.vacuna,
+          dose.dosis_aplicada,
+          dose.numero_lote || '',
+          formatDate(dose.fecha_vacunacion, labels),
+          dose.nombre_centro || '',
+          dose.personal || '',
+        ])
+      );
+    }
+
+    drawSection(doc, labels.pending);
+    if (pendientes.length === 0) {
+      doc.text(labels.noPending);
+    } else {
+      drawTable(
+        doc,
+        [
+          { header: labels.vaccine, width: 0.35 },
+          { header: labels.dose, width: 0.1 },
+          { header: labels.recommendedAge, width: 0.25 },
+          { header: labels.dueDate, width: 0.3 },
+        ],
+        pendientes.map(entry => [
+          entry.vacuna,
+          entry.orden_dosis,
+          entry.edad_recomendada,
+          entry.fecha_prevista
+            ? `${formatDate(entry.fecha_prevista, labels)}${entry.atrasada ? ` (${labels.overdue})` : ''}`
+            : '',
+        ])
+      );
+    }
+
+    doc.end();
+  });
+
+module.exports = {
+  CARD_LANGUAGES,
+  parseRecommendedAge,
+  pendingDoses,
+  loadCardData,
+  renderCard,
+};
@@ -0,0 +1,116 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+
+const express = require('express');
+const request = require('supertest');
+const apiKeys = require('../services/apiKeys');
+const { fakePool } = require('./fixtures');
+
+const NOW = Date.parse('2026-01-15T12:00:00Z');
+
+// Pool que responde con la fila de clave indicada
+const keyPool = (row) => fakePool(() => ({ recordset: row ? [row] : [], rowsAffected: [row ? 1 : 0] }));
+
+const issue = (overrides = {}) => {
+  const { prefijo, apiKey, clave_hash } = apiKeys.generateKey();
+  const row = {
+    id_clave: 'k1',
+    clave_hash,
+    alcances: 'vaccinations:read,reports:read',
+    fecha_expiracion: new Date(NOW + 60000),
+    fecha_revocacion: null,
+    id_cuenta: 'c1',
+    nombre: 'Laboratorio',
+    id_centro: null,
+    estado: 'Activo',
+    ...overrides,
+  };
+  return { prefijo, apiKey, row };
+};
+
+describe('API keys', () => {
+  test('generated keys parse back into prefix and secret', () => {
+    const { prefijo, apiKey, clave_hash } = apiKeys.generateKey();
+    const parsed = apiKeys.parseKey(apiKey);
+    expect(parsed.prefijo).toBe(prefijo);
+    expect(clave_hash).toHaveLength(64);
+    expect(apiKey).not.toContain(clave_hash);
+    expect(apiKeys.parseKey('sv_bad')).toBeNull();
+  });
+
+  test('rejects unknown scopes', () => {
+    expect(apiKeys.invalidScopes(['vaccinations:read', 'reports:write', 'foo'])).toEqual(['reports:write', 'foo']);
+  });
+
+  test('verifies a valid key and returns the account identity', async () => {
+    const { apiKey, row } = issue();
+    const account = await apiKeys.verifyKey(keyPool(row), apiKey, NOW);
+    expect(account).toEqual({
+      id_clave: 'k1',
+      id_cuenta: 'c1',
+      nombre: 'Laboratorio',
+      id_centro: null,
+      alcances: ['vaccinations:read', 'reports:read'],
+    });
+  });
+
+  test('rejects a wrong secret, an expired, a revoked key or an inactive account', async () => {
+    const { apiKey, row } = issue();
+    const tampered = apiKey.slice(0, -1) + (apiKey.endsWith('A') ? 'B' : 'A');
+    expect(await apiKeys.verifyKey(keyPool(row), tampered, NOW)).toBeNull();
+    expect(await apiKeys.verifyKey(keyPool({ ...row, fecha_expiracion: new Date(NOW - 1) }), apiKey, NOW)).toBeNull();
+    expect(await apiKeys.verifyKey(keyPool({ ...row, fecha_revocacion: new Date(NOW) }), apiKey, NOW)).toBeNull();
+    expect(await apiKeys.verifyKey(keyPool({ ...row, estado: 'Inactivo' }), apiKey, NOW)).toBeNull();
+  });
+
+  test('rotation keeps the old key valid only for the grace period', async () => {
+    const { row } = issue({ fecha_expiracion: new Date(NOW + 30 * 24 * 60 * 60 * 1000) });
+    const rotated = await apiKeys.rotateKey(keyPool(row), 'c1', 'k1', {}, NOW);
+    expect(rotated.apiKey).toMatch(/^sv_/);
+    expect(rotated.clave_anterior_expira.getTime()).toBe(NOW + 24 * 60 * 60 * 1000);
+  });
+
+  test('refuses to rotate revoked keys', async () => {
+    const { row } = issue({ fecha_revocacion: new Date(NOW) });
+    await expect(apiKeys.rotateKey(keyPool(row), 'c1', 'k1', {}, NOW)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('API key authorization', () => {
+  const { apiKey, row } = issue({ fecha_expiracion: new Date(Date.now() + 60000) });
+  beforeEach(() => keyPool(row));
+  const authenticate = require('../middleware/auth');
+  const authorize = require('../middleware/permissions');
+
+  const buildApp = (resource) => {
+    const app = express();
+    app.use(resource, authenticate, authorize(resource), (req, res) => res.status(200).json(req.user));
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ error: err.message });
+    });
+    return app;
+  };
+
+  test('allows requests covered by the key scopes', async () => {
+    const res = await request(buildApp('/api/vaccination-history')).get('/api/vaccination-history').set('X-API-Key', apiKey);
+    expect(res.status).toBe(200);
+    expect(res.body.tipo).toBe('servicio');
+  });
+
+  test('rejects methods outside the key scopes', async () => {
+    const res = await request(buildApp('/api/vaccination-history'))
+      .post('/api/vaccination-history')
+      .set('Authorization', `ApiKey ${apiKey}`);
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('API key lacks scope vaccinations:write');
+  });
+
+  test('rejects resources without scopes', async () => {
+    const res = await request(buildApp('/api/users')).get('/api/users').set('X-API-Key', apiKey);
+    expect(res.status).toBe(403);
+  });
+
+  test('rejects unknown keys', async () => {
+    const res = await request(buildApp('/api/reports')).get('/api/reports').set('X-API-Key', 'sv_000000000000_' + 'a'.repeat(43));
+    expect(res.status).toBe(401);
+  });
+});
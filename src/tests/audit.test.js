@@ -0,0 +1,25 @@
+jest.mock('../config/db', () => ({ ...require('./fixtures').dbMock, logger: { error: jest.fn() } }));
+
+const { fakePool } = require('./fixtures');
+const { registrarAuditoria } = require('../services/audit');
+
+const ACCOUNT = '88888888-8888-4888-8888-888888888888';
+const PATIENT = '11111111-1111-4111-8111-111111111111';
+
+describe('registrarAuditoria', () => {
+  it('records the service account as the author of a change made with an API key', async () => {
+    const db = fakePool(() => ({ recordset: [{ id_auditoria: 'a1' }] }));
+    const id = await registrarAuditoria({
+      tabla_afectada: 'Niños',
+      id_registro: PATIENT,
+      id_usuario: undefined,
+      id_cuenta: ACCOUNT,
+      accion: 'INSERT',
+      detalles: 'Paciente creado desde el mensaje HL7 MSG1',
+      ip_origen: '::ffff:10.0.0.1',
+    });
+
+    expect(id).toBe('a1');
+    expect(db.executed('sp_RegistrarAuditoria')[0].inputs).toMatchObject({ id_usuario: null, id_cuenta: ACCOUNT, ip_origen: '10.0.0.1' });
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+jest.mock('../services/audit', () => ({ registrarAuditoria: jest.fn() }));
+jest.mock('../services/twoFactor', () => ({
+  ...jest.requireActual('../services/twoFactor'),
+  getLoginRequirement: jest.fn(async () => ({ required: true, enrolled: true })),
+  verifySecondFactor: jest.fn(async () => false),
+}));
+
+const bcrypt = require('bcrypt');
+const request = require('supertest');
+const { fakePool, respondTo, buildApp, useEncryptionKeys } = require('./fixtures');
+const authRouter = require('../routes/auth');
+const { registrarAuditoria } = require('../services/audit');
+const twoFactor = require('../services/twoFactor');
+const { isCiphertext } = require('../services/fieldEncryption');
+const loginThrottle = require('../services/loginThrottle');
+const apiKeys = require('../services/apiKeys');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const USER = {
+  id_usuario: '77777777-7777-4777-8777-777777777777',
+  username: 'two-factor-user',
+  email: 'medico@example.org',
+  rol: 'doctor',
+  estado: 'Activo',
+  password_hash: bcrypt.hashSync('Secreta#2024', 4),
+};
+
+const app = () => buildApp({ '/api/auth': authRouter });
+
+describe('POST /api/auth/login with two-factor authentication', () => {
+  it('keeps counting invalid codes after each correct password until the account locks', async () => {
+    fakePool(respondTo([
+      ['sp_LoginUsuario', { recordset: [USER] }],
+      ['FROM Usuarios WHERE id_usuario', { recordset: [USER] }],
+    ]));
+    let now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    for (let i = 0; i < loginThrottle.MAX_ATTEMPTS_PER_USER; i += 1) {
+      now += 60 * 1000;
+      const login = await request(app()).post('/api/auth/login').send({ username: USER.username, password: 'Secreta#2024' });
+      expect(login.body.twoFactorRequired).toBe(true);
+
+      const code = await request(app()).post('/api/auth/login/2fa').send({ challengeToken: login.body.challengeToken, code: '000000' });
+      expect(code.status).toBe(401);
+    }
+
+    now += 60 * 1000;
+    const locked = await request(app()).post('/api/auth/login').send({ username: USER.username, password: 'Secreta#2024' });
+    clock.mockRestore();
+
+    expect(locked.status).toBe(423);
+    expect(registrarAuditoria).toHaveBeenCalledWith(expect.objectContaining({ id_registro: USER.id_usuario, accion: 'UPDATE' }));
+  });
+});
+
+describe('POST /api/auth/login/2fa', () => {
+  const SINGLE_USE = { ...USER, id_usuario: '88888888-8888-4888-8888-888888888888', username: 'single-use-user' };
+
+  it('accepts each challenge token for a single login', async () => {
+    fakePool(respondTo([
+      ['sp_LoginUsuario', { recordset: [SINGLE_USE] }],
+      ['FROM Usuarios WHERE id_usuario', { recordset: [SINGLE_USE] }],
+    ]));
+    // Past the attempt window of the failures the previous test left on this IP
+    const later = Date.now() + 2 * 60 * 60 * 1000;
+    const clock = jest.spyOn(Date, 'now').mockImplementation(() => later);
+    twoFactor.verifySecondFactor.mockResolvedValue(true);
+    const login = await request(app()).post('/api/auth/login').send({ username: SINGLE_USE.username, password: 'Secreta#2024' });
+
+    const first = await request(app()).post('/api/auth/login/2fa').send({ challengeToken: login.body.challengeToken, recoveryCode: 'a1b2c-3d4e5' });
+    const replay = await request(app()).post('/api/auth/login/2fa').send({ challengeToken: login.body.challengeToken, recoveryCode: 'f6a7b-8c9d0' });
+    twoFactor.verifySecondFactor.mockResolvedValue(false);
+    clock.mockRestore();
+
+    expect(first.status).toBe(200);
+    expect(first.body.token).toBeDefined();
+    expect(replay.status).toBe(401);
+    expect(replay.body.error).toBe('Token de desafío inválido o expirado');
+  });
+});
+
+describe('TOTP enrollment', () => {
+  it('stores the seed encrypted and reads it back in clear', async () => {
+    useEncryptionKeys();
+    const db = fakePool();
+    const { secret } = await twoFactor.startEnrollment(db, USER);
+
+    const [merge] = db.queried('MERGE Autenticacion_Dos_Factores');
+    expect(isCiphertext(merge.inputs.secreto)).toBe(true);
+    expect(merge.inputs.secreto).not.toContain(secret);
+
+    const stored = fakePool(respondTo([
+      ['FROM Autenticacion_Dos_Factores', { recordset: [{ id_usuario: USER.id_usuario, secreto: merge.inputs.secreto, habilitado: false, ultimo_paso: null }] }],
+    ]));
+    const enrollment = await twoFactor.getEnrollment(stored, USER.id_usuario);
+    expect(enrollment.secreto).toBe(secret);
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  it('answers 400 to an API key, which has no session to revoke', async () => {
+    fakePool();
+    jest.spyOn(apiKeys, 'verifyKey').mockResolvedValue({ id_cuenta: 'c1', id_clave: 'k1', nombre: 'integracion', alcances: [] });
+    jest.spyOn(apiKeys, 'recordUsage').mockResolvedValue();
+
+    const response = await request(app()).post('/api/auth/logout').set('X-API-Key', 'clave-de-prueba');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('This credential has no session to revoke');
+  });
+});
@@ -0,0 +1,63 @@
+jest.mock('../config/db', () => ({ sql: require('mssql') }));
+
+const {
+  resolveScope,
+  assertCenterAccess,
+  scopeCondition,
+} = require('../services/centerScope');
+
+const CENTER_A = '3031019A-8658-4567-B284-D610A8AC7767';
+const CENTER_B = '71e89e1a-1324-44b4-85f2-4b341af9d02e';
+
+const fakePool = (id_centro) => ({
+  request: () => ({
+    input() { return this; },
+    query: async () => ({ recordset: [{ id_centro }] }),
+  }),
+});
+
+const fakeRequest = () => {
+  const inputs = {};
+  return {
+    inputs,
+    input(name, type, value) { inputs[name] = value; return this; },
+  };
+};
+
+describe('Center scope', () => {
+  test('directors and admins without a center have national scope', async () => {
+    const scope = await resolveScope(fakePool(null), { id_usuario: 'u1', rol: 'director' });
+    expect(scope).toEqual({ national: true, id_centro: null });
+  });
+
+  test('staff tied to a center are limited to it, whatever their role', async () => {
+    const doctor = await resolveScope(fakePool(CENTER_A), { id_usuario: 'u2', rol: 'doctor' });
+    const director = await resolveScope(fakePool(CENTER_A), { id_usuario: 'u3', rol: 'director' });
+    expect(doctor).toEqual({ national: false, id_centro: CENTER_A });
+    expect(director.national).toBe(false);
+  });
+
+  test('doctors without a center do not get national scope', async () => {
+    const scope = await resolveScope(fakePool(null), { id_usuario: 'u4', rol: 'doctor' });
+    expect(scope.national).toBe(false);
+  });
+
+  test('rejects access to another center with 403 and ignores GUID casing', () => {
+    const scope = { national: false, id_centro: CENTER_A };
+    expect(() => assertCenterAccess(scope, CENTER_A.toLowerCase())).not.toThrow();
+    expect(() => assertCenterAccess(scope, CENTER_B)).toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(() => assertCenterAccess(scope, null)).toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(() => assertCenterAccess({ national: true, id_centro: null }, CENTER_B)).not.toThrow();
+  });
+
+  test('builds the list filter only for center-scoped users', () => {
+    const national = fakeRequest();
+    expect(scopeCondition(national, { national: true, id_centro: null }, 'id_centro')).toBe('1 = 1');
+    expect(national.inputs).toEqual({});
+
+    const scoped = fakeRequest();
+    expect(scopeCondition(scoped, { national: false, id_centro: CENTER_A }, 'n.id_centro_salud'))
+      .toBe('n.id_centro_salud = @scope_id_centro');
+    expect(scoped.inputs).toEqual({ scope_id_centro: CENTER_A });
+  });
+});
@@ -0,0 +1,158 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+jest.mock('../services/audit', () => ({ registrarAuditoria: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { fakePool, respondTo, buildApp } = require('./fixtures');
+const certificatesRouter = require('../routes/certificates');
+const verificationRouter = require('../routes/certificateVerification');
+const { rotateKey, getSigningKey, listKeys } = require('../services/certificateKeys');
+const { registrarAuditoria } = require('../services/audit');
+const { getAllowedRoles, getRequiredScope } = require('../config/permissions');
+
+const CENTER = '3031019A-8658-4567-B284-D610A8AC7767';
+const OTHER_CENTER = '9B1DEB4D-3B7D-4BAD-9BDD-2B0D7B3DCB6D';
+const PATIENT = '11111111-1111-4111-8111-111111111111';
+const CERTIFICATE = '44444444-4444-4444-8444-444444444444';
+
+let keysDir;
+
+beforeAll(() => {
+  keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'certificate-keys-'));
+  process.env.CERTIFICATE_KEYS_DIR = keysDir;
+});
+
+afterAll(() => {
+  fs.rmSync(keysDir, { recursive: true, force: true });
+  delete process.env.CERTIFICATE_KEYS_DIR;
+});
+
+// `state` simula la fila de Certificados_Vacunacion
+const certificateState = (state, patient = {}) => respondTo([
+  ['FROM Niños WHERE id_niño', () => ({
+    recordsets: [
+      [{ id_niño: PATIENT, nombre_completo: 'José Núñez', fecha_nacimiento: new Date('2023-05-02'), id_centro_salud: CENTER, ...patient }],
+      state.doses ?? [{ vacuna: 'BCG', dosis_aplicada: 1, fecha_vacunacion: new Date('2023-05-03') }],
+    ],
+  })],
+  ['INSERT INTO Certificados_Vacunacion', () => {
+    state.row = { estado: 'Emitido' };
+    return { recordset: [{ id_certificado: CERTIFICATE, fecha_emision: new Date() }] };
+  }],
+  ['SELECT estado, fecha_revocacion', () => ({ recordset: state.row ? [state.row] : [] })],
+]);
+
+// La verificación es pública y se monta antes que las rutas con usuario
+const app = scope => buildApp({ '/api/certificates': [verificationRouter, certificatesRouter] }, { scope });
+
+const issue = async (state, scope) => {
+  fakePool(certificateState(state));
+  return request(app(scope)).post('/api/certificates').send({ id_paciente: PATIENT });
+};
+
+const verify = (token) => request(app()).get('/api/certificates/verify').query({ token });
+
+describe('certificate keys', () => {
+  test('generates a first key on demand and rotates to a new active key', () => {
+    const first = getSigningKey();
+    expect(fs.existsSync(path.join(keysDir, `${first.kid}.pem`))).toBe(true);
+    const second = rotateKey();
+    expect(second).not.toBe(first.kid);
+    expect(getSigningKey().kid).toBe(second);
+    const keys = listKeys();
+    expect(keys.map(key => key.kid).sort()).toEqual([first.kid, second].sort());
+    expect(keys.find(key => key.activa).kid).toBe(second);
+    expect(keys[0].jwk).not.toHaveProperty('d');
+  });
+});
+
+describe('issuing and verifying certificates', () => {
+  beforeEach(() => registrarAuditoria.mockClear());
+
+  test('issues a signed token with a QR and audits it', async () => {
+    const res = await issue({});
+    expect(res.status).toBe(201);
+    expect(res.body.qr).toMatch(/^data:image\/png;base64,/);
+    expect(res.body.url_verificacion).toContain('/api/certificates/verify?token=');
+    const { header, payload } = jwt.decode(res.body.token, { complete: true });
+    expect(header).toMatchObject({ alg: 'ES256', kid: getSigningKey().kid });
+    expect(payload).toMatchObject({ jti: CERTIFICATE.toLowerCase(), n: 'José Núñez', fn: '2023-05-02', v: [['BCG', 1, '2023-05-03']] });
+    expect(registrarAuditoria).toHaveBeenCalledWith(expect.objectContaining({ tabla_afectada: 'Certificados_Vacunacion', accion: 'INSERT' }));
+  });
+
+  test('verifies a valid certificate and returns only the signed fields', async () => {
+    const state = {};
+    const { body } = await issue(state);
+    const res = await verify(body.token);
+    expect(res.status).toBe(200);
+    expect(res.body.valido).toBe(true);
+    expect(res.body.certificado).toMatchObject({
+      paciente: { nombre_completo: 'José Núñez', fecha_nacimiento: '2023-05-02' },
+      dosis: [{ vacuna: 'BCG', dosis: 1, fecha: '2023-05-03' }],
+    });
+    expect(JSON.stringify(res.body)).not.toContain(PATIENT);
+  });
+
+  test('keeps verifying certificates signed with a rotated-out key', async () => {
+    const state = {};
+    const { body } = await issue(state);
+    rotateKey();
+    expect((await verify(body.token)).body.valido).toBe(true);
+  });
+
+  test('rejects tampered, revoked, unknown and expired certificates', async () => {
+    const state = {};
+    const { body } = await issue(state);
+
+    const [header, , signature] = body.token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...jwt.decode(body.token), n: 'Otro Niño' })).toString('base64url');
+    expect((await verify(`${header}.${forged}.${signature}`)).body).toEqual({ valido: false, motivo: 'firma_invalida' });
+
+    state.row = { estado: 'Revocado', fecha_revocacion: new Date().toISOString() };
+    expect((await verify(body.token)).body).toMatchObject({ valido: false, motivo: 'revocado' });
+
+    state.row = null;
+    expect((await verify(body.token)).body).toEqual({ valido: false, motivo: 'desconocido' });
+
+    const key = getSigningKey();
+    const expired = jwt.sign({ n: 'x', fn: '2023-01-01', v: [], exp: Math.floor(Date.now() / 1000) - 60 }, key.privateKey, {
+      algorithm: 'ES256', keyid: key.kid, jwtid: CERTIFICATE, issuer: 'sistema-vacunacion',
+    });
+    expect((await verify(expired)).body).toEqual({ valido: false, motivo: 'expirado' });
+
+    const unknownKid = jwt.sign({ n: 'x' }, key.privateKey, { algorithm: 'ES256', keyid: 'no-existe' });
+    expect((await verify(unknownKid)).body).toEqual({ valido: false, motivo: 'clave_desconocida' });
+
+    expect((await verify('not-a-token')).body).toEqual({ valido: false, motivo: 'formato_invalido' });
+  });
+
+  test('publishes public keys as JWKS', async () => {
+    const res = await request(app()).get('/api/certificates/jwks');
+    expect(res.status).toBe(200);
+    expect(res.body.keys.length).toBeGreaterThan(0);
+    res.body.keys.forEach(key => expect(key).toMatchObject({ kty: 'EC', crv: 'P-256', alg: 'ES256' }));
+  });
+
+  test('refuses patients from another center and patients without doses', async () => {
+    fakePool(certificateState({}, { id_centro_salud: OTHER_CENTER }));
+    const denied = await request(app({ national: false, id_centro: CENTER }))
+      .post('/api/certificates').send({ id_paciente: PATIENT });
+    expect(denied.status).toBe(403);
+
+    const empty = await issue({ doses: [] });
+    expect(empty.status).toBe(409);
+  });
+});
+
+describe('certificate permissions', () => {
+  test('revocation needs management and key rotation needs an administrator', () => {
+    expect(getAllowedRoles('/api/certificates', 'POST', '/')).toContain('doctor');
+    expect(getAllowedRoles('/api/certificates', 'POST', `/${CERTIFICATE}/revoke`)).toEqual(['director', 'administrador']);
+    expect(getAllowedRoles('/api/certificates', 'POST', '/keys/rotate')).toEqual(['administrador']);
+    expect(getRequiredScope('/api/certificates', 'POST', '/keys/rotate')).toBeNull();
+    expect(getRequiredScope('/api/certificates', 'POST', '/')).toBe('certificates:write');
+  });
+});
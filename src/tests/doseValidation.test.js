@@ -0,0 +1,203 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+jest.mock('../services/audit', () => ({ registrarAuditoria: jest.fn() }));
+jest.mock('../services/transaction', () => require('./fixtures').transactionMock);
+
+const request = require('supertest');
+const { fakePool, respondTo, currentPool, buildApp } = require('./fixtures');
+const vaccinationHistoryRouter = require('../routes/vaccinationHistory');
+const { registrarAuditoria } = require('../services/audit');
+const { assertDoseAllowed } = require('../services/doseValidation');
+const { assertLotAllowed } = require('../services/lotEligibility');
+const { httpError } = require('../services/httpError');
+
+const CENTER = '3031019A-8658-4567-B284-D610A8AC7767';
+const PATIENT = '11111111-1111-4111-8111-111111111111';
+const HISTORY = '33333333-3333-4333-8333-333333333333';
+const LOT = '44444444-4444-4444-8444-444444444444';
+const VACCINE = '55555555-5555-4555-8555-555555555555';
+const EXCEPTION = '66666666-6666-4666-8666-666666666666';
+const USER = '77777777-7777-4777-8777-777777777777';
+
+const app = (rol = 'doctor') => buildApp({ '/api/vaccination-history': vaccinationHistoryRouter }, { user: { id_usuario: USER, rol } });
+
+// Esquema de tres dosis: a los 60, 120 y 180 días, con 28 días entre dosis
+const SCHEDULE = [
+  { orden_dosis: 1, edad_minima_dias: 60, intervalo_minimo_dias: null },
+  { orden_dosis: 2, edad_minima_dias: 120, intervalo_minimo_dias: 28 },
+  { orden_dosis: 3, edad_minima_dias: 180, intervalo_minimo_dias: 28 },
+];
+
+const doseState = ({ previas = [], esquema = SCHEDULE } = {}) => respondTo([
+  ['SELECT fecha_nacimiento FROM Niños', {
+    recordsets: [
+      [{ fecha_nacimiento: new Date('2024-01-01') }],
+      [{ id_vacuna: VACCINE, nombre: 'Pentavalente', dosis_requeridas: 3 }],
+      esquema,
+      previas,
+    ],
+  }],
+  ['SELECT id_centro FROM Lotes_Vacunas', { recordset: [{ id_centro: CENTER }] }],
+  ['UPDATE Historial_Vacunacion_Alterna', { recordset: [{ version: 2 }] }],
+  ['FROM Historial_Vacunacion_Alterna h', { recordset: [{ id_centro: CENTER }] }],
+  ['sp_RegistrarVacunacion_Alterna', { recordset: [{ id_historial: HISTORY }] }],
+  ['INSERT INTO Excepciones_Vacunacion', { recordset: [{ id_excepcion: EXCEPTION }] }],
+]);
+
+const dose = (overrides = {}) => ({
+  id_niño: PATIENT,
+  id_lote: LOT,
+  id_usuario: USER,
+  fecha_vacunacion: '2024-05-01',
+  dosis_aplicada: 2,
+  ...overrides,
+});
+
+const FIRST_DOSE = { id_historial: 'A', dosis_aplicada: 1, fecha_vacunacion: new Date('2024-03-01') };
+
+const registered = () => currentPool().executed('sp_RegistrarVacunacion_Alterna').length > 0;
+const codes = response => response.body.data.motivos.map(motivo => motivo.codigo);
+
+beforeEach(() => {
+  registrarAuditoria.mockClear();
+});
+
+describe('POST /api/vaccination-history (validación de esquema)', () => {
+  it('registra una dosis que cumple el esquema sin advertencias', async () => {
+    fakePool(doseState({ previas: [FIRST_DOSE] }));
+    const response = await request(app()).post('/api/vaccination-history').send(dose());
+
+    expect(response.status).toBe(201);
+    expect(response.body).toEqual({ id_historial: HISTORY, advertencias: [] });
+  });
+
+  it('rechaza con 409 una dosis con dosis previas omitidas', async () => {
+    fakePool(doseState());
+    const response = await request(app()).post('/api/vaccination-history').send(dose({ dosis_aplicada: 3, fecha_vacunacion: '2024-08-01' }));
+
+    expect(response.status).toBe(409);
+    expect(codes(response)).toEqual(['DOSIS_OMITIDA']);
+    expect(response.body.data.motivos[0].dosis_faltantes).toEqual([1, 2]);
+    expect(registered()).toBe(false);
+  });
+
+  it('rechaza una dosis repetida y una que excede las requeridas', async () => {
+    fakePool(doseState({ previas: [FIRST_DOSE] }));
+    const repeated = await request(app()).post('/api/vaccination-history').send(dose({ dosis_aplicada: 1 }));
+    expect(repeated.status).toBe(409);
+    expect(codes(repeated)).toContain('DOSIS_REPETIDA');
+
+    const excess = await request(app()).post('/api/vaccination-history').send(dose({ dosis_aplicada: 4 }));
+    expect(excess.status).toBe(409);
+    expect(codes(excess)).toContain('DOSIS_EXCEDIDA');
+  });
+
+  it('rechaza una dosis fuera del intervalo mínimo y anterior a la dosis previa', async () => {
+    fakePool(doseState({ previas: [FIRST_DOSE] }));
+    const early = await request(app()).post('/api/vaccination-history').send(dose({ fecha_vacunacion: '2024-03-11' }));
+    expect(early.status).toBe(409);
+    expect(early.body.data.motivos).toEqual(expect.arrayContaining([
+      expect.objectContaining({ codigo: 'INTERVALO_MINIMO', severidad: 'error', dias: 10, minimo_dias: 28 }),
+    ]));
+
+    const before = await request(app()).post('/api/vaccination-history').send(dose({ fecha_vacunacion: '2024-02-01' }));
+    expect(codes(before)).toContain('ORDEN_CRONOLOGICO');
+  });
+
+  it('registra con advertencia una dosis adelantada dentro de la tolerancia', async () => {
+    fakePool(doseState());
+    const response = await request(app()).post('/api/vaccination-history').send(dose({ dosis_aplicada: 1, fecha_vacunacion: '2024-02-28' }));
+
+    expect(response.status).toBe(201);
+    expect(response.body.advertencias).toEqual([
+      expect.objectContaining({ codigo: 'EDAD_MINIMA', severidad: 'advertencia', dias: 58, minimo_dias: 60 }),
+    ]);
+  });
+
+  it('advierte cuando la dosis no tiene esquema', async () => {
+    fakePool(doseState({ esquema: [] }));
+    const response = await request(app()).post('/api/vaccination-history').send(dose({ dosis_aplicada: 1 }));
+
+    expect(response.status).toBe(201);
+    expect(response.body.advertencias.map(motivo => motivo.codigo)).toEqual(['SIN_ESQUEMA']);
+  });
+
+  it('impide que un doctor autorice una excepción', async () => {
+    fakePool(doseState());
+    const response = await request(app('doctor'))
+      .post('/api/vaccination-history')
+      .send(dose({ excepcion: { justificacion: 'Carnet extraviado, dosis previas confirmadas por la madre' } }));
+
+    expect(response.status).toBe(403);
+    expect(registered()).toBe(false);
+  });
+
+  it('registra y audita la excepción autorizada por un director', async () => {
+    const db = fakePool(doseState());
+    const justificacion = 'Carnet extraviado, dosis previas confirmadas por la madre';
+    const response = await request(app('director')).post('/api/vaccination-history').send(dose({ excepcion: { justificacion } }));
+
+    expect(response.status).toBe(201);
+    expect(response.body.excepcion).toEqual({
+      id_excepcion: EXCEPTION,
+      motivos: [expect.objectContaining({ codigo: 'DOSIS_OMITIDA' })],
+    });
+    const insert = db.queried('INSERT INTO Excepciones_Vacunacion')[0];
+    expect(insert.inputs).toMatchObject({ id_historial: HISTORY, justificacion, id_usuario: USER });
+    expect(JSON.parse(insert.inputs.motivos)[0].codigo).toBe('DOSIS_OMITIDA');
+    expect(registrarAuditoria).toHaveBeenCalledWith(expect.objectContaining({
+      tabla_afectada: 'Excepciones_Vacunacion',
+      id_registro: EXCEPTION,
+    }));
+  });
+
+  it('exige una justificación al enviar una excepción', async () => {
+    fakePool(doseState());
+    const response = await request(app('director')).post('/api/vaccination-history').send(dose({ excepcion: { justificacion: 'corta' } }));
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('PUT /api/vaccination-history/:id (validación de esquema)', () => {
+  it('excluye el propio registro de las dosis previas', async () => {
+    const db = fakePool(doseState({ previas: [FIRST_DOSE] }));
+    const response = await request(app()).put(`/api/vaccination-history/${HISTORY}`).send({ ...dose(), motivo: 'Se corrige el sitio' });
+
+    expect(response.status).toBe(200);
+    const check = db.queried('SELECT fecha_nacimiento FROM Niños')[0];
+    expect(check.inputs.id_historial).toBe(HISTORY);
+  });
+
+  it('rechaza con 409 una corrección que incumple el esquema', async () => {
+    const db = fakePool(doseState({ previas: [FIRST_DOSE] }));
+    const response = await request(app()).put(`/api/vaccination-history/${HISTORY}`).send({ ...dose({ dosis_aplicada: 1 }), motivo: 'Se corrige el número de dosis' });
+
+    expect(response.status).toBe(409);
+    expect(db.executed('sp_ActualizarHistorialVacunacion_Alterna')).toHaveLength(0);
+  });
+});
+
+describe('errores expuestos al cliente', () => {
+  const fail = (fn) => {
+    try {
+      fn();
+    } catch (err) {
+      return err;
+    }
+    throw new Error('no lanzó');
+  };
+  const motivos = [{ codigo: 'DOSIS_OMITIDA', severidad: 'error' }];
+  const problemas = [{ codigo: 'LOTE_VENCIDO', mensaje: 'El lote está vencido' }];
+  const doctor = { id_usuario: 'u1', rol: 'doctor' };
+
+  it('marca como expuestos los motivos de esquema y los problemas de lote', () => {
+    expect(fail(() => assertDoseAllowed(motivos, { user: doctor }))).toMatchObject({ statusCode: 409, expose: true });
+    expect(fail(() => assertDoseAllowed(motivos, { user: doctor, excepcion: 'Brote' }))).toMatchObject({ statusCode: 403, expose: true });
+    expect(fail(() => assertLotAllowed(problemas, { user: doctor }))).toMatchObject({ statusCode: 409, expose: true });
+    expect(fail(() => assertLotAllowed(problemas, { user: doctor, uso_emergencia: true }))).toMatchObject({ statusCode: 403, expose: true });
+  });
+
+  it('no expone data salvo que se pida', () => {
+    expect(httpError('Columnas desconocidas', 400, { columnas: [] }).expose).toBeUndefined();
+  });
+});
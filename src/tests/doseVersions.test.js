@@ -0,0 +1,161 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+jest.mock('../services/audit', () => ({ registrarAuditoria: jest.fn() }));
+jest.mock('../services/transaction', () => require('./fixtures').transactionMock);
+
+const request = require('supertest');
+const { fakePool, respondTo, buildApp } = require('./fixtures');
+const vaccinationHistoryRouter = require('../routes/vaccinationHistory');
+const { registrarAuditoria } = require('../services/audit');
+
+const CENTER = '3031019A-8658-4567-B284-D610A8AC7767';
+const PATIENT = '11111111-1111-4111-8111-111111111111';
+const HISTORY = '33333333-3333-4333-8333-333333333333';
+const LOT = '44444444-4444-4444-8444-444444444444';
+const VACCINE = '55555555-5555-4555-8555-555555555555';
+const USER = '77777777-7777-4777-8777-777777777777';
+const ACCOUNT = '88888888-8888-4888-8888-888888888888';
+
+const app = () => buildApp({ '/api/vaccination-history': vaccinationHistoryRouter }, { user: { id_usuario: USER, rol: 'doctor' } });
+
+// Una dosis guardada: los UPDATE de Historial_Vacunacion_Alterna cambian su estado y versión
+const doseState = (dosis) => respondTo([
+  ['UPDATE Historial_Vacunacion_Alterna', (text) => {
+    if (dosis.estado_registro !== 'Vigente') return { recordset: [] };
+    if (text.includes('estado_registro = @error')) dosis.estado_registro = 'Error de registro';
+    dosis.version += 1;
+    return { recordset: [{ version: dosis.version }] };
+  }],
+  ['SELECT fecha_nacimiento FROM Niños', {
+    recordsets: [
+      [{ fecha_nacimiento: new Date('2024-01-01') }],
+      [{ id_vacuna: VACCINE, nombre: 'BCG', dosis_requeridas: 1 }],
+      [{ orden_dosis: 1, edad_minima_dias: 0, intervalo_minimo_dias: null }],
+      [],
+    ],
+  }],
+  [/FROM Versiones_Historial_Vacunacion v[\s\S]*LEFT JOIN Usuarios/, {
+    recordset: [{ version: 1, tipo_cambio: 'Registro' }, { version: 2, tipo_cambio: 'Enmienda', motivo: 'Se corrige el sitio', autor: 'Ana' }],
+  }],
+  ['SELECT id_centro FROM Lotes_Vacunas', { recordset: [{ id_centro: CENTER }] }],
+  ['FROM Historial_Vacunacion_Alterna h', () => ({ recordset: [{ id_centro: CENTER, observaciones: null, estado_registro: dosis.estado_registro }] })],
+]);
+
+const dosePool = (dosis = { estado_registro: 'Vigente', version: 1 }) => ({ dosis, db: fakePool(doseState(dosis)) });
+
+const DOSE = {
+  id_niño: PATIENT,
+  id_lote: LOT,
+  id_usuario: USER,
+  fecha_vacunacion: '2024-06-01',
+  dosis_aplicada: 1,
+  sitio_aplicacion: 'Brazo izquierdo',
+};
+
+
+beforeEach(() => {
+  registrarAuditoria.mockClear();
+});
+
+describe('PUT /api/vaccination-history/:id (versiones)', () => {
+  it('guarda la corrección como una nueva versión con su autor y motivo', async () => {
+    const { dosis, db } = dosePool();
+    const response = await request(app()).put(`/api/vaccination-history/${HISTORY}`).send({ ...DOSE, motivo: 'Se corrige el sitio de aplicación' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ id_historial: HISTORY, version: 2, advertencias: [] });
+    const [baseline, amendment] = db.queried('INSERT INTO Versiones_Historial_Vacunacion');
+    expect(baseline.text).toContain('NOT EXISTS');
+    expect(amendment.inputs).toMatchObject({ tipo_cambio: 'Enmienda', motivo: 'Se corrige el sitio de aplicación', id_usuario_autor: USER });
+    expect(dosis.version).toBe(2);
+    expect(registrarAuditoria).toHaveBeenCalledWith(expect.objectContaining({
+      tabla_afectada: 'Historial_Vacunacion_Alterna',
+      accion: 'UPDATE',
+      detalles: 'Dosis corregida (versión 2): Se corrige el sitio de aplicación',
+    }));
+  });
+
+  it('atribuye la corrección hecha con una clave API a la cuenta de servicio', async () => {
+    const { db } = dosePool();
+    const service = buildApp({ '/api/vaccination-history': vaccinationHistoryRouter }, {
+      user: { tipo: 'servicio', username: 'servicio:registro', id_cuenta: ACCOUNT, alcances: ['vaccinations:write'] },
+    });
+    const response = await request(service).put(`/api/vaccination-history/${HISTORY}`).send({ ...DOSE, motivo: 'Se corrige el sitio de aplicación' });
+
+    expect(response.status).toBe(200);
+    const amendment = db.queried('INSERT INTO Versiones_Historial_Vacunacion')[1];
+    expect(amendment.inputs).toMatchObject({ id_usuario_autor: null, id_cuenta_autor: ACCOUNT });
+    expect(registrarAuditoria).toHaveBeenCalledWith(expect.objectContaining({ id_registro: HISTORY, id_cuenta: ACCOUNT }));
+  });
+
+  it('exige un motivo', async () => {
+    const { db } = dosePool();
+    const response = await request(app()).put(`/api/vaccination-history/${HISTORY}`).send({ ...DOSE, motivo: 'corto' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.data[0].path).toBe('motivo');
+    expect(db.executed('sp_ActualizarHistorialVacunacion_Alterna')).toHaveLength(0);
+  });
+
+  it('no corrige una dosis registrada como error', async () => {
+    const { db } = dosePool({ estado_registro: 'Error de registro', version: 2 });
+    const response = await request(app()).put(`/api/vaccination-history/${HISTORY}`).send({ ...DOSE, motivo: 'Se corrige el sitio de aplicación' });
+
+    expect(response.status).toBe(409);
+    expect(db.queried('INSERT INTO Versiones_Historial_Vacunacion')).toHaveLength(0);
+  });
+
+  it('comprueba y aumenta la versión antes de modificar la dosis', async () => {
+    const { db } = dosePool();
+    await request(app()).put(`/api/vaccination-history/${HISTORY}`).send({ ...DOSE, motivo: 'Se corrige el sitio de aplicación' });
+
+    const texts = db.calls.map(call => call.text);
+    const bump = texts.findIndex(text => text.includes('version = version + 1'));
+    expect(bump).toBeGreaterThan(-1);
+    expect(bump).toBeLessThan(texts.indexOf('sp_ActualizarHistorialVacunacion_Alterna'));
+  });
+});
+
+describe('DELETE /api/vaccination-history/:id', () => {
+  it('marca la dosis como error sin borrarla y lo audita', async () => {
+    const { dosis, db } = dosePool();
+    const response = await request(app()).delete(`/api/vaccination-history/${HISTORY}`).send({ motivo: 'Dosis cargada en el paciente equivocado' });
+
+    expect(response.status).toBe(204);
+    expect(dosis).toEqual({ estado_registro: 'Error de registro', version: 2 });
+    expect(db.executed('sp_EliminarHistorialVacunacion_Alterna')).toHaveLength(0);
+    expect(db.queried('INSERT INTO Versiones_Historial_Vacunacion')[1].inputs).toMatchObject({ tipo_cambio: 'Error de registro', motivo: 'Dosis cargada en el paciente equivocado' });
+    expect(registrarAuditoria).toHaveBeenCalledWith(expect.objectContaining({
+      id_registro: HISTORY,
+      detalles: 'Dosis registrada como error (versión 2): Dosis cargada en el paciente equivocado',
+    }));
+  });
+
+  it('rechaza con 409 una dosis ya registrada como error', async () => {
+    const { db } = dosePool({ estado_registro: 'Error de registro', version: 2 });
+    const response = await request(app()).delete(`/api/vaccination-history/${HISTORY}`).send({ motivo: 'Dosis cargada en el paciente equivocado' });
+
+    expect(response.status).toBe(409);
+    expect(registrarAuditoria).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/vaccination-history', () => {
+  it('excluye las dosis registradas como error salvo que se pidan', async () => {
+    const { db } = dosePool();
+    await request(app()).get(`/api/vaccination-history/by-child/${PATIENT}`);
+    await request(app()).get(`/api/vaccination-history/by-child/${PATIENT}?incluir_errores=true`);
+
+    const [hidden, shown] = db.calls.map(call => call.text);
+    expect(hidden).toContain("h.estado_registro = 'Vigente'");
+    expect(shown).not.toContain('estado_registro');
+  });
+
+  it('devuelve las versiones de la dosis', async () => {
+    dosePool();
+    const response = await request(app()).get(`/api/vaccination-history/by-id/${HISTORY}/versions`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.map(version => version.tipo_cambio)).toEqual(['Registro', 'Enmienda']);
+    expect(response.body[1].autor).toBe('Ana');
+  });
+});
@@ -0,0 +1,186 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+jest.mock('../services/audit', () => ({ registrarAuditoria: jest.fn() }));
+jest.mock('../services/transaction', () => require('./fixtures').transactionMock);
+
+const request = require('supertest');
+const { fakePool, respondTo, buildApp, useEncryptionKeys } = require('./fixtures');
+const fhirRouter = require('../routes/fhir');
+const { encrypt } = require('../services/fieldEncryption');
+const { registrarAuditoria } = require('../services/audit');
+
+useEncryptionKeys();
+
+const CENTER = '3031019A-8658-4567-B284-D610A8AC7767';
+const OTHER_CENTER = '9B1DEB4D-3B7D-4BAD-9BDD-2B0D7B3DCB6D';
+const PATIENT = '11111111-1111-4111-8111-111111111111';
+const TUTOR = '22222222-2222-4222-8222-222222222222';
+const DOSE = '33333333-3333-4333-8333-333333333333';
+const LOT = '44444444-4444-4444-8444-444444444444';
+const VACCINE = '55555555-5555-4555-8555-555555555555';
+const USER = '77777777-7777-4777-8777-777777777777';
+
+const app = scope => buildApp({ '/api/fhir': fhirRouter }, { user: { id_usuario: USER, rol: 'doctor' }, scope });
+
+const patientRow = () => ({
+  id_niño: PATIENT, nombre_completo: 'Ana Pérez', identificacion: encrypt('001-0000001-1'), id_salud_nacional: 'NHI-9',
+  fecha_nacimiento: new Date('2022-01-15T00:00:00Z'), genero: 'F', direccion_residencia: 'Calle 1',
+  id_centro_salud: CENTER, estado: 'Activo', id_archivo: null,
+});
+const doseRow = () => ({
+  id_historial: DOSE, id_niño: PATIENT, fecha_vacunacion: new Date('2024-03-01T10:00:00Z'), dosis_aplicada: 2,
+  sitio_aplicacion: 'Brazo izquierdo', observaciones: null, id_usuario: USER, usuario: 'Dra. López',
+  numero_lote: 'L-100', fecha_vencimiento: new Date('2025-12-31T00:00:00Z'), id_vacuna: VACCINE,
+  vacuna: 'Pentavalente', fabricante: 'Acme', codigo_cvx: '102', id_centro: CENTER, nombre_centro: 'Centro Norte',
+});
+
+describe('FHIR reads', () => {
+  test('Patient maps demographics and decrypted identifiers', async () => {
+    fakePool(text => (text.includes('WHERE n.id_niño = @id_niño') ? { recordset: [patientRow()] } : {}));
+    const res = await request(app()).get(`/api/fhir/Patient/${PATIENT}`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/fhir\+json/);
+    expect(res.body).toEqual({
+      resourceType: 'Patient',
+      id: PATIENT.toLowerCase(),
+      identifier: [
+        { use: 'official', system: 'urn:sistema-vacunacion:identificacion', value: '001-0000001-1' },
+        { system: 'urn:sistema-vacunacion:id-salud-nacional', value: 'NHI-9' },
+      ],
+      active: true,
+      name: [{ text: 'Ana Pérez' }],
+      gender: 'female',
+      birthDate: '2022-01-15',
+      address: [{ text: 'Calle 1' }],
+    });
+  });
+
+  test('errors are returned as OperationOutcome', async () => {
+    fakePool();
+    const missing = await request(app()).get(`/api/fhir/Patient/${PATIENT}`);
+    expect(missing.status).toBe(404);
+    expect(missing.body).toEqual({
+      resourceType: 'OperationOutcome',
+      issue: [{ severity: 'error', code: 'not-found', diagnostics: 'Paciente no encontrado' }],
+    });
+
+    fakePool(text => (text.includes('WHERE n.id_niño = @id_niño') ? { recordset: [patientRow()] } : {}));
+    const forbidden = await request(app({ national: false, id_centro: OTHER_CENTER })).get(`/api/fhir/Patient/${PATIENT}`);
+    expect(forbidden.status).toBe(403);
+    expect(forbidden.body.issue[0].code).toBe('forbidden');
+  });
+
+  test('Patient search by identifier uses the blind index and the caller scope', async () => {
+    const db = fakePool(text => (text.includes('identificacion_hash = @identificacion_hash') ? { recordset: [patientRow()] } : {}));
+    const res = await request(app({ national: false, id_centro: CENTER }))
+      .get('/api/fhir/Patient?identifier=urn:sistema-vacunacion:identificacion|001-0000001-1');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ resourceType: 'Bundle', type: 'searchset', total: 1 });
+    const [call] = db.calls;
+    expect(call.text).not.toContain('id_salud_nacional = @id_salud_nacional');
+    expect(call.text).toContain('n.id_archivo IS NULL');
+    expect(call.inputs.scope_id_centro).toBe(CENTER);
+  });
+
+  test('Immunization codes the vaccine with CVX and references patient, location and performer', async () => {
+    fakePool(text => (text.includes('WHERE h.id_historial = @id_historial') ? { recordset: [doseRow()] } : {}));
+    const res = await request(app()).get(`/api/fhir/Immunization/${DOSE}`);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      resourceType: 'Immunization',
+      status: 'completed',
+      vaccineCode: { coding: [{ system: 'http://hl7.org/fhir/sid/cvx', code: '102' }, { code: VACCINE.toLowerCase() }] },
+      patient: { reference: `Patient/${PATIENT.toLowerCase()}` },
+      occurrenceDateTime: '2024-03-01T10:00:00.000Z',
+      location: { reference: `Location/${CENTER.toLowerCase()}` },
+      lotNumber: 'L-100',
+      expirationDate: '2025-12-31',
+      performer: [{ actor: { reference: `Practitioner/${USER.toLowerCase()}` } }],
+      protocolApplied: [{ doseNumberPositiveInt: 2 }],
+    });
+    expect(res.body.note).toBeUndefined();
+  });
+
+  test('Patient/$everything bundles the patient, tutors, immunizations and locations', async () => {
+    fakePool(respondTo([
+      ['WHERE n.id_niño = @id_niño', { recordset: [patientRow()] }],
+      ['FROM Tutores t', {
+        recordsets: [
+          [{ id_tutor: TUTOR, id_niño: PATIENT, nombre: 'María Pérez', relacion: 'Madre', telefono: null, email: null, estado: 'Activo' }],
+          [doseRow()],
+          [{ id_centro: CENTER, nombre_centro: 'Centro Norte', estado: 'Activo', latitud: 18.5, longitud: -69.9 }],
+        ],
+      }],
+    ]));
+    const res = await request(app()).get(`/api/fhir/Patient/${PATIENT}/$everything`);
+    expect(res.status).toBe(200);
+    expect(res.body.entry.map(entry => entry.resource.resourceType)).toEqual(['Patient', 'RelatedPerson', 'Immunization', 'Location']);
+    expect(res.body.entry[1].resource.relationship[0].coding[0].code).toBe('MTH');
+    expect(res.body.entry[3].resource.position).toEqual({ latitude: 18.5, longitude: -69.9 });
+  });
+});
+
+describe('POST /api/fhir (Immunization bundles)', () => {
+  const immunization = (overrides = {}) => ({
+    resourceType: 'Immunization',
+    status: 'completed',
+    vaccineCode: { coding: [{ system: 'http://hl7.org/fhir/sid/cvx', code: '102' }] },
+    patient: { reference: `Patient/${PATIENT}` },
+    occurrenceDateTime: '2024-03-01T10:00:00Z',
+    lotNumber: 'L-100',
+    protocolApplied: [{ doseNumberPositiveInt: 1 }],
+    ...overrides,
+  });
+  const bundle = (type, ...resources) => ({ resourceType: 'Bundle', type, entry: resources.map(resource => ({ resource })) });
+  const importState = ({ existing = false } = {}) => respondTo([
+    ['WHERE n.id_niño = @id_niño', { recordset: [patientRow()] }],
+    ['WHERE l.numero_lote = @numero_lote', { recordset: [{ id_lote: LOT, id_centro: CENTER, id_vacuna: VACCINE, codigo_cvx: '102' }] }],
+    ['CAST(fecha_vacunacion AS DATE)', { recordset: existing ? [{ id_historial: DOSE }] : [] }],
+    ['sp_RegistrarVacunacion_Alterna', { recordset: [{ id_historial: DOSE }] }],
+  ]);
+  const post = (body, scope) => request(app(scope)).post('/api/fhir').set('Content-Type', 'application/fhir+json').send(JSON.stringify(body));
+
+  beforeEach(() => registrarAuditoria.mockClear());
+
+  test('a batch registers each immunization and reports every entry', async () => {
+    const db = fakePool(importState());
+    const res = await post(bundle('batch', immunization(), immunization({ vaccineCode: { coding: [{ system: 'http://hl7.org/fhir/sid/cvx', code: '20' }] } })));
+    expect(res.status).toBe(200);
+    expect(res.body.type).toBe('batch-response');
+    expect(res.body.entry[0].response).toEqual({ status: '201 Created', location: `Immunization/${DOSE.toLowerCase()}` });
+    expect(res.body.entry[1].response.status).toBe('422 Unprocessable Entity');
+    expect(res.body.entry[1].response.outcome.issue[0].diagnostics).toBe('No existe el lote L-100 para la vacuna indicada');
+
+    const register = db.executed('sp_RegistrarVacunacion_Alterna')[0];
+    expect(register.inputs).toMatchObject({ id_niño: PATIENT, id_lote: LOT, id_usuario: USER, dosis_aplicada: 1 });
+    expect(registrarAuditoria).toHaveBeenCalledTimes(1);
+  });
+
+  test('an immunization already registered is not duplicated', async () => {
+    const db = fakePool(importState({ existing: true }));
+    const res = await post(bundle('batch', immunization()));
+    expect(res.body.entry[0].response.status).toBe('200 OK');
+    expect(db.executed('sp_RegistrarVacunacion_Alterna')).toHaveLength(0);
+    expect(registrarAuditoria).not.toHaveBeenCalled();
+  });
+
+  test('a transaction fails as a whole when one entry is invalid', async () => {
+    fakePool(importState());
+    const res = await post(bundle('transaction', immunization(), immunization({ status: 'not-done' })));
+    expect(res.status).toBe(422);
+    expect(res.body.issue[0].diagnostics).toBe('Entrada 1: Solo se importan inmunizaciones con estado completed');
+    expect(registrarAuditoria).not.toHaveBeenCalled();
+  });
+
+  test('immunizations for lots of another center are rejected', async () => {
+    fakePool(importState());
+    const res = await post(bundle('batch', immunization()), { national: false, id_centro: OTHER_CENTER });
+    expect(res.body.entry[0].response.status).toBe('403 Forbidden');
+  });
+
+  test('only batch and transaction bundles are accepted', async () => {
+    fakePool(importState());
+    const res = await post({ resourceType: 'Bundle', type: 'collection', entry: [] });
+    expect(res.status).toBe(400);
+    expect(res.body.resourceType).toBe('OperationOutcome');
+  });
+});
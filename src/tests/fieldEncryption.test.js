@@ -0,0 +1,179 @@
+jest.mock('../config/db', () => ({ sql: require('mssql') }));
+
+const crypto = require('crypto');
+const fieldEncryption = require('../services/fieldEncryption');
+
+const KEY_V1 = crypto.randomBytes(32).toString('base64');
+const KEY_V2 = crypto.randomBytes(32).toString('base64');
+
+const doctor = { id_usuario: 'u1', rol: 'doctor' };
+const tutor = { id_usuario: 'u2', rol: 'tutor' };
+const serviceAccount = { tipo: 'servicio', alcances: ['patients:read'] };
+
+beforeEach(() => {
+  process.env.FIELD_ENCRYPTION_KEYS = `1:${KEY_V1}`;
+  delete process.env.FIELD_ENCRYPTION_ACTIVE_VERSION;
+  process.env.BLIND_INDEX_KEY = crypto.randomBytes(32).toString('base64');
+});
+
+describe('Field encryption', () => {
+  test('round-trips values with random IVs and tags the key version', () => {
+    const a = fieldEncryption.encrypt('001-1234567-8');
+    const b = fieldEncryption.encrypt('001-1234567-8');
+    expect(a).not.toBe(b);
+    expect(a).not.toContain('1234567');
+    expect(fieldEncryption.keyVersion(a)).toBe(1);
+    expect(fieldEncryption.decrypt(a)).toBe('001-1234567-8');
+  });
+
+  test('keeps older key versions readable after rotating the active key', () => {
+    const old = fieldEncryption.encrypt('809-555-1234');
+    process.env.FIELD_ENCRYPTION_KEYS = `1:${KEY_V1},2:${KEY_V2}`;
+    const current = fieldEncryption.encrypt('809-555-1234');
+    expect(fieldEncryption.keyVersion(current)).toBe(2);
+    expect(fieldEncryption.decrypt(old)).toBe('809-555-1234');
+  });
+
+  test('fails when the key version of a value is no longer configured', () => {
+    const old = fieldEncryption.encrypt('809-555-1234');
+    process.env.FIELD_ENCRYPTION_KEYS = `2:${KEY_V2}`;
+    expect(() => fieldEncryption.decrypt(old)).toThrow('Clave de cifrado v1 no disponible');
+  });
+
+  test('rejects tampered ciphertext', () => {
+    const value = fieldEncryption.encrypt('809-555-1234');
+    const parts = value.split(':');
+    parts[4] = Buffer.from('tampered').toString('base64');
+    expect(() => fieldEncryption.decrypt(parts.join(':'))).toThrow();
+  });
+
+  test('passes legacy plaintext through unchanged', () => {
+    expect(fieldEncryption.decrypt('001-1234567-8')).toBe('001-1234567-8');
+    expect(fieldEncryption.decrypt(18.4824)).toBe(18.4824);
+  });
+
+  test('blind index ignores formatting but not content', () => {
+    const index = fieldEncryption.blindIndex('001-1234567-8');
+    expect(fieldEncryption.blindIndex('00112345678')).toBe(index);
+    expect(fieldEncryption.blindIndex('001 1234567 8')).toBe(index);
+    expect(fieldEncryption.blindIndex('001-1234567-9')).not.toBe(index);
+  });
+
+  test('seals identificacion in place and coordinates in their own columns', () => {
+    const { values, columns } = fieldEncryption.sealFields('Niños', {
+      nombre_completo: 'Pedro Díaz',
+      identificacion: 'PD123456',
+      latitud: 18.4824,
+    });
+    expect(values.nombre_completo).toBe('Pedro Díaz');
+    expect(fieldEncryption.decrypt(values.identificacion)).toBe('PD123456');
+    expect(values.latitud).toBeNull();
+    expect(columns.latitud).toBeNull();
+    expect(fieldEncryption.decrypt(columns.latitud_cifrada)).toBe('18.4824');
+    expect(columns.identificacion_hash).toBe(fieldEncryption.blindIndex('PD123456'));
+    expect(columns).not.toHaveProperty('longitud_cifrada');
+  });
+
+  test('reveals clear values only to clinical roles', () => {
+    const { values, columns } = fieldEncryption.sealFields('Niños', { identificacion: 'PD123456', latitud: 18.4824 });
+    const row = { id_niño: 'n1', ...values, ...columns };
+
+    const clear = fieldEncryption.revealFields('Niños', row, doctor);
+    expect(clear.identificacion).toBe('PD123456');
+    expect(clear.latitud).toBe(18.4824);
+    expect(clear).not.toHaveProperty('identificacion_hash');
+    expect(clear).not.toHaveProperty('latitud_cifrada');
+
+    for (const user of [tutor, serviceAccount]) {
+      const masked = fieldEncryption.revealFields('Niños', row, user);
+      expect(masked.identificacion).toBe('****3456');
+      expect(masked.latitud).toBeNull();
+    }
+  });
+
+  test('reveals clear values to service accounts only with the decrypt scope', () => {
+    const { values } = fieldEncryption.sealFields('Niños', { identificacion: 'PD123456' });
+    const exporter = { ...serviceAccount, alcances: ['fhir:read', 'identifiers:decrypt'] };
+
+    expect(fieldEncryption.revealFields('Niños', values, exporter).identificacion).toBe('PD123456');
+    expect(fieldEncryption.revealFields('Niños', values, serviceAccount).identificacion).toBe('****3456');
+  });
+
+  test('reveals the tutors nested in a patient, as a list or as FOR JSON text', () => {
+    const patient = fieldEncryption.sealFields('Niños', { identificacion: 'PD123456' }).values;
+    const tutorRow = fieldEncryption.sealFields('Tutores', { nombre: 'Ana', telefono: '809-555-1234' }).values;
+
+    const listed = fieldEncryption.revealPatient({ ...patient, tutores: [tutorRow] }, doctor);
+    expect(listed.identificacion).toBe('PD123456');
+    expect(listed.tutores[0].telefono).toBe('809-555-1234');
+
+    const fromJson = fieldEncryption.revealPatient({ ...patient, tutores: JSON.stringify([tutorRow]) }, tutor);
+    expect(fromJson.identificacion).toBe('****3456');
+    expect(fromJson.tutores[0].telefono).toBe('****1234');
+    expect(fieldEncryption.revealPatient(patient, doctor)).not.toHaveProperty('tutores');
+  });
+
+  test('re-encrypts rows with the active key and fills missing blind indexes', async () => {
+    const legacy = { id_tutor: 't1', identificacion: '001-1234567-8', telefono: fieldEncryption.encrypt('809-555-1234'), email: null, identificacion_hash: null };
+    process.env.FIELD_ENCRYPTION_KEYS = `1:${KEY_V1},2:${KEY_V2}`;
+
+    const updates = [];
+    const pool = {
+      request: () => {
+        const inputs = {};
+        return {
+          input(name, type, value) { inputs[name] = value; return this; },
+          query: async (text) => {
+            if (text.includes('UPDATE')) {
+              updates.push({ text, inputs });
+              return { rowsAffected: [1] };
+            }
+            const firstPage = !('ultimo' in inputs);
+            return { recordset: text.includes('[Tutores]') && firstPage ? [legacy] : [] };
+          },
+        };
+      },
+    };
+
+    const summary = await fieldEncryption.rotateKeys(pool);
+    expect(summary.version_activa).toBe(2);
+    expect(summary.tablas.Tutores).toEqual({ revisadas: 1, actualizadas: 1, errores: 0 });
+
+    const [{ text, inputs }] = updates;
+    const values = Object.values(inputs).filter(v => typeof v === 'string' && v.startsWith('enc:'));
+    expect(values.every(v => fieldEncryption.keyVersion(v) === 2)).toBe(true);
+    expect(values.map(fieldEncryption.decrypt).sort()).toEqual(['001-1234567-8', '809-555-1234']);
+    expect(Object.values(inputs)).toContain(fieldEncryption.blindIndex('001-1234567-8'));
+    expect(text).toContain('email = NULL');
+  });
+});
+
+describe('assertEncryptionConfigured', () => {
+  afterEach(() => {
+    delete process.env.ENCRYPTED_FIELDS;
+  });
+
+  test('accepts a complete keyring', () => {
+    expect(() => fieldEncryption.assertEncryptionConfigured()).not.toThrow();
+  });
+
+  test('requires FIELD_ENCRYPTION_KEYS while any field is encrypted', () => {
+    delete process.env.FIELD_ENCRYPTION_KEYS;
+    expect(() => fieldEncryption.assertEncryptionConfigured()).toThrow('Falta FIELD_ENCRYPTION_KEYS');
+
+    process.env.ENCRYPTED_FIELDS = 'Tutores.email';
+    expect(() => fieldEncryption.assertEncryptionConfigured()).toThrow('Falta FIELD_ENCRYPTION_KEYS');
+  });
+
+  test('requires the active version to be among the keys', () => {
+    process.env.FIELD_ENCRYPTION_ACTIVE_VERSION = '2';
+    expect(() => fieldEncryption.assertEncryptionConfigured()).toThrow('versión activa 2');
+  });
+
+  test('requires BLIND_INDEX_KEY even when no field is encrypted', () => {
+    process.env.ENCRYPTED_FIELDS = 'Ninguno.campo';
+    delete process.env.FIELD_ENCRYPTION_KEYS;
+    delete process.env.BLIND_INDEX_KEY;
+    expect(() => fieldEncryption.assertEncryptionConfigured()).toThrow('Falta BLIND_INDEX_KEY');
+  });
+});
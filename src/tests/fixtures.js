@@ -0,0 +1,104 @@
+// src/tests/fixtures.js
+// Base de datos falsa y aplicación mínima compartidas por las pruebas de rutas y servicios.
+//
+//   jest.mock('../config/db', () => require('./fixtures').dbMock);
+//   jest.mock('../services/transaction', () => require('./fixtures').transactionMock);
+const crypto = require('crypto');
+const express = require('express');
+
+const NATIONAL = { national: true, id_centro: null };
+
+let current = null;
+
+const usePool = (pool) => {
+  current = pool;
+  return pool;
+};
+
+const currentPool = () => current;
+
+// Sustituto de config/db: las consultas van al último pool creado con fakePool (o activado con usePool)
+const dbMock = {
+  sql: require('mssql'),
+  poolPromise: Promise.resolve({ request: () => current.request() }),
+};
+
+// La transacción usa el mismo pool falso, así cada consulta queda registrada en orden
+const transactionMock = { withTransaction: (pool, work) => work(pool) };
+
+const matches = (pattern, text) => (pattern instanceof RegExp ? pattern.test(text) : text.includes(pattern));
+
+/**
+ * Respuestas por consulta: pares [patrón, resultado]. El patrón es el nombre de un
+ * procedimiento o un fragmento del SQL (o una RegExp); el resultado, un objeto o una función
+ * (text, inputs) que lo devuelve. Gana el primer par que coincide.
+ */
+const respondTo = (handlers) => (text, inputs) => {
+  const handler = handlers.find(([pattern]) => matches(pattern, text));
+  if (!handler) return {};
+  const [, result] = handler;
+  return typeof result === 'function' ? result(text, inputs) : result;
+};
+
+/**
+ * Pool falso: `respond(text, inputs)` decide el resultado de cada consulta o procedimiento,
+ * sobre un resultado vacío. Registra en `calls` cada llamada con sus parámetros y queda activo
+ * para las rutas que usan poolPromise.
+ */
+const fakePool = (respond = () => ({})) => {
+  const calls = [];
+  return usePool({
+    calls,
+    executed: name => calls.filter(call => call.text === name),
+    queried: fragment => calls.filter(call => call.text.includes(fragment)),
+    request: () => {
+      const inputs = {};
+      const run = async (text) => {
+        calls.push({ text, inputs });
+        return { recordset: [], recordsets: [], rowsAffected: [0], ...respond(text, inputs) };
+      };
+      return {
+        input(name, type, value) { inputs[name] = value === undefined ? type : value; return this; },
+        query: run,
+        execute: run,
+      };
+    },
+  });
+};
+
+/**
+ * Aplicación con los routers de `routes` ({ ruta: router }) montados tras resolver el usuario y
+ * el alcance de centro, como hacen authenticate y centerScope, y con el manejador de errores.
+ */
+const buildApp = (routes, { user = { id_usuario: 'u1', rol: 'doctor' }, scope = NATIONAL } = {}) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    req.centerScope = scope;
+    next();
+  });
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+  app.use((err, req, res, next) => {
+    res.status(err.statusCode || 500).json({ error: err.message, data: err.data });
+  });
+  return app;
+};
+
+// Claves de cifrado de campos y de índice ciego nuevas para la prueba
+const useEncryptionKeys = () => {
+  process.env.FIELD_ENCRYPTION_KEYS = `1:${crypto.randomBytes(32).toString('base64')}`;
+  process.env.BLIND_INDEX_KEY = crypto.randomBytes(32).toString('base64');
+};
+
+module.exports = {
+  NATIONAL,
+  dbMock,
+  transactionMock,
+  usePool,
+  currentPool,
+  respondTo,
+  fakePool,
+  buildApp,
+  useEncryptionKeys,
+};
@@ -0,0 +1,180 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+jest.mock('../services/audit', () => ({ registrarAuditoria: jest.fn() }));
+jest.mock('../services/transaction', () => require('./fixtures').transactionMock);
+
+const request = require('supertest');
+const { fakePool, respondTo, buildApp, useEncryptionKeys } = require('./fixtures');
+const hl7Router = require('../routes/hl7');
+const { blindIndex, encrypt } = require('../services/fieldEncryption');
+const { registrarAuditoria } = require('../services/audit');
+
+useEncryptionKeys();
+
+const CENTER = '3031019A-8658-4567-B284-D610A8AC7767';
+const OTHER_CENTER = '9B1DEB4D-3B7D-4BAD-9BDD-2B0D7B3DCB6D';
+const PATIENT = '11111111-1111-4111-8111-111111111111';
+const DOSE = '33333333-3333-4333-8333-333333333333';
+const LOT = '44444444-4444-4444-8444-444444444444';
+const VACCINE = '55555555-5555-4555-8555-555555555555';
+const USER = '77777777-7777-4777-8777-777777777777';
+
+const app = scope => buildApp({ '/api/hl7': hl7Router }, { user: { id_usuario: USER, rol: 'doctor' }, scope });
+
+const send = (segments, scope) => request(app(scope))
+  .post('/api/hl7')
+  .set('Content-Type', 'application/hl7-v2')
+  .send(segments.join('\r'));
+
+// Segmentos de la respuesta, cada uno como lista de campos
+const parse = text => text.split('\r').filter(Boolean).map(line => line.split('|'));
+const segment = (response, name) => parse(response.text).find(fields => fields[0] === name);
+
+const MSH = 'MSH|^~\\&|EHR|HOSPITAL|SISTEMA_VACUNACION|SISTEMA_VACUNACION|20240301100000||VXU^V04^VXU_V04|MSG0001|P|2.5.1';
+const PID = 'PID|1||001-0000001-1^^^RD^NI~MR-77^^^HOSPITAL^MR||Pérez^Ana^María||20220115|F|||Calle 1^^Santo Domingo^^^DO||||||||||||República Dominicana|||||Dominicana';
+const NK1 = 'NK1|1|Pérez^María|MTH^Mother^HL70063||809-555-0101';
+const RXA = (lot = 'L-100', extra = '') => `RXA|0|1|20240301100000||102^DTP-Hib-HepB^CVX|999|||00||||||${lot}|||||CP|A${extra}`;
+const OBX = 'OBX|1|NM|30973-2^Dose number in series^LN|1|2||||||F';
+
+const vxuState = ({ patients = [], lots = null, existing = false } = {}) => respondTo([
+  ['FROM Niños n', { recordset: patients }],
+  ['WHERE l.numero_lote = @numero_lote', { recordset: lots || [{ id_lote: LOT, id_centro: CENTER, id_vacuna: VACCINE, codigo_cvx: '102' }] }],
+  ['CAST(fecha_vacunacion AS DATE)', { recordset: existing ? [{ id_historial: DOSE }] : [] }],
+  ['SELECT COUNT(*) AS total', { recordset: [{ total: 0 }] }],
+  ['sp_CrearNiño', { recordset: [{ id_niño: PATIENT }] }],
+  ['sp_RegistrarVacunacion_Alterna', { recordset: [{ id_historial: DOSE }] }],
+]);
+
+describe('VXU^V04', () => {
+  beforeEach(() => registrarAuditoria.mockClear());
+
+  test('creates an unknown patient with its tutors and registers the dose', async () => {
+    const db = fakePool(vxuState());
+    const res = await send([MSH, PID, NK1, 'ORC|RE||IZ-1', RXA(), 'RXR|C28161^Intramuscular^NCIT|LA^Brazo izquierdo^HL70163', OBX]);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/hl7-v2/);
+    expect(segment(res, 'MSH')[8]).toBe('ACK^V04^ACK');
+    expect(segment(res, 'MSA')).toEqual(['MSA', 'AA', 'MSG0001']);
+
+    const lookup = db.queried('FROM Niños n')[0];
+    expect(Object.values(lookup.inputs)).toEqual([blindIndex('001-0000001-1')]);
+
+    const create = db.executed('sp_CrearNiño')[0];
+    expect(create.inputs).toMatchObject({
+      nombre_completo: 'Ana María Pérez', nacionalidad: 'Dominicana', pais_nacimiento: 'República Dominicana',
+      fecha_nacimiento: '2022-01-15', genero: 'F', direccion_residencia: 'Calle 1, Santo Domingo, DO',
+    });
+    expect(create.inputs.tutores.rows[0].slice(0, 2)).toEqual(['María Pérez', 'Madre']);
+
+    const register = db.executed('sp_RegistrarVacunacion_Alterna')[0];
+    expect(register.inputs).toMatchObject({ id_niño: PATIENT, id_lote: LOT, id_usuario: USER, dosis_aplicada: 2, sitio_aplicacion: 'Brazo izquierdo' });
+    expect(register.inputs.fecha_vacunacion.toISOString()).toBe('2024-03-01T10:00:00.000Z');
+    expect(registrarAuditoria).toHaveBeenCalledTimes(2);
+  });
+
+  test('matches an existing patient and numbers the dose when no OBX is sent', async () => {
+    const db = fakePool(vxuState({ patients: [{ id_niño: PATIENT, id_centro_salud: CENTER, id_archivo: null }] }));
+    const res = await send([MSH, PID, 'ORC|RE||IZ-1', RXA()]);
+    expect(segment(res, 'MSA')[1]).toBe('AA');
+    const texts = db.calls.map(call => call.text);
+    expect(texts).not.toContain('sp_CrearNiño');
+    const register = db.executed('sp_RegistrarVacunacion_Alterna')[0];
+    expect(register.inputs.dosis_aplicada).toBe(1);
+  });
+
+  test('does not register a dose twice', async () => {
+    const db = fakePool(vxuState({ patients: [{ id_niño: PATIENT, id_centro_salud: CENTER, id_archivo: null }], existing: true }));
+    const res = await send([MSH, PID, 'ORC|RE||IZ-1', RXA()]);
+    expect(segment(res, 'MSA')[1]).toBe('AA');
+    expect(db.executed('sp_RegistrarVacunacion_Alterna')).toHaveLength(0);
+    expect(registrarAuditoria).not.toHaveBeenCalled();
+  });
+
+  test('answers AE with ERR segments and writes nothing when validation fails', async () => {
+    const db = fakePool(vxuState({ lots: [] }));
+    const res = await send([MSH, 'PID|1||MR-77^^^HOSPITAL^MR||Pérez^Ana||20220115|F', 'ORC|RE||IZ-1', RXA('L-999')]);
+    expect(segment(res, 'MSA')).toEqual(['MSA', 'AE', 'MSG0001']);
+    const errors = parse(res.text).filter(fields => fields[0] === 'ERR');
+    expect(errors.map(fields => fields[2])).toEqual(['PID^1^3', 'RXA^1^15']);
+    expect(errors[1][3]).toBe('103^Table value not found^HL70357');
+    expect(errors[1][8]).toBe('No existe el lote L-999 para la vacuna CVX 102');
+    const texts = db.calls.map(call => call.text);
+    expect(texts).not.toContain('sp_CrearNiño');
+    expect(texts).not.toContain('sp_RegistrarVacunacion_Alterna');
+  });
+
+  test('rejects doses at centers outside the caller scope', async () => {
+    fakePool(vxuState({ patients: [{ id_niño: PATIENT, id_centro_salud: CENTER, id_archivo: null }] }));
+    const res = await send([MSH, PID, 'ORC|RE||IZ-1', RXA()], { national: false, id_centro: OTHER_CENTER });
+    expect(segment(res, 'MSA')[1]).toBe('AE');
+    expect(segment(res, 'ERR')[8]).toBe('Acceso denegado: el registro pertenece a otro centro');
+  });
+
+  test('refused doses are acknowledged with a warning', async () => {
+    const db = fakePool(vxuState({ patients: [{ id_niño: PATIENT, id_centro_salud: CENTER, id_archivo: null }] }));
+    const res = await send([MSH, PID, 'ORC|RE||IZ-1', RXA().replace('|CP|A', '|RE|A')]);
+    expect(segment(res, 'MSA')[1]).toBe('AA');
+    expect(segment(res, 'ERR')[4]).toBe('W');
+    expect(db.executed('sp_RegistrarVacunacion_Alterna')).toHaveLength(0);
+  });
+});
+
+describe('QBP^Q11', () => {
+  const QBP = 'MSH|^~\\&|EHR|HOSPITAL|SISTEMA_VACUNACION|SISTEMA_VACUNACION|20240301100000||QBP^Q11^QBP_Q11|Q0001|P|2.5.1';
+  const QPD = 'QPD|Z34^Request Immunization History^CDCPHINVS|TAG-1|001-0000001-1^^^RD^NI|Pérez^Ana||20220115|F';
+  const patient = {
+    id_niño: PATIENT, nombre_completo: 'Ana María Pérez', identificacion: encrypt('001-0000001-1'), id_salud_nacional: null,
+    fecha_nacimiento: new Date('2022-01-15T00:00:00Z'), genero: 'F', direccion_residencia: null, id_centro_salud: CENTER, id_archivo: null,
+  };
+  const qbpState = (patients) => respondTo([
+    ['FROM Niños n', { recordset: patients }],
+    ['FROM Tutores', { recordset: [{ nombre: 'María Pérez', relacion: 'Madre', telefono: null }] }],
+    ['FROM Historial_Vacunacion_Alterna h', {
+      recordset: [{
+        id_historial: DOSE, id_niño: PATIENT, fecha_vacunacion: new Date('2024-03-01T10:00:00Z'), dosis_aplicada: 2,
+        sitio_aplicacion: 'Brazo izquierdo', id_usuario: USER, usuario: 'Dra. López', numero_lote: 'L-100',
+        fecha_vencimiento: new Date('2025-12-31T00:00:00Z'), id_vacuna: VACCINE, vacuna: 'Pentavalente',
+        fabricante: 'Acme', codigo_cvx: '102', id_centro: CENTER, nombre_centro: 'Centro Norte',
+      }],
+    }],
+  ]);
+
+  test('returns the complete history as RSP^K11', async () => {
+    const db = fakePool(qbpState([patient]));
+    const res = await send([QBP, QPD], { national: false, id_centro: CENTER });
+    expect(res.status).toBe(200);
+    expect(segment(res, 'MSH')[8]).toBe('RSP^K11^RSP_K11');
+    expect(segment(res, 'MSA')).toEqual(['MSA', 'AA', 'Q0001']);
+    expect(segment(res, 'QAK')).toEqual(['QAK', 'TAG-1', 'OK']);
+    expect(segment(res, 'PID')[3]).toBe('001-0000001-1^^^^NI');
+    expect(segment(res, 'PID')[5]).toBe('María Pérez^Ana');
+    expect(segment(res, 'NK1')[3]).toBe('MTH^Mother^HL70063');
+    const rxa = segment(res, 'RXA');
+    expect(rxa[3]).toBe('20240301100000');
+    expect(rxa[5]).toBe('102^Pentavalente^CVX');
+    expect(rxa[15]).toBe('L-100');
+    expect(segment(res, 'OBX')[5]).toBe('2');
+    expect(db.calls[0].inputs.scope_id_centro).toBe(CENTER);
+  });
+
+  test('reports NF when no patient matches the identifiers and birth date', async () => {
+    fakePool(qbpState([{ ...patient, fecha_nacimiento: new Date('2020-05-05T00:00:00Z') }]));
+    const res = await send([QBP, QPD]);
+    expect(segment(res, 'QAK')).toEqual(['QAK', 'TAG-1', 'NF']);
+    expect(segment(res, 'PID')).toBeUndefined();
+  });
+});
+
+describe('other messages', () => {
+  test('unsupported message types are rejected with AR', async () => {
+    fakePool();
+    const res = await send(['MSH|^~\\&|EHR|HOSPITAL|||20240301100000||ADT^A01^ADT_A01|A1|P|2.5.1', 'PID|1']);
+    expect(segment(res, 'MSA')).toEqual(['MSA', 'AR', 'A1']);
+    expect(segment(res, 'ERR')[3]).toBe('200^Unsupported message type^HL70357');
+  });
+
+  test('bodies that are not HL7 are a 400', async () => {
+    fakePool();
+    const res = await request(app()).post('/api/hl7').set('Content-Type', 'text/plain').send('hola');
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,89 @@
+const express = require('express');
+const request = require('supertest');
+const { Writable } = require('stream');
+const winston = require('winston');
+const logger = require('../config/logger');
+const requestId = require('../middleware/requestId');
+
+// Transporte en memoria para inspeccionar las líneas ya formateadas
+const memoryTransport = () => {
+  const lines = [];
+  const stream = new Writable({
+    objectMode: true,
+    write(info, encoding, callback) {
+      lines.push(info);
+      callback();
+    },
+  });
+  return Object.assign(new winston.transports.Stream({ stream }), { lines });
+};
+
+describe('Logger', () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = memoryTransport();
+    logger.add(transport);
+  });
+
+  afterEach(() => {
+    logger.remove(transport);
+  });
+
+  test('redacts sensitive fields at any depth', () => {
+    logger.warn('login', {
+      body: { username: 'ana', password: 'S3cret!', tutor: { identificacion: '001-1234567-8', nombre: 'Ana' } },
+      Authorization: 'Bearer abc',
+    });
+    const [line] = transport.lines;
+    expect(line.body.username).toBe('ana');
+    expect(line.body.password).toBe('[REDACTED]');
+    expect(line.body.tutor.identificacion).toBe('[REDACTED]');
+    expect(line.body.tutor.nombre).toBe('Ana');
+    expect(line.Authorization).toBe('[REDACTED]');
+  });
+
+  test('redacts rejected values in validation errors', () => {
+    logger.warn('Validación fallida', {
+      errors: [
+        { type: 'field', path: 'password', value: 'short', msg: 'Password too short' },
+        { type: 'field', path: 'username', value: 'ana', msg: 'Username taken' },
+      ],
+    });
+    const [line] = transport.lines;
+    expect(line.errors[0].value).toBe('[REDACTED]');
+    expect(line.errors[1].value).toBe('ana');
+  });
+
+  test('does not mutate the logged objects', () => {
+    const body = { password: 'S3cret!' };
+    logger.warn('login', { body });
+    expect(body.password).toBe('S3cret!');
+  });
+
+  test('tags every line written during a request with its request ID', async () => {
+    const app = express();
+    app.use(requestId);
+    app.get('/ping', async (req, res) => {
+      await new Promise(resolve => setImmediate(resolve));
+      logger.warn('inside handler');
+      res.json({ id: req.id });
+    });
+
+    const res = await request(app).get('/ping');
+    expect(res.headers['x-request-id']).toBe(res.body.id);
+    expect(transport.lines[0].requestId).toBe(res.body.id);
+  });
+
+  test('reuses a valid incoming X-Request-Id and replaces an invalid one', async () => {
+    const app = express();
+    app.use(requestId);
+    app.get('/ping', (req, res) => res.json({ id: req.id }));
+
+    const kept = await request(app).get('/ping').set('X-Request-Id', 'gateway-123');
+    expect(kept.headers['x-request-id']).toBe('gateway-123');
+
+    const replaced = await request(app).get('/ping').set('X-Request-Id', 'bad id; forged');
+    expect(replaced.headers['x-request-id']).not.toContain('forged');
+  });
+});
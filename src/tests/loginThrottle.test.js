@@ -0,0 +1,83 @@
+const loginThrottle = require('../services/loginThrottle');
+
+describe('Login throttle', () => {
+  test('applies a progressive delay between failed attempts', () => {
+    const now = Date.now();
+    loginThrottle.recordFailure('delay-user', '10.0.0.1', now);
+    const first = loginThrottle.check('delay-user', '10.0.0.1', now + 10);
+    expect(first).toMatchObject({ allowed: false, reason: 'throttled' });
+
+    loginThrottle.recordFailure('delay-user', '10.0.0.1', now + 5000);
+    const second = loginThrottle.check('delay-user', '10.0.0.1', now + 5010);
+    expect(second.retryAfterMs).toBeGreaterThan(first.retryAfterMs);
+  });
+
+  test('locks the account after the maximum number of failures', () => {
+    let now = Date.now();
+    let outcome;
+    for (let i = 0; i < loginThrottle.MAX_ATTEMPTS_PER_USER; i += 1) {
+      now += 60 * 1000;
+      outcome = loginThrottle.recordFailure('lock-user', `10.0.1.${i}`, now);
+    }
+    expect(outcome.userLocked).toBe(true);
+    expect(loginThrottle.check('lock-user', '10.0.2.1', now + 60 * 1000)).toMatchObject({
+      allowed: false,
+      reason: 'locked',
+      scope: 'user',
+    });
+  });
+
+  test('unlock clears the lockout for the username', () => {
+    let now = Date.now();
+    for (let i = 0; i < loginThrottle.MAX_ATTEMPTS_PER_USER; i += 1) {
+      now += 60 * 1000;
+      loginThrottle.recordFailure('Unlock-User', `10.0.3.${i}`, now);
+    }
+    expect(loginThrottle.unlock('unlock-user')).toMatchObject({ user: true });
+    expect(loginThrottle.check('unlock-user', '10.0.4.1', now)).toEqual({ allowed: true });
+  });
+
+  test('unlock also clears the failures the account made from its IPs', () => {
+    const now = Date.now();
+    loginThrottle.recordFailure('solo-user', '10.0.6.1', now);
+    loginThrottle.recordFailure('solo-user', '10.0.6.1', now + 60 * 1000);
+
+    expect(loginThrottle.unlock('Solo-User')).toEqual({ user: true, ips: ['10.0.6.1'] });
+    expect(loginThrottle.check('other-user', '10.0.6.1', now + 60 * 1000)).toEqual({ allowed: true });
+  });
+
+  test('unlock keeps the failures other accounts made from a shared IP', () => {
+    let now = Date.now();
+    let outcome;
+    for (let i = 0; i < loginThrottle.MAX_ATTEMPTS_PER_IP; i += 1) {
+      now += 60 * 1000;
+      outcome = loginThrottle.recordFailure(`ip-user-${i}`, '10.0.5.1', now);
+    }
+    expect(outcome.ipLocked).toBe(true);
+    expect(loginThrottle.check('ip-user-0', '10.0.5.1', now)).toMatchObject({ reason: 'locked', scope: 'ip' });
+
+    expect(loginThrottle.unlock('IP-User-0')).toEqual({ user: true, ips: ['10.0.5.1'] });
+    // Below the maximum again, so no longer locked, but still throttled by the other accounts' failures
+    expect(loginThrottle.check('other-user', '10.0.5.1', now)).toMatchObject({ allowed: false, reason: 'throttled', scope: 'ip' });
+
+    outcome = loginThrottle.recordFailure('ip-user-0', '10.0.5.1', now + 10 * 60 * 1000);
+    expect(outcome.ipFailures).toBe(loginThrottle.MAX_ATTEMPTS_PER_IP);
+    expect(outcome.ipLocked).toBe(true);
+  });
+
+  test('drops the least recently failed entries beyond the cap', () => {
+    process.env.LOGIN_THROTTLE_MAX_ENTRIES = '2';
+    jest.isolateModules(() => {
+      const capped = require('../services/loginThrottle');
+      const now = Date.now();
+      capped.recordFailure('cap-a', '10.0.7.1', now);
+      capped.recordFailure('cap-b', '10.0.7.2', now + 1);
+      capped.recordFailure('cap-a', '10.0.7.1', now + 2);
+      capped.recordFailure('cap-c', '10.0.7.3', now + 3);
+
+      expect(capped.check('cap-b', '10.0.7.2', now + 4)).toEqual({ allowed: true });
+      expect(capped.check('cap-a', '10.0.7.1', now + 4)).toMatchObject({ allowed: false });
+    });
+    delete process.env.LOGIN_THROTTLE_MAX_ENTRIES;
+  });
+});
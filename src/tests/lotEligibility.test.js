@@ -0,0 +1,167 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+jest.mock('../services/audit', () => ({ registrarAuditoria: jest.fn() }));
+jest.mock('../services/transaction', () => require('./fixtures').transactionMock);
+
+const request = require('supertest');
+const { fakePool, respondTo, currentPool, buildApp } = require('./fixtures');
+const vaccinationHistoryRouter = require('../routes/vaccinationHistory');
+const vaccineLotsRouter = require('../routes/vaccineLots');
+const { registrarAuditoria } = require('../services/audit');
+
+const CENTER = '3031019A-8658-4567-B284-D610A8AC7767';
+const OTHER_CENTER = '9B1DEB4D-3B7D-4BAD-9BDD-2B0D7B3DCB6D';
+const PATIENT = '11111111-1111-4111-8111-111111111111';
+const HISTORY = '33333333-3333-4333-8333-333333333333';
+const LOT = '44444444-4444-4444-8444-444444444444';
+const VACCINE = '55555555-5555-4555-8555-555555555555';
+const OTHER_VACCINE = '88888888-8888-4888-8888-888888888888';
+const EXCEPTION = '66666666-6666-4666-8666-666666666666';
+const USER = '77777777-7777-4777-8777-777777777777';
+
+const app = (rol = 'doctor') => buildApp({ '/api/vaccination-history': vaccinationHistoryRouter, '/api/vaccine-lots': vaccineLotsRouter }, { user: { id_usuario: USER, rol } });
+
+const LOT_ROW = {
+  numero_lote: 'L-100',
+  id_vacuna: VACCINE,
+  id_centro: CENTER,
+  fecha_vencimiento: new Date('2024-12-31'),
+  en_cuarentena: false,
+  motivo_cuarentena: null,
+  fecha_cuarentena: null,
+  vacuna: 'BCG',
+};
+
+// La dosis 1 cumple siempre el esquema: solo se valida el lote
+const SCHEDULE_CHECK = [
+  [{ fecha_nacimiento: new Date('2024-01-01') }],
+  [{ id_vacuna: VACCINE, nombre: 'BCG', dosis_requeridas: 1 }],
+  [{ orden_dosis: 1, edad_minima_dias: 0, intervalo_minimo_dias: null }],
+  [],
+];
+
+const lotState = (lot = {}) => respondTo([
+  ['SELECT fecha_nacimiento FROM Niños', { recordsets: SCHEDULE_CHECK }],
+  ['FROM Lotes_Vacunas l INNER JOIN Vacunas v', { recordset: [{ ...LOT_ROW, ...lot }] }],
+  ['SELECT id_centro, numero_lote, en_cuarentena FROM Lotes_Vacunas', { recordset: [{ ...LOT_ROW, ...lot }] }],
+  ['SELECT id_centro FROM Lotes_Vacunas', { recordset: [{ id_centro: CENTER }] }],
+  ['sp_RegistrarVacunacion_Alterna', { recordset: [{ id_historial: HISTORY }] }],
+  ['INSERT INTO Excepciones_Vacunacion', { recordset: [{ id_excepcion: EXCEPTION }] }],
+]);
+
+const dose = (overrides = {}) => ({
+  id_niño: PATIENT,
+  id_lote: LOT,
+  id_usuario: USER,
+  fecha_vacunacion: '2024-06-01',
+  dosis_aplicada: 1,
+  ...overrides,
+});
+
+const EMERGENCY = { justificacion: 'Brote activo y sin otro lote disponible en la zona' };
+
+const registered = () => currentPool().executed('sp_RegistrarVacunacion_Alterna').length > 0;
+
+beforeEach(() => {
+  registrarAuditoria.mockClear();
+});
+
+describe('POST /api/vaccination-history (elegibilidad del lote)', () => {
+  it('registra la dosis con un lote vigente del mismo centro', async () => {
+    fakePool(lotState());
+    const response = await request(app()).post('/api/vaccination-history').send(dose({ id_centro: CENTER.toLowerCase() }));
+
+    expect(response.status).toBe(201);
+    expect(response.body.uso_emergencia).toBeUndefined();
+  });
+
+  it.each([
+    ['LOTE_VENCIDO', {}, { fecha_vacunacion: '2025-01-01' }],
+    ['LOTE_EN_CUARENTENA', { en_cuarentena: true, motivo_cuarentena: 'Cadena de frío', fecha_cuarentena: new Date('2024-05-01') }, {}],
+    ['LOTE_OTRO_CENTRO', {}, { id_centro: OTHER_CENTER }],
+    ['LOTE_VACUNA_DISTINTA', {}, { id_vacuna: OTHER_VACCINE }],
+  ])('rechaza con el código %s', async (codigo, lot, body) => {
+    fakePool(lotState(lot));
+    const response = await request(app()).post('/api/vaccination-history').send(dose(body));
+
+    expect(response.status).toBe(409);
+    expect(response.body.data.codigo).toBe(codigo);
+    expect(response.body.data.problemas.map(problema => problema.codigo)).toEqual([codigo]);
+    expect(registered()).toBe(false);
+  });
+
+  it('acepta una dosis aplicada antes de la cuarentena del lote', async () => {
+    fakePool(lotState({ en_cuarentena: true, fecha_cuarentena: new Date('2024-07-01') }));
+    const response = await request(app()).post('/api/vaccination-history').send(dose());
+
+    expect(response.status).toBe(201);
+  });
+
+  it('impide que un doctor autorice el uso de emergencia', async () => {
+    fakePool(lotState());
+    const response = await request(app('doctor'))
+      .post('/api/vaccination-history')
+      .send(dose({ fecha_vacunacion: '2025-01-01', uso_emergencia: EMERGENCY }));
+
+    expect(response.status).toBe(403);
+    expect(registered()).toBe(false);
+  });
+
+  it('registra y audita el uso de emergencia autorizado por un director', async () => {
+    const db = fakePool(lotState());
+    const response = await request(app('director'))
+      .post('/api/vaccination-history')
+      .send(dose({ fecha_vacunacion: '2025-01-01', id_centro: OTHER_CENTER, uso_emergencia: EMERGENCY }));
+
+    expect(response.status).toBe(201);
+    expect(response.body.uso_emergencia.id_excepcion).toBe(EXCEPTION);
+    expect(response.body.uso_emergencia.problemas.map(problema => problema.codigo)).toEqual(['LOTE_VENCIDO', 'LOTE_OTRO_CENTRO']);
+    const insert = db.queried('INSERT INTO Excepciones_Vacunacion')[0];
+    expect(insert.inputs).toMatchObject({ id_historial: HISTORY, tipo: 'Lote', justificacion: EMERGENCY.justificacion });
+    expect(registrarAuditoria).toHaveBeenCalledWith(expect.objectContaining({
+      tabla_afectada: 'Excepciones_Vacunacion',
+      id_registro: EXCEPTION,
+    }));
+  });
+
+  it('no admite uso de emergencia con un lote de otra vacuna', async () => {
+    fakePool(lotState());
+    const response = await request(app('director'))
+      .post('/api/vaccination-history')
+      .send(dose({ id_vacuna: OTHER_VACCINE, fecha_vacunacion: '2025-01-01', uso_emergencia: EMERGENCY }));
+
+    expect(response.status).toBe(409);
+    expect(response.body.data.codigo).toBe('LOTE_VACUNA_DISTINTA');
+  });
+});
+
+describe('Cuarentena de lotes', () => {
+  it('pone un lote en cuarentena y lo audita', async () => {
+    const db = fakePool(lotState());
+    const response = await request(app('responsable'))
+      .post(`/api/vaccine-lots/${LOT}/quarantine`)
+      .send({ motivo: 'Ruptura de la cadena de frío' });
+
+    expect(response.status).toBe(204);
+    const update = db.queried('SET en_cuarentena = 1')[0];
+    expect(update.inputs.motivo).toBe('Ruptura de la cadena de frío');
+    expect(registrarAuditoria).toHaveBeenCalledWith(expect.objectContaining({ tabla_afectada: 'Lotes_Vacunas', id_registro: LOT }));
+  });
+
+  it('rechaza poner en cuarentena un lote que ya lo está y liberar uno que no lo está', async () => {
+    fakePool(lotState({ en_cuarentena: true }));
+    const quarantine = await request(app()).post(`/api/vaccine-lots/${LOT}/quarantine`).send({ motivo: 'Revisión de calidad' });
+    expect(quarantine.status).toBe(409);
+
+    fakePool(lotState());
+    const release = await request(app()).post(`/api/vaccine-lots/${LOT}/release`);
+    expect(release.status).toBe(409);
+  });
+
+  it('libera un lote en cuarentena', async () => {
+    const db = fakePool(lotState({ en_cuarentena: true }));
+    const response = await request(app('director')).post(`/api/vaccine-lots/${LOT}/release`);
+
+    expect(response.status).toBe(204);
+    expect(db.queried('SET en_cuarentena = 0')).toHaveLength(1);
+  });
+});
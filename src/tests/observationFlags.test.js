@@ -0,0 +1,134 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+jest.mock('../services/audit', () => ({ registrarAuditoria: jest.fn() }));
+jest.mock('../services/transaction', () => require('./fixtures').transactionMock);
+
+const request = require('supertest');
+const { fakePool, respondTo, currentPool, buildApp } = require('./fixtures');
+const vaccinationHistoryRouter = require('../routes/vaccinationHistory');
+const observationRulesRouter = require('../routes/observationRules');
+const { matchRules } = require('../services/observationFlags');
+const { registrarAuditoria } = require('../services/audit');
+
+const CENTER = '3031019A-8658-4567-B284-D610A8AC7767';
+const PATIENT = '11111111-1111-4111-8111-111111111111';
+const HISTORY = '33333333-3333-4333-8333-333333333333';
+const LOT = '44444444-4444-4444-8444-444444444444';
+const VACCINE = '55555555-5555-4555-8555-555555555555';
+const INCIDENT = '66666666-6666-4666-8666-666666666666';
+const RULE = '99999999-9999-4999-8999-999999999999';
+const USER = '77777777-7777-4777-8777-777777777777';
+
+const app = () => buildApp({ '/api/vaccination-history': vaccinationHistoryRouter, '/api/observation-rules': observationRulesRouter }, { user: { id_usuario: USER, rol: 'administrador' } });
+
+const RULES = [
+  { id_regla: RULE, patron: 'herida', descripcion: 'Lesión durante la aplicación' },
+  { id_regla: RULE, patron: 'ojo', descripcion: null },
+];
+
+const doseState = ({ stored = null } = {}) => respondTo([
+  ['FROM Reglas_Observaciones', { recordset: RULES }],
+  ['SELECT fecha_nacimiento FROM Niños', {
+    recordsets: [
+      [{ fecha_nacimiento: new Date('2024-01-01') }],
+      [{ id_vacuna: VACCINE, nombre: 'BCG', dosis_requeridas: 1 }],
+      [{ orden_dosis: 1, edad_minima_dias: 0, intervalo_minimo_dias: null }],
+      [],
+    ],
+  }],
+  ['SELECT id_centro FROM Lotes_Vacunas', { recordset: [{ id_centro: CENTER }] }],
+  ['UPDATE Historial_Vacunacion_Alterna', { recordset: [{ version: 2 }] }],
+  ['FROM Historial_Vacunacion_Alterna h', { recordset: [{ id_centro: CENTER, observaciones: stored }] }],
+  ['sp_RegistrarVacunacion_Alterna', { recordset: [{ id_historial: HISTORY }] }],
+  ['sp_RegistrarIncidente', { recordset: [{ id_incidente: INCIDENT }] }],
+]);
+
+const dose = (observaciones) => ({
+  id_niño: PATIENT,
+  id_lote: LOT,
+  id_usuario: USER,
+  fecha_vacunacion: '2024-06-01',
+  dosis_aplicada: 1,
+  observaciones,
+});
+
+const incidentCall = () => currentPool().executed('sp_RegistrarIncidente')[0];
+
+beforeEach(() => {
+  registrarAuditoria.mockClear();
+});
+
+describe('matchRules', () => {
+  it('compara palabras completas sin distinguir mayúsculas ni tildes', () => {
+    expect(matchRules(RULES, 'Enrojecimiento, rojo en la zona')).toEqual([]);
+    expect(matchRules(RULES, 'Aplicada cerca del OJO.').map(rule => rule.patron)).toEqual(['ojo']);
+    expect(matchRules([{ patron: 'reacción alérgica' }], 'Reaccion  alergica leve')).toHaveLength(1);
+    expect(matchRules(RULES, null)).toEqual([]);
+  });
+});
+
+describe('Observaciones marcadas en el historial de vacunación', () => {
+  it('registra la dosis y abre un incidente vinculado', async () => {
+    fakePool(doseState());
+    const response = await request(app()).post('/api/vaccination-history').send(dose('Herida leve en el brazo'));
+
+    expect(response.status).toBe(201);
+    expect(response.body.incidente).toEqual({ id_incidente: INCIDENT, reglas: ['herida'] });
+    expect(incidentCall().inputs.id_historial).toBe(HISTORY);
+    expect(incidentCall().inputs.descripcion).toContain('Lesión durante la aplicación');
+    expect(incidentCall().inputs.descripcion).toContain('Herida leve en el brazo');
+  });
+
+  it('no abre incidentes para observaciones sin coincidencias', async () => {
+    fakePool(doseState());
+    const response = await request(app()).post('/api/vaccination-history').send(dose('Enrojecimiento leve, sin error de técnica'));
+
+    expect(response.status).toBe(201);
+    expect(response.body.incidente).toBeUndefined();
+    expect(incidentCall()).toBeUndefined();
+  });
+
+  it('al actualizar solo marca observaciones que cambian', async () => {
+    fakePool(doseState({ stored: 'Herida leve en el brazo' }));
+    const unchanged = await request(app()).put(`/api/vaccination-history/${HISTORY}`).send({ ...dose('Herida leve en el brazo'), motivo: 'Se corrige el lote' });
+    expect(unchanged.status).toBe(200);
+    expect(unchanged.body.incidente).toBeUndefined();
+    expect(incidentCall()).toBeUndefined();
+
+    fakePool(doseState({ stored: 'Sin novedad' }));
+    const changed = await request(app()).put(`/api/vaccination-history/${HISTORY}`).send({ ...dose('Se aplicó cerca del ojo'), motivo: 'Se completan las observaciones' });
+    expect(changed.status).toBe(200);
+    expect(changed.body.incidente.reglas).toHaveLength(1);
+    expect(incidentCall().inputs.id_historial).toBe(HISTORY);
+  });
+});
+
+describe('/api/observation-rules', () => {
+  it('crea una regla y la audita', async () => {
+    const db = fakePool(text => (text.includes('INSERT INTO Reglas_Observaciones') ? { recordset: [{ id_regla: RULE }] } : {}));
+    const response = await request(app()).post('/api/observation-rules').send({ patron: 'reacción alérgica', descripcion: 'Posible evento adverso' });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toEqual({ id_regla: RULE });
+    const insert = db.calls[0];
+    expect(insert.inputs).toMatchObject({ patron: 'reacción alérgica', activa: true });
+    expect(registrarAuditoria).toHaveBeenCalledWith(expect.objectContaining({ tabla_afectada: 'Reglas_Observaciones', accion: 'INSERT' }));
+  });
+
+  it('desactiva una regla y responde 404 si no existe', async () => {
+    fakePool(() => ({ rowsAffected: [1] }));
+    const updated = await request(app()).put(`/api/observation-rules/${RULE}`).send({ patron: 'ojo', activa: false });
+    expect(updated.status).toBe(204);
+    expect(currentPool().calls[0].inputs.activa).toBe(false);
+
+    fakePool();
+    const missing = await request(app()).delete(`/api/observation-rules/${RULE}`);
+    expect(missing.status).toBe(404);
+  });
+
+  it('rechaza un patrón vacío', async () => {
+    fakePool();
+    const response = await request(app()).post('/api/observation-rules').send({ patron: ' ' });
+
+    expect(response.status).toBe(400);
+  });
+});
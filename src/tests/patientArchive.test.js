@@ -0,0 +1,155 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+jest.mock('../services/audit', () => ({ registrarAuditoria: jest.fn() }));
+jest.mock('../services/transaction', () => require('./fixtures').transactionMock);
+
+const request = require('supertest');
+const { fakePool, respondTo, currentPool, buildApp } = require('./fixtures');
+const patientRouter = require('../routes/patient');
+const { registrarAuditoria } = require('../services/audit');
+
+const CENTER = '3031019A-8658-4567-B284-D610A8AC7767';
+const OTHER_CENTER = '9B1DEB4D-3B7D-4BAD-9BDD-2B0D7B3DCB6D';
+const PATIENT = '11111111-1111-4111-8111-111111111111';
+const ARCHIVE = '66666666-6666-4666-8666-666666666666';
+
+const app = scope => buildApp({ '/api/patients': patientRouter }, { user: { id_usuario: 'u1', rol: 'director' }, scope });
+
+const patientState = ({ center = CENTER, archived = null } = {}) => respondTo([
+  ['FROM Niños WITH (UPDLOCK)', { recordset: center ? [{ id_niño: PATIENT, id_centro_salud: center, id_archivo: archived }] : [] }],
+  ['INSERT INTO Archivos_Pacientes', { recordset: [{ id_archivo: ARCHIVE, fecha_archivo: '2025-05-01T10:00:00.000Z', fecha_purga: '2035-04-29T10:00:00.000Z' }] }],
+  ['UPDATE Niños SET id_archivo = @id_archivo', { rowsAffected: [1, 4, 2, 1] }],
+]);
+
+const archive = (body, scope) =>
+  request(app(scope)).delete(`/api/patients/${PATIENT}`).send({ motivo: 'Registro creado por error', ...body });
+
+describe('DELETE /api/patients/:id archives instead of deleting', () => {
+  beforeEach(() => registrarAuditoria.mockClear());
+
+  test('archives the patient with its related records and the retention date', async () => {
+    const db = fakePool(patientState());
+    const res = await archive({}, { national: false, id_centro: CENTER });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      id_archivo: ARCHIVE, id_paciente: PATIENT, fecha_purga: '2035-04-29T10:00:00.000Z',
+      registros: { historial: 4, tutores: 2, citas: 1 },
+    });
+    const insert = db.queried('INSERT INTO Archivos_Pacientes')[0];
+    expect(insert.inputs).toMatchObject({ motivo: 'Registro creado por error', id_usuario: 'u1', dias: 3650, edad_minima: 18 });
+    expect(db.executed('sp_EliminarNiño')).toHaveLength(0);
+    expect(registrarAuditoria).toHaveBeenCalledWith(expect.objectContaining({ tabla_afectada: 'Niños', id_registro: PATIENT, accion: 'DELETE' }));
+  });
+
+  test('the retention policy comes from the environment', async () => {
+    process.env.PATIENT_RETENTION_DAYS = '30';
+    process.env.PATIENT_RETENTION_MIN_AGE = '21';
+    try {
+      const db = fakePool(patientState());
+      expect((await archive({})).status).toBe(200);
+      const insert = db.queried('INSERT INTO Archivos_Pacientes')[0];
+      expect(insert.inputs).toMatchObject({ dias: 30, edad_minima: 21 });
+    } finally {
+      delete process.env.PATIENT_RETENTION_DAYS;
+      delete process.env.PATIENT_RETENTION_MIN_AGE;
+    }
+  });
+
+  test('requires a reason and rejects patients already archived or from another center', async () => {
+    fakePool(patientState());
+    expect((await archive({ motivo: '' })).status).toBe(400);
+
+    fakePool(patientState({ archived: ARCHIVE }));
+    expect((await archive({})).status).toBe(409);
+
+    fakePool(patientState({ center: OTHER_CENTER }));
+    expect((await archive({}, { national: false, id_centro: CENTER })).status).toBe(403);
+
+    fakePool(patientState({ center: null }));
+    expect((await archive({})).status).toBe(404);
+    expect(currentPool().queried('INSERT INTO Archivos_Pacientes')).toHaveLength(0);
+  });
+});
+
+describe('POST /api/patients/:id/restore', () => {
+  test('restores only the records archived with the patient', async () => {
+    const db = fakePool(patientState({ archived: ARCHIVE }));
+    const res = await request(app()).post(`/api/patients/${PATIENT}/restore`);
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ id_archivo: ARCHIVE, id_paciente: PATIENT });
+    const restore = db.queried("SET estado = 'Restaurado'")[0];
+    expect(restore.inputs.id_archivo).toBe(ARCHIVE);
+    expect(restore.text).toContain('UPDATE Citas SET id_archivo = NULL WHERE id_archivo = @id_archivo');
+  });
+
+  test('returns 409 when the patient is not archived', async () => {
+    fakePool(patientState());
+    expect((await request(app()).post(`/api/patients/${PATIENT}/restore`)).status).toBe(409);
+  });
+});
+
+describe('archived patients in listings', () => {
+  const searchState = (text) => (text.includes('SELECT COUNT(*) AS total') ? { recordsets: [[{ total: 0 }], []] } : {});
+
+  test('the patient search hides archived patients unless asked', async () => {
+    fakePool(searchState);
+    expect((await request(app()).get('/api/patients')).status).toBe(200);
+    expect(currentPool().calls[0].text).toContain('n.id_archivo IS NULL');
+
+    fakePool(searchState);
+    expect((await request(app()).get('/api/patients?incluir_archivados=true')).status).toBe(200);
+    expect(currentPool().calls[0].text).not.toContain('n.id_archivo IS NULL');
+  });
+
+  test('only management roles may include archived patients in the search', async () => {
+    const db = fakePool(searchState);
+    const doctor = buildApp({ '/api/patients': patientRouter }, { user: { id_usuario: 'u2', rol: 'doctor' } });
+    const res = await request(doctor).get('/api/patients?incluir_archivados=true');
+    expect(res.status).toBe(403);
+    expect(db.calls).toHaveLength(0);
+  });
+
+  test('GET /archived lists archived patients within the caller center', async () => {
+    const db = fakePool(text => (text.includes('FROM Archivos_Pacientes')
+      ? { recordset: [{ id_archivo: ARCHIVE, id_paciente: PATIENT, purgable: false }] }
+      : {}));
+    const res = await request(app({ national: false, id_centro: CENTER })).get('/api/patients/archived');
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    expect(db.calls[0].inputs.scope_id_centro).toBe(CENTER);
+  });
+});
+
+describe('POST /api/patients/purge', () => {
+  const due = [{ id_archivo: ARCHIVE, id_paciente: PATIENT, id_centro_salud: CENTER, fecha_purga: '2024-01-01T00:00:00.000Z' }];
+  const purgeState = (text) => (text.includes('a.fecha_purga <= SYSDATETIME()') ? { recordset: due } : {});
+
+  beforeEach(() => registrarAuditoria.mockClear());
+
+  test('a dry run lists what would be purged without deleting anything', async () => {
+    const db = fakePool(purgeState);
+    const res = await request(app()).post('/api/patients/purge?dry_run=true');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ dry_run: true, total: 1 });
+    expect(db.calls).toHaveLength(1);
+    expect(registrarAuditoria).not.toHaveBeenCalled();
+  });
+
+  test('purges expired archives and keeps the archive record', async () => {
+    const db = fakePool(purgeState);
+    const res = await request(app()).post('/api/patients/purge');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ dry_run: false, total: 1 });
+    const texts = db.calls.map(call => call.text);
+    expect(texts).toContain('sp_EliminarNiño');
+    expect(texts.some(text => text.includes("SET estado = 'Purgado'"))).toBe(true);
+    expect(registrarAuditoria).toHaveBeenCalledWith(expect.objectContaining({ id_registro: PATIENT, accion: 'DELETE' }));
+  });
+
+  test('refuses to purge a patient from another center', async () => {
+    const db = fakePool(purgeState);
+    const res = await request(app({ national: false, id_centro: OTHER_CENTER })).post('/api/patients/purge');
+    expect(res.status).toBe(403);
+    expect(db.executed('sp_EliminarNiño')).toHaveLength(0);
+    expect(registrarAuditoria).not.toHaveBeenCalled();
+  });
+});
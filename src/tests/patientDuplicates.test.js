@@ -0,0 +1,206 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+jest.mock('../services/audit', () => ({ registrarAuditoria: jest.fn() }));
+jest.mock('../services/transaction', () => require('./fixtures').transactionMock);
+
+const request = require('supertest');
+const { fakePool, respondTo, buildApp } = require('./fixtures');
+const patientRouter = require('../routes/patient');
+const { registrarAuditoria } = require('../services/audit');
+const { normalizeName, nameSimilarity, scoreCandidate, MERGE_TABLES } = require('../services/patientDuplicates');
+const { getAllowedRoles, getRequiredScope } = require('../config/permissions');
+
+const CENTER = '3031019A-8658-4567-B284-D610A8AC7767';
+const OTHER_CENTER = '9B1DEB4D-3B7D-4BAD-9BDD-2B0D7B3DCB6D';
+const SURVIVOR = '11111111-1111-4111-8111-111111111111';
+const DUPLICATE = '22222222-2222-4222-8222-222222222222';
+const MERGE_ID = '33333333-3333-4333-8333-333333333333';
+const DOSE = '44444444-4444-4444-8444-444444444444';
+
+const app = scope => buildApp({ '/api/patients': patientRouter }, { user: { id_usuario: 'u1', rol: 'director' }, scope });
+
+describe('duplicate scoring', () => {
+  test('normalizes accents, case and punctuation', () => {
+    expect(normalizeName('  José-Ángel  NÚÑEZ ')).toEqual(['jose', 'angel', 'nunez']);
+  });
+
+  test('name similarity tolerates accents, word order and typos', () => {
+    expect(nameSimilarity('José Núñez', 'jose nunez')).toBe(1);
+    expect(nameSimilarity('Núñez José', 'José Núñez')).toBe(1);
+    expect(nameSimilarity('Maria Fernandez', 'Maria Fernandes')).toBeGreaterThan(0.8);
+    expect(nameSimilarity('Pedro Díaz', 'Lucía Gómez')).toBeLessThan(0.3);
+    expect(nameSimilarity('', 'Pedro')).toBe(0);
+  });
+
+  test('combines identificacion, name, birth date and shared tutor', () => {
+    const full = scoreCandidate({
+      misma_identificacion: 1, tutor_comun: 1,
+      nombre_a: 'José Núñez', nombre_b: 'Jose Nunez',
+      fecha_a: '2020-01-01', fecha_b: '2020-01-01',
+    });
+    expect(full.puntuacion).toBe(1);
+    expect(full.motivos).toEqual(['identificacion', 'nombre', 'fecha_nacimiento', 'tutor']);
+
+    const nearDate = scoreCandidate({
+      misma_identificacion: 0, tutor_comun: 0,
+      nombre_a: 'José Núñez', nombre_b: 'Jose Nunez',
+      fecha_a: '2020-01-01', fecha_b: '2020-01-20',
+    });
+    expect(nearDate.puntuacion).toBe(0.4);
+    expect(nearDate.motivos).toEqual(['nombre']);
+  });
+});
+
+describe('GET /api/patients/duplicates', () => {
+  const row = {
+    id_a: SURVIVOR, id_b: DUPLICATE,
+    nombre_a: 'José Núñez', nombre_b: 'Jose Nunez',
+    fecha_a: new Date('2020-01-01'), fecha_b: new Date('2020-01-01'),
+    centro_a: CENTER, centro_b: CENTER,
+    misma_identificacion: 0, tutor_comun: 1,
+  };
+
+  test('returns scored pairs above the threshold, best first', async () => {
+    const weak = { ...row, id_b: 'p3', nombre_b: 'Lucía Gómez', tutor_comun: 1, fecha_b: new Date('2019-01-01') };
+    fakePool(() => ({ recordset: [weak, row] }));
+    const res = await request(app()).get('/api/patients/duplicates');
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0]).toMatchObject({
+      paciente_a: { id_paciente: SURVIVOR },
+      paciente_b: { id_paciente: DUPLICATE },
+      puntuacion: 0.6,
+      motivos: ['nombre', 'fecha_nacimiento', 'tutor'],
+    });
+  });
+
+  test('limits both patients of a pair to the user center', async () => {
+    const db = fakePool();
+    await request(app({ national: false, id_centro: CENTER })).get(`/api/patients/duplicates?id_paciente=${SURVIVOR}`);
+    const [{ text, inputs }] = db.calls;
+    expect(text).toContain('a.id_centro_salud = @scope_id_centro');
+    expect(text).toContain('b.id_centro_salud = @scope_id_centro');
+    expect(text).toContain('a.id_niño = @id_paciente');
+    expect(inputs.scope_id_centro).toBe(CENTER);
+  });
+
+  test('rejects an out-of-range threshold', async () => {
+    const res = await request(app()).get('/api/patients/duplicates?min_score=2');
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/patients/merge', () => {
+  const patients = (centers = {}) => respondTo([
+    ['FROM Niños WITH (UPDLOCK)', (text, inputs) => ({
+      recordset: [{ id_niño: inputs.id_niño, id_centro_salud: centers[inputs.id_niño] || CENTER, estado: 'Activo' }],
+    })],
+    ['INSERT INTO Fusiones_Pacientes (', { recordset: [{ id_fusion: MERGE_ID }] }],
+    ['SELECT id_historial FROM Historial_Vacunacion_Alterna', { recordset: [{ id_historial: DOSE }] }],
+    ['OUTPUT INSERTED.version', { recordset: [{ version: 3 }] }],
+    ['UPDATE Citas', { rowsAffected: [2] }],
+    ['UPDATE Historial_Vacunacion SET', { rowsAffected: [3] }],
+  ]);
+
+  beforeEach(() => registrarAuditoria.mockClear());
+
+  test('moves every related table, deactivates the duplicate and audits', async () => {
+    const db = fakePool(patients());
+    const res = await request(app())
+      .post('/api/patients/merge')
+      .send({ id_superviviente: SURVIVOR, id_duplicado: DUPLICATE, motivo: 'Registro doble' });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id_fusion: MERGE_ID, movidos: { dosis: 4, citas: 2, tutores: 0 } });
+
+    const texts = db.calls.map(call => call.text);
+    MERGE_TABLES.forEach(({ table }) => {
+      expect(texts.some(text => text.includes(`UPDATE ${table} SET id_niño = @id_superviviente`))).toBe(true);
+    });
+    expect(texts.some(text => text.includes('UPDATE Historial_Vacunacion_Alterna SET id_niño = @id_superviviente'))).toBe(false);
+    expect(texts.some(text => text.includes('UPDATE Tutores SET') && text.includes('s.identificacion_hash = Tutores.identificacion_hash'))).toBe(true);
+    expect(texts.some(text => text.includes(`SET estado = 'Inactivo'`))).toBe(true);
+    expect(registrarAuditoria).toHaveBeenCalledWith(expect.objectContaining({
+      tabla_afectada: 'Niños', id_registro: DUPLICATE, accion: 'UPDATE',
+    }));
+  });
+
+  test('moves only valid doses, each as a versioned amendment recorded in the merge', async () => {
+    const db = fakePool(patients());
+    await request(app())
+      .post('/api/patients/merge')
+      .send({ id_superviviente: SURVIVOR, id_duplicado: DUPLICATE });
+
+    expect(db.queried('SELECT id_historial FROM Historial_Vacunacion_Alterna')[0].text).toContain("estado_registro = 'Vigente'");
+    const [move] = db.queried('UPDATE Historial_Vacunacion_Alterna SET id_niño = @id_niño');
+    expect(move.inputs).toMatchObject({ id_historial: DOSE, id_niño: SURVIVOR });
+    const [version] = db.queried('@motivo, @id_usuario_autor');
+    expect(version.inputs).toMatchObject({ id_historial: DOSE, tipo_cambio: 'Enmienda', motivo: `Fusión de pacientes ${MERGE_ID}`, id_usuario_autor: 'u1' });
+    expect(db.queried("VALUES (@id_fusion, 'Historial_Vacunacion_Alterna', @id_historial)")[0].inputs.id_historial).toBe(DOSE);
+  });
+
+  test('refuses to merge a patient into itself', async () => {
+    const res = await request(app())
+      .post('/api/patients/merge')
+      .send({ id_superviviente: SURVIVOR, id_duplicado: SURVIVOR.toUpperCase() });
+    expect(res.status).toBe(400);
+  });
+
+  test('refuses patients from another center before moving anything', async () => {
+    const db = fakePool(patients({ [DUPLICATE]: OTHER_CENTER }));
+    const res = await request(app({ national: false, id_centro: CENTER }))
+      .post('/api/patients/merge')
+      .send({ id_superviviente: SURVIVOR, id_duplicado: DUPLICATE });
+    expect(res.status).toBe(403);
+    expect(db.queried('Fusiones_Pacientes')).toHaveLength(0);
+  });
+});
+
+describe('POST /api/patients/merges/:id/undo', () => {
+  const merge = (overrides = {}) => respondTo([
+    ['FROM Fusiones_Pacientes WITH (UPDLOCK)', {
+      recordset: [{
+        id_fusion: MERGE_ID, id_niño_superviviente: SURVIVOR, id_niño_duplicado: DUPLICATE,
+        estado: 'Aplicada', estado_anterior_duplicado: 'Activo', ...overrides.fusion,
+      }],
+    }],
+    ['WHERE id_niño_duplicado = @id_superviviente', { recordset: overrides.later || [] }],
+    ['FROM Niños WITH (UPDLOCK)', (text, inputs) => ({ recordset: [{ id_niño: inputs.id_niño, id_centro_salud: CENTER }] })],
+    ['FROM Citas t', { rowsAffected: [2] }],
+    ['SELECT h.id_historial', { recordset: [{ id_historial: DOSE }] }],
+    ['OUTPUT INSERTED.version', { recordset: [{ version: 4 }] }],
+  ]);
+
+  test('returns recorded rows to the duplicate and restores its state', async () => {
+    const db = fakePool(merge());
+    const res = await request(app()).post(`/api/patients/merges/${MERGE_ID}/undo`);
+    expect(res.status).toBe(200);
+    expect(res.body.restaurados).toMatchObject({ citas: 2, dosis: 1 });
+    expect(db.queried('UPDATE Historial_Vacunacion_Alterna SET id_niño = @id_niño')[0].inputs).toMatchObject({ id_historial: DOSE, id_niño: DUPLICATE });
+    const last = db.calls[db.calls.length - 1];
+    expect(last.text).toContain(`SET estado = 'Revertida'`);
+    expect(last.inputs.estado_anterior).toBe('Activo');
+  });
+
+  test('rejects a merge that was already undone', async () => {
+    fakePool(merge({ fusion: { estado: 'Revertida' } }));
+    const res = await request(app()).post(`/api/patients/merges/${MERGE_ID}/undo`);
+    expect(res.status).toBe(409);
+  });
+
+  test('rejects undo while the survivor is merged into another patient', async () => {
+    fakePool(merge({ later: [{ 1: 1 }] }));
+    const res = await request(app()).post(`/api/patients/merges/${MERGE_ID}/undo`);
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('merge permissions', () => {
+  test('only management can merge or undo, and never through an API key', () => {
+    expect(getAllowedRoles('/api/patients', 'POST', '/merge')).toEqual(['director', 'administrador']);
+    expect(getAllowedRoles('/api/patients', 'POST', `/merges/${MERGE_ID}/undo`)).toEqual(['director', 'administrador']);
+    expect(getAllowedRoles('/api/patients', 'POST', '/')).toContain('doctor');
+    expect(getRequiredScope('/api/patients', 'POST', '/merge')).toBeNull();
+    expect(getRequiredScope('/api/patients', 'POST', `/merges/${MERGE_ID}/undo`)).toBeNull();
+    expect(getRequiredScope('/api/patients', 'POST', '/')).toBe('patients:write');
+    expect(getRequiredScope('/api/patients', 'GET', '/duplicates')).toBe('patients:read');
+  });
+});
@@ -0,0 +1,117 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+jest.mock('../services/audit', () => ({ registrarAuditoria: jest.fn() }));
+jest.mock('../services/transaction', () => require('./fixtures').transactionMock);
+
+const request = require('supertest');
+const { fakePool, respondTo, buildApp, useEncryptionKeys } = require('./fixtures');
+const patientRouter = require('../routes/patient');
+const { blindIndex } = require('../services/fieldEncryption');
+const { registrarAuditoria } = require('../services/audit');
+
+useEncryptionKeys();
+
+const CENTER = '3031019A-8658-4567-B284-D610A8AC7767';
+const OTHER_CENTER = '9B1DEB4D-3B7D-4BAD-9BDD-2B0D7B3DCB6D';
+
+const app = scope => buildApp({ '/api/patients': patientRouter }, { scope });
+
+const HEADER = 'nombre_completo;identificacion;nacionalidad;pais_nacimiento;fecha_nacimiento;genero;tutor1_nombre;tutor1_relacion;tutor1_nacionalidad';
+const CSV = [
+  HEADER,
+  'Ana Pérez;A-001;Dominicana;República Dominicana;2022-01-15;F;María Pérez;madre;Dominicana',
+  'Luis Gómez;A-002;Dominicano;República Dominicana;fecha;X;;;',
+  'Juan Soto;A-003;Dominicano;República Dominicana;2021-06-01;M;;;',
+  'Juana Soto;A-001;Dominicana;República Dominicana;2021-06-01;F;;;',
+].join('\n');
+
+// Sin identificaciones existentes; cada paciente creado recibe un ID consecutivo
+const importState = (existing = []) => {
+  let created = 0;
+  return respondTo([
+    ['sp_CrearNiño', () => {
+      created += 1;
+      return { recordset: [{ id_niño: `00000000-0000-4000-8000-00000000000${created}` }] };
+    }],
+    ['identificacion_hash IN', { recordset: existing.map(identificacion => ({ identificacion_hash: blindIndex(identificacion) })) }],
+  ]);
+};
+const sendCsv = (csv, query = '', scope) =>
+  request(app(scope)).post(`/api/patients/import${query}`).set('Content-Type', 'text/csv').send(csv);
+
+describe('POST /api/patients/import', () => {
+  beforeEach(() => registrarAuditoria.mockClear());
+
+  test('runs as a dry run by default and reports errors per row', async () => {
+    const db = fakePool(importState());
+    const res = await sendCsv(CSV);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ dry_run: true, total: 4, validas: 2, importadas: 0, creados: [] });
+    const [invalid, repeated] = res.body.errores;
+    expect(invalid.fila).toBe(3);
+    expect(invalid.errores.map(error => error.campo)).toEqual(['fecha_nacimiento', 'genero']);
+    expect(repeated).toMatchObject({ fila: 5, errores: [{ campo: 'identificacion', mensaje: 'Identificación repetida en la fila 2' }] });
+    expect(db.executed('sp_CrearNiño')).toHaveLength(0);
+  });
+
+  test('flags identifications that already exist', async () => {
+    fakePool(importState(['A-003']));
+    const res = await sendCsv(CSV);
+    expect(res.body.validas).toBe(1);
+    expect(res.body.errores.find(row => row.fila === 4).errores).toEqual([
+      { campo: 'identificacion', mensaje: 'Ya existe un paciente con esta identificación' },
+    ]);
+  });
+
+  test('commits only the valid rows, in batches, with the tutors of each row', async () => {
+    const db = fakePool(importState());
+    const res = await sendCsv(CSV, '?dry_run=false&batch_size=1');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ dry_run: false, validas: 2, importadas: 2 });
+    expect(res.body.creados.map(row => row.fila)).toEqual([2, 4]);
+
+    const creates = db.executed('sp_CrearNiño');
+    expect(creates).toHaveLength(2);
+    expect(creates[0].inputs.nombre_completo).toBe('Ana Pérez');
+    expect(creates[0].inputs.tutores.rows[0].slice(0, 3)).toEqual(['María Pérez', 'Madre', 'Dominicana']);
+    expect(creates[1].inputs.tutores.rows).toHaveLength(0);
+    expect(registrarAuditoria).toHaveBeenCalledTimes(2);
+  });
+
+  test('stores the tutor blind index on the tutor row of the new patient, not by ciphertext', async () => {
+    const TUTOR = '22222222-2222-4222-8222-222222222222';
+    const db = fakePool(respondTo([
+      ['FROM Tutores WHERE id_niño', { recordset: [{ id_tutor: TUTOR }] }],
+      ['', importState()],
+    ]));
+    const csv = `${HEADER};tutor1_identificacion;tutor1_tipo_relacion
+Ana Pérez;C-001;Dominicana;República Dominicana;2022-01-15;F;María Pérez;madre;Dominicana;001-0000001-1;Padre1`;
+    await sendCsv(csv, '?dry_run=false');
+
+    const [lookup] = db.queried('FROM Tutores WHERE id_niño');
+    expect(lookup.inputs).toMatchObject({ id_niño: '00000000-0000-4000-8000-000000000001', tipo_relacion: 'Padre1' });
+    const [update] = db.queried('UPDATE [Tutores]');
+    expect(update.inputs.match).toBe(TUTOR);
+    expect(Object.values(update.inputs)).toContain(blindIndex('001-0000001-1'));
+  });
+
+  test('rows outside the caller center are reported, not imported', async () => {
+    const db = fakePool(importState());
+    const csv = `nombre_completo,identificacion,nacionalidad,pais_nacimiento,fecha_nacimiento,genero,id_centro_salud
+Ana Pérez,B-001,Dominicana,República Dominicana,2022-01-15,F,${OTHER_CENTER}
+Juan Soto,B-002,Dominicano,República Dominicana,2021-06-01,M,`;
+    const res = await sendCsv(csv, '?dry_run=false', { national: false, id_centro: CENTER });
+    expect(res.body).toMatchObject({ validas: 1, importadas: 1 });
+    expect(res.body.errores[0]).toMatchObject({ fila: 2, errores: [{ campo: 'id_centro_salud' }] });
+    const create = db.executed('sp_CrearNiño')[0];
+    expect(create.inputs.id_centro_salud).toBe(CENTER);
+  });
+
+  test('rejects unknown columns, empty bodies and malformed CSV', async () => {
+    fakePool(importState());
+    const unknown = await sendCsv('nombre_completo,color\nAna,rojo');
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe('Columnas desconocidas: color');
+    expect((await sendCsv('')).status).toBe(400);
+    expect((await sendCsv('nombre_completo,identificacion\n"Ana,A-1')).status).toBe(400);
+  });
+});
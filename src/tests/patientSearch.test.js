@@ -0,0 +1,65 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+
+const request = require('supertest');
+const { fakePool, buildApp, useEncryptionKeys } = require('./fixtures');
+const patientRouter = require('../routes/patient');
+const { blindIndex } = require('../services/fieldEncryption');
+
+useEncryptionKeys();
+
+const CENTER = '3031019A-8658-4567-B284-D610A8AC7767';
+
+// Devuelve el total y una página de pacientes
+const searchPool = (total, rows) => fakePool(() => ({ recordsets: [[{ total }], rows] }));
+
+const app = scope => buildApp({ '/api/patients': patientRouter }, { scope });
+
+describe('GET /api/patients search', () => {
+  test('returns a page with the total count', async () => {
+    const db = searchPool(120, [{ id_paciente: 'p1', nombre_completo: 'José Núñez', identificacion: 'PD123456', tutores: null }]);
+    const res = await request(app()).get('/api/patients?page=3&limit=10');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ page: 3, limit: 10, total: 120 });
+    expect(res.body.data[0]).toMatchObject({ id_paciente: 'p1', identificacion: 'PD123456', tutores: [] });
+    const [{ text, inputs }] = db.calls;
+    expect(inputs.offset).toBe(20);
+    expect(inputs.limit).toBe(10);
+    expect(text).toContain('ORDER BY n.nombre_completo ASC, n.id_niño');
+  });
+
+  test('matches every name word accent-insensitively and escapes wildcards', async () => {
+    const db = searchPool(0, []);
+    await request(app()).get(`/api/patients?nombre=${encodeURIComponent('nunez 100%')}`);
+    const [{ text, inputs }] = db.calls;
+    expect(text).toContain('n.nombre_completo COLLATE Latin1_General_CI_AI LIKE @nombre_0');
+    expect(inputs.nombre_0).toBe('%nunez%');
+    expect(inputs.nombre_1).toBe('%100[%]%');
+  });
+
+  test('searches encrypted identifiers through the blind index', async () => {
+    const db = searchPool(0, []);
+    await request(app()).get('/api/patients?identificacion=001-1234567-8&tutor_telefono=(809) 555-1234');
+    const [{ text, inputs }] = db.calls;
+    expect(inputs.identificacion_hash).toBe(blindIndex('00112345678'));
+    expect(inputs.tutor_telefono_hash).toBe(blindIndex('809-555-1234'));
+    expect(text).toContain('t.telefono_hash = @tutor_telefono_hash');
+    expect(text).not.toContain('001-1234567-8');
+  });
+
+  test('keeps center-scoped users inside their center', async () => {
+    const db = searchPool(0, []);
+    await request(app({ national: false, id_centro: CENTER })).get('/api/patients?genero=F&sort=fecha_nacimiento&order=desc');
+    const [{ text, inputs }] = db.calls;
+    expect(inputs.scope_id_centro).toBe(CENTER);
+    expect(text).toContain('n.id_centro_salud = @scope_id_centro AND n.genero = @genero');
+    expect(text).toContain('ORDER BY n.fecha_nacimiento DESC');
+  });
+
+  test('rejects unknown sort fields and oversized pages', async () => {
+    const db = searchPool(0, []);
+    const res = await request(app()).get('/api/patients?sort=identificacion&limit=1000');
+    expect(res.status).toBe(400);
+    expect(res.body.data.map(e => e.path).sort()).toEqual(['limit', 'sort']);
+    expect(db.calls).toHaveLength(0);
+  });
+});
@@ -0,0 +1,71 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+jest.mock('../services/audit', () => ({ registrarAuditoria: jest.fn() }));
+
+const request = require('supertest');
+const { fakePool, respondTo, currentPool, buildApp } = require('./fixtures');
+const patientRouter = require('../routes/patient');
+
+const CENTER = '3031019A-8658-4567-B284-D610A8AC7767';
+const OTHER_CENTER = '9B1DEB4D-3B7D-4BAD-9BDD-2B0D7B3DCB6D';
+const PATIENT = '11111111-1111-4111-8111-111111111111';
+
+const EVENTS = [
+  { tipo: 'cita', id_registro: 'c1', fecha: '2025-04-01T09:00:00.000Z', resumen: 'Cita en Centro Los Mina', estado: 'Pendiente', detalles: '{"centro":"Centro Los Mina"}' },
+  { tipo: 'dosis', id_registro: 'h1', fecha: '2025-01-10T00:00:00.000Z', resumen: 'BCG - dosis 1', estado: null, detalles: '{"vacuna":"BCG","dosis_aplicada":1}' },
+];
+
+const app = scope => buildApp({ '/api/patients': patientRouter }, { scope });
+
+const timelineState = ({ center = CENTER, total = 2 } = {}) => respondTo([
+  ['SELECT id_centro_salud FROM [dbo].[Niños]', center ? { recordset: [{ id_centro_salud: center }] } : {}],
+  ['WITH eventos AS', { recordsets: [[{ total }], EVENTS] }],
+]);
+
+const timelineQuery = () => currentPool().queried('WITH eventos AS')[0];
+
+describe('GET /api/patients/:id/timeline', () => {
+  test('returns a page of events with parsed details and the total', async () => {
+    fakePool(timelineState({ total: 12 }));
+    const res = await request(app()).get(`/api/patients/${PATIENT}/timeline?page=2&limit=2`);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ page: 2, limit: 2, total: 12 });
+    expect(res.body.data[1]).toMatchObject({ tipo: 'dosis', detalles: { vacuna: 'BCG', dosis_aplicada: 1 } });
+    const { text, inputs } = timelineQuery();
+    expect(inputs).toMatchObject({ id_niño: PATIENT, offset: 2, limit: 2 });
+    expect(text).toContain('ORDER BY fecha DESC');
+    for (const table of ['Historial_Vacunacion_Alterna', 'Citas', 'Alertas', 'Eventos_Adversos', 'Incidentes', 'Traslados_Pacientes', 'Historial_Tutores']) {
+      expect(text).toContain(`FROM ${table}`);
+    }
+  });
+
+  test('only queries the requested types and dates', async () => {
+    fakePool(timelineState());
+    const res = await request(app())
+      .get(`/api/patients/${PATIENT}/timeline?tipos=dosis,traslado&desde=2025-01-01&hasta=2025-03-31&order=asc`);
+    expect(res.status).toBe(200);
+    const { text, inputs } = timelineQuery();
+    expect(text).toContain('FROM Historial_Vacunacion_Alterna');
+    expect(text).toContain('FROM Traslados_Pacientes');
+    expect(text).not.toContain('FROM Citas');
+    expect(text).not.toContain('FROM Historial_Tutores');
+    expect(text).toContain('ORDER BY fecha ASC');
+    expect(inputs).toMatchObject({ desde: '2025-01-01', hasta: '2025-03-31' });
+  });
+
+  test('rejects unknown types and out-of-range limits', async () => {
+    fakePool(timelineState());
+    expect((await request(app()).get(`/api/patients/${PATIENT}/timeline?tipos=dosis,factura`)).status).toBe(400);
+    expect((await request(app()).get(`/api/patients/${PATIENT}/timeline?limit=500`)).status).toBe(400);
+    expect(timelineQuery()).toBeUndefined();
+  });
+
+  test('returns 404 for an unknown patient and 403 outside the caller center', async () => {
+    fakePool(timelineState({ center: null }));
+    expect((await request(app()).get(`/api/patients/${PATIENT}/timeline`)).status).toBe(404);
+
+    fakePool(timelineState({ center: OTHER_CENTER }));
+    const res = await request(app({ national: false, id_centro: CENTER })).get(`/api/patients/${PATIENT}/timeline`);
+    expect(res.status).toBe(403);
+    expect(timelineQuery()).toBeUndefined();
+  });
+});
@@ -0,0 +1,150 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+jest.mock('../services/audit', () => ({ registrarAuditoria: jest.fn() }));
+jest.mock('../services/transaction', () => ({ withTransaction: jest.fn(require('./fixtures').transactionMock.withTransaction) }));
+
+const request = require('supertest');
+const { fakePool, respondTo, buildApp } = require('./fixtures');
+const patientRouter = require('../routes/patient');
+const reportsRouter = require('../routes/reports');
+const { registrarAuditoria } = require('../services/audit');
+const { withTransaction } = require('../services/transaction');
+
+const CENTER = '3031019A-8658-4567-B284-D610A8AC7767';
+const OTHER_CENTER = '9B1DEB4D-3B7D-4BAD-9BDD-2B0D7B3DCB6D';
+const PATIENT = '11111111-1111-4111-8111-111111111111';
+const TRANSFER = '55555555-5555-4555-8555-555555555555';
+
+const app = scope => buildApp({ '/api/patients': patientRouter, '/api/reports': reportsRouter }, { scope });
+
+const transferState = ({ current = CENTER, destination = { estado: 'Activo' }, last = null } = {}) => respondTo([
+  ['FROM Niños WITH (UPDLOCK)', { recordsets: [[{ id_niño: PATIENT, id_centro_salud: current, estado: 'Activo' }], destination ? [destination] : [], [{ ultima: last }]] }],
+  ['INSERT INTO Traslados_Pacientes', { recordset: [{ id_traslado: TRANSFER }] }],
+  ['UPDATE Citas', { rowsAffected: [2] }],
+]);
+
+const transfer = (body, scope) =>
+  request(app(scope)).post(`/api/patients/${PATIENT}/transfer`).send({ id_centro_destino: OTHER_CENTER, motivo: 'Cambio de domicilio', ...body });
+
+describe('POST /api/patients/:id/transfer', () => {
+  beforeEach(() => registrarAuditoria.mockClear());
+
+  test('records the transfer, moves future appointments and updates the center', async () => {
+    const db = fakePool(transferState());
+    const res = await transfer({ fecha_efectiva: '2025-03-01', trasladar_citas: true }, { national: false, id_centro: CENTER });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({
+      id_traslado: TRANSFER, id_centro_origen: CENTER, id_centro_destino: OTHER_CENTER, fecha_efectiva: '2025-03-01', citas_trasladadas: 2,
+    });
+    const insert = db.queried('INSERT INTO Traslados_Pacientes')[0];
+    expect(insert.inputs).toMatchObject({ id_centro_origen: CENTER, id_centro_destino: OTHER_CENTER, motivo: 'Cambio de domicilio' });
+    const last = db.calls.at(-1);
+    expect(last.text).toContain('UPDATE Niños SET id_centro_salud = @id_centro_destino');
+    expect(last.inputs.citas_trasladadas).toBe(2);
+    expect(registrarAuditoria).toHaveBeenCalledWith(expect.objectContaining({ tabla_afectada: 'Niños', id_registro: PATIENT, accion: 'UPDATE' }));
+  });
+
+  test('leaves appointments alone unless asked', async () => {
+    const db = fakePool(transferState());
+    const res = await transfer({});
+    expect(res.status).toBe(201);
+    expect(res.body.citas_trasladadas).toBe(0);
+    expect(db.queried('UPDATE Citas')).toHaveLength(0);
+  });
+
+  test('requires a reason', async () => {
+    const res = await transfer({ motivo: ' ' });
+    expect(res.status).toBe(400);
+  });
+
+  test('rejects future dates, dates before the last transfer and the current center', async () => {
+    fakePool(transferState());
+    expect((await transfer({ fecha_efectiva: '2999-01-01' })).status).toBe(400);
+
+    fakePool(transferState({ last: new Date('2025-06-01') }));
+    expect((await transfer({ fecha_efectiva: '2025-05-01' })).status).toBe(409);
+
+    fakePool(transferState({ current: OTHER_CENTER.toLowerCase() }));
+    expect((await transfer({})).status).toBe(409);
+
+    fakePool(transferState({ destination: { estado: 'Inactivo' } }));
+    expect((await transfer({})).status).toBe(409);
+
+    fakePool(transferState({ destination: null }));
+    expect((await transfer({})).status).toBe(404);
+  });
+
+  test('only staff of the current center can transfer the child out', async () => {
+    const db = fakePool(transferState({ current: OTHER_CENTER }));
+    const res = await transfer({ id_centro_destino: CENTER }, { national: false, id_centro: CENTER });
+    expect(res.status).toBe(403);
+    expect(db.queried('INSERT INTO Traslados_Pacientes')).toHaveLength(0);
+  });
+});
+
+describe('transfer history', () => {
+  test('a center the child passed through can read the history', async () => {
+    fakePool(respondTo([
+      ['SELECT id_centro_salud FROM [dbo].[Niños]', { recordset: [{ id_centro_salud: OTHER_CENTER }] }],
+      ['FROM Traslados_Pacientes t', { recordset: [{ id_traslado: TRANSFER, id_centro_origen: CENTER, id_centro_destino: OTHER_CENTER }] }],
+    ]));
+    const res = await request(app({ national: false, id_centro: CENTER })).get(`/api/patients/${PATIENT}/transfers`);
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+  });
+
+  test('PUT records a center change as a transfer', async () => {
+    const db = fakePool(respondTo([
+      ['SELECT id_centro_salud, id_archivo FROM [dbo].[Niños]', { recordset: [{ id_centro_salud: CENTER }] }],
+    ]));
+    const res = await request(app()).put(`/api/patients/${PATIENT}`).send({ id_centro_salud: OTHER_CENTER });
+    expect(res.status).toBe(204);
+    const insert = db.queried('INSERT INTO Traslados_Pacientes')[0];
+    expect(insert.inputs).toMatchObject({ id_centro_origen: CENTER, id_centro_destino: OTHER_CENTER });
+  });
+
+  test('PUT updates the patient and records the center change in one transaction', async () => {
+    const db = fakePool(respondTo([
+      ['SELECT id_centro_salud, id_archivo FROM [dbo].[Niños]', { recordset: [{ id_centro_salud: CENTER }] }],
+    ]));
+    let inside = [];
+    withTransaction.mockClear();
+    withTransaction.mockImplementationOnce(async (pool, work) => {
+      const before = db.calls.length;
+      await work(pool);
+      inside = db.calls.slice(before).map(call => call.text);
+    });
+    const res = await request(app()).put(`/api/patients/${PATIENT}`).send({ id_centro_salud: OTHER_CENTER });
+    expect(res.status).toBe(204);
+    expect(withTransaction).toHaveBeenCalledTimes(1);
+    expect(inside).toEqual(['sp_ActualizarNiño', expect.stringContaining('INSERT INTO Traslados_Pacientes')]);
+  });
+
+  test('PUT without a center change records nothing', async () => {
+    const db = fakePool(respondTo([
+      ['SELECT id_centro_salud, id_archivo FROM [dbo].[Niños]', { recordset: [{ id_centro_salud: CENTER }] }],
+    ]));
+    const res = await request(app()).put(`/api/patients/${PATIENT}`).send({ id_centro_salud: CENTER.toLowerCase() });
+    expect(res.status).toBe(204);
+    expect(db.queried('INSERT INTO Traslados_Pacientes')).toHaveLength(0);
+  });
+});
+
+describe('GET /api/reports/coverage/:id', () => {
+  test('attributes children to the center they belonged to on the requested date', async () => {
+    const db = fakePool(respondTo([
+      ['FROM Centros_Vacunacion', { recordset: [{ nombre_centro: 'Centro Los Mina' }] }],
+      ['fn_CentroPacienteEnFecha', { recordset: [{ id_vacuna: 'v1', vacuna: 'BCG', total: 3, vacunados: 2 }] }],
+    ]));
+    const res = await request(app()).get(`/api/reports/coverage/${CENTER}?fecha=2024-12-31`);
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([{ centro: 'Centro Los Mina', fecha: '2024-12-31', id_vacuna: 'v1', vacuna: 'BCG', total: 3, vacunados: 2, porcentaje: 66.67 }]);
+    const query = db.queried('fn_CentroPacienteEnFecha')[0];
+    expect(query.inputs.fecha).toBe('2024-12-31');
+  });
+
+  test('returns 404 for an unknown center and 400 for a bad date', async () => {
+    fakePool();
+    expect((await request(app()).get(`/api/reports/coverage/${CENTER}`)).status).toBe(404);
+    expect((await request(app()).get(`/api/reports/coverage/${CENTER}?fecha=31-12-2024`)).status).toBe(400);
+  });
+});
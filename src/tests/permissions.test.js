@@ -0,0 +1,121 @@
+jest.mock('../config/db', () => ({ sql: require('mssql'), poolPromise: new Promise(() => {}) }));
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const authenticate = require('../middleware/auth');
+const authorize = require('../middleware/permissions');
+const { ROLES, getAllowedRoles, getRequiredScope } = require('../config/permissions');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const buildApp = (resource) => {
+  const app = express();
+  const router = express.Router();
+  router.all('/{*path}', (req, res) => res.status(200).json({ ok: true }));
+  app.use(resource, authenticate, authorize(resource), router);
+  app.use((err, req, res, next) => {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  });
+  return app;
+};
+
+const tokenFor = (rol) =>
+  jwt.sign({ id_usuario: '3031019A-8658-4567-B284-D610A8AC7766', username: rol, rol }, process.env.JWT_SECRET);
+
+describe('Permission matrix', () => {
+  test('rejects requests without a token with 401', async () => {
+    const res = await request(buildApp('/api/patients')).get('/api/patients');
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('rejects requests with an invalid token with 401', async () => {
+    const res = await request(buildApp('/api/patients'))
+      .get('/api/patients')
+      .set('Authorization', 'Bearer not-a-token');
+    expect(res.statusCode).toBe(401);
+  });
+
+  test.each([
+    [ROLES.ADMINISTRADOR, 200],
+    [ROLES.DIRECTOR, 200],
+    [ROLES.DOCTOR, 403],
+    [ROLES.RESPONSABLE, 403],
+    [ROLES.TUTOR, 403],
+  ])('DELETE /api/patients/:id as %s returns %i', async (rol, status) => {
+    const res = await request(buildApp('/api/patients'))
+      .delete('/api/patients/3031019A-8658-4567-B284-D610A8AC7766')
+      .set('Authorization', `Bearer ${tokenFor(rol)}`);
+    expect(res.statusCode).toBe(status);
+  });
+
+  test.each([
+    [ROLES.ADMINISTRADOR, 200],
+    [ROLES.DIRECTOR, 200],
+    [ROLES.DOCTOR, 403],
+    [ROLES.TUTOR, 403],
+  ])('GET /api/users as %s returns %i', async (rol, status) => {
+    const res = await request(buildApp('/api/users'))
+      .get('/api/users')
+      .set('Authorization', `Bearer ${tokenFor(rol)}`);
+    expect(res.statusCode).toBe(status);
+  });
+
+  test('route overrides take precedence over method defaults', async () => {
+    const app = buildApp('/api/users');
+    const res = await request(app)
+      .get('/api/users/3031019A-8658-4567-B284-D610A8AC7766/patients')
+      .set('Authorization', `Bearer ${tokenFor(ROLES.TUTOR)}`);
+    expect(res.statusCode).toBe(200);
+  });
+
+  test.each([
+    [ROLES.TUTOR, 200],
+    [ROLES.DOCTOR, 403],
+    [ROLES.ADMINISTRADOR, 403],
+  ])('GET /api/portal/children as %s returns %i', async (rol, status) => {
+    const res = await request(buildApp('/api/portal'))
+      .get('/api/portal/children')
+      .set('Authorization', `Bearer ${tokenFor(rol)}`);
+    expect(res.statusCode).toBe(status);
+  });
+
+  test.each([
+    ['/api/centers', '/3031019A-8658-4567-B284-D610A8AC7767/patients'],
+    ['/api/vaccines', '/vaccination-pending/3031019A-8658-4567-B284-D610A8AC7767'],
+  ])('tutors cannot read patient data under %s%s', async (resource, path) => {
+    const app = buildApp(resource);
+    const asTutor = await request(app).get(`${resource}${path}`).set('Authorization', `Bearer ${tokenFor(ROLES.TUTOR)}`);
+    const asDoctor = await request(app).get(`${resource}${path}`).set('Authorization', `Bearer ${tokenFor(ROLES.DOCTOR)}`);
+    expect(asTutor.statusCode).toBe(403);
+    expect(asDoctor.statusCode).toBe(200);
+    expect(getAllowedRoles(resource, 'GET', '/')).toContain(ROLES.TUTOR);
+  });
+
+  test('tutors cannot edit clinical data', () => {
+    ['/api/patients', '/api/vaccination-history', '/api/adverse-events'].forEach(resource => {
+      ['POST', 'PUT', 'DELETE'].forEach(method => {
+        expect(getAllowedRoles(resource, method, '/')).not.toContain(ROLES.TUTOR);
+      });
+    });
+  });
+
+  test('unknown resources and methods are denied to every role', () => {
+    expect(getAllowedRoles('/api/unknown', 'GET')).toEqual([]);
+    expect(getAllowedRoles('/api/reports', 'DELETE', '/')).toEqual([]);
+  });
+});
+
+describe('API key scopes', () => {
+  test.each([
+    ['/api/patients', 'POST', '/3031019a-8658-4567-b284-d610a8ac7767/restore'],
+    ['/api/vaccine-lots', 'POST', '/3031019a-8658-4567-b284-d610a8ac7767/release'],
+  ])('%s %s %s is not available to API keys', (resource, method, path) => {
+    expect(getRequiredScope(resource, method, path)).toBeNull();
+  });
+
+  test('the rest of the resource keeps its write scope', () => {
+    expect(getRequiredScope('/api/patients', 'PUT', '/3031019a-8658-4567-b284-d610a8ac7767')).toBe('patients:write');
+    expect(getRequiredScope('/api/vaccine-lots', 'POST', '/')).toBe('lots:write');
+  });
+});
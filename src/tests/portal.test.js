@@ -0,0 +1,42 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+jest.mock('../services/audit', () => ({ registrarAuditoria: jest.fn() }));
+
+const request = require('supertest');
+const { fakePool, respondTo, buildApp } = require('./fixtures');
+const portalRouter = require('../routes/portal');
+
+const CHILD = '11111111-1111-4111-8111-111111111111';
+const ARCHIVED_CHILD = '22222222-2222-4222-8222-222222222222';
+const TUTOR = '77777777-7777-4777-8777-777777777777';
+
+const app = () => buildApp({ '/api/portal': portalRouter }, { user: { id_usuario: TUTOR, rol: 'tutor' } });
+
+// El tutor tiene dos hijos según el procedimiento; el segundo está archivado
+const tutorState = () => respondTo([
+  ['sp_ObtenerPacientesPorUsuario', { recordset: [{ id_niño: CHILD }, { id_niño: ARCHIVED_CHILD }] }],
+  ['WHERE id_archivo IS NOT NULL', { recordset: [{ id_niño: ARCHIVED_CHILD }] }],
+]);
+
+describe('/api/portal with an archived child', () => {
+  it.each([
+    ['get', 'vaccination-history'],
+    ['get', 'appointments'],
+    ['get', 'card.pdf'],
+    ['post', 'appointment-requests'],
+  ])('%s /children/:id/%s answers 403 for the archived child', async (method, path) => {
+    const db = fakePool(tutorState());
+    const response = await request(app())[method](`/api/portal/children/${ARCHIVED_CHILD}/${path}`)
+      .send({ fecha_solicitada: '2099-01-01T10:00:00.000Z' });
+
+    expect(response.status).toBe(403);
+    expect(db.queried('INSERT')).toHaveLength(0);
+  });
+
+  it('lists only the children that are not archived', async () => {
+    const db = fakePool(tutorState());
+    await request(app()).get('/api/portal/children');
+
+    const list = db.queried('STRING_SPLIT(@ids').pop();
+    expect(list.inputs.ids).toBe(CHILD);
+  });
+});
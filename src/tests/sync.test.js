@@ -0,0 +1,197 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+jest.mock('../services/audit', () => ({ registrarAuditoria: jest.fn() }));
+jest.mock('../services/transaction', () => require('./fixtures').transactionMock);
+
+const request = require('supertest');
+const { fakePool, respondTo, buildApp, useEncryptionKeys } = require('./fixtures');
+const syncRouter = require('../routes/sync');
+const { registrarAuditoria } = require('../services/audit');
+
+useEncryptionKeys();
+
+const CENTER = '3031019A-8658-4567-B284-D610A8AC7767';
+const PATIENT = '11111111-1111-4111-8111-111111111111';
+const OTHER_PATIENT = '22222222-2222-4222-8222-222222222222';
+const OTHER_CENTER = '9B1DEB4D-3B7D-4BAD-9BDD-2B0D7B3DCB6D';
+const HISTORY = '33333333-3333-4333-8333-333333333333';
+const LOT = '44444444-4444-4444-8444-444444444444';
+const VACCINE = '55555555-5555-4555-8555-555555555555';
+const SUPPLY = '66666666-6666-4666-8666-666666666666';
+const USAGE = '88888888-8888-4888-8888-888888888888';
+const USER = '77777777-7777-4777-8777-777777777777';
+
+const app = scope => buildApp({ '/api/sync': syncRouter }, { user: { id_usuario: USER, rol: 'doctor' }, scope });
+
+// Los cambios sincronizados se guardan en `applied` y se consultan por clave o por id_cliente
+const syncedChanges = applied => [
+  ['INSERT INTO Sincronizacion_Elementos', (text, inputs) => {
+    applied.push({ ...inputs });
+    return { rowsAffected: [1] };
+  }],
+  ['FROM Sincronizacion_Elementos', (text, inputs) => ({
+    recordset: applied.filter(row => (inputs.clave_idempotencia
+      ? row.clave_idempotencia === inputs.clave_idempotencia
+      : row.id_cliente === inputs.id_cliente)),
+  })],
+];
+
+// `duplicado`: centro de otro paciente ya registrado con la misma identificación
+const serverState = ({ version = '2001', applied = [], duplicado = null } = {}) => respondTo([
+  ...syncedChanges(applied),
+  ['WITH (UPDLOCK, HOLDLOCK) WHERE identificacion_hash', { recordset: duplicado ? [{ id: OTHER_PATIENT }] : [] }],
+  ['SELECT id_centro_salud FROM Niños WHERE id_niño', { recordset: [{ id_centro_salud: duplicado }] }],
+  ['sp_CrearNiño', { recordset: [{ id_niño: PATIENT }] }],
+  ['FROM Niños WITH (UPDLOCK, ROWLOCK)', { recordset: [{ id_centro_salud: CENTER, id_archivo: null, version }] }],
+  ['SELECT CAST(version_fila AS BIGINT) AS version FROM Niños', { recordset: [{ version: '2002' }] }],
+  ['SELECT fecha_nacimiento FROM Niños', {
+    recordsets: [
+      [{ fecha_nacimiento: new Date('2024-01-01') }],
+      [{ id_vacuna: VACCINE, nombre: 'BCG', dosis_requeridas: 1 }],
+      [{ orden_dosis: 1, edad_minima_dias: 0, intervalo_minimo_dias: null }],
+      [],
+    ],
+  }],
+  ['SELECT id_centro FROM Lotes_Vacunas', { recordset: [{ id_centro: CENTER }] }],
+  ['sp_RegistrarVacunacion_Alterna', { recordset: [{ id_historial: HISTORY }] }],
+  ['FROM Inventario_Suministros', { recordset: [{ id_centro: CENTER }] }],
+  ['sp_CrearUsoSuministro', { recordset: [{ id_uso: USAGE }] }],
+]);
+
+const PATIENT_DATA = {
+  nombre_completo: 'Ana Pérez',
+  identificacion: 'A-001',
+  nacionalidad: 'Dominicana',
+  pais_nacimiento: 'República Dominicana',
+  fecha_nacimiento: '2024-01-01',
+  genero: 'F',
+};
+
+const DAY = [
+  { clave_idempotencia: 'k1', tipo: 'paciente', operacion: 'crear', id_cliente: 'paciente-1', datos: PATIENT_DATA },
+  {
+    clave_idempotencia: 'k2',
+    tipo: 'vacunacion',
+    operacion: 'crear',
+    id_cliente: 'dosis-1',
+    datos: { id_niño: 'paciente-1', id_lote: LOT, id_usuario: USER, fecha_vacunacion: '2024-06-01', dosis_aplicada: 1 },
+  },
+  {
+    clave_idempotencia: 'k3',
+    tipo: 'uso_suministro',
+    operacion: 'crear',
+    datos: { id_suministro: SUPPLY, id_personal: USER, fecha_uso: '2024-06-01', cantidad: 2, estado: 'Registrado' },
+  },
+];
+
+beforeEach(() => {
+  registrarAuditoria.mockClear();
+});
+
+describe('POST /api/sync', () => {
+  it('aplica el lote en orden y resuelve los ID de cliente', async () => {
+    const applied = [];
+    const db = fakePool(serverState({ applied }));
+    const response = await request(app()).post('/api/sync').send({ cambios: DAY });
+
+    expect(response.status).toBe(200);
+    expect(response.body.resumen).toEqual({ aplicado: 3, duplicado: 0, conflicto: 0, error: 0 });
+    expect(response.body.resultados.map(item => item.id_servidor)).toEqual([PATIENT, HISTORY, USAGE]);
+    expect(response.body.resultados[0].detalle).toEqual({ id_paciente: PATIENT, version: '2002' });
+    expect(db.executed('sp_RegistrarVacunacion_Alterna')[0].inputs.id_niño).toBe(PATIENT);
+    expect(applied.map(row => row.clave_idempotencia)).toEqual(['k1', 'k2', 'k3']);
+    expect(registrarAuditoria).toHaveBeenCalledTimes(3);
+  });
+
+  it('devuelve el resultado original de un lote reenviado sin volver a aplicarlo', async () => {
+    const applied = [];
+    fakePool(serverState({ applied }));
+    await request(app()).post('/api/sync').send({ cambios: DAY });
+
+    const db = fakePool(serverState({ applied }));
+    const retry = await request(app()).post('/api/sync').send({ cambios: DAY });
+
+    expect(retry.body.resumen).toEqual({ aplicado: 0, duplicado: 3, conflicto: 0, error: 0 });
+    expect(retry.body.resultados[1].detalle.id_historial).toBe(HISTORY);
+    expect(db.executed('sp_CrearNiño')).toHaveLength(0);
+    expect(db.executed('sp_RegistrarVacunacion_Alterna')).toHaveLength(0);
+    expect(registrarAuditoria).toHaveBeenCalledTimes(3);
+  });
+
+  it('informa un conflicto si el paciente cambió en el servidor y no lo aplica', async () => {
+    const applied = [];
+    const db = fakePool(serverState({ version: '2005', applied }));
+    const response = await request(app()).post('/api/sync').send({
+      cambios: [{ clave_idempotencia: 'k4', tipo: 'paciente', operacion: 'actualizar', id: PATIENT, version_base: '2001', datos: { direccion_residencia: 'Km 12' } }],
+    });
+
+    expect(response.body.resultados[0]).toMatchObject({
+      estado: 'conflicto',
+      conflicto: { codigo: 'PACIENTE_MODIFICADO', servidor: { id_paciente: PATIENT, version: '2005' } },
+    });
+    expect(db.executed('sp_ActualizarNiño')).toHaveLength(0);
+    expect(applied).toHaveLength(0);
+  });
+
+  it('comprueba la identificación en la transacción y no revela pacientes de otros centros', async () => {
+    const db = fakePool(serverState({ duplicado: OTHER_CENTER }));
+    const hidden = await request(app({ national: false, id_centro: CENTER })).post('/api/sync').send({ cambios: [DAY[0]] });
+
+    expect(hidden.body.resultados[0]).toMatchObject({ estado: 'conflicto', conflicto: { codigo: 'IDENTIFICACION_DUPLICADA' } });
+    expect(hidden.body.resultados[0].conflicto.servidor).toBeUndefined();
+    expect(db.executed('sp_CrearNiño')).toHaveLength(0);
+
+    fakePool(serverState({ duplicado: CENTER }));
+    const shown = await request(app({ national: false, id_centro: CENTER })).post('/api/sync').send({ cambios: [DAY[0]] });
+    expect(shown.body.resultados[0].conflicto.servidor).toEqual({ id_paciente: OTHER_PATIENT });
+  });
+
+  it('sobrescribe con resolucion cliente y audita la sobrescritura', async () => {
+    const db = fakePool(serverState({ version: '2005' }));
+    const response = await request(app()).post('/api/sync').send({
+      cambios: [{ clave_idempotencia: 'k4', tipo: 'paciente', operacion: 'actualizar', id: PATIENT, version_base: '2001', resolucion: 'cliente', datos: { direccion_residencia: 'Km 12' } }],
+    });
+
+    expect(response.body.resultados[0]).toMatchObject({ estado: 'aplicado', detalle: { version: '2002' } });
+    expect(db.executed('sp_ActualizarNiño')[0].inputs.direccion_residencia).toBe('Km 12');
+    expect(registrarAuditoria).toHaveBeenCalledWith(expect.objectContaining({
+      tabla_afectada: 'Niños',
+      detalles: expect.stringContaining('se sobrescribió la versión 2005'),
+    }));
+  });
+
+  it('sigue con el lote tras un error y falla los cambios que dependen de él', async () => {
+    fakePool(serverState());
+    const [patient, ...rest] = DAY;
+    const response = await request(app()).post('/api/sync').send({
+      cambios: [{ ...patient, datos: { ...PATIENT_DATA, genero: 'X' } }, ...rest],
+    });
+
+    expect(response.body.resultados.map(item => item.estado)).toEqual(['error', 'error', 'aplicado']);
+    expect(response.body.resultados[0].data[0].path).toBe('genero');
+    expect(response.body.resultados[1].error).toContain('paciente-1');
+  });
+
+  it('rechaza operaciones no admitidas y lotes mal formados', async () => {
+    fakePool(serverState());
+    const response = await request(app()).post('/api/sync').send({
+      cambios: [{ clave_idempotencia: 'k5', tipo: 'vacunacion', operacion: 'actualizar', id: HISTORY, datos: {} }],
+    });
+    expect(response.body.resultados[0].estado).toBe('error');
+
+    const invalid = await request(app()).post('/api/sync').send({ cambios: [] });
+    expect(invalid.status).toBe(400);
+  });
+});
+
+describe('GET /api/sync/pull', () => {
+  it('devuelve los datos de referencia modificados desde el punto de control', async () => {
+    const db = fakePool(() => ({
+      recordsets: [[{ punto_control: '3050' }], [], [], [{ id_vacuna: VACCINE, nombre: 'BCG' }], [], [{ id_lote: LOT }], [], []],
+    }));
+    const response = await request(app({ national: false, id_centro: CENTER })).get('/api/sync/pull?desde=3000');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ punto_control: '3050', completo: false, vacunas: [{ id_vacuna: VACCINE }], lotes: [{ id_lote: LOT }] });
+    expect(db.calls[0].inputs).toMatchObject({ desde: '3000', scope_id_centro: CENTER });
+  });
+});
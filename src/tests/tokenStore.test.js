@@ -0,0 +1,40 @@
+const tokenStore = require('../services/tokenStore');
+
+const ID_USUARIO = '3031019A-8658-4567-B284-D610A8AC7766';
+
+describe('Token store', () => {
+  test('rotates refresh tokens within the same session family', () => {
+    const session = tokenStore.createSession(ID_USUARIO);
+    const rotated = tokenStore.rotateSession(session.refreshToken);
+    expect(rotated.familia).toBe(session.familia);
+    expect(rotated.refreshToken).not.toBe(session.refreshToken);
+    expect(rotated.id_usuario).toBe(ID_USUARIO);
+  });
+
+  test('reusing a rotated refresh token revokes the whole family', () => {
+    const session = tokenStore.createSession(ID_USUARIO);
+    const rotated = tokenStore.rotateSession(session.refreshToken);
+    expect(() => tokenStore.rotateSession(session.refreshToken)).toThrow('Refresh token reuse detected');
+    expect(() => tokenStore.rotateSession(rotated.refreshToken)).toThrow();
+    expect(tokenStore.isRevoked({ id_usuario: 'otro', sid: session.familia, iat: 0 })).toBe(true);
+  });
+
+  test('rejects unknown refresh tokens', () => {
+    expect(() => tokenStore.rotateSession('no-existe.secret')).toThrow('Invalid refresh token');
+  });
+
+  test('logout revokes access tokens of the session', () => {
+    const session = tokenStore.createSession(ID_USUARIO);
+    tokenStore.revokeFamily(session.familia);
+    expect(tokenStore.isRevoked({ id_usuario: ID_USUARIO, sid: session.familia, iat: 0 })).toBe(true);
+  });
+
+  test('revoking a user invalidates tokens issued before the revocation', () => {
+    const otherUser = '4031019A-8658-4567-B284-D610A8AC7766';
+    const session = tokenStore.createSession(otherUser);
+    const iat = Math.floor(Date.now() / 1000) - 10;
+    tokenStore.revokeUser(otherUser);
+    expect(tokenStore.isRevoked({ id_usuario: otherUser, iat })).toBe(true);
+    expect(() => tokenStore.rotateSession(session.refreshToken)).toThrow();
+  });
+});
@@ -0,0 +1,32 @@
+const totp = require('../services/totp');
+
+// Secreto de los vectores de prueba del RFC 6238 ("12345678901234567890").
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  test('matches the RFC 6238 SHA1 test vectors', () => {
+    expect(totp.generateCode(RFC_SECRET, Math.floor(59 / 30), 8)).toBe('94287082');
+    expect(totp.generateCode(RFC_SECRET, Math.floor(1111111109 / 30), 8)).toBe('07081804');
+    expect(totp.generateCode(RFC_SECRET, Math.floor(2000000000 / 30), 8)).toBe('69279037');
+  });
+
+  test('base32 encoding round-trips', () => {
+    const secret = totp.generateSecret();
+    expect(totp.base32Encode(totp.base32Decode(secret))).toBe(secret);
+  });
+
+  test('accepts codes within the clock drift window and returns the matched step', () => {
+    const now = 1111111109 * 1000;
+    const previous = totp.generateCode(RFC_SECRET, totp.timeStep(now) - 1);
+    expect(totp.verifyCode(RFC_SECRET, previous, { now })).toBe(totp.timeStep(now) - 1);
+    const stale = totp.generateCode(RFC_SECRET, totp.timeStep(now) - 3);
+    expect(totp.verifyCode(RFC_SECRET, stale, { now })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, 'abc123', { now })).toBeNull();
+  });
+
+  test('builds an otpauth provisioning URI', () => {
+    const uri = totp.provisioningUri('JBSWY3DPEHPK3PXP', 'director1', 'SistemaVacunacion');
+    expect(uri).toMatch(/^otpauth:\/\/totp\/SistemaVacunacion%3Adirector1\?/);
+    expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+  });
+});
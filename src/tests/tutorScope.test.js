@@ -0,0 +1,45 @@
+jest.mock('../config/db', () => ({ sql: require('mssql') }));
+
+const { getChildIds, isOwnChild, assertOwnChild } = require('../services/tutorScope');
+
+const CHILD = '5B0B5F2E-4F6E-4A38-9C1B-2F1F8C3F6A11';
+const OTHER_CHILD = '71e89e1a-1324-44b4-85f2-4b341af9d02e';
+
+const fakePool = (execute, archived = []) => ({
+  request: () => ({
+    input() { return this; },
+    execute,
+    query: async () => ({ recordset: archived.map(id_niño => ({ id_niño })) }),
+  }),
+});
+
+describe('Tutor scope', () => {
+  test('resolves the children of the tutor user', async () => {
+    const pool = fakePool(async () => ({ recordset: [{ id_niño: CHILD }] }));
+    const childIds = await getChildIds(pool, 'tutor-user');
+    expect(isOwnChild(childIds, CHILD.toLowerCase())).toBe(true);
+    expect(isOwnChild(childIds, OTHER_CHILD)).toBe(false);
+  });
+
+  test('leaves archived children out', async () => {
+    const pool = fakePool(async () => ({ recordset: [{ id_niño: CHILD }, { id_niño: OTHER_CHILD }] }), [OTHER_CHILD.toUpperCase()]);
+    const childIds = await getChildIds(pool, 'tutor-user');
+    expect([...childIds]).toEqual([CHILD.toLowerCase()]);
+  });
+
+  test('a user without a tutor record has no children', async () => {
+    const pool = fakePool(async () => { throw new Error('Usuario no asociado a un tutor'); });
+    expect((await getChildIds(pool, 'staff-user')).size).toBe(0);
+  });
+
+  test('other database errors are not swallowed', async () => {
+    const pool = fakePool(async () => { throw new Error('Connection lost'); });
+    await expect(getChildIds(pool, 'tutor-user')).rejects.toThrow('Connection lost');
+  });
+
+  test('rejects other children with 403', () => {
+    const childIds = new Set([CHILD.toLowerCase()]);
+    expect(() => assertOwnChild(childIds, CHILD)).not.toThrow();
+    expect(() => assertOwnChild(childIds, OTHER_CHILD)).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('../config/db', () => require('./fixtures').dbMock);
+
+const request = require('supertest');
+const { fakePool, buildApp } = require('./fixtures');
+const patientRouter = require('../routes/patient');
+const { parseRecommendedAge, pendingDoses } = require('../services/vaccinationCard');
+
+const CENTER = '3031019A-8658-4567-B284-D610A8AC7767';
+const OTHER_CENTER = '9B1DEB4D-3B7D-4BAD-9BDD-2B0D7B3DCB6D';
+const PATIENT = '11111111-1111-4111-8111-111111111111';
+const BCG = 'AAAAAAAA-AAAA-4AAA-8AAA-AAAAAAAAAAAA';
+const PENTA = 'BBBBBBBB-BBBB-4BBB-8BBB-BBBBBBBBBBBB';
+
+const cardRecordsets = (patient = {}) => [
+  [{
+    id_niño: PATIENT, nombre_completo: 'José Núñez', identificacion: 'PD123456',
+    fecha_nacimiento: new Date('2024-01-15'), genero: 'M', id_centro_salud: CENTER,
+    nombre_centro: 'Centro Los Mina', nacionalidad: 'Dominicano', ...patient,
+  }],
+  [{ id_tutor: 't1', nombre: 'Ana Núñez', relacion: 'Madre', identificacion: '00112345678', telefono: '8095551234' }],
+  [{ fecha_vacunacion: new Date('2024-01-16'), dosis_aplicada: 1, id_vacuna: BCG, vacuna: 'BCG', numero_lote: 'L-01', nombre_centro: 'Centro Los Mina', personal: 'Dra. Pérez' }],
+  [
+    { id_vacuna: BCG, vacuna: 'BCG', orden_dosis: 1, edad_recomendada: 'Al nacer' },
+    { id_vacuna: PENTA, vacuna: 'Pentavalente', orden_dosis: 1, edad_recomendada: '2 meses' },
+  ],
+];
+
+const app = scope => buildApp({ '/api/patients': patientRouter }, { scope });
+
+// supertest no convierte application/pdf en texto: se acumula el cuerpo como Buffer
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('vaccination card schedule', () => {
+  test('parses recommended ages in Spanish and English', () => {
+    expect(parseRecommendedAge('Al nacer')).toEqual({ months: 0, days: 0 });
+    expect(parseRecommendedAge('2 meses')).toEqual({ months: 2, days: 0 });
+    expect(parseRecommendedAge('1 año')).toEqual({ months: 12, days: 0 });
+    expect(parseRecommendedAge('4 AÑOS')).toEqual({ months: 48, days: 0 });
+    expect(parseRecommendedAge('6 semanas')).toEqual({ months: 0, days: 42 });
+    expect(parseRecommendedAge('18 months')).toEqual({ months: 18, days: 0 });
+    expect(parseRecommendedAge('Según indicación médica')).toBeNull();
+  });
+
+  test('lists schedule doses not yet applied, by due date', () => {
+    const schedule = [
+      { id_vacuna: PENTA, vacuna: 'Pentavalente', orden_dosis: 2, edad_recomendada: '4 meses' },
+      { id_vacuna: 'x', vacuna: 'Refuerzo', orden_dosis: 1, edad_recomendada: 'Según campaña' },
+      { id_vacuna: BCG, vacuna: 'BCG', orden_dosis: 1, edad_recomendada: 'Al nacer' },
+      { id_vacuna: PENTA, vacuna: 'Pentavalente', orden_dosis: 1, edad_recomendada: '2 meses' },
+    ];
+    const doses = [{ id_vacuna: BCG.toLowerCase(), dosis_aplicada: 1 }];
+    const pending = pendingDoses(schedule, doses, new Date('2024-01-15'), new Date('2024-04-01'));
+    expect(pending.map(entry => [entry.vacuna, entry.orden_dosis])).toEqual([
+      ['Pentavalente', 1], ['Pentavalente', 2], ['Refuerzo', 1],
+    ]);
+    expect(pending[0].fecha_prevista.toISOString().slice(0, 10)).toBe('2024-03-15');
+    expect(pending[0].atrasada).toBe(true);
+    expect(pending[1].atrasada).toBe(false);
+    expect(pending[2].fecha_prevista).toBeNull();
+  });
+});
+
+describe('GET /api/patients/:id/card.pdf', () => {
+  test('renders a PDF in Spanish by default', async () => {
+    fakePool(() => ({ recordsets: cardRecordsets() }));
+    const res = await request(app()).get(`/api/patients/${PATIENT}/card.pdf`).buffer(true).parse(binary);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers['content-disposition']).toContain(`carnet-vacunacion-${PATIENT}.pdf`);
+    expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(res.body.toString('latin1')).toContain('/Lang (es)');
+  });
+
+  test('renders in English on request', async () => {
+    fakePool(() => ({ recordsets: cardRecordsets({ nombre_completo: 'Jose Nunez' }) }));
+    const res = await request(app()).get(`/api/patients/${PATIENT}/card.pdf?lang=en`).buffer(true).parse(binary);
+    expect(res.status).toBe(200);
+    const text = res.body.toString('latin1');
+    expect(text).toContain('/Lang (en)');
+    expect(text).toContain('Vaccination card - Jose Nunez');
+  });
+
+  test('rejects unsupported languages', async () => {
+    const res = await request(app()).get(`/api/patients/${PATIENT}/card.pdf?lang=fr`);
+    expect(res.status).toBe(400);
+  });
+
+  test('returns 404 for an unknown patient', async () => {
+    fakePool(() => ({ recordsets: [[], [], [], []] }));
+    const res = await request(app()).get(`/api/patients/${PATIENT}/card.pdf`);
+    expect(res.status).toBe(404);
+  });
+
+  test('denies patients from another center', async () => {
+    fakePool(() => ({ recordsets: cardRecordsets({ id_centro_salud: OTHER_CENTER }) }));
+    const res = await request(app({ national: false, id_centro: CENTER })).get(`/api/patients/${PATIENT}/card.pdf`);
+    expect(res.status).toBe(403);
+  });
+});